@@ -4,6 +4,8 @@ import { AuthProvider, useAuth } from './contexts/AuthContext.jsx';
 
 // Enhanced Services
 import enhancedSocketService from './services/enhancedSocketService';
+import apiService from './services/enhancedApiService';
+import routes from './services/apiRoutes';
 
 // Enhanced Components
 import LoadingSpinner from './components/UI/LoadingSpinner';
@@ -89,11 +91,10 @@ const SocketConnector = () => {
         const token = localStorage.getItem('accessToken');
         if (token) {
           // Send a beacon to notify server of disconnection
-          const baseURL = import.meta.env.VITE_API_URL || 'https://vibgyornode.onrender.com';
           // sendBeacon works better with FormData
           const formData = new FormData();
           formData.append('token', token);
-          navigator.sendBeacon(`${baseURL}/user/status/offline`, formData);
+          navigator.sendBeacon(apiService.buildUrl(routes.status.offline()), formData);
         }
       }
     };
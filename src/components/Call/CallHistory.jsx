@@ -18,8 +18,8 @@ const CallHistory = ({ chatId, onClose }) => {
       setLoading(true);
       const response = await callAPI.getCallHistory(chatId);
       
-      if (response.data.success) {
-        setCallHistory(response.data.data || []);
+      if (response.success) {
+        setCallHistory(response.data || []);
       } else {
         setError('Failed to fetch call history');
       }
@@ -0,0 +1,83 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+const QUALITY_COLORS = {
+  excellent: 'text-green-400',
+  good: 'text-green-300',
+  fair: 'text-yellow-400',
+  poor: 'text-red-400'
+};
+
+const formatValue = (value, unit = '') => (value === null || value === undefined ? '–' : `${value}${unit}`);
+
+const formatResolution = (track) => (track.width && track.height ? `${track.width}x${track.height}` : '–');
+
+/**
+ * "Stats for nerds": the latest per-stream call statistics from
+ * CallStatsCollector, refreshed with every sample
+ */
+const CallStatsOverlay = ({ stats, quality, onClose, className = '' }) => {
+  const tracks = [...(stats?.tracks || [])].sort((a, b) =>
+    a.direction.localeCompare(b.direction) || a.kind.localeCompare(b.kind));
+
+  return (
+    <div
+      className={`bg-black/80 text-gray-100 rounded-lg p-3 font-mono text-xs border border-white/20 shadow-large ${className}`}
+      role="dialog"
+      aria-label="Call statistics"
+    >
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-semibold">
+          Call stats · <span className={QUALITY_COLORS[quality] || 'text-gray-300'}>{quality}</span>
+        </span>
+        <button onClick={onClose} aria-label="Close statistics" className="p-0.5 rounded hover:bg-white/10">
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {!stats ? (
+        <p className="text-gray-400">Waiting for the first sample...</p>
+      ) : (
+        <>
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-0.5 mb-2">
+            <dt className="text-gray-400">Round trip</dt>
+            <dd>{formatValue(stats.rtt, ' ms')}</dd>
+            <dt className="text-gray-400">Packet loss</dt>
+            <dd>{formatValue(stats.packetLoss, '%')}</dd>
+            <dt className="text-gray-400">Jitter</dt>
+            <dd>{formatValue(stats.jitter, ' ms')}</dd>
+            <dt className="text-gray-400">Upload estimate</dt>
+            <dd>{formatValue(stats.availableOutgoingBitrate, ' kbps')}</dd>
+          </dl>
+
+          <table className="w-full text-left">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="pr-2 font-normal">Stream</th>
+                <th className="pr-2 font-normal">kbps</th>
+                <th className="pr-2 font-normal">Loss</th>
+                <th className="pr-2 font-normal">Jitter</th>
+                <th className="pr-2 font-normal">fps</th>
+                <th className="font-normal">Size</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tracks.map(track => (
+                <tr key={track.id} title={track.codec || undefined}>
+                  <td className="pr-2">{track.direction === 'inbound' ? '↓' : '↑'} {track.kind}</td>
+                  <td className="pr-2">{formatValue(track.bitrate)}</td>
+                  <td className="pr-2">{formatValue(track.packetLoss, '%')}</td>
+                  <td className="pr-2">{formatValue(track.jitter, ' ms')}</td>
+                  <td className="pr-2">{track.kind === 'video' ? formatValue(track.frameRate) : ''}</td>
+                  <td>{track.kind === 'video' ? formatResolution(track) : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CallStatsOverlay;
@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Mic, MicOff, Video, VideoOff, PhoneOff, Phone, UserPlus, Users } from 'lucide-react';
+import useGroupCall from '../../hooks/useGroupCall';
+import { useAuth } from '../../contexts/AuthContext';
+import { MAX_GROUP_CALL_PARTICIPANTS } from '../../services/groupCallSession';
+import InviteParticipantsDialog from './InviteParticipantsDialog';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import Button from '../UI/Button';
+
+const getName = (user) => user?.fullName || user?.username || 'Unknown user';
+
+// Columns for the number of tiles, up to MAX_GROUP_CALL_PARTICIPANTS
+const getGridColumns = (count) => {
+  if (count <= 1) return 'grid-cols-1';
+  if (count <= 4) return 'grid-cols-2';
+  return 'grid-cols-2 md:grid-cols-3';
+};
+
+/**
+ * One person in the grid: their video, or their avatar with the audio
+ * playing in the background
+ */
+const ParticipantTile = ({ user, stream, isLocal, isMuted, isVideoEnabled, isActiveSpeaker, overlay }) => {
+  const mediaRef = useCallback((element) => {
+    if (element && element.srcObject !== stream) {
+      element.srcObject = stream;
+      // Autoplay can be blocked until the user interacts with the page
+      element.play?.()?.catch(() => {});
+    }
+  }, [stream]);
+
+  const hasVideo = !!stream && isVideoEnabled && stream.getVideoTracks().length > 0;
+
+  return (
+    <div
+      className={`relative min-h-[8rem] bg-gray-900 rounded-xl overflow-hidden ring-2 transition-shadow ${
+        isActiveSpeaker ? 'ring-green-400' : 'ring-transparent'
+      }`}
+    >
+      {hasVideo ? (
+        <video
+          ref={mediaRef}
+          autoPlay
+          playsInline
+          muted={isLocal}
+          className={`w-full h-full object-cover ${isLocal ? 'scale-x-[-1]' : ''}`}
+        />
+      ) : (
+        <>
+          <div className="absolute inset-0 flex items-center justify-center">
+            <img
+              src={user?.profilePictureUrl || '/default-avatar.png'}
+              alt={getName(user)}
+              className="w-20 h-20 rounded-full object-cover"
+            />
+          </div>
+          {!isLocal && stream && <audio ref={mediaRef} autoPlay />}
+        </>
+      )}
+
+      {overlay && (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/50">
+          <p className="text-sm text-gray-200">{overlay}</p>
+        </div>
+      )}
+
+      <div className="absolute bottom-2 left-2 right-2 flex items-center justify-between">
+        <span className="px-2 py-0.5 text-xs rounded bg-black/50 truncate">
+          {isLocal ? 'You' : getName(user)}
+        </span>
+        {isMuted && (
+          <span className="p-1 rounded-full bg-red-600/80" title="Muted">
+            <MicOff className="w-3 h-3" />
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const getOverlay = (participant) => {
+  if (participant.status === 'invited') return 'Ringing...';
+  if (participant.connection === 'reconnecting') return 'Reconnecting...';
+  if (participant.connection === 'lost') return 'Connection lost';
+  if (participant.connection !== 'connected') return 'Connecting...';
+  return null;
+};
+
+/**
+ * Group call screen: a grid with everyone in the call, the active speaker
+ * highlighted, and a dialog for inviting more people. The call runs in a
+ * GroupCallSession (useGroupCall).
+ */
+const GroupCall = ({ callId, type, accepted = false, onCallEnd }) => {
+  const { user } = useAuth();
+  const [showInvite, setShowInvite] = useState(false);
+
+  const {
+    state,
+    error,
+    participants,
+    localStream,
+    isMuted,
+    isVideoEnabled,
+    activeSpeakerId,
+    openSlots,
+    statusText,
+    accept,
+    decline,
+    leave,
+    invite,
+    toggleMute,
+    toggleVideo
+  } = useGroupCall({
+    callId,
+    type,
+    accepted,
+    userId: user?._id || user?.id
+  });
+
+  const userId = String(user?._id || user?.id);
+  const isLive = state === 'connected';
+  const isVideoCall = (type || 'audio') === 'video';
+
+  // Close the screen shortly after the call ends for us
+  useEffect(() => {
+    if (state !== 'ended') return undefined;
+
+    const timer = setTimeout(() => onCallEnd?.(), 2000);
+    return () => clearTimeout(timer);
+  }, [state, onCallEnd]);
+
+  const handleLeave = async () => {
+    await leave();
+    onCallEnd?.();
+  };
+
+  const handleDecline = async () => {
+    await decline();
+    onCallEnd?.();
+  };
+
+  const inCall = participants.filter(p => p.status === 'joined' || p.status === 'invited');
+  const tiles = [
+    {
+      userId,
+      user,
+      stream: localStream,
+      isLocal: true,
+      isMuted,
+      isVideoEnabled
+    },
+    ...inCall.map(participant => ({ ...participant, overlay: getOverlay(participant) }))
+  ];
+
+  return (
+    <div className="flex flex-col h-screen bg-black text-white">
+      {/* Header */}
+      <div className="flex items-center justify-between px-6 py-4">
+        <div className="flex items-center space-x-2">
+          <Users className="w-5 h-5 text-gray-300" />
+          <span className="font-semibold">Group call</span>
+          <span className="text-sm text-gray-400">
+            {inCall.filter(p => p.status === 'joined').length + 1} of {MAX_GROUP_CALL_PARTICIPANTS}
+          </span>
+        </div>
+        <p className="text-sm text-gray-300">{statusText}</p>
+      </div>
+
+      {error && (
+        <div className="mx-6 mb-2 bg-red-900/80 border border-red-700 rounded-lg p-3">
+          <p className="text-red-100 text-sm">{error}</p>
+        </div>
+      )}
+
+      {/* Participants */}
+      <div className="flex-1 min-h-0 px-6 pb-2">
+        {state === 'ringing' || state === 'idle' || state === 'connecting' ? (
+          <div className="h-full flex items-center justify-center">
+            <div className="text-center">
+              <LoadingSpinner size="lg" />
+              <p className="mt-4 text-lg">{statusText}</p>
+              {state === 'ringing' && participants.length > 0 && (
+                <p className="mt-1 text-sm text-gray-400">
+                  With {participants.filter(p => p.status === 'joined').map(p => getName(p.user)).join(', ')}
+                </p>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className={`h-full grid gap-3 auto-rows-fr ${getGridColumns(tiles.length)}`}>
+            {tiles.map(tile => (
+              <ParticipantTile
+                key={tile.userId}
+                user={tile.user}
+                stream={tile.stream}
+                isLocal={tile.isLocal}
+                isMuted={tile.isMuted}
+                isVideoEnabled={isVideoCall && tile.isVideoEnabled}
+                isActiveSpeaker={isLive && activeSpeakerId === tile.userId && tiles.length > 1}
+                overlay={tile.overlay}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Controls */}
+      <div className="flex items-center justify-center space-x-6 p-6 bg-black/50">
+        {state === 'ringing' ? (
+          <>
+            <Button
+              variant="destructive"
+              size="lg"
+              onClick={handleDecline}
+              className="w-16 h-16 rounded-full"
+              title="Decline"
+            >
+              <PhoneOff className="w-6 h-6" />
+            </Button>
+            <Button
+              variant="primary"
+              size="lg"
+              onClick={accept}
+              className="w-16 h-16 rounded-full"
+              title="Join"
+            >
+              <Phone className="w-6 h-6" />
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button
+              variant={isMuted ? 'destructive' : 'outline'}
+              size="lg"
+              onClick={toggleMute}
+              className="w-16 h-16 rounded-full bg-black/50 border-white/20 hover:bg-black/70"
+              disabled={!isLive}
+              title={isMuted ? 'Unmute' : 'Mute'}
+            >
+              {isMuted ? <MicOff className="w-6 h-6" /> : <Mic className="w-6 h-6" />}
+            </Button>
+
+            {isVideoCall && (
+              <Button
+                variant={isVideoEnabled ? 'outline' : 'destructive'}
+                size="lg"
+                onClick={toggleVideo}
+                className="w-16 h-16 rounded-full bg-black/50 border-white/20 hover:bg-black/70"
+                disabled={!isLive}
+                title={isVideoEnabled ? 'Turn camera off' : 'Turn camera on'}
+              >
+                {isVideoEnabled ? <Video className="w-6 h-6" /> : <VideoOff className="w-6 h-6" />}
+              </Button>
+            )}
+
+            <Button
+              variant="outline"
+              size="lg"
+              onClick={() => setShowInvite(true)}
+              className="w-16 h-16 rounded-full bg-black/50 border-white/20 hover:bg-black/70"
+              disabled={!isLive || openSlots === 0}
+              title={openSlots === 0 ? 'The call is full' : 'Add people'}
+            >
+              <UserPlus className="w-6 h-6" />
+            </Button>
+
+            <Button
+              variant="destructive"
+              size="lg"
+              onClick={handleLeave}
+              className="w-16 h-16 rounded-full"
+              title="Leave call"
+            >
+              <PhoneOff className="w-6 h-6" />
+            </Button>
+          </>
+        )}
+      </div>
+
+      {showInvite && (
+        <InviteParticipantsDialog
+          title="Add people to the call"
+          excludeUserIds={inCall.map(p => p.userId)}
+          maxSelectable={openSlots}
+          onConfirm={invite}
+          onClose={() => setShowInvite(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GroupCall;
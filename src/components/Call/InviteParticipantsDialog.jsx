@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { Search, X, Phone, Video, CheckCircle2, Circle } from 'lucide-react';
+import searchService from '../../services/searchService';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const PEOPLE_SEARCH_DELAY_MS = 300;
+
+const getName = (person) => person.fullName || person.username || 'Unknown user';
+
+/**
+ * Dialog for picking people for a group call: either to start one (with
+ * `chooseType`, offering audio or video) or to invite more people into a
+ * running call. At most `maxSelectable` people can be picked. Mount it
+ * while it's open; the selection starts from `initialSelection`.
+ */
+const InviteParticipantsDialog = ({
+  title = 'Add people',
+  initialSelection = [],
+  excludeUserIds = [],
+  maxSelectable,
+  chooseType = false,
+  onConfirm,
+  onClose
+}) => {
+  const { user } = useAuth();
+  const [contacts, setContacts] = useState([]);
+  const [peopleResults, setPeopleResults] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(() => initialSelection.filter(person => person?._id));
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadContacts = async () => {
+      try {
+        const network = await searchService.getNetwork();
+        if (!cancelled) setContacts(network);
+      } catch (err) {
+        // Search still works without the network
+        console.error('[INVITE_DIALOG] ❌ Failed to load contacts:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadContacts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const needle = query.trim().toLowerCase();
+  useEffect(() => {
+    if (needle.length < 2) {
+      setPeopleResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const people = await searchService.searchPeople(needle, 10);
+        if (!cancelled) setPeopleResults(people);
+      } catch (err) {
+        console.error('[INVITE_DIALOG] ❌ People search failed:', err);
+      }
+    }, PEOPLE_SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [needle]);
+
+  const currentUserId = user?._id || user?.userId || user?.id;
+  const excluded = new Set([currentUserId, ...excludeUserIds].filter(Boolean).map(String));
+  const matches = (person) => !needle || [person.fullName, person.username].some(field => field?.toLowerCase().includes(needle));
+
+  const seen = new Set();
+  const people = [...initialSelection.filter(matches), ...contacts.filter(matches), ...peopleResults]
+    .filter((person) => {
+      if (!person?._id || excluded.has(String(person._id)) || seen.has(person._id)) return false;
+      seen.add(person._id);
+      return true;
+    });
+
+  const isSelected = (person) => selected.some(p => p._id === person._id);
+  const limitReached = selected.length >= maxSelectable;
+
+  const togglePerson = (person) => {
+    setSelected(prev => (prev.some(p => p._id === person._id)
+      ? prev.filter(p => p._id !== person._id)
+      : [...prev, person]));
+  };
+
+  const handleConfirm = async (type) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onConfirm(selected, type);
+      onClose();
+    } catch (err) {
+      console.error('[INVITE_DIALOG] ❌ Failed:', err);
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/40" onClick={submitting ? undefined : onClose}>
+      <div
+        className="w-full max-w-md flex flex-col max-h-[90vh] bg-white dark:bg-gray-900 rounded-2xl shadow-2xl overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label={title}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-base font-semibold text-gray-900 dark:text-white">{title}</h3>
+          <button
+            onClick={onClose}
+            disabled={submitting}
+            aria-label="Close"
+            className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex items-center px-4 border-b border-gray-200 dark:border-gray-700">
+          <Search className="w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search people..."
+            autoFocus
+            className="flex-1 px-3 py-3 bg-transparent text-sm text-gray-900 dark:text-white placeholder-gray-500 focus:outline-none"
+          />
+        </div>
+
+        <div className="flex-1 min-h-0 max-h-80 overflow-y-auto">
+          {loading && (
+            <div className="flex justify-center py-6">
+              <LoadingSpinner size="small" />
+            </div>
+          )}
+          {!loading && people.length === 0 && (
+            <p className="px-4 py-6 text-sm text-center text-muted">No people found</p>
+          )}
+          {people.map((person) => {
+            const personSelected = isSelected(person);
+            return (
+              <button
+                key={person._id}
+                type="button"
+                onClick={() => togglePerson(person)}
+                disabled={submitting || (!personSelected && limitReached)}
+                aria-pressed={personSelected}
+                className="w-full flex items-center px-4 py-2 space-x-3 text-left hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:hover:bg-transparent"
+              >
+                <img
+                  src={person.profilePictureUrl || '/default-avatar.png'}
+                  alt=""
+                  className="w-9 h-9 rounded-full object-cover flex-shrink-0"
+                />
+                <span className="flex-1 min-w-0">
+                  <span className="block text-sm font-medium text-gray-900 dark:text-white truncate">{getName(person)}</span>
+                  {person.username && <span className="block text-xs text-muted truncate">@{person.username}</span>}
+                </span>
+                {personSelected
+                  ? <CheckCircle2 className="w-5 h-5 text-primary-600 dark:text-primary-400 flex-shrink-0" />
+                  : <Circle className="w-5 h-5 text-gray-300 dark:text-gray-600 flex-shrink-0" />}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="px-4 py-3 space-y-2 border-t border-gray-200 dark:border-gray-700">
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+          <p className="text-xs text-muted">
+            {maxSelectable > 0
+              ? `${selected.length} of ${maxSelectable} selected`
+              : 'The call is full'}
+          </p>
+          <div className="flex items-center justify-end space-x-2">
+            {chooseType ? (
+              <>
+                <button
+                  onClick={() => handleConfirm('audio')}
+                  disabled={submitting || selected.length === 0}
+                  className="flex items-center px-3 py-2 text-sm font-medium rounded-lg text-primary-600 dark:text-primary-400 border border-primary-200 dark:border-primary-800 hover:bg-primary-50 dark:hover:bg-primary-900/30 disabled:opacity-50"
+                >
+                  <Phone className="w-4 h-4 mr-1" /> Audio call
+                </button>
+                <button
+                  onClick={() => handleConfirm('video')}
+                  disabled={submitting || selected.length === 0}
+                  className="flex items-center px-3 py-2 text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                >
+                  <Video className="w-4 h-4 mr-1" /> Video call
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => handleConfirm()}
+                disabled={submitting || selected.length === 0}
+                className="px-3 py-2 text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                {submitting ? 'Inviting...' : `Invite${selected.length > 0 ? ` (${selected.length})` : ''}`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InviteParticipantsDialog;
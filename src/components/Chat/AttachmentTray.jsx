@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Send, FileText, Music, AlertCircle, RotateCcw, Pause, Play } from 'lucide-react';
+import { formatFileSize } from '../../utils/fileUtils';
+
+/**
+ * Preview of a local file; the object URL lives as long as the thumbnail
+ */
+const FileThumbnail = ({ file, type, className = '' }) => {
+  const [url, setUrl] = useState(null);
+  const hasPreview = type === 'image' || type === 'video';
+
+  useEffect(() => {
+    if (!hasPreview || !file) return;
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file, hasPreview]);
+
+  if (hasPreview && url) {
+    return type === 'image'
+      ? <img src={url} alt="" className={`object-cover ${className}`} />
+      : <video src={url} muted preload="metadata" className={`object-cover bg-black ${className}`} />;
+  }
+
+  const Icon = type === 'audio' ? Music : FileText;
+  return (
+    <div className={`flex items-center justify-center bg-gray-100 dark:bg-gray-700 text-gray-500 ${className}`}>
+      <Icon className="w-6 h-6" />
+    </div>
+  );
+};
+
+/**
+ * Attachments above the composer: files waiting to be sent, each with a
+ * caption, and uploads in progress that can be paused, cancelled or retried
+ */
+const AttachmentTray = ({
+  drafts,
+  uploads,
+  maxAttachments,
+  onCaptionChange,
+  onRemoveDraft,
+  onAddMore,
+  onClear,
+  onSend,
+  onCancelUpload,
+  onRetryUpload,
+  onPauseUpload,
+  onResumeUpload
+}) => {
+  if (drafts.length === 0 && uploads.length === 0) return null;
+
+  return (
+    <div className="border-t border-gray-200 dark:border-gray-700 bg-white/80 dark:bg-gray-900/80">
+      {uploads.length > 0 && (
+        <ul className="px-4 py-2 space-y-2" aria-label="Uploads">
+          {uploads.map(upload => (
+            <li key={upload.clientMessageId} className="flex items-center space-x-3">
+              <FileThumbnail file={upload.file} type={upload.type} className="w-10 h-10 rounded-lg flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center justify-between text-xs">
+                  <span className="truncate text-gray-800 dark:text-gray-200">{upload.fileName}</span>
+                  <span className={`ml-2 flex-shrink-0 ${upload.status === 'failed' ? 'text-red-600 dark:text-red-400' : 'text-muted'}`}>
+                    {upload.status === 'failed' ? 'Failed' : `${upload.status === 'paused' ? 'Paused · ' : ''}${upload.progress}%`}
+                  </span>
+                </div>
+                {upload.status === 'failed' ? (
+                  <p className="flex items-center mt-1 text-xs text-red-600 dark:text-red-400 truncate" title={upload.error}>
+                    <AlertCircle className="w-3 h-3 mr-1 flex-shrink-0" />
+                    {upload.error || 'Upload failed'}
+                  </p>
+                ) : (
+                  <div className="w-full h-1.5 mt-1 rounded-full bg-blue-100 dark:bg-blue-900/40" role="progressbar" aria-valuenow={upload.progress} aria-valuemin={0} aria-valuemax={100}>
+                    <div
+                      className={`h-1.5 rounded-full transition-all duration-300 ${upload.status === 'paused' ? 'bg-gray-400' : 'bg-blue-600'}`}
+                      style={{ width: `${upload.progress}%` }}
+                    />
+                  </div>
+                )}
+              </div>
+              {upload.status === 'pending' && (
+                <button
+                  onClick={() => onPauseUpload(upload.clientMessageId)}
+                  aria-label={`Pause ${upload.fileName}`}
+                  title="Pause"
+                  className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+                >
+                  <Pause className="w-4 h-4" />
+                </button>
+              )}
+              {upload.status === 'paused' && (
+                <button
+                  onClick={() => onResumeUpload(upload.clientMessageId)}
+                  aria-label={`Resume ${upload.fileName}`}
+                  title="Resume"
+                  className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+                >
+                  <Play className="w-4 h-4" />
+                </button>
+              )}
+              {upload.status === 'failed' && (
+                <button
+                  onClick={() => onRetryUpload(upload.clientMessageId)}
+                  aria-label={`Retry ${upload.fileName}`}
+                  title="Retry"
+                  className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                onClick={() => onCancelUpload(upload.clientMessageId)}
+                aria-label={`Cancel ${upload.fileName}`}
+                title={upload.status === 'failed' ? 'Remove' : 'Cancel upload'}
+                className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {drafts.length > 0 && (
+        <div className="px-4 pt-3 pb-2">
+          <div className="flex space-x-3 overflow-x-auto pb-2">
+            {drafts.map(draft => (
+              <div key={draft.id} className="relative w-32 flex-shrink-0">
+                <FileThumbnail file={draft.file} type={draft.type} className="w-32 h-24 rounded-lg" />
+                <button
+                  onClick={() => onRemoveDraft(draft.id)}
+                  aria-label={`Remove ${draft.file.name}`}
+                  className="absolute top-1 right-1 p-0.5 rounded-full bg-black/60 text-white hover:bg-black/80"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+                <p className="mt-1 text-xs text-muted truncate" title={draft.file.name}>
+                  {draft.file.name} · {formatFileSize(draft.file.size)}
+                </p>
+                <input
+                  type="text"
+                  value={draft.caption}
+                  onChange={(e) => onCaptionChange(draft.id, e.target.value)}
+                  placeholder="Add a caption"
+                  aria-label={`Caption for ${draft.file.name}`}
+                  className="w-full mt-1 px-2 py-1 text-xs rounded-md bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+                />
+              </div>
+            ))}
+            {drafts.length < maxAttachments && (
+              <button
+                onClick={onAddMore}
+                aria-label="Add more files"
+                className="w-24 h-24 flex-shrink-0 flex items-center justify-center rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-400 hover:text-gray-600 hover:border-gray-400"
+              >
+                <Plus className="w-6 h-6" />
+              </button>
+            )}
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-muted">
+              {drafts.length} of {maxAttachments} files
+            </span>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={onClear}
+                className="px-3 py-1.5 text-sm rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800"
+              >
+                Clear
+              </button>
+              <button
+                onClick={onSend}
+                className="flex items-center px-3 py-1.5 text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700"
+              >
+                <Send className="w-4 h-4 mr-1" />
+                Send {drafts.length > 1 ? `${drafts.length} files` : 'file'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentTray;
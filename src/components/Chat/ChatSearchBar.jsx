@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Search, ChevronUp, ChevronDown, SlidersHorizontal, X } from 'lucide-react';
+import messageService from '../../services/enhancedMessageService';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = { senderId: '', type: '', from: '', to: '' };
+
+const MESSAGE_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'image', label: 'Photos' },
+  { value: 'video', label: 'Videos' },
+  { value: 'audio', label: 'Audio' },
+  { value: 'document', label: 'Files' }
+];
+
+const getUserId = (user) => user?._id || user?.userId || user?.id;
+
+// Server params for the active filters; dates cover the whole selected days
+const toSearchParams = (filters) => {
+  const params = {};
+  if (filters.senderId) params.senderId = filters.senderId;
+  if (filters.type) params.type = filters.type;
+  if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+  if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+  return params;
+};
+
+// Older servers ignore the filter params, so results are filtered here too
+const matchesFilters = (message, params) => {
+  if (params.senderId && getUserId(message.senderId) !== params.senderId) return false;
+  if (params.type && (message.type || 'text') !== params.type) return false;
+  if (params.from && new Date(message.createdAt) < new Date(params.from)) return false;
+  if (params.to && new Date(message.createdAt) > new Date(params.to)) return false;
+  return true;
+};
+
+/**
+ * Search bar for the open chat.
+ *
+ * Hits are ordered newest first; "next" walks back in time and fetches
+ * further result pages on demand. The parent is told about the searched
+ * query (to highlight matches) and the active hit (to scroll to it).
+ */
+const ChatSearchBar = ({
+  chatId,
+  participants = [],
+  onQueryChange,
+  onActiveHitChange,
+  onClose
+}) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [hits, setHits] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [searchedQuery, setSearchedQuery] = useState('');
+  const inputRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const pageRef = useRef(1);
+
+  const activeFilterCount = Object.values(filters).filter(Boolean).length;
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const fetchPage = useCallback(async (searchQuery, searchFilters, page) => {
+    const params = toSearchParams(searchFilters);
+    const result = await messageService.searchMessages(chatId, searchQuery, page, SEARCH_PAGE_SIZE, params);
+    const messages = (result.messages || [])
+      .filter(message => matchesFilters(message, params))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const pagination = result.pagination || {};
+
+    return {
+      messages,
+      total: typeof pagination.total === 'number' ? pagination.total : null,
+      hasMore: typeof pagination.hasMore === 'boolean'
+        ? pagination.hasMore
+        : pagination.pages
+          ? page < pagination.pages
+          : (result.messages || []).length === SEARCH_PAGE_SIZE
+    };
+  }, [chatId]);
+
+  // Debounced search; responses to outdated queries are dropped
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      requestIdRef.current += 1;
+      setHits([]);
+      setTotal(null);
+      setHasMore(false);
+      setSearchedQuery('');
+      setLoading(false);
+      setError(null);
+      return;
+    }
+
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      const requestId = ++requestIdRef.current;
+      try {
+        const page = await fetchPage(trimmed, filters, 1);
+        if (requestId !== requestIdRef.current) return;
+
+        pageRef.current = 1;
+        setHits(page.messages);
+        setTotal(page.total);
+        setHasMore(page.hasMore);
+        setActiveIndex(0);
+        setSearchedQuery(trimmed);
+        setError(null);
+      } catch (err) {
+        if (requestId !== requestIdRef.current) return;
+        console.error('[CHAT_SEARCH] ❌ Search failed:', err);
+        setHits([]);
+        setError(err.message || 'Search failed');
+      } finally {
+        if (requestId === requestIdRef.current) {
+          setLoading(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [query, filters, fetchPage]);
+
+  useEffect(() => {
+    onQueryChange?.(searchedQuery);
+  }, [searchedQuery, onQueryChange]);
+
+  const activeHit = hits[activeIndex] || null;
+  useEffect(() => {
+    onActiveHitChange?.(activeHit);
+  }, [activeHit, onActiveHitChange]);
+
+  // Step to an older hit, fetching the next result page when needed
+  const goToOlder = async () => {
+    if (activeIndex + 1 < hits.length) {
+      setActiveIndex(activeIndex + 1);
+      return;
+    }
+    if (!hasMore || loading) return;
+
+    const requestId = requestIdRef.current;
+    const nextPage = pageRef.current + 1;
+    try {
+      setLoading(true);
+      const page = await fetchPage(searchedQuery, filters, nextPage);
+      if (requestId !== requestIdRef.current) return;
+
+      pageRef.current = nextPage;
+      const newHits = page.messages.filter(message => !hits.some(hit => hit._id === message._id));
+      setHits(prev => [...prev, ...newHits]);
+      setHasMore(page.hasMore);
+      if (newHits.length > 0) {
+        setActiveIndex(activeIndex + 1);
+      }
+    } catch (err) {
+      console.error('[CHAT_SEARCH] ❌ Failed to load more results:', err);
+      setError(err.message || 'Failed to load more results');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const goToNewer = () => {
+    if (activeIndex > 0) {
+      setActiveIndex(activeIndex - 1);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        goToNewer();
+      } else {
+        goToOlder();
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const getCounterText = () => {
+    if (!searchedQuery) return '';
+    if (hits.length === 0) return loading ? '' : 'No results';
+
+    const count = total ?? hits.length;
+    return `${activeIndex + 1} of ${count}${total === null && hasMore ? '+' : ''}`;
+  };
+
+  const inputClass = 'w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  return (
+    <div className="border-b border-gray-200 dark:border-gray-700 bg-white/90 dark:bg-gray-900/90 backdrop-blur-sm">
+      <div className="flex items-center space-x-2 px-4 py-2">
+        <Search className="w-4 h-4 text-gray-400 flex-shrink-0" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search in conversation..."
+          aria-label="Search in conversation"
+          className="flex-1 min-w-0 py-1 bg-transparent text-sm text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none"
+        />
+
+        {loading && <LoadingSpinner size="small" />}
+        <span className="text-xs text-muted whitespace-nowrap" aria-live="polite">
+          {getCounterText()}
+        </span>
+
+        <button
+          type="button"
+          onClick={goToNewer}
+          disabled={activeIndex === 0 || hits.length === 0}
+          title="Newer match (Shift+Enter)"
+          className="p-1 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-40"
+        >
+          <ChevronDown className="w-4 h-4" />
+        </button>
+        <button
+          type="button"
+          onClick={goToOlder}
+          disabled={hits.length === 0 || (activeIndex + 1 >= hits.length && !hasMore)}
+          title="Older match (Enter)"
+          className="p-1 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-40"
+        >
+          <ChevronUp className="w-4 h-4" />
+        </button>
+        <button
+          type="button"
+          onClick={() => setShowFilters(!showFilters)}
+          title="Filters"
+          className={`relative p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-800 ${
+            showFilters || activeFilterCount > 0 ? 'text-primary-600 dark:text-primary-400' : 'text-gray-600 dark:text-gray-300'
+          }`}
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+          {activeFilterCount > 0 && (
+            <span className="absolute -top-1 -right-1 w-3.5 h-3.5 text-[10px] leading-[14px] text-center text-white bg-primary-600 rounded-full">
+              {activeFilterCount}
+            </span>
+          )}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          aria-label="Close search"
+          className="p-1 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 px-4 pb-3">
+          <label className="text-xs text-muted space-y-1">
+            <span>From</span>
+            <select
+              value={filters.senderId}
+              onChange={(e) => updateFilter('senderId', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Anyone</option>
+              {participants.map(participant => (
+                <option key={getUserId(participant)} value={getUserId(participant)}>
+                  {participant.fullName || participant.username}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-muted space-y-1">
+            <span>Type</span>
+            <select
+              value={filters.type}
+              onChange={(e) => updateFilter('type', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Any type</option>
+              {MESSAGE_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-muted space-y-1">
+            <span>After</span>
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-xs text-muted space-y-1">
+            <span>Before</span>
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          {activeFilterCount > 0 && (
+            <button
+              type="button"
+              onClick={() => setFilters(EMPTY_FILTERS)}
+              className="col-span-2 md:col-span-4 justify-self-start text-xs text-primary-600 dark:text-primary-400 hover:underline"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <p className="px-4 pb-2 text-xs text-red-600 dark:text-red-400">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default ChatSearchBar;
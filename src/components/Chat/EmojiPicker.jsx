@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Search, Clock, Smile, Leaf, Pizza, Trophy, Plane, Lightbulb, Heart, Flag } from 'lucide-react';
+import { EMOJI_CATEGORIES, SKIN_TONES, withSkinTone, searchEmoji, findEmoji } from '../../utils/emojiData';
+import usePreference from '../../hooks/usePreference';
+
+const MAX_RECENT = 24;
+
+const CATEGORY_ICONS = {
+  recent: Clock,
+  smileys: Smile,
+  nature: Leaf,
+  food: Pizza,
+  activities: Trophy,
+  travel: Plane,
+  objects: Lightbulb,
+  symbols: Heart,
+  flags: Flag
+};
+
+/**
+ * Searchable, categorised emoji picker with skin tones and recently used emoji
+ */
+const EmojiPicker = ({ onSelect, onClose, className = '', style }) => {
+  const [recentEmoji, setRecentEmoji] = usePreference('recentEmoji');
+  const [skinTone, setSkinTone] = usePreference('emojiSkinTone');
+  const [query, setQuery] = useState('');
+  const [activeCategory, setActiveCategory] = useState(null);
+  const [showTones, setShowTones] = useState(false);
+  const [hovered, setHovered] = useState(null);
+  const containerRef = useRef(null);
+  const scrollRef = useRef(null);
+  const sectionRefs = useRef({});
+
+  const categories = useMemo(() => {
+    const recent = (recentEmoji || []).map(char => ({ char, name: findEmoji(char)?.name || '', toneable: false }));
+    return recent.length
+      ? [{ id: 'recent', label: 'Recently used', emoji: recent }, ...EMOJI_CATEGORIES]
+      : EMOJI_CATEGORIES;
+  }, [recentEmoji]);
+
+  const results = useMemo(() => searchEmoji(query), [query]);
+  const currentCategory = activeCategory || categories[0].id;
+
+  // Close on outside click or Escape. The button that toggles the picker
+  // (marked data-emoji-picker-toggle) handles its own clicks.
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (e.target.closest?.('[data-emoji-picker-toggle]')) return;
+      if (containerRef.current && !containerRef.current.contains(e.target)) onClose?.();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose?.();
+    };
+
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const selectEmoji = (emoji) => {
+    const char = withSkinTone(emoji, skinTone);
+    setRecentEmoji([char, ...(recentEmoji || []).filter(recent => recent !== char)].slice(0, MAX_RECENT));
+    onSelect(char);
+  };
+
+  const scrollToCategory = (id) => {
+    setQuery('');
+    setActiveCategory(id);
+    requestAnimationFrame(() => {
+      const section = sectionRefs.current[id];
+      if (section && scrollRef.current) {
+        scrollRef.current.scrollTop = section.offsetTop - scrollRef.current.offsetTop;
+      }
+    });
+  };
+
+  // Highlight the tab of the section at the top of the scroll area
+  const handleScroll = () => {
+    const container = scrollRef.current;
+    if (!container || query) return;
+
+    const top = container.scrollTop + container.offsetTop + 8;
+    let current = categories[0].id;
+    categories.forEach(({ id }) => {
+      const section = sectionRefs.current[id];
+      if (section && section.offsetTop <= top) current = id;
+    });
+    if (current !== currentCategory) setActiveCategory(current);
+  };
+
+  const renderGrid = (emojiList) => (
+    <div className="grid grid-cols-8 gap-0.5">
+      {emojiList.map((emoji) => {
+        const char = emoji.toneable ? withSkinTone(emoji, skinTone) : emoji.char;
+        return (
+          <button
+            key={emoji.char}
+            type="button"
+            onClick={() => selectEmoji(emoji)}
+            onMouseEnter={() => setHovered({ char, name: emoji.name })}
+            onFocus={() => setHovered({ char, name: emoji.name })}
+            aria-label={emoji.name.split(' ').slice(0, 3).join(' ') || char}
+            className="w-8 h-8 flex items-center justify-center text-xl rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 focus:outline-none focus:bg-gray-100 dark:focus:bg-gray-700"
+          >
+            {char}
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  const activeTone = SKIN_TONES.find(tone => tone.id === (skinTone || '')) || SKIN_TONES[0];
+
+  return (
+    <div
+      ref={containerRef}
+      role="dialog"
+      aria-label="Emoji picker"
+      style={style}
+      className={`w-80 flex flex-col bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-lg ${className}`}
+    >
+      <div className="flex items-center space-x-2 p-2 border-b border-gray-200 dark:border-gray-700">
+        <div className="relative flex-1">
+          <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search emoji"
+            autoFocus
+            className="w-full pl-8 pr-2 py-1.5 text-sm rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div className="relative">
+          <button
+            type="button"
+            onClick={() => setShowTones(!showTones)}
+            title={`Skin tone: ${activeTone.label}`}
+            aria-label="Choose skin tone"
+            aria-expanded={showTones}
+            className="w-8 h-8 flex items-center justify-center text-lg rounded-md hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            {activeTone.swatch}
+          </button>
+          {showTones && (
+            <div className="absolute right-0 top-full mt-1 z-10 flex p-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+              {SKIN_TONES.map(tone => (
+                <button
+                  key={tone.label}
+                  type="button"
+                  onClick={() => {
+                    setSkinTone(tone.id);
+                    setShowTones(false);
+                  }}
+                  title={tone.label}
+                  aria-label={`${tone.label} skin tone`}
+                  className={`w-8 h-8 flex items-center justify-center text-lg rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 ${
+                    tone.id === activeTone.id ? 'bg-gray-100 dark:bg-gray-700' : ''
+                  }`}
+                >
+                  {tone.swatch}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {!query && (
+        <div className="flex justify-between px-2 pt-1 border-b border-gray-200 dark:border-gray-700" role="tablist">
+          {categories.map(({ id, label }) => {
+            const Icon = CATEGORY_ICONS[id];
+            const isActive = id === currentCategory;
+            return (
+              <button
+                key={id}
+                type="button"
+                role="tab"
+                aria-selected={isActive}
+                onClick={() => scrollToCategory(id)}
+                title={label}
+                aria-label={label}
+                className={`p-1.5 border-b-2 transition-colors ${
+                  isActive
+                    ? 'border-primary-600 text-primary-600 dark:text-primary-400'
+                    : 'border-transparent text-gray-400 hover:text-gray-600 dark:hover:text-gray-300'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <div ref={scrollRef} onScroll={handleScroll} className="h-64 overflow-y-auto p-2">
+        {query ? (
+          results.length > 0 ? (
+            renderGrid(results)
+          ) : (
+            <p className="py-8 text-center text-sm text-muted">No emoji found</p>
+          )
+        ) : (
+          categories.map(category => (
+            <section key={category.id} ref={(node) => { sectionRefs.current[category.id] = node; }} className="mb-2">
+              <h4 className="px-1 pb-1 text-xs font-medium text-muted">{category.label}</h4>
+              {renderGrid(category.emoji)}
+            </section>
+          ))
+        )}
+      </div>
+
+      <div className="flex items-center h-10 px-3 border-t border-gray-200 dark:border-gray-700 text-sm text-subtle">
+        {hovered ? (
+          <>
+            <span className="text-xl mr-2">{hovered.char}</span>
+            <span className="truncate">{hovered.name.split(' ').slice(0, 3).join(' ')}</span>
+          </>
+        ) : (
+          <span className="text-muted">Pick an emoji</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmojiPicker;
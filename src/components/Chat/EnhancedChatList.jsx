@@ -1,8 +1,11 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { Search, MessageCircle, Phone, Video, MoreVertical, Archive, Pin, Volume2, VolumeX, Filter, Settings, Plus } from 'lucide-react';
 import chatService from '../../services/enhancedChatService';
 import enhancedSocketService from '../../services/enhancedSocketService';
+import messageCacheService from '../../services/messageCacheService';
 import { useAuth } from '../../contexts/AuthContext';
+import useVirtualList from '../../hooks/useVirtualList';
+import { toPlainText } from '../../utils/markdown';
 import LoadingSpinner from '../UI/LoadingSpinner';
 import Button from '../UI/Button';
 
@@ -27,12 +30,29 @@ const EnhancedChatList = ({
   const [loadingMore, setLoadingMore] = useState(false);
   const [contextMenu, setContextMenu] = useState(null);
   const [typingUsers, setTypingUsers] = useState(new Map()); // chatId -> Set of typing user objects
+  const syncedWithServerRef = useRef(false); // Only cache lists the server has confirmed
+  const listScrollRef = useRef(null);
+  
+  // Only the chats around the viewport are rendered
+  const chatKeys = useMemo(() => filteredChats.map(chat => chat._id), [filteredChats]);
+  const virtualList = useVirtualList({
+    scrollRef: listScrollRef,
+    keys: chatKeys,
+    estimateSize: () => 104
+  });
 
   // Load initial chats
   useEffect(() => {
     loadChats();
   }, []);
 
+  // Persist the list (including socket-driven updates) for the next visit
+  useEffect(() => {
+    if (syncedWithServerRef.current) {
+      messageCacheService.saveChats(chats);
+    }
+  }, [chats]);
+
   // Join all chat rooms for real-time events
   useEffect(() => {
     if (chats.length > 0) {
@@ -189,7 +209,15 @@ const EnhancedChatList = ({
       setError(null);
       
       if (pageNum === 1) {
-        setLoading(true);
+        // Show the cached list right away and refresh it in the background
+        const cachedChats = syncedWithServerRef.current ? [] : await messageCacheService.getChats();
+        if (cachedChats.length > 0) {
+          setChats(cachedChats);
+          setLoading(false);
+          console.log('[CHAT_LIST] 💾 Rendered', cachedChats.length, 'cached chats');
+        } else if (!syncedWithServerRef.current) {
+          setLoading(true);
+        }
       } else {
         setLoadingMore(true);
       }
@@ -202,6 +230,7 @@ const EnhancedChatList = ({
         } else {
           setChats(result.chats);
         }
+        syncedWithServerRef.current = true;
         
         setHasMore(result.pagination.hasMore);
         setPage(pageNum);
@@ -315,7 +344,7 @@ const EnhancedChatList = ({
     
     switch (message.type) {
       case 'text':
-        return prefix + message.content;
+        return prefix + toPlainText(message.content);
       case 'image':
         return prefix + '📷 Photo';
       case 'video':
@@ -452,7 +481,7 @@ const EnhancedChatList = ({
       </div>
 
       {/* Chat List */}
-      <div className="flex-1 overflow-y-auto">
+      <div ref={listScrollRef} className="flex-1 overflow-y-auto">
         {filteredChats.length === 0 ? (
           <div className="flex flex-col items-center justify-center h-32 text-center">
             <MessageCircle className="w-12 h-12 text-gray-400 mb-4" />
@@ -461,10 +490,17 @@ const EnhancedChatList = ({
             </p>
           </div>
         ) : (
-          <div className="space-y-2 p-4">
-            {filteredChats.map((chat) => (
+          <div className="p-4">
+            <div ref={virtualList.listRef}>
+            <div style={{ height: virtualList.paddingTop }} />
+            {filteredChats.slice(virtualList.range.start, virtualList.range.end).map((chat) => (
               <div
                 key={chat._id}
+                ref={virtualList.measureElement}
+                data-virtual-key={chat._id}
+                className="pb-2"
+              >
+              <div
                 className={`group relative p-4 rounded-2xl cursor-pointer transition-all duration-300 hover:scale-[1.02] ${
                   selectedChatId === chat._id 
                     ? 'bg-primary-50 dark:bg-primary-900/20 border-2 border-primary-200 dark:border-primary-800 shadow-medium' 
@@ -558,7 +594,10 @@ const EnhancedChatList = ({
                   <div className="absolute left-0 top-1/2 transform -translate-y-1/2 w-1 h-8 bg-primary-600 rounded-r-full"></div>
                 )}
               </div>
+              </div>
             ))}
+            <div style={{ height: virtualList.paddingBottom }} />
+            </div>
             
             {/* Load More */}
             {hasMore && (
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { 
   Send, 
   Image, 
@@ -15,23 +15,123 @@ import {
   ThumbsUp,
   Laugh,
   Angry,
-  Frown
+  Frown,
+  Type,
+  MessageSquare,
+  SmilePlus,
+  Info,
+  CheckCircle2,
+  Circle,
+  ListChecks
 } from 'lucide-react';
 import messageService from '../../services/enhancedMessageService';
 import enhancedSocketService from '../../services/enhancedSocketService';
+import outboxService from '../../services/outboxService';
+import messageCacheService from '../../services/messageCacheService';
+import preferencesService from '../../services/preferencesService';
 import { useAuth } from '../../contexts/AuthContext';
+import useVirtualList from '../../hooks/useVirtualList';
+import useLinkPreview from '../../hooks/useLinkPreview';
+import useAttachmentTray from '../../hooks/useAttachmentTray';
+import { extractUrls } from '../../utils/linkify';
+import { applyFormat, getShortcutFormat, toPlainText } from '../../utils/markdown';
+import {
+  getMessageId,
+  getMessageKey,
+  isSameMessage,
+  isLocalMessage,
+  getSenderId,
+  upsertMessage,
+  toOutboxMessage,
+  getReplyToId,
+  buildThreadSummaries
+} from '../../utils/messageUtils';
+import { applyReactionEvent, getUserReaction } from '../../utils/reactions';
+import { applyReceiptEvent, getDeliveryStatus } from '../../utils/receipts';
+import { formatMessagesAsText, exportMessages } from '../../utils/messageExport';
 import LoadingSpinner from '../UI/LoadingSpinner';
 import Button from '../UI/Button';
+import ProgressiveImage from '../UI/ProgressiveImage';
+import ChatSearchBar from './ChatSearchBar';
+import MessageText from './MessageText';
+import MessageLinkPreview from './MessageLinkPreview';
+import LinkPreviewCard from './LinkPreviewCard';
+import VoiceRecorder from './VoiceRecorder';
+import VoiceNotePlayer from './VoiceNotePlayer';
+import FormattingToolbar from './FormattingToolbar';
+import EmojiPicker from './EmojiPicker';
+import ReactionBar from './ReactionBar';
+import MessageStatusTicks from './MessageStatusTicks';
+import MessageInfoDialog from './MessageInfoDialog';
+import SelectionToolbar from './SelectionToolbar';
+import ForwardDialog from './ForwardDialog';
+import AttachmentTray from './AttachmentTray';
+
+const PAGE_SIZE = 50;
+const PICKER_WIDTH = 320; // Emoji picker size, for placing it inside the viewport
+const PICKER_HEIGHT = 390;
+const COMPOSER_PREVIEW_DELAY_MS = 500; // Wait for typing to settle before fetching a preview
+const MARK_READ_DELAY_MS = 1000; // Batch read receipts while messages are streaming in
+const LONG_PRESS_MS = 500; // Touch hold that starts selecting messages
+
+// Whether the server has older pages after `pageNum`
+const hasMorePages = (result, pageNum) => {
+  const pagination = result.pagination || {};
+  if (typeof pagination.hasMore === 'boolean') return pagination.hasMore;
+  if (pagination.pages) return pageNum < pagination.pages;
+  return result.messages.length === PAGE_SIZE;
+};
+
+// Rough row height until the row has been measured
+const estimateMessageHeight = (message) => {
+  if (!message) return 96;
+  let height = 96;
+  if (message.media?.url) height += 200;
+  if (message.replyTo) height += 72;
+  return height;
+};
+
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+const formatDateSeparator = (timestamp) => {
+  const date = new Date(timestamp);
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+
+  if (isSameDay(date, today)) return 'Today';
+  if (isSameDay(date, yesterday)) return 'Yesterday';
+
+  return date.toLocaleDateString([], {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric'
+  });
+};
+
+const formatLastReply = (timestamp) => {
+  const date = new Date(timestamp);
+  return isSameDay(date, new Date())
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
 
 /**
  * Enhanced Message List Component with comprehensive features
  */
 const EnhancedMessageList = ({ 
   chatId, 
+  focusMessageId = null,
+  participants = [],
+  showSearch = false,
+  onCloseSearch,
+  onOpenThread,
   onCallInitiate,
   className = '' 
 }) => {
   const { user } = useAuth();
+  const currentUserId = user?._id || user?.userId || user?.id;
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -45,23 +145,125 @@ const EnhancedMessageList = ({
   const [editingMessage, setEditingMessage] = useState(null);
   const [contextMenu, setContextMenu] = useState(null);
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(null);
+  const [reactionPicker, setReactionPicker] = useState(null); // { messageId, position } for the full reaction picker
+  const [infoMessage, setInfoMessage] = useState(null); // Own message whose receipts are shown
+  const [selectedIds, setSelectedIds] = useState(null); // Set of selected message IDs while in selection mode
+  const [selectionBusy, setSelectionBusy] = useState(false);
+  const [forwardingMessages, setForwardingMessages] = useState(null);
+  const selectionAnchorRef = useRef(null); // Last toggled message, where shift-click ranges start
+  const longPressRef = useRef({ timer: null, fired: false, touch: false });
+  const [showFormatting, setShowFormatting] = useState(false);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const dragDepthRef = useRef(0); // dragenter/dragleave also fire for every child element
   const [typingUsers, setTypingUsers] = useState(new Set()); // Set of typing user objects
   const [isTyping, setIsTyping] = useState(false);
   const typingTimeoutRef = useRef(null);
   
+  // Link preview for the message being composed; the sender can remove it
+  const [composerPreviewUrl, setComposerPreviewUrl] = useState(null);
+  const [removedPreviewUrl, setRemovedPreviewUrl] = useState(null);
+  const { preview: composerPreview } = useLinkPreview(
+    composerPreviewUrl !== removedPreviewUrl ? composerPreviewUrl : null
+  );
+  
+  // Files waiting in the tray for captions, and uploads in flight
+  const attachments = useAttachmentTray(chatId);
+  
+  // History paging and scroll position
+  const [historyLoaded, setHistoryLoaded] = useState(false); // First server page arrived
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [hasNewerHistory, setHasNewerHistory] = useState(false); // Showing older history than the latest messages
+  const [loadingNewer, setLoadingNewer] = useState(false);
+  const [jumpTargetId, setJumpTargetId] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const historyPageRef = useRef(1);
+  const pagingByCursorRef = useRef(false); // Page from the loaded messages once history was loaded around a jump target
+  const loadingOlderRef = useRef(false);
+  const loadingNewerRef = useRef(false);
+  const hasNewerHistoryRef = useRef(false);
+  const jumpWindowRequestedRef = useRef(false);
+  const scrollContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null); // Scroll metrics captured before older messages are prepended
+  const lastMessageKeyRef = useRef(null);
+  const isNearBottomRef = useRef(true);
+  
+  // In-chat search: the searched query is highlighted and the active hit keeps a ring
+  const [searchQuery, setSearchQuery] = useState('');
+  const [activeSearchHitId, setActiveSearchHitId] = useState(null);
+  
   const messagesEndRef = useRef(null);
+  
+  // Reply counts and latest repliers shown under thread roots
+  const threadSummaries = useMemo(() => buildThreadSummaries(messages), [messages]);
+  
+  // Only the messages around the viewport are rendered
+  const messageKeys = useMemo(
+    () => messages.map((message, index) => getMessageKey(message) || `message-${index}`),
+    [messages]
+  );
+  const virtualList = useVirtualList({
+    scrollRef: scrollContainerRef,
+    keys: messageKeys,
+    estimateSize: (index) => estimateMessageHeight(messages[index]),
+    shouldStickToBottom: () => isNearBottomRef.current && !hasNewerHistoryRef.current
+  });
+  const { scrollToIndex } = virtualList;
+  const firstRenderedIndex = virtualList.range.start;
+  
+  const activeChatIdRef = useRef(chatId); // Guards async loads against chat switches
   const fileInputRef = useRef(null);
   const textareaRef = useRef(null);
 
-  // Auto-scroll to bottom when new messages arrive
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  };
+  // Render an outbox entry as an optimistic message
+  const buildOutboxMessage = useCallback((entry) => toOutboxMessage(entry, user), [user]);
+
+  // Server/cached history followed by whatever is still in the outbox
+  const withOutboxMessages = useCallback((history, outboxEntries) => [
+    ...history,
+    ...outboxEntries
+      .filter(entry => !history.some(msg => msg.clientMessageId === entry.clientMessageId))
+      .map(buildOutboxMessage)
+  ], [buildOutboxMessage]);
+
+  // Keep the viewport stable when history is prepended, and follow new
+  // messages only when the user is already at the bottom or sent them
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current;
+    if (!container) return;
+    
+    if (scrollAnchorRef.current) {
+      const { scrollHeight, scrollTop } = scrollAnchorRef.current;
+      container.scrollTop = container.scrollHeight - scrollHeight + scrollTop;
+      scrollAnchorRef.current = null;
+      return;
+    }
+    
+    const lastMessage = messages[messages.length - 1];
+    const lastKey = lastMessage ? getMessageKey(lastMessage) : null;
+    if (lastKey === lastMessageKeyRef.current) return;
+    
+    const isInitial = lastMessageKeyRef.current === null;
+    lastMessageKeyRef.current = lastKey;
+    
+    // Newer pages of older history don't pull the viewport along
+    const followsBottom = isNearBottomRef.current && !hasNewerHistory;
+    if (isInitial || followsBottom || (lastMessage && isLocalMessage(lastMessage))) {
+      messagesEndRef.current?.scrollIntoView({ behavior: isInitial ? 'auto' : 'smooth' });
+    }
+  }, [messages, hasNewerHistory]);
 
+  // Socket and outbox handlers read this without re-subscribing
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    hasNewerHistoryRef.current = hasNewerHistory;
+  }, [hasNewerHistory]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setComposerPreviewUrl(extractUrls(newMessage)[0] || null);
+    }, COMPOSER_PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [newMessage]);
 
   // Cleanup typing timeout on unmount
   useEffect(() => {
@@ -74,9 +276,18 @@ const EnhancedMessageList = ({
 
   // Load messages when chatId changes
   useEffect(() => {
+    activeChatIdRef.current = chatId;
+    historyPageRef.current = 1;
+    pagingByCursorRef.current = false;
+    lastMessageKeyRef.current = null;
+    isNearBottomRef.current = true;
+    setHasMoreHistory(false);
+    setHasNewerHistory(false);
+    setHistoryLoaded(false);
+    setSelectedIds(null);
+    selectionAnchorRef.current = null;
     if (chatId) {
       loadMessages();
-      markAsRead();
       
       // Join chat room for real-time events
       console.log('[MESSAGE_LIST] 🔌 Joining chat room:', chatId);
@@ -102,14 +313,12 @@ const EnhancedMessageList = ({
       console.log('[MESSAGE_LIST] 📨 Message received:', data);
       console.log('[MESSAGE_LIST] 🔍 Current editingMessage state:', editingMessage);
       
-      // Only add message if it's for the current chat
-      if (data.chatId === chatId) {
+      // Only add message if it's for the current chat; while older history
+      // is shown, it arrives with the newer pages instead
+      if (data.chatId === chatId && !hasNewerHistoryRef.current) {
         setMessages(prev => {
           // Check if message already exists to prevent duplicates (check both _id and messageId)
-          const messageExists = prev.some(msg => 
-            (msg._id && data._id && msg._id === data._id) || 
-            (msg.messageId && data.messageId && msg.messageId === data.messageId)
-          );
+          const messageExists = prev.some(msg => !isLocalMessage(msg) && isSameMessage(msg, data));
           if (messageExists) {
             console.log('[MESSAGE_LIST] ⚠️ Message already exists, skipping');
             return prev;
@@ -126,7 +335,8 @@ const EnhancedMessageList = ({
           }
           
           console.log('[MESSAGE_LIST] ✅ Adding new message to list');
-          return [...prev, data];
+          // Replaces our own optimistic copy when the server echoes clientMessageId
+          return upsertMessage(prev, data);
         });
         
         // Clear any editing state when receiving new messages
@@ -134,11 +344,6 @@ const EnhancedMessageList = ({
           console.log('[MESSAGE_LIST] 🔍 Clearing editing state due to new message received');
           setEditingMessage(null);
         }
-        
-        // Auto-scroll to bottom for new messages
-        setTimeout(() => {
-          messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-        }, 100);
       }
     };
 
@@ -171,6 +376,25 @@ const EnhancedMessageList = ({
       }
     };
 
+    const handleMessageReaction = (data) => {
+      if (data.chatId && data.chatId !== chatId) return;
+      setMessages(prev => prev.map(msg => (
+        !isLocalMessage(msg) && isSameMessage(msg, { _id: data.messageId })
+          ? { ...msg, reactions: applyReactionEvent(msg.reactions, data) }
+          : msg
+      )));
+    };
+
+    const handleMessageDelivered = (data) => {
+      if (data.chatId && data.chatId !== chatId) return;
+      setMessages(prev => applyReceiptEvent(prev, 'delivered', data));
+    };
+
+    const handleMessagesRead = (data) => {
+      if (data.chatId !== chatId) return;
+      setMessages(prev => applyReceiptEvent(prev, 'read', data));
+    };
+
     const handleUserTyping = (data) => {
       console.log('[MESSAGE_LIST] ⌨️ User typing event received:', data);
       console.log('[MESSAGE_LIST] ⌨️ Current chatId:', chatId);
@@ -214,6 +438,9 @@ const EnhancedMessageList = ({
     enhancedSocketService.on('message_received', handleMessageReceived);
     enhancedSocketService.on('message_updated', handleMessageUpdated);
     enhancedSocketService.on('message_deleted', handleMessageDeleted);
+    enhancedSocketService.on('message_reaction', handleMessageReaction);
+    enhancedSocketService.on('message_delivered', handleMessageDelivered);
+    enhancedSocketService.on('messages_read', handleMessagesRead);
     enhancedSocketService.on('user_typing', handleUserTyping);
 
     return () => {
@@ -221,16 +448,68 @@ const EnhancedMessageList = ({
       enhancedSocketService.off('message_received', handleMessageReceived);
       enhancedSocketService.off('message_updated', handleMessageUpdated);
       enhancedSocketService.off('message_deleted', handleMessageDeleted);
+      enhancedSocketService.off('message_reaction', handleMessageReaction);
+      enhancedSocketService.off('message_delivered', handleMessageDelivered);
+      enhancedSocketService.off('messages_read', handleMessagesRead);
       enhancedSocketService.off('user_typing', handleUserTyping);
     };
   }, [chatId]);
 
+  // Keep optimistic messages in sync with the outbox
+  useEffect(() => {
+    if (!chatId) return;
+
+    // Older history has no outbox messages; returning to the latest adds them
+    const handleOutboxUpdated = (entry) => {
+      if (entry.chatId !== chatId || hasNewerHistoryRef.current) return;
+      setMessages(prev => upsertMessage(prev, buildOutboxMessage(entry)));
+    };
+
+    const handleOutboxSent = ({ clientMessageId, chatId: sentChatId, message }) => {
+      if (sentChatId !== chatId) return;
+      setMessages(prev => {
+        const withoutOptimistic = prev.filter(msg => !(isLocalMessage(msg) && msg.clientMessageId === clientMessageId));
+        return message && !hasNewerHistoryRef.current ? upsertMessage(withoutOptimistic, message) : withoutOptimistic;
+      });
+    };
+
+    const handleOutboxDiscarded = ({ clientMessageId, chatId: discardedChatId }) => {
+      if (discardedChatId !== chatId) return;
+      setMessages(prev => prev.filter(msg => !(isLocalMessage(msg) && msg.clientMessageId === clientMessageId)));
+    };
+
+    outboxService.on('updated', handleOutboxUpdated);
+    outboxService.on('sent', handleOutboxSent);
+    outboxService.on('discarded', handleOutboxDiscarded);
+
+    return () => {
+      outboxService.off('updated', handleOutboxUpdated);
+      outboxService.off('sent', handleOutboxSent);
+      outboxService.off('discarded', handleOutboxDiscarded);
+    };
+  }, [chatId, buildOutboxMessage]);
+
   const loadMessages = async () => {
     try {
-      setLoading(true);
       setError(null);
       
+      // Render cached history immediately; the spinner only shows on a cold cache
+      const [cachedMessages, cachedOutboxEntries] = await Promise.all([
+        messageCacheService.getMessages(chatId, 50),
+        outboxService.getEntries(chatId)
+      ]);
+      if (activeChatIdRef.current !== chatId) return;
+      
+      pagingByCursorRef.current = false;
+      setHasNewerHistory(false);
+      setMessages(withOutboxMessages(cachedMessages, cachedOutboxEntries));
+      if (cachedMessages.length === 0) {
+        setLoading(true);
+      }
+      console.log('[MESSAGE_LIST] 💾 Rendered', cachedMessages.length, 'cached messages');
+      
       const result = await messageService.getChatMessages(chatId, 1, 50);
+      if (activeChatIdRef.current !== chatId) return;
       
       if (result.success) {
         // Debug: Check for messages without IDs
@@ -258,7 +537,15 @@ const EnhancedMessageList = ({
           return true;
         });
         
-        setMessages(uniqueMessages);
+        messageCacheService.reconcileMessages(chatId, uniqueMessages);
+        
+        // Unsent messages from the outbox go after the server history
+        const outboxEntries = await outboxService.getEntries(chatId);
+        if (activeChatIdRef.current !== chatId) return;
+        
+        setMessages(withOutboxMessages(uniqueMessages, outboxEntries));
+        historyPageRef.current = 1;
+        setHasMoreHistory(hasMorePages(result, 1));
         console.log('[MESSAGE_LIST] 📋 Messages loaded:', uniqueMessages.length, 'unique messages from', result.messages.length, 'total');
         
         // Debug: Check for any remaining duplicates
@@ -276,19 +563,252 @@ const EnhancedMessageList = ({
       }
     } catch (err) {
       console.error('Error loading messages:', err);
-      setError(err.message || 'Failed to load messages');
+      if (activeChatIdRef.current === chatId) {
+        setError(err.message || 'Failed to load messages');
+      }
+    } finally {
+      if (activeChatIdRef.current === chatId) {
+        setLoading(false);
+        setHistoryLoaded(true);
+      }
+    }
+  };
+
+  // Fetch the next older page and prepend it, keeping the viewport anchored
+  const loadOlderMessages = useCallback(async () => {
+    if (loadingOlderRef.current || !hasMoreHistory || !chatId) return;
+    
+    const nextPage = historyPageRef.current + 1;
+    const byCursor = pagingByCursorRef.current;
+    const oldest = messages.find(msg => !isLocalMessage(msg));
+    if (byCursor && !oldest) return;
+    
+    try {
+      loadingOlderRef.current = true;
+      setLoadingOlder(true);
+      
+      const result = byCursor
+        ? await messageService.getMessagesNear(chatId, { before: getMessageId(oldest) }, PAGE_SIZE)
+        : await messageService.getChatMessages(chatId, nextPage, PAGE_SIZE);
+      if (activeChatIdRef.current !== chatId) return;
+      
+      const container = scrollContainerRef.current;
+      if (container) {
+        scrollAnchorRef.current = { scrollHeight: container.scrollHeight, scrollTop: container.scrollTop };
+      }
+      
+      setMessages(prev => [
+        ...result.messages.filter(older => !prev.some(msg => isSameMessage(msg, older))),
+        ...prev
+      ]);
+      historyPageRef.current = nextPage;
+      setHasMoreHistory(byCursor ? result.hasOlder : hasMorePages(result, nextPage));
+      messageCacheService.reconcileMessages(chatId, result.messages, { isLatest: false });
+      console.log('[MESSAGE_LIST] 📜 Loaded', byCursor ? 'page before' : `page ${nextPage} with`, result.messages.length, 'older messages');
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      setError(err.message || 'Failed to load older messages');
+      setJumpTargetId(null);
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [chatId, hasMoreHistory, messages]);
+
+  // After a jump into older history, fetch the messages that follow it
+  // until the list reaches the latest ones again
+  const loadNewerMessages = useCallback(async () => {
+    const newest = [...messages].reverse().find(msg => !isLocalMessage(msg));
+    if (loadingNewerRef.current || !hasNewerHistory || !chatId || !newest) return;
+    
+    try {
+      loadingNewerRef.current = true;
+      setLoadingNewer(true);
+      
+      const result = await messageService.getMessagesNear(chatId, { after: getMessageId(newest) }, PAGE_SIZE);
+      // Caught up: unsent messages from the outbox go last again
+      const outboxEntries = result.hasNewer ? [] : await outboxService.getEntries(chatId);
+      if (activeChatIdRef.current !== chatId) return;
+      
+      setMessages(prev => withOutboxMessages([
+        ...prev,
+        ...result.messages.filter(newer => !prev.some(msg => isSameMessage(msg, newer)))
+      ], outboxEntries));
+      setHasNewerHistory(result.hasNewer);
+      messageCacheService.reconcileMessages(chatId, result.messages, { isLatest: false });
+      console.log('[MESSAGE_LIST] 📜 Loaded', result.messages.length, 'newer messages');
+    } catch (err) {
+      console.error('Error loading newer messages:', err);
+      setError(err.message || 'Failed to load newer messages');
+    } finally {
+      loadingNewerRef.current = false;
+      setLoadingNewer(false);
+    }
+  }, [chatId, hasNewerHistory, messages, withOutboxMessages]);
+
+  // Replace the list with the history around a message that isn't loaded,
+  // rather than paging back to it from the latest messages
+  const loadMessagesAround = useCallback(async (messageId) => {
+    try {
+      loadingOlderRef.current = true;
+      setLoadingOlder(true);
+      
+      const result = await messageService.getMessagesNear(chatId, { around: messageId }, PAGE_SIZE);
+      if (activeChatIdRef.current !== chatId) return false;
+      if (!result.messages.some(msg => getMessageKey(msg) === messageId)) return false;
+      
+      const outboxEntries = result.hasNewer ? [] : await outboxService.getEntries(chatId);
+      if (activeChatIdRef.current !== chatId) return false;
+      
+      isNearBottomRef.current = false;
+      pagingByCursorRef.current = true;
+      setMessages(withOutboxMessages(result.messages, outboxEntries));
+      setHasMoreHistory(result.hasOlder);
+      setHasNewerHistory(result.hasNewer);
+      messageCacheService.reconcileMessages(chatId, result.messages, { isLatest: false });
+      console.log('[MESSAGE_LIST] 🎯 Loaded', result.messages.length, 'messages around', messageId);
+      return true;
+    } catch (err) {
+      console.error('Error loading messages around the jump target:', err);
+      setError(err.message || 'Failed to load the message');
+      return false;
     } finally {
-      setLoading(false);
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [chatId, withOutboxMessages]);
+
+  // Back from older history to the latest messages
+  const returnToLatest = () => {
+    isNearBottomRef.current = true;
+    loadMessages();
+  };
+
+  const handleMessagesScroll = (e) => {
+    const container = e.currentTarget;
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    isNearBottomRef.current = distanceFromBottom < 150;
+    
+    if (container.scrollTop < 200) {
+      loadOlderMessages();
+    }
+    if (distanceFromBottom < 200) {
+      loadNewerMessages();
     }
   };
 
-  const markAsRead = async () => {
+  // Scroll to a message, loading the history around it if it isn't loaded
+  const jumpToMessage = useCallback((messageId) => {
+    if (!messageId) return;
+    jumpWindowRequestedRef.current = false;
+    setJumpTargetId(messageId);
+  }, []);
+
+  useEffect(() => {
+    // Wait for the server's first page so it doesn't replace the loaded window
+    if (!jumpTargetId || !historyLoaded) return;
+    
+    const index = messageKeys.indexOf(jumpTargetId);
+    if (index !== -1) {
+      const element = scrollContainerRef.current?.querySelector(`[data-message-id="${jumpTargetId}"]`);
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setHighlightedMessageId(jumpTargetId);
+        setJumpTargetId(null);
+      } else {
+        // Loaded but outside the rendered window; this effect re-runs once it renders
+        scrollToIndex(index, { align: 'center' });
+      }
+      return;
+    }
+    
+    if (jumpWindowRequestedRef.current) return;
+    jumpWindowRequestedRef.current = true;
+    loadMessagesAround(jumpTargetId).then((found) => {
+      if (!found) {
+        console.warn('[MESSAGE_LIST] ⚠️ Message to jump to not found in history:', jumpTargetId);
+        setJumpTargetId(current => (current === jumpTargetId ? null : current));
+      }
+    });
+  }, [jumpTargetId, messageKeys, historyLoaded, loadMessagesAround, firstRenderedIndex, scrollToIndex]);
+
+  // Fade the jump highlight out after a moment
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  // Deep links (e.g. search results) open the chat at a specific message
+  useEffect(() => {
+    if (focusMessageId) {
+      jumpToMessage(focusMessageId);
+    }
+  }, [chatId, focusMessageId, jumpToMessage]);
+
+  // Bring each search hit into view along with the history around it
+  const handleSearchHitChange = useCallback((hit) => {
+    const hitId = hit ? hit._id || hit.messageId : null;
+    setActiveSearchHitId(hitId);
+    jumpToMessage(hitId);
+  }, [jumpToMessage]);
+
+  // Drop highlights however the search bar was closed
+  useEffect(() => {
+    if (!showSearch) {
+      setSearchQuery('');
+      setActiveSearchHitId(null);
+    }
+  }, [showSearch]);
+
+  const markAsRead = useCallback(async () => {
+    if (!chatId) return;
     try {
-      await messageService.markMessagesAsRead(chatId);
+      // With read receipts off the server clears our unread count without
+      // telling the senders
+      await messageService.markMessagesAsRead(chatId, {
+        sendReceipt: preferencesService.get('readReceipts') !== false
+      });
     } catch (error) {
       console.error('Error marking messages as read:', error);
     }
-  };
+  }, [chatId]);
+
+  // Newest message from someone else; reading the chat up to it is what
+  // the read receipt reports
+  const lastIncomingKey = useMemo(() => {
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const message = messages[i];
+      if (!isLocalMessage(message) && getSenderId(message) !== currentUserId) return getMessageKey(message);
+    }
+    return null;
+  }, [messages, currentUserId]);
+
+  // Messages that arrive while the tab is hidden are only read once the
+  // user comes back to it
+  const unreadWhileHiddenRef = useRef(false);
+
+  useEffect(() => {
+    if (!lastIncomingKey) return;
+    if (document.visibilityState !== 'visible') {
+      unreadWhileHiddenRef.current = true;
+      return;
+    }
+    const timer = setTimeout(markAsRead, MARK_READ_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [lastIncomingKey, markAsRead]);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible' && unreadWhileHiddenRef.current) {
+        unreadWhileHiddenRef.current = false;
+        markAsRead();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [markAsRead]);
 
   const handleSendMessage = async (e) => {
     e.preventDefault();
@@ -299,22 +819,26 @@ const EnhancedMessageList = ({
       // Stop typing when sending message
       handleStopTyping();
       
-      const result = await messageService.sendMessage(
-        chatId,
-        newMessage.trim(),
-        'text',
-        replyingTo?._id
-      );
-      
-      if (result.success) {
-        console.log('[MESSAGE_LIST] 🔍 Clearing editing state before sending message');
-        setNewMessage('');
-        setReplyingTo(null);
-        setEditingMessage(null); // Clear any editing state when sending new message
-        // Add new message to local state
-        setMessages(prev => [...prev, result.message]);
-        console.log('[MESSAGE_LIST] ✅ Message sent successfully, editing state cleared');
+      // Attach the preview the sender saw, or record that they removed it
+      const previewUrl = extractUrls(newMessage)[0];
+      let linkPreview;
+      if (previewUrl && previewUrl === removedPreviewUrl) {
+        linkPreview = false;
+      } else if (previewUrl && previewUrl === composerPreviewUrl && composerPreview) {
+        linkPreview = composerPreview;
       }
+      
+      // The outbox persists the message and adds it to the list as pending
+      await outboxService.enqueueText(chatId, newMessage.trim(), { replyTo: replyingTo, linkPreview });
+      if (hasNewerHistory) returnToLatest();
+      
+      console.log('[MESSAGE_LIST] 🔍 Clearing editing state before sending message');
+      setNewMessage('');
+      setComposerPreviewUrl(null);
+      setRemovedPreviewUrl(null);
+      setReplyingTo(null);
+      setEditingMessage(null); // Clear any editing state when sending new message
+      console.log('[MESSAGE_LIST] ✅ Message queued, editing state cleared');
     } catch (error) {
       console.error('Error sending message:', error);
       setError(error.message || 'Failed to send message');
@@ -375,37 +899,90 @@ const EnhancedMessageList = ({
     }
   };
 
-  const handleFileUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    
-    // Determine message type based on file type
-    let type = 'document';
-    if (file.type.startsWith('image/')) type = 'image';
-    else if (file.type.startsWith('video/')) type = 'video';
-    else if (file.type.startsWith('audio/')) type = 'audio';
-    
+  // Wrap or prefix the composer selection and keep it selected
+  const applyComposerFormat = (format) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const result = applyFormat(newMessage, textarea.selectionStart, textarea.selectionEnd, format);
+    setNewMessage(result.value);
+
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(result.selectionStart, result.selectionEnd);
+    });
+  };
+
+  const handleComposerKeyDown = (e) => {
+    const format = getShortcutFormat(e);
+    if (format) {
+      e.preventDefault();
+      applyComposerFormat(format);
+    }
+  };
+
+  // Picked, dropped and pasted files wait in the tray for captions
+  const handleFileUpload = (e) => {
+    attachments.addFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const handleSendAttachments = async () => {
     try {
-      setUploadProgress(0);
-      
-      const result = await messageService.sendFileMessage(
-        chatId,
-        file,
-        type,
-        (progress) => setUploadProgress(progress)
-      );
-      
-      if (result.success) {
-        setMessages(prev => [...prev, result.message]);
-        setUploadProgress(null);
-      }
+      // Progress and completion arrive through outbox events
+      await attachments.sendDrafts();
+      if (hasNewerHistory) returnToLatest();
     } catch (error) {
       console.error('Error uploading file:', error);
       setError(error.message || 'Failed to upload file');
-      setUploadProgress(null);
     }
   };
 
+  // Pasted screenshots and copied images become attachments; rich text
+  // that happens to carry an image rendering is pasted as text
+  const handleComposerPaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0 || e.clipboardData.types.includes('text/plain')) return;
+    e.preventDefault();
+    attachments.addFiles(files);
+  };
+
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0);
+    if (dragDepthRef.current === 0) setIsDraggingFiles(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDraggingFiles(false);
+    attachments.addFiles(e.dataTransfer.files);
+  };
+
+  // Voice notes go through the outbox like any other attachment
+  const handleSendVoiceNote = async (file, { duration, peaks } = {}) => {
+    handleStopTyping();
+    await outboxService.enqueueFile(chatId, file, 'audio', { duration, peaks });
+    if (hasNewerHistory) returnToLatest();
+  };
+
   const handleEditMessage = async (messageId, newContent) => {
     try {
       const result = await messageService.editMessage(messageId, newContent);
@@ -418,6 +995,10 @@ const EnhancedMessageList = ({
               : msg
           )
         );
+        messageCacheService.upsertMessage(
+          { _id: messageId, content: result.content, editedAt: result.editedAt },
+          { createIfMissing: false }
+        );
         setEditingMessage(null);
       }
     } catch (error) {
@@ -432,6 +1013,7 @@ const EnhancedMessageList = ({
       
       if (result.success) {
         setMessages(prev => prev.filter(msg => msg._id !== messageId));
+        messageCacheService.removeMessage(messageId);
         setContextMenu(null);
       }
     } catch (error) {
@@ -440,9 +1022,15 @@ const EnhancedMessageList = ({
     }
   };
 
+  // Reacting again with the same emoji takes the reaction back
   const handleReactToMessage = async (messageId, emoji) => {
+    const message = messages.find(msg => msg._id === messageId);
+    const currentReaction = getUserReaction(message?.reactions, currentUserId);
+    
     try {
-      const result = await messageService.reactToMessage(messageId, emoji);
+      const result = currentReaction === emoji
+        ? await messageService.removeReaction(messageId)
+        : await messageService.reactToMessage(messageId, emoji);
       
       if (result.success) {
         setMessages(prev => 
@@ -458,28 +1046,16 @@ const EnhancedMessageList = ({
     }
   };
 
-  const handleForwardMessage = async (targetChatId) => {
-    if (!contextMenu?.message) return;
-    
-    try {
-      const result = await messageService.forwardMessage(
-        contextMenu.message._id,
-        targetChatId
-      );
-      
-      if (result.success) {
-        setContextMenu(null);
-      }
-    } catch (error) {
-      console.error('Error forwarding message:', error);
-      setError(error.message || 'Failed to forward message');
-    }
-  };
-
   const handleContextMenu = (e, message) => {
     e.preventDefault();
     e.stopPropagation();
     
+    // On touch a long press selects the message instead
+    if (longPressRef.current.touch) return;
+    
+    // Unsent messages only support retry/discard
+    if (isLocalMessage(message)) return;
+    
     setContextMenu({
       message,
       position: { x: e.clientX, y: e.clientY }
@@ -490,6 +1066,131 @@ const EnhancedMessageList = ({
     setContextMenu(null);
   };
 
+  // Selection mode starts with a long press (touch) or shift-click; then
+  // clicks toggle messages and shift-click selects a range
+  const selectableMessages = useMemo(() => messages.filter(msg => !isLocalMessage(msg)), [messages]);
+  const selectedMessages = useMemo(
+    () => (selectedIds ? selectableMessages.filter(msg => selectedIds.has(getMessageId(msg))) : []),
+    [selectableMessages, selectedIds]
+  );
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds(null);
+    selectionAnchorRef.current = null;
+  }, []);
+
+  const toggleSelected = (message, extendRange = false) => {
+    const id = getMessageId(message);
+    const next = new Set(selectedIds || []);
+    const indexOf = (messageId) => selectableMessages.findIndex(msg => getMessageId(msg) === messageId);
+    const anchorIndex = indexOf(selectionAnchorRef.current);
+
+    if (extendRange && anchorIndex !== -1) {
+      const index = indexOf(id);
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      selectableMessages.slice(from, to + 1).forEach(msg => next.add(getMessageId(msg)));
+    } else if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+
+    selectionAnchorRef.current = id;
+    setSelectedIds(next.size > 0 ? next : null);
+  };
+
+  useEffect(() => () => clearTimeout(longPressRef.current.timer), []);
+
+  const handleMessagePointerDown = (e, message) => {
+    const longPress = longPressRef.current;
+    longPress.touch = e.pointerType === 'touch';
+    longPress.fired = false;
+    if (!longPress.touch || isLocalMessage(message)) return;
+
+    clearTimeout(longPress.timer);
+    longPress.timer = setTimeout(() => {
+      longPress.fired = true;
+      toggleSelected(message);
+    }, LONG_PRESS_MS);
+  };
+
+  const cancelLongPress = () => clearTimeout(longPressRef.current.timer);
+
+  // Captured so that, while selecting, links and buttons inside the
+  // message don't act on the click
+  const handleMessageClickCapture = (e, message) => {
+    if (isLocalMessage(message)) return;
+    if (longPressRef.current.fired) {
+      longPressRef.current.fired = false;
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    if (!selectedIds && !e.shiftKey) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    toggleSelected(message, e.shiftKey);
+  };
+
+  const copySelection = () => navigator.clipboard.writeText(formatMessagesAsText(selectedMessages));
+
+  const exportSelection = (format) => {
+    exportMessages(selectedMessages, format, `messages-${new Date().toISOString().slice(0, 10)}`);
+  };
+
+  const deleteSelection = async (forEveryone) => {
+    try {
+      setSelectionBusy(true);
+      const result = await messageService.deleteMessages(selectedMessages.map(getMessageId), { forEveryone });
+      const deletedIds = new Set(result.deletedIds);
+
+      setMessages(prev => prev.filter(msg => !deletedIds.has(getMessageId(msg))));
+      deletedIds.forEach(messageId => messageCacheService.removeMessage(messageId));
+      clearSelection();
+    } catch (error) {
+      console.error('Error deleting messages:', error);
+      setError(error.message || 'Failed to delete messages');
+    } finally {
+      setSelectionBusy(false);
+    }
+  };
+
+  // With a single message selected (e.g. after a long press) its other
+  // actions are one tap away
+  const openSelectionMenu = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    setContextMenu({
+      message: selectedMessages[0],
+      position: { x: Math.max(rect.right - 160, 8), y: rect.bottom + 4 }
+    });
+  };
+
+  // Full picker for reacting with any emoji, placed next to the button
+  const openReactionPicker = (e, messageId) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const left = Math.min(Math.max(rect.left - 140, 8), window.innerWidth - PICKER_WIDTH - 8);
+    const top = rect.top - PICKER_HEIGHT - 8 > 8 ? rect.top - PICKER_HEIGHT - 8 : rect.bottom + 8;
+    setReactionPicker({ messageId, position: { left, top } });
+  };
+
+  const closeReactionPicker = useCallback(() => setReactionPicker(null), []);
+  const closeEmojiPicker = useCallback(() => setShowEmojiPicker(false), []);
+
+  // Insert an emoji at the composer cursor
+  const insertEmoji = (emoji) => {
+    const textarea = textareaRef.current;
+    const start = textarea ? textarea.selectionStart : newMessage.length;
+    const end = textarea ? textarea.selectionEnd : newMessage.length;
+    setNewMessage(newMessage.slice(0, start) + emoji + newMessage.slice(end));
+
+    requestAnimationFrame(() => {
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(start + emoji.length, start + emoji.length);
+    });
+  };
+
   const formatMessageTime = (timestamp) => {
     const date = new Date(timestamp);
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -522,10 +1223,6 @@ const EnhancedMessageList = ({
     return isOwn;
   };
 
-  const getReactionCount = (reactions, emoji) => {
-    return reactions?.filter(r => r.emoji === emoji).length || 0;
-  };
-
   const commonEmojis = ['❤️', '👍', '😂', '😢', '😡'];
 
   const getTypingIndicator = () => {
@@ -576,9 +1273,62 @@ const EnhancedMessageList = ({
   }
 
   return (
-    <div className={`flex flex-col h-full bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 ${className}`}>
+    <div
+      className={`relative flex flex-col h-full bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 ${className}`}
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {isDraggingFiles && (
+        <div className="absolute inset-0 z-40 flex items-center justify-center m-3 rounded-2xl border-2 border-dashed border-primary-400 bg-primary-50/90 dark:bg-gray-900/90 pointer-events-none">
+          <div className="text-center text-primary-700 dark:text-primary-300">
+            <Paperclip className="w-8 h-8 mx-auto mb-2" />
+            <p className="text-sm font-medium">Drop files to attach</p>
+          </div>
+        </div>
+      )}
+      {showSearch && (
+        <ChatSearchBar
+          key={chatId}
+          chatId={chatId}
+          participants={participants}
+          onQueryChange={setSearchQuery}
+          onActiveHitChange={handleSearchHitChange}
+          onClose={onCloseSearch}
+        />
+      )}
+
+      {selectedIds && selectedMessages.length > 0 && (
+        <SelectionToolbar
+          count={selectedMessages.length}
+          canDeleteForEveryone={selectedMessages.every(msg => getSenderId(msg) === currentUserId)}
+          busy={selectionBusy}
+          onCopy={copySelection}
+          onForward={() => setForwardingMessages(selectedMessages)}
+          onExport={exportSelection}
+          onDelete={deleteSelection}
+          onMore={selectedMessages.length === 1 ? openSelectionMenu : null}
+          onCancel={clearSelection}
+        />
+      )}
+
       {/* Messages */}
-      <div className="flex-1 overflow-y-auto p-6 space-y-6 scrollbar-hide">
+      <div
+        ref={scrollContainerRef}
+        onScroll={handleMessagesScroll}
+        className="flex-1 overflow-y-auto p-6 space-y-6 scrollbar-hide"
+      >
+        {/* History paging status */}
+        {loadingOlder && (
+          <div className="flex justify-center">
+            <LoadingSpinner size="small" />
+          </div>
+        )}
+        {!loadingOlder && !hasMoreHistory && !loading && messages.length > 0 && (
+          <p className="text-center text-xs text-muted">Beginning of conversation</p>
+        )}
+
         {error && (
           <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-2xl p-4 shadow-soft animate-slide-in">
             <div className="flex items-start space-x-3">
@@ -602,14 +1352,18 @@ const EnhancedMessageList = ({
           </div>
         )}
 
-        {messages.map((message, index) => {
+        <div ref={virtualList.listRef}>
+        <div style={{ height: virtualList.paddingTop }} />
+        {messages.slice(virtualList.range.start, virtualList.range.end).map((message, offset) => {
+          const index = virtualList.range.start + offset;
+          
           // Debug: Check for missing or duplicate IDs
           if (!message._id && !message.messageId) {
             console.warn(`[MESSAGE_LIST] Message at index ${index} missing both _id and messageId:`, message);
           }
           
           // Use messageId as fallback if _id is not available
-          const messageKey = message._id || message.messageId || `message-${index}`;
+          const messageKey = message._id || message.messageId || message.clientMessageId || `message-${index}`;
           
           // Check for duplicate IDs (only log for first few messages to reduce spam)
           if (index < 3) {
@@ -634,6 +1388,12 @@ const EnhancedMessageList = ({
           // Calculate if this is the current user's message once
           const isOwn = isOwnMessage(message);
           
+          // Socket payloads carry replyTo as a bare ID; look the parent up then
+          const replyToId = getReplyToId(message);
+          const replyParent = message.replyTo && typeof message.replyTo === 'object'
+            ? message.replyTo
+            : replyToId && messages.find(msg => getMessageId(msg) === replyToId);
+          
           // Debug: Log message structure for first few messages only
           if (index < 2) {
             console.log('[MESSAGE_LIST] 🔍 Message structure:', {
@@ -646,22 +1406,77 @@ const EnhancedMessageList = ({
             });
           }
           
+          // Date separator before the first message of each day
+          const previousMessage = messages[index - 1];
+          const showDateSeparator = message.createdAt &&
+            (!previousMessage?.createdAt || !isSameDay(previousMessage.createdAt, message.createdAt));
+          
+          const threadSummary = threadSummaries.get(message._id || message.messageId);
+          const isSelected = !!selectedIds?.has(getMessageId(message));
+          
           return (
             <div
               key={messageKey}
-              className={`flex ${isOwn ? 'justify-end' : 'justify-start'} group animate-slide-in`}
+              ref={virtualList.measureElement}
+              data-virtual-key={messageKey}
+              className="pb-6"
+            >
+            {showDateSeparator && (
+              <div className="flex items-center space-x-3 mb-6">
+                <div className="flex-1 h-px bg-gray-200 dark:bg-gray-700" />
+                <span className="text-xs font-medium text-muted">
+                  {formatDateSeparator(message.createdAt)}
+                </span>
+                <div className="flex-1 h-px bg-gray-200 dark:bg-gray-700" />
+              </div>
+            )}
+            <div
+              data-message-id={message._id || message.messageId}
+              className={`relative flex ${isOwn ? 'justify-end' : 'justify-start'} group ${
+                // Rows remount while scrolling, so only the newest one animates in
+                index === messages.length - 1 ? 'animate-slide-in' : ''
+              } ${selectedIds ? '-mx-2 pl-10 pr-2 py-1 rounded-xl cursor-pointer select-none' : ''} ${
+                isSelected ? 'bg-primary-100/70 dark:bg-primary-900/30' : ''
+              }`}
             onContextMenu={(e) => handleContextMenu(e, message)}
+            onClickCapture={(e) => handleMessageClickCapture(e, message)}
+            onMouseDown={(e) => e.shiftKey && e.preventDefault()}
+            onPointerDown={(e) => handleMessagePointerDown(e, message)}
+            onPointerUp={cancelLongPress}
+            onPointerCancel={cancelLongPress}
+            onPointerLeave={cancelLongPress}
           >
-            <div className={`max-w-xs lg:max-w-lg ${isOwn ? 'order-2' : 'order-1'}`}>
+            {selectedIds && !isLocalMessage(message) && (
+              <span
+                className="absolute left-2 top-1/2 -translate-y-1/2"
+                role="checkbox"
+                aria-checked={isSelected}
+                aria-label="Select message"
+              >
+                {isSelected
+                  ? <CheckCircle2 className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+                  : <Circle className="w-5 h-5 text-gray-400" />}
+              </span>
+            )}
+            <div className={`max-w-xs lg:max-w-lg ${isOwn ? 'order-2' : 'order-1'} ${
+              !isLocalMessage(message) && [highlightedMessageId, activeSearchHitId].includes(message._id || message.messageId)
+                ? 'ring-2 ring-primary-400 ring-offset-4 rounded-2xl transition-shadow'
+                : ''
+            }`}>
               {/* Enhanced Reply indicator */}
               {message.replyTo && (
-                <div className="mb-3 p-3 bg-gray-100/80 dark:bg-gray-800/80 backdrop-blur-sm rounded-xl border-l-4 border-primary-500 shadow-soft">
+                <div
+                  className="mb-3 p-3 bg-gray-100/80 dark:bg-gray-800/80 backdrop-blur-sm rounded-xl border-l-4 border-primary-500 shadow-soft cursor-pointer"
+                  onClick={() => jumpToMessage(getReplyToId(message))}
+                >
                   <p className="text-xs text-muted font-medium mb-1">
-                    Replying to {message.replyTo.senderId.username}
-                  </p>
-                  <p className="text-sm text-subtle truncate-2">
-                    {message.replyTo.content}
+                    Replying to {replyParent?.senderId?.username || 'a message'}
                   </p>
+                  {replyParent?.content && (
+                    <p className="text-sm text-subtle truncate-2">
+                      {toPlainText(replyParent.content)}
+                    </p>
+                  )}
                 </div>
               )}
 
@@ -712,16 +1527,33 @@ const EnhancedMessageList = ({
                   </div>
                 ) : (
                   <>
-                    <p className="text-sm">{message.content}</p>
+                    <div className="text-sm break-words">
+                      <MessageText text={message.content} highlight={searchQuery} isOwn={isOwn} />
+                    </div>
+                    
+                    {(!message.type || message.type === 'text') && (
+                      <MessageLinkPreview message={message} isOwn={isOwn} />
+                    )}
+                    
+                    {/* Attachment still waiting in the outbox */}
+                    {isLocalMessage(message) && message.media?.fileName && (
+                      <div className="mt-2 flex items-center space-x-2 p-2 bg-white/20 rounded">
+                        <Paperclip className="w-4 h-4" />
+                        <span className="text-sm truncate">{message.media.fileName}</span>
+                      </div>
+                    )}
                     
                     {/* Message media */}
                     {message.media?.url && (
                       <div className="mt-2">
                         {message.type === 'image' && (
-                          <img
+                          <ProgressiveImage
                             src={message.media.url}
+                            placeholder={message.media.placeholder}
+                            width={message.media.width}
+                            height={message.media.height}
                             alt="Message attachment"
-                            className="max-w-full h-auto rounded"
+                            className="max-w-full rounded"
                           />
                         )}
                         {message.type === 'video' && (
@@ -732,10 +1564,11 @@ const EnhancedMessageList = ({
                           />
                         )}
                         {message.type === 'audio' && (
-                          <audio
+                          <VoiceNotePlayer
                             src={message.media.url}
-                            controls
-                            className="w-full"
+                            duration={message.media.duration}
+                            peaks={Array.isArray(message.media.peaks) ? message.media.peaks : null}
+                            isOwn={isOwn}
                           />
                         )}
                         {message.type === 'document' && (
@@ -762,42 +1595,69 @@ const EnhancedMessageList = ({
                   
                   {/* Message status */}
                   {isOwn && (
-                    <div className="flex items-center">
-                      {message.status === 'sent' && (
-                        <div className="w-2 h-2 bg-gray-400 rounded-full"></div>
-                      )}
-                      {message.status === 'delivered' && (
-                        <div className="flex space-x-1">
-                          <div className="w-2 h-2 bg-gray-400 rounded-full"></div>
-                          <div className="w-2 h-2 bg-gray-400 rounded-full"></div>
-                        </div>
-                      )}
-                      {message.status === 'read' && (
-                        <div className="flex space-x-1">
-                          <div className="w-2 h-2 bg-blue-400 rounded-full"></div>
-                          <div className="w-2 h-2 bg-blue-400 rounded-full"></div>
-                        </div>
-                      )}
-                    </div>
+                    <MessageStatusTicks status={getDeliveryStatus(message)} error={message.error} />
                   )}
                 </div>
 
                 {/* Reactions */}
-                {message.reactions && message.reactions.length > 0 && (
-                  <div className="flex flex-wrap gap-1 mt-2">
-                    {message.reactions.map((reaction, index) => (
+                <ReactionBar
+                  reactions={message.reactions}
+                  currentUserId={currentUserId}
+                  participants={participants}
+                  onToggle={(emoji) => handleReactToMessage(message._id, emoji)}
+                  isOwn={isOwn}
+                />
+              </div>
+
+              {/* Thread summary */}
+              {threadSummary?.replyCount > 0 && onOpenThread && (
+                <button
+                  onClick={() => onOpenThread(message)}
+                  className={`mt-1 flex items-center space-x-2 px-2 py-1 rounded-lg text-xs hover:bg-white/70 dark:hover:bg-gray-800/70 ${
+                    isOwn ? 'ml-auto' : ''
+                  }`}
+                >
+                  <div className="flex -space-x-1.5">
+                    {threadSummary.lastRepliers.map(replier => (
                       <span
-                        key={`${message._id}-reaction-${reaction.emoji}-${index}`}
-                        className="text-xs bg-white dark:bg-gray-700 px-2 py-1 rounded-full border"
+                        key={replier._id}
+                        title={replier.fullName || replier.username}
+                        className="w-5 h-5 rounded-full ring-2 ring-white dark:ring-gray-900 bg-primary-100 dark:bg-primary-900/60 text-primary-700 dark:text-primary-300 flex items-center justify-center text-[10px] font-semibold"
                       >
-                        {reaction.emoji} {reaction.count || 1}
+                        {(replier.fullName || replier.username || '?').charAt(0).toUpperCase()}
                       </span>
                     ))}
                   </div>
-                )}
-              </div>
+                  <span className="font-medium text-primary-600 dark:text-primary-400">
+                    {threadSummary.replyCount} {threadSummary.replyCount === 1 ? 'reply' : 'replies'}
+                  </span>
+                  {threadSummary.lastReplyAt && (
+                    <span className="text-muted">Last reply {formatLastReply(threadSummary.lastReplyAt)}</span>
+                  )}
+                </button>
+              )}
+
+              {/* Failed send actions */}
+              {message.status === 'failed' && isLocalMessage(message) && (
+                <div className="flex items-center justify-end space-x-3 mt-1 text-xs">
+                  <span className="text-red-600 dark:text-red-400">Not sent</span>
+                  <button
+                    className="text-primary-600 dark:text-primary-400 font-medium hover:underline"
+                    onClick={() => outboxService.retry(message.clientMessageId)}
+                  >
+                    Retry
+                  </button>
+                  <button
+                    className="text-gray-500 dark:text-gray-400 hover:underline"
+                    onClick={() => outboxService.discard(message.clientMessageId)}
+                  >
+                    Discard
+                  </button>
+                </div>
+              )}
 
               {/* Quick reactions */}
+              {!isLocalMessage(message) && (
               <div className="flex space-x-1 mt-1 opacity-0 group-hover:opacity-100 transition-opacity">
                 {commonEmojis.map(emoji => (
                   <button
@@ -808,11 +1668,23 @@ const EnhancedMessageList = ({
                     {emoji}
                   </button>
                 ))}
+                <button
+                  className="p-1 rounded-full text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-200/60 dark:hover:bg-gray-700/60"
+                  onClick={(e) => openReactionPicker(e, message._id)}
+                  aria-label="More reactions"
+                  title="More reactions"
+                >
+                  <SmilePlus className="w-4 h-4" />
+                </button>
               </div>
+              )}
             </div>
           </div>
+            </div>
           );
         })}
+        <div style={{ height: virtualList.paddingBottom }} />
+        </div>
         
         {/* Typing Indicator */}
         {getTypingIndicator() && (
@@ -825,26 +1697,40 @@ const EnhancedMessageList = ({
           </div>
         )}
         
+        {/* Newer history after jumping back to an older message */}
+        {hasNewerHistory && (
+          <div className="sticky bottom-0 flex justify-center">
+            {loadingNewer ? (
+              <LoadingSpinner size="small" />
+            ) : (
+              <button
+                onClick={returnToLatest}
+                className="px-3 py-1.5 text-xs font-medium rounded-full text-white bg-primary-600 hover:bg-primary-700 shadow-soft"
+              >
+                Jump to latest
+              </button>
+            )}
+          </div>
+        )}
+        
         <div ref={messagesEndRef} />
       </div>
 
-      {/* Upload Progress */}
-      {uploadProgress !== null && (
-        <div className="px-4 py-2 bg-blue-50 dark:bg-blue-900/20">
-          <div className="flex items-center space-x-2">
-            <LoadingSpinner size="sm" />
-            <span className="text-sm text-blue-600 dark:text-blue-400">
-              Uploading... {uploadProgress}%
-            </span>
-          </div>
-          <div className="w-full bg-blue-200 dark:bg-blue-800 rounded-full h-2 mt-1">
-            <div
-              className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${uploadProgress}%` }}
-            />
-          </div>
-        </div>
-      )}
+      {/* Attachments waiting to be sent and uploads in progress */}
+      <AttachmentTray
+        drafts={attachments.drafts}
+        uploads={attachments.uploads}
+        maxAttachments={attachments.maxAttachments}
+        onCaptionChange={attachments.setCaption}
+        onRemoveDraft={attachments.removeDraft}
+        onAddMore={() => fileInputRef.current?.click()}
+        onClear={attachments.clearDrafts}
+        onSend={handleSendAttachments}
+        onCancelUpload={attachments.cancelUpload}
+        onRetryUpload={attachments.retryUpload}
+        onPauseUpload={attachments.pauseUpload}
+        onResumeUpload={attachments.resumeUpload}
+      />
 
       {/* Reply indicator */}
       {replyingTo && (
@@ -855,7 +1741,7 @@ const EnhancedMessageList = ({
                 Replying to {replyingTo.senderId.username}
               </p>
               <p className="text-sm text-gray-700 dark:text-gray-300 truncate">
-                {replyingTo.content}
+                {toPlainText(replyingTo.content)}
               </p>
             </div>
             <Button
@@ -869,8 +1755,30 @@ const EnhancedMessageList = ({
         </div>
       )}
 
+      {/* Link preview for the message being composed */}
+      {composerPreview && (
+        <div className="px-4 pt-3 border-t border-gray-200 dark:border-gray-700">
+          <LinkPreviewCard
+            preview={composerPreview}
+            onRemove={() => setRemovedPreviewUrl(composerPreviewUrl)}
+          />
+        </div>
+      )}
+
       {/* Message Input */}
-      <div className="p-4 border-t border-gray-200 dark:border-gray-700">
+      <div className="relative p-4 border-t border-gray-200 dark:border-gray-700">
+        {showEmojiPicker && (
+          <EmojiPicker
+            onSelect={insertEmoji}
+            onClose={closeEmojiPicker}
+            className="absolute bottom-full right-4 mb-2 z-30"
+          />
+        )}
+        {showFormatting && (
+          <div className="mb-2">
+            <FormattingToolbar onFormat={applyComposerFormat} />
+          </div>
+        )}
         <form onSubmit={handleSendMessage} className="flex items-end space-x-2">
           <div className="flex-1">
             <textarea
@@ -880,6 +1788,8 @@ const EnhancedMessageList = ({
               placeholder="Type a message..."
               className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               rows="1"
+              onKeyDown={handleComposerKeyDown}
+              onPaste={handleComposerPaste}
               onKeyPress={(e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                   e.preventDefault();
@@ -890,6 +1800,18 @@ const EnhancedMessageList = ({
           </div>
           
           <div className="flex items-center space-x-1">
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => setShowFormatting(!showFormatting)}
+              className={`p-2 ${showFormatting ? 'text-primary-600 dark:text-primary-400' : ''}`}
+              title="Formatting"
+              aria-pressed={showFormatting}
+            >
+              <Type className="w-5 h-5" />
+            </Button>
+            
             <Button
               type="button"
               variant="ghost"
@@ -906,10 +1828,14 @@ const EnhancedMessageList = ({
               size="sm"
               onClick={() => setShowEmojiPicker(!showEmojiPicker)}
               className="p-2"
+              aria-expanded={showEmojiPicker}
+              data-emoji-picker-toggle
             >
               <Smile className="w-5 h-5" />
             </Button>
             
+            <VoiceRecorder onSend={handleSendVoiceNote} />
+            
             <Button
               type="submit"
               variant="primary"
@@ -927,6 +1853,7 @@ const EnhancedMessageList = ({
           ref={fileInputRef}
           type="file"
           onChange={handleFileUpload}
+          multiple
           accept="image/*,video/*,audio/*,.pdf,.doc,.docx,.txt"
           className="hidden"
         />
@@ -949,6 +1876,15 @@ const EnhancedMessageList = ({
             <Reply className="w-4 h-4 inline mr-2" />
             Reply
           </button>
+          {onOpenThread && !isLocalMessage(contextMenu.message) && (
+            <button
+              className="w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              onClick={() => onOpenThread(contextMenu.message)}
+            >
+              <MessageSquare className="w-4 h-4 inline mr-2" />
+              Reply in thread
+            </button>
+          )}
           <button
             className="w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
             onClick={() => setEditingMessage(contextMenu.message)}
@@ -958,11 +1894,29 @@ const EnhancedMessageList = ({
           </button>
           <button
             className="w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
-            onClick={() => handleForwardMessage(contextMenu.message)}
+            onClick={() => setForwardingMessages([contextMenu.message])}
           >
             <Forward className="w-4 h-4 inline mr-2" />
             Forward
           </button>
+          {!selectedIds?.has(getMessageId(contextMenu.message)) && (
+            <button
+              className="w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              onClick={() => toggleSelected(contextMenu.message)}
+            >
+              <ListChecks className="w-4 h-4 inline mr-2" />
+              Select
+            </button>
+          )}
+          {isOwnMessage(contextMenu.message) && !isLocalMessage(contextMenu.message) && (
+            <button
+              className="w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              onClick={() => setInfoMessage(contextMenu.message)}
+            >
+              <Info className="w-4 h-4 inline mr-2" />
+              Info
+            </button>
+          )}
           <hr className="my-2 border-gray-200 dark:border-gray-700" />
           <button
             className="w-full px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
@@ -974,6 +1928,34 @@ const EnhancedMessageList = ({
         </div>
       )}
       
+      {/* Reaction picker */}
+      {reactionPicker && (
+        <EmojiPicker
+          onSelect={(emoji) => {
+            handleReactToMessage(reactionPicker.messageId, emoji);
+            closeReactionPicker();
+          }}
+          onClose={closeReactionPicker}
+          className="fixed z-50"
+          style={reactionPicker.position}
+        />
+      )}
+      
+      <ForwardDialog
+        isOpen={!!forwardingMessages}
+        messages={forwardingMessages}
+        onClose={() => setForwardingMessages(null)}
+        onForwarded={clearSelection}
+      />
+      
+      {infoMessage && (
+        <MessageInfoDialog
+          message={infoMessage}
+          participants={participants}
+          onClose={() => setInfoMessage(null)}
+        />
+      )}
+      
       {/* Backdrop for context menu */}
       {contextMenu && (
         <div
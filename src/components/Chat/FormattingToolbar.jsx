@@ -0,0 +1,61 @@
+import React from 'react';
+import {
+  Bold,
+  Italic,
+  Strikethrough,
+  Code,
+  SquareCode,
+  TextQuote,
+  List,
+  ListOrdered
+} from 'lucide-react';
+import { FORMAT_SHORTCUTS } from '../../utils/markdown';
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+const ACTIONS = [
+  { format: 'bold', label: 'Bold', icon: Bold },
+  { format: 'italic', label: 'Italic', icon: Italic },
+  { format: 'strike', label: 'Strikethrough', icon: Strikethrough },
+  { format: 'code', label: 'Inline code', icon: Code },
+  { format: 'codeBlock', label: 'Code block', icon: SquareCode },
+  { format: 'quote', label: 'Quote', icon: TextQuote },
+  { format: 'bulletList', label: 'Bulleted list', icon: List },
+  { format: 'numberedList', label: 'Numbered list', icon: ListOrdered }
+];
+
+const shortcutHint = (format) => {
+  const shortcut = FORMAT_SHORTCUTS[format];
+  if (!shortcut) return '';
+  return ` (${shortcut.label.replace('Mod', isMac ? '⌘' : 'Ctrl')})`;
+};
+
+/**
+ * Buttons that apply markdown-lite formatting to the composer selection
+ */
+const FormattingToolbar = ({ onFormat, disabled = false }) => {
+  return (
+    <div className="flex items-center space-x-0.5" role="toolbar" aria-label="Text formatting">
+      {ACTIONS.map(({ format, label, icon }) => {
+        const Icon = icon;
+        return (
+          <button
+            key={format}
+            type="button"
+            disabled={disabled}
+            // Keep the textarea focused so its selection survives the click
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onFormat(format)}
+            title={`${label}${shortcutHint(format)}`}
+            aria-label={label}
+            className="p-1.5 rounded-md text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 hover:text-gray-900 dark:hover:text-white disabled:opacity-50"
+          >
+            <Icon className="w-4 h-4" />
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FormattingToolbar;
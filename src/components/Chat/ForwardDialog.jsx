@@ -0,0 +1,411 @@
+import React, { useState, useEffect } from 'react';
+import { Search, X, Check, Forward, AlertCircle, CheckCircle2, Circle, RotateCcw } from 'lucide-react';
+import chatService from '../../services/enhancedChatService';
+import messageService from '../../services/enhancedMessageService';
+import messageCacheService from '../../services/messageCacheService';
+import searchService from '../../services/searchService';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const MAX_FORWARD_TARGETS = 5;
+const PEOPLE_SEARCH_DELAY_MS = 300;
+
+const getChatName = (chat) =>
+  chat?.otherParticipant?.fullName || chat?.otherParticipant?.username || chat?.name || 'Chat';
+
+const toChatTarget = (chat) => ({
+  key: `chat:${chat._id}`,
+  chatId: chat._id,
+  userId: chat.otherParticipant?._id || null,
+  chat,
+  name: getChatName(chat),
+  avatar: chat.otherParticipant?.profilePictureUrl
+});
+
+// People without a chat yet; one is created when forwarding to them
+const toPersonTarget = (user) => ({
+  key: `user:${user._id}`,
+  chatId: null,
+  userId: user._id,
+  name: user.fullName || user.username || 'Unknown user',
+  subtitle: user.username ? `@${user.username}` : '',
+  avatar: user.profilePictureUrl
+});
+
+/**
+ * Dialog for forwarding a message, or several (`messages`, in order), to up
+ * to MAX_FORWARD_TARGETS chats or people at once, with an optional comment
+ * and the result for each target
+ */
+const ForwardDialog = ({ isOpen, message, messages, onClose, onForwarded }) => {
+  const { user } = useAuth();
+  const [chats, setChats] = useState([]);
+  const [contacts, setContacts] = useState([]);
+  const [peopleResults, setPeopleResults] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [targets, setTargets] = useState([]);
+  const [comment, setComment] = useState('');
+  const [statuses, setStatuses] = useState(null); // Target key -> { status, error, forwardedIds, commentSent } once sending starts
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setQuery('');
+    setError(null);
+    setTargets([]);
+    setComment('');
+    setStatuses(null);
+
+    const loadChats = async () => {
+      // Cached chats render immediately, the server list replaces them
+      const cached = await messageCacheService.getChats();
+      if (cancelled) return;
+      setChats(cached);
+      setLoading(cached.length === 0);
+
+      try {
+        const result = await chatService.getUserChats(1, 50);
+        if (!cancelled) setChats(result.chats || []);
+      } catch (err) {
+        console.error('[FORWARD_DIALOG] ❌ Failed to load chats:', err);
+        if (!cancelled && cached.length === 0) setError(err.message || 'Failed to load chats');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    const loadContacts = async () => {
+      try {
+        const network = await searchService.getNetwork();
+        if (!cancelled) setContacts(network);
+      } catch (err) {
+        // Chats are still listed; contacts are a bonus
+        console.error('[FORWARD_DIALOG] ❌ Failed to load contacts:', err);
+      }
+    };
+
+    loadChats();
+    loadContacts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
+  // People outside the user's network are found through search
+  const needle = query.trim().toLowerCase();
+  useEffect(() => {
+    if (needle.length < 2) {
+      setPeopleResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const people = await searchService.searchPeople(needle, 10);
+        if (!cancelled) setPeopleResults(people);
+      } catch (err) {
+        console.error('[FORWARD_DIALOG] ❌ People search failed:', err);
+      }
+    }, PEOPLE_SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [needle]);
+
+  const items = messages || (message ? [message] : []);
+  if (!isOpen || items.length === 0) return null;
+
+  const currentUserId = user?._id || user?.userId || user?.id;
+  const matches = (...fields) => !needle || fields.some(field => field?.toLowerCase().includes(needle));
+
+  const chatTargets = chats
+    .filter(chat => matches(getChatName(chat), chat.otherParticipant?.username))
+    .map(toChatTarget);
+
+  // Anyone who already has a chat with the user is listed under chats
+  const chatUserIds = new Set(chats.map(chat => chat.otherParticipant?._id).filter(Boolean));
+  const seenPeople = new Set();
+  const personTargets = [...contacts.filter(person => matches(person.fullName, person.username)), ...peopleResults]
+    .filter((person) => {
+      if (!person?._id || person._id === currentUserId || chatUserIds.has(person._id) || seenPeople.has(person._id)) return false;
+      seenPeople.add(person._id);
+      return true;
+    })
+    .map(toPersonTarget);
+
+  const isSelected = (target) => targets.some(selected => selected.key === target.key);
+  const limitReached = targets.length >= MAX_FORWARD_TARGETS;
+
+  const toggleTarget = (target) => {
+    setTargets(prev => (prev.some(selected => selected.key === target.key)
+      ? prev.filter(selected => selected.key !== target.key)
+      : [...prev, target]));
+  };
+
+  const updateStatus = (key, update) => setStatuses(prev => ({ ...prev, [key]: update }));
+
+  const sendTo = async (list) => {
+    setSending(true);
+
+    // People without a chat get one first
+    const resolved = await Promise.all(list.map(async (target) => {
+      if (target.chatId) return target;
+      try {
+        updateStatus(target.key, { status: 'sending' });
+        const result = await chatService.createOrGetChat(target.userId);
+        if (result.canChat === false || !result.chat?._id) {
+          throw new Error(result.reason || "You can't message this person yet");
+        }
+        return { ...target, chatId: result.chat._id, chat: result.chat };
+      } catch (err) {
+        console.error('[FORWARD_DIALOG] ❌ Failed to open chat:', err);
+        updateStatus(target.key, { status: 'failed', error: err.message || 'Failed to open chat' });
+        return null;
+      }
+    }));
+
+    const ready = resolved.filter(Boolean);
+    // Keep the chats so a retry doesn't open them again
+    setTargets(prev => prev.map(target => ready.find(resolvedTarget => resolvedTarget.key === target.key) || target));
+
+    const targetsByChat = new Map();
+    ready.forEach((target) => {
+      targetsByChat.set(target.chatId, [...(targetsByChat.get(target.chatId) || []), target]);
+    });
+
+    // A retry only sends what didn't go through the first time
+    const completed = {};
+    ready.forEach((target) => {
+      if (statuses?.[target.key]?.forwardedIds) completed[target.chatId] = statuses[target.key];
+    });
+
+    await messageService.forwardMessages(items.map(item => item._id), [...targetsByChat.keys()], {
+      comment,
+      completed,
+      onTargetUpdate: (chatId, update) => {
+        targetsByChat.get(chatId).forEach((target) => {
+          updateStatus(target.key, update);
+          if (update.status === 'sent') onForwarded?.(target.chat || { _id: chatId });
+        });
+      }
+    });
+
+    setSending(false);
+  };
+
+  const handleSend = () => {
+    setStatuses(Object.fromEntries(targets.map(target => [target.key, { status: 'pending' }])));
+    sendTo(targets);
+  };
+
+  const failedTargets = statuses ? targets.filter(target => statuses[target.key]?.status === 'failed') : [];
+  const sentCount = statuses ? targets.filter(target => statuses[target.key]?.status === 'sent').length : 0;
+
+  const renderAvatar = (target) => (
+    <img
+      src={target.avatar || '/default-avatar.png'}
+      alt=""
+      className="w-9 h-9 rounded-full object-cover flex-shrink-0"
+    />
+  );
+
+  const renderTargetRow = (target) => {
+    const selected = isSelected(target);
+    return (
+      <button
+        key={target.key}
+        type="button"
+        onClick={() => toggleTarget(target)}
+        disabled={!selected && limitReached}
+        aria-pressed={selected}
+        className="w-full flex items-center px-4 py-2 space-x-3 text-left hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:hover:bg-transparent"
+      >
+        {renderAvatar(target)}
+        <span className="flex-1 min-w-0">
+          <span className="block text-sm font-medium text-gray-900 dark:text-white truncate">{target.name}</span>
+          {target.subtitle && <span className="block text-xs text-muted truncate">{target.subtitle}</span>}
+        </span>
+        {selected
+          ? <CheckCircle2 className="w-5 h-5 text-primary-600 dark:text-primary-400 flex-shrink-0" />
+          : <Circle className="w-5 h-5 text-gray-300 dark:text-gray-600 flex-shrink-0" />}
+      </button>
+    );
+  };
+
+  const renderStatus = ({ status, error: targetError } = {}) => {
+    switch (status) {
+      case 'sending':
+        return <LoadingSpinner size="small" />;
+      case 'sent':
+        return <span className="flex items-center text-xs text-green-600 dark:text-green-400"><Check className="w-4 h-4 mr-1" /> Sent</span>;
+      case 'failed':
+        return (
+          <span className="flex items-center text-xs text-red-600 dark:text-red-400" title={targetError}>
+            <AlertCircle className="w-4 h-4 mr-1" /> Failed
+          </span>
+        );
+      default:
+        return <span className="text-xs text-muted">Waiting</span>;
+    }
+  };
+
+  const title = items.length > 1 ? `Forward ${items.length} messages` : 'Forward message';
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/40" onClick={sending ? undefined : onClose}>
+      <div
+        className="w-full max-w-md flex flex-col max-h-[90vh] bg-white dark:bg-gray-900 rounded-2xl shadow-2xl overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label={title}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-base font-semibold text-gray-900 dark:text-white">{title}</h3>
+          <button
+            onClick={onClose}
+            disabled={sending}
+            aria-label="Close"
+            className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {statuses ? (
+          <>
+            <ul className="flex-1 overflow-y-auto py-1">
+              {targets.map(target => (
+                <li key={target.key} className="flex items-center px-4 py-2 space-x-3">
+                  {renderAvatar(target)}
+                  <span className="flex-1 min-w-0">
+                    <span className="block text-sm font-medium text-gray-900 dark:text-white truncate">{target.name}</span>
+                    {statuses[target.key]?.error && (
+                      <span className="block text-xs text-red-600 dark:text-red-400 truncate">{statuses[target.key].error}</span>
+                    )}
+                  </span>
+                  {renderStatus(statuses[target.key])}
+                </li>
+              ))}
+            </ul>
+            <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200 dark:border-gray-700">
+              <span className="text-sm text-muted">
+                {sending ? 'Forwarding...' : `Sent to ${sentCount} of ${targets.length}`}
+              </span>
+              <div className="flex items-center space-x-2">
+                {!sending && failedTargets.length > 0 && (
+                  <button
+                    onClick={() => sendTo(failedTargets)}
+                    className="flex items-center px-3 py-1.5 text-sm font-medium rounded-lg text-primary-600 dark:text-primary-400 border border-primary-200 dark:border-primary-800 hover:bg-primary-50 dark:hover:bg-primary-900/30"
+                  >
+                    <RotateCcw className="w-4 h-4 mr-1" /> Retry failed
+                  </button>
+                )}
+                <button
+                  onClick={onClose}
+                  disabled={sending}
+                  className="px-3 py-1.5 text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-60"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="flex items-center px-4 border-b border-gray-200 dark:border-gray-700">
+              <Search className="w-4 h-4 text-gray-400" />
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search chats and people..."
+                autoFocus
+                className="flex-1 px-3 py-3 bg-transparent text-sm text-gray-900 dark:text-white placeholder-gray-500 focus:outline-none"
+              />
+            </div>
+
+            {targets.length > 0 && (
+              <div className="flex flex-wrap gap-1 px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+                {targets.map(target => (
+                  <span
+                    key={target.key}
+                    className="flex items-center pl-2 pr-1 py-0.5 text-xs rounded-full bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300"
+                  >
+                    <span className="max-w-[8rem] truncate">{target.name}</span>
+                    <button
+                      onClick={() => toggleTarget(target)}
+                      aria-label={`Remove ${target.name}`}
+                      className="ml-1 p-0.5 rounded-full hover:bg-primary-100 dark:hover:bg-primary-800/50"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <div className="flex-1 min-h-0 max-h-80 overflow-y-auto">
+              {error && <p className="px-4 py-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+              {loading && (
+                <div className="flex justify-center py-6">
+                  <LoadingSpinner size="small" />
+                </div>
+              )}
+              {!loading && chatTargets.length === 0 && personTargets.length === 0 && (
+                <p className="px-4 py-6 text-sm text-center text-muted">No chats or people found</p>
+              )}
+              {chatTargets.length > 0 && (
+                <>
+                  <h4 className="px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-muted">Recent chats</h4>
+                  {chatTargets.map(renderTargetRow)}
+                </>
+              )}
+              {personTargets.length > 0 && (
+                <>
+                  <h4 className="px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-muted">
+                    {needle ? 'People' : 'Contacts'}
+                  </h4>
+                  {personTargets.map(renderTargetRow)}
+                </>
+              )}
+            </div>
+
+            <div className="px-4 py-3 space-y-2 border-t border-gray-200 dark:border-gray-700">
+              {limitReached && (
+                <p className="text-xs text-muted">You can forward to up to {MAX_FORWARD_TARGETS} chats at once.</p>
+              )}
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  placeholder="Add a message (optional)"
+                  maxLength={1000}
+                  className="flex-1 px-3 py-2 text-sm rounded-lg bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <button
+                  onClick={handleSend}
+                  disabled={targets.length === 0}
+                  className="flex items-center px-3 py-2 text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                >
+                  <Forward className="w-4 h-4 mr-1" />
+                  Send{targets.length > 0 ? ` (${targets.length})` : ''}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForwardDialog;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { X, Globe } from 'lucide-react';
+
+/**
+ * Card showing a link's title, description, image and site name
+ */
+const LinkPreviewCard = ({ preview, onRemove, isOwn = false, className = '' }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+
+  if (!preview) return null;
+
+  const showImage = preview.image && !imageFailed;
+
+  return (
+    <div
+      className={`relative flex overflow-hidden rounded-xl border ${
+        isOwn
+          ? 'bg-white/15 border-white/20'
+          : 'bg-gray-50 dark:bg-gray-900/40 border-gray-200 dark:border-gray-700'
+      } ${className}`}
+    >
+      <a
+        href={preview.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="flex flex-1 min-w-0 hover:opacity-90"
+      >
+        {showImage && (
+          <img
+            src={preview.image}
+            alt=""
+            loading="lazy"
+            referrerPolicy="no-referrer"
+            onError={() => setImageFailed(true)}
+            className="w-20 h-20 flex-shrink-0 object-cover"
+          />
+        )}
+        <div className="flex-1 min-w-0 px-3 py-2">
+          <p className={`flex items-center text-[11px] uppercase tracking-wide truncate ${isOwn ? 'text-white/70' : 'text-muted'}`}>
+            <Globe className="w-3 h-3 mr-1 flex-shrink-0" />
+            {preview.siteName}
+          </p>
+          {preview.title && (
+            <p className="text-sm font-semibold truncate">{preview.title}</p>
+          )}
+          {preview.description && (
+            <p className={`text-xs truncate-2 ${isOwn ? 'text-white/80' : 'text-subtle'}`}>
+              {preview.description}
+            </p>
+          )}
+        </div>
+      </a>
+
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          aria-label="Remove link preview"
+          className="absolute top-1 right-1 p-1 rounded-full bg-black/40 text-white hover:bg-black/60"
+        >
+          <X className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LinkPreviewCard;
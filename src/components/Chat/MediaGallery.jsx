@@ -0,0 +1,405 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  X,
+  Image,
+  Video,
+  Music,
+  FileText,
+  Link as LinkIcon,
+  Download,
+  Forward,
+  Play,
+  MessageSquare
+} from 'lucide-react';
+import messageService from '../../services/enhancedMessageService';
+import { extractUrls, getHostname } from '../../utils/linkify';
+import { formatFileSize, downloadMessageFile } from '../../utils/fileUtils';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import MediaLightbox from './MediaLightbox';
+import ForwardDialog from './ForwardDialog';
+
+const PAGE_SIZE = 30;
+
+const TABS = [
+  { id: 'image', label: 'Photos', icon: Image },
+  { id: 'video', label: 'Videos', icon: Video },
+  { id: 'audio', label: 'Audio', icon: Music },
+  { id: 'document', label: 'Files', icon: FileText },
+  { id: 'link', label: 'Links', icon: LinkIcon }
+];
+
+const EMPTY_TAB_STATE = { items: [], page: 0, hasMore: true, loading: false, error: null };
+
+const hasMorePages = (pagination, page, received) => {
+  if (typeof pagination?.hasMore === 'boolean') return pagination.hasMore;
+  if (pagination?.pages) return page < pagination.pages;
+  return received === PAGE_SIZE;
+};
+
+// What linkify turns into links: full URLs and bare www. hosts
+const LINK_SEARCH_TERMS = ['http', 'www.'];
+
+// Fetch one page of a tab. Links have no media endpoint, so they are
+// pulled out of messages that mention a URL.
+const fetchTabPage = async (chatId, tab, page) => {
+  if (tab === 'link') {
+    const results = await Promise.all(LINK_SEARCH_TERMS.map(term =>
+      messageService.searchMessages(chatId, term, page, PAGE_SIZE)));
+
+    // A message with both kinds of link turns up in both searches
+    const seen = new Set();
+    const messages = results
+      .flatMap(result => result.messages || [])
+      .filter((message) => {
+        if (seen.has(message._id)) return false;
+        seen.add(message._id);
+        return true;
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const items = messages.flatMap(message =>
+      extractUrls(message.content).map(url => ({ key: `${message._id}-${url}`, url, message }))
+    );
+    return {
+      items,
+      hasMore: results.some(result => hasMorePages(result.pagination, page, (result.messages || []).length))
+    };
+  }
+
+  const result = await messageService.getChatMedia(chatId, tab, page, PAGE_SIZE);
+  const messages = result.mediaMessages || [];
+  return {
+    items: messages
+      .filter(message => message.type === tab && message.media?.url)
+      .map(message => ({ key: message._id, message })),
+    hasMore: hasMorePages(result.pagination, page, messages.length)
+  };
+};
+
+/**
+ * Thumbnail that only starts loading once scrolled near the viewport
+ */
+const LazyThumbnail = ({ message }) => {
+  const ref = useRef(null);
+  const [visible, setVisible] = useState(typeof IntersectionObserver === 'undefined');
+
+  useEffect(() => {
+    if (visible || !ref.current) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setVisible(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(ref.current);
+
+    return () => observer.disconnect();
+  }, [visible]);
+
+  const src = message.media.thumbnailUrl || message.media.url;
+
+  return (
+    <div
+      ref={ref}
+      className="w-full h-full bg-gray-200 dark:bg-gray-700 bg-cover bg-center"
+      style={message.media.placeholder ? { backgroundImage: `url(${message.media.placeholder})` } : undefined}
+    >
+      {visible && (message.type === 'video' && !message.media.thumbnailUrl ? (
+        <video src={src} preload="metadata" muted className="w-full h-full object-cover" />
+      ) : (
+        <img src={src} alt="" loading="lazy" className="w-full h-full object-cover" />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Per-chat browser for shared photos, videos, audio, files and links.
+ * Mount with `key={chatId}` so switching chats starts from a clean slate.
+ */
+const MediaGallery = ({ chatId, onClose, onShowInChat, className = '' }) => {
+  const [activeTab, setActiveTab] = useState('image');
+  const [tabs, setTabs] = useState({});
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+  const [forwarding, setForwarding] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const tabsRef = useRef(tabs);
+  tabsRef.current = tabs;
+  const sentinelRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  const tabState = tabs[activeTab] || EMPTY_TAB_STATE;
+
+  const loadNextPage = useCallback(async (tab) => {
+    const current = tabsRef.current[tab] || EMPTY_TAB_STATE;
+    if (current.loading || !current.hasMore) return;
+
+    const nextPage = current.page + 1;
+    const updateTab = (changes) => setTabs(prev => ({
+      ...prev,
+      [tab]: { ...(prev[tab] || EMPTY_TAB_STATE), ...changes }
+    }));
+    // Mark as loading synchronously so the observer can't double-fire
+    tabsRef.current = { ...tabsRef.current, [tab]: { ...current, loading: true } };
+    updateTab({ loading: true, error: null });
+
+    try {
+      const result = await fetchTabPage(chatId, tab, nextPage);
+      setTabs(prev => {
+        const previous = prev[tab] || EMPTY_TAB_STATE;
+        const seen = new Set(previous.items.map(item => item.key));
+        return {
+          ...prev,
+          [tab]: {
+            items: [...previous.items, ...result.items.filter(item => !seen.has(item.key))],
+            page: nextPage,
+            hasMore: result.hasMore,
+            loading: false,
+            error: null
+          }
+        };
+      });
+    } catch (err) {
+      console.error('[MEDIA_GALLERY] ❌ Failed to load', tab, err);
+      updateTab({ loading: false, error: err.message || 'Failed to load media' });
+    }
+  }, [chatId]);
+
+  // Load the first page of a tab when it is opened
+  useEffect(() => {
+    if (!tabs[activeTab]) {
+      loadNextPage(activeTab);
+    }
+  }, [activeTab, tabs, loadNextPage]);
+
+  // Infinite scroll; re-observing after each page catches a sentinel that is still visible
+  const itemCount = tabState.items.length;
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadNextPage(activeTab);
+      }
+    }, { root: scrollRef.current, rootMargin: '300px' });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [activeTab, itemCount, loadNextPage]);
+
+  const handleDownload = async (message) => {
+    try {
+      setActionError(null);
+      await downloadMessageFile(message);
+    } catch (err) {
+      console.error('[MEDIA_GALLERY] ❌ Download failed:', err);
+      setActionError(err.message || 'Failed to download file');
+    }
+  };
+
+  const handleLightboxEnd = useCallback(() => {
+    loadNextPage(activeTab);
+  }, [activeTab, loadNextPage]);
+
+  const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleDateString() : '');
+
+  const renderActions = (message) => (
+    <div className="flex items-center space-x-1">
+      {onShowInChat && (
+        <button
+          onClick={() => onShowInChat(message)}
+          title="Show in chat"
+          className="p-1.5 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+        >
+          <MessageSquare className="w-4 h-4" />
+        </button>
+      )}
+      {message.media?.url && (
+        <button
+          onClick={() => handleDownload(message)}
+          title="Download"
+          className="p-1.5 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+        >
+          <Download className="w-4 h-4" />
+        </button>
+      )}
+      <button
+        onClick={() => setForwarding(message)}
+        title="Forward"
+        className="p-1.5 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+      >
+        <Forward className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  const renderItems = () => {
+    const { items } = tabState;
+
+    if (activeTab === 'image' || activeTab === 'video') {
+      return (
+        <div className="grid grid-cols-3 gap-1 p-1">
+          {items.map((item, index) => (
+            <button
+              key={item.key}
+              onClick={() => setLightboxIndex(index)}
+              className="relative aspect-square overflow-hidden rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <LazyThumbnail message={item.message} />
+              {activeTab === 'video' && (
+                <span className="absolute inset-0 flex items-center justify-center">
+                  <Play className="w-8 h-8 text-white drop-shadow" />
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+      );
+    }
+
+    if (activeTab === 'audio') {
+      return items.map(({ key, message }) => (
+        <div key={key} className="px-4 py-3 border-b border-gray-100 dark:border-gray-800">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-xs text-muted truncate">
+              {message.senderId?.fullName || message.senderId?.username} · {formatDate(message.createdAt)}
+            </p>
+            {renderActions(message)}
+          </div>
+          <audio src={message.media.url} controls preload="none" className="w-full" />
+        </div>
+      ));
+    }
+
+    if (activeTab === 'document') {
+      return items.map(({ key, message }) => (
+        <div key={key} className="flex items-center px-4 py-3 space-x-3 border-b border-gray-100 dark:border-gray-800">
+          <div className="w-10 h-10 flex-shrink-0 rounded-lg bg-primary-100 dark:bg-primary-900/30 flex items-center justify-center">
+            <FileText className="w-5 h-5 text-primary-600 dark:text-primary-400" />
+          </div>
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+              {message.media.fileName || 'Document'}
+            </p>
+            <p className="text-xs text-muted">
+              {[formatFileSize(message.media.fileSize), formatDate(message.createdAt)].filter(Boolean).join(' · ')}
+            </p>
+          </div>
+          {renderActions(message)}
+        </div>
+      ));
+    }
+
+    return items.map(({ key, url, message }) => (
+      <div key={key} className="flex items-center px-4 py-3 space-x-3 border-b border-gray-100 dark:border-gray-800">
+        <div className="w-10 h-10 flex-shrink-0 rounded-lg bg-gray-100 dark:bg-gray-800 flex items-center justify-center">
+          <LinkIcon className="w-5 h-5 text-gray-500" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="block text-sm font-medium text-primary-600 dark:text-primary-400 truncate hover:underline"
+          >
+            {getHostname(url)}
+          </a>
+          <p className="text-xs text-muted truncate">{url}</p>
+        </div>
+        {renderActions(message)}
+      </div>
+    ));
+  };
+
+  const lightboxItems = activeTab === 'image' || activeTab === 'video'
+    ? tabState.items.map(item => item.message)
+    : [];
+
+  return (
+    <div className={`flex flex-col bg-white dark:bg-gray-900 border-l border-gray-200 dark:border-gray-700 ${className}`}>
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-base font-semibold text-gray-900 dark:text-white">Shared media</h3>
+        <button
+          onClick={onClose}
+          aria-label="Close media"
+          className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex border-b border-gray-200 dark:border-gray-700" role="tablist">
+        {TABS.map(tab => {
+          const Icon = tab.icon;
+          const isActive = tab.id === activeTab;
+          return (
+            <button
+              key={tab.id}
+              role="tab"
+              aria-selected={isActive}
+              onClick={() => setActiveTab(tab.id)}
+              className={`flex-1 flex flex-col items-center py-2 text-xs font-medium border-b-2 transition-colors ${
+                isActive
+                  ? 'border-primary-600 text-primary-600 dark:text-primary-400'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'
+              }`}
+            >
+              <Icon className="w-4 h-4 mb-0.5" />
+              {tab.label}
+            </button>
+          );
+        })}
+      </div>
+
+      <div ref={scrollRef} className="flex-1 overflow-y-auto">
+        {actionError && <p className="px-4 py-2 text-xs text-red-600 dark:text-red-400">{actionError}</p>}
+
+        {renderItems()}
+
+        {tabState.error && (
+          <div className="px-4 py-4 text-center">
+            <p className="text-sm text-red-600 dark:text-red-400">{tabState.error}</p>
+            <button
+              onClick={() => loadNextPage(activeTab)}
+              className="mt-2 text-xs font-medium text-primary-600 dark:text-primary-400 hover:underline"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+        {tabState.loading && (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner size="small" />
+          </div>
+        )}
+        {!tabState.loading && !tabState.error && !tabState.hasMore && tabState.items.length === 0 && (
+          <p className="px-4 py-10 text-sm text-center text-muted">
+            No {TABS.find(tab => tab.id === activeTab).label.toLowerCase()} shared yet
+          </p>
+        )}
+        <div ref={sentinelRef} className="h-px" />
+      </div>
+
+      {lightboxIndex !== null && lightboxItems[lightboxIndex] && (
+        <MediaLightbox
+          items={lightboxItems}
+          index={lightboxIndex}
+          onIndexChange={setLightboxIndex}
+          onClose={() => setLightboxIndex(null)}
+          onDownload={handleDownload}
+          onForward={setForwarding}
+          onReachEnd={handleLightboxEnd}
+        />
+      )}
+
+      <ForwardDialog
+        isOpen={!!forwarding}
+        message={forwarding}
+        onClose={() => setForwarding(null)}
+      />
+    </div>
+  );
+};
+
+export default MediaGallery;
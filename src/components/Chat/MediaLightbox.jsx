@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, ChevronLeft, ChevronRight, Download, Forward } from 'lucide-react';
+
+const SWIPE_THRESHOLD = 50; // px of horizontal travel that counts as a swipe
+
+/**
+ * Full-screen viewer for photos and videos.
+ * Navigate with the arrow buttons, arrow keys or a horizontal swipe.
+ */
+const MediaLightbox = ({
+  items,
+  index,
+  onIndexChange,
+  onClose,
+  onDownload,
+  onForward,
+  onReachEnd
+}) => {
+  const [dragOffset, setDragOffset] = useState(0);
+  const pointerStartRef = useRef(null);
+
+  const item = items[index];
+  const hasPrevious = index > 0;
+  const hasNext = index < items.length - 1;
+
+  const goTo = (nextIndex) => {
+    if (nextIndex < 0 || nextIndex >= items.length) return;
+    onIndexChange(nextIndex);
+  };
+
+  // Fetch more items before the user runs out of them
+  useEffect(() => {
+    if (index >= items.length - 2) {
+      onReachEnd?.();
+    }
+  }, [index, items.length, onReachEnd]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft' && index > 0) onIndexChange(index - 1);
+      if (e.key === 'ArrowRight' && index < items.length - 1) onIndexChange(index + 1);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [index, items.length, onIndexChange, onClose]);
+
+  if (!item) return null;
+
+  const handlePointerDown = (e) => {
+    // Leave video controls usable with a mouse
+    if (e.pointerType === 'mouse' && e.target.tagName === 'VIDEO') return;
+    pointerStartRef.current = { x: e.clientX, y: e.clientY };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointerStartRef.current) return;
+    setDragOffset(e.clientX - pointerStartRef.current.x);
+  };
+
+  const handlePointerUp = (e) => {
+    if (!pointerStartRef.current) return;
+
+    const dx = e.clientX - pointerStartRef.current.x;
+    const dy = e.clientY - pointerStartRef.current.y;
+    pointerStartRef.current = null;
+    setDragOffset(0);
+
+    if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      goTo(dx < 0 ? index + 1 : index - 1);
+    }
+  };
+
+  const handlePointerCancel = () => {
+    pointerStartRef.current = null;
+    setDragOffset(0);
+  };
+
+  const sender = item.senderId?.fullName || item.senderId?.username;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex flex-col bg-black/95 text-white select-none" role="dialog" aria-label="Media viewer">
+      {/* Toolbar */}
+      <div className="flex items-center justify-between px-4 py-3">
+        <div className="min-w-0">
+          {sender && <p className="text-sm font-medium truncate">{sender}</p>}
+          <p className="text-xs text-white/60">
+            {item.createdAt && new Date(item.createdAt).toLocaleString()} · {index + 1} of {items.length}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => onDownload(item)} title="Download" className="p-2 rounded-full hover:bg-white/10">
+            <Download className="w-5 h-5" />
+          </button>
+          <button onClick={() => onForward(item)} title="Forward" className="p-2 rounded-full hover:bg-white/10">
+            <Forward className="w-5 h-5" />
+          </button>
+          <button onClick={onClose} title="Close" className="p-2 rounded-full hover:bg-white/10">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Media */}
+      <div
+        className="relative flex-1 flex items-center justify-center overflow-hidden touch-pan-y"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onPointerLeave={handlePointerCancel}
+      >
+        <div
+          className={`max-w-full max-h-full px-12 ${dragOffset ? '' : 'transition-transform duration-200'}`}
+          style={{ transform: `translateX(${dragOffset}px)` }}
+        >
+          {item.type === 'video' ? (
+            <video
+              key={item._id}
+              src={item.media?.url}
+              controls
+              autoPlay
+              className="max-w-full max-h-[80vh] rounded"
+            />
+          ) : (
+            <img
+              key={item._id}
+              src={item.media?.url}
+              alt={item.media?.fileName || 'Photo'}
+              draggable={false}
+              className="max-w-full max-h-[80vh] object-contain rounded"
+            />
+          )}
+        </div>
+
+        {hasPrevious && (
+          <button
+            onClick={() => goTo(index - 1)}
+            aria-label="Previous"
+            className="absolute left-2 p-2 rounded-full bg-black/40 hover:bg-black/60"
+          >
+            <ChevronLeft className="w-6 h-6" />
+          </button>
+        )}
+        {hasNext && (
+          <button
+            onClick={() => goTo(index + 1)}
+            aria-label="Next"
+            className="absolute right-2 p-2 rounded-full bg-black/40 hover:bg-black/60"
+          >
+            <ChevronRight className="w-6 h-6" />
+          </button>
+        )}
+      </div>
+
+      {item.content && (
+        <p className="px-4 py-3 text-sm text-center text-white/80">{item.content}</p>
+      )}
+    </div>
+  );
+};
+
+export default MediaLightbox;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { X, CheckCheck, Check } from 'lucide-react';
+import messageService from '../../services/enhancedMessageService';
+import { getReceiptDetails } from '../../utils/receipts';
+import { toPlainText } from '../../utils/markdown';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const formatReceiptTime = (timestamp) => {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * "Seen by" view for one of the user's own messages: who it was delivered
+ * to and who has read it, and when
+ */
+const MessageInfoDialog = ({ message, participants = [], onClose }) => {
+  const [receipts, setReceipts] = useState(() => getReceiptDetails(message));
+  const [loading, setLoading] = useState(true);
+
+  // The server has the complete list; the message only knows what this
+  // session has seen
+  useEffect(() => {
+    let cancelled = false;
+
+    messageService.getMessageReceipts(message._id)
+      .then((result) => {
+        if (cancelled) return;
+        setReceipts(getReceiptDetails({
+          senderId: message.senderId,
+          readBy: result.readBy,
+          deliveredTo: result.deliveredTo
+        }));
+      })
+      .catch((error) => {
+        console.error('[MESSAGE_INFO] ❌ Failed to load receipts:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [message]);
+
+  const resolveName = (entry) => {
+    const user = typeof entry.user === 'object' ? entry.user : null;
+    const known = participants.find(participant => (participant?._id || participant?.userId) === entry.userId);
+    return user?.fullName || user?.username || known?.fullName || known?.username || 'Unknown user';
+  };
+
+  const renderList = (entries, emptyText) => (
+    entries.length > 0 ? (
+      <ul className="space-y-2">
+        {entries.map(entry => (
+          <li key={entry.userId} className="flex items-center justify-between text-sm">
+            <span className="text-gray-900 dark:text-white truncate">{resolveName(entry)}</span>
+            <span className="ml-3 text-xs text-muted flex-shrink-0">{formatReceiptTime(entry.at)}</span>
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p className="text-sm text-muted">{emptyText}</p>
+    )
+  );
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/40" onClick={onClose}>
+      <div
+        className="w-full max-w-sm bg-white dark:bg-gray-900 rounded-2xl shadow-2xl overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Message info"
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-base font-semibold text-gray-900 dark:text-white">Message info</h3>
+          <button
+            onClick={onClose}
+            aria-label="Close"
+            className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <p className="text-sm text-subtle truncate-2">{toPlainText(message.content) || 'Attachment'}</p>
+          <p className="mt-1 text-xs text-muted">Sent {formatReceiptTime(message.createdAt)}</p>
+        </div>
+
+        <div className="px-4 py-3 space-y-4 max-h-80 overflow-y-auto">
+          <section>
+            <h4 className="flex items-center mb-2 text-xs font-semibold uppercase tracking-wide text-sky-600 dark:text-sky-400">
+              <CheckCheck className="w-4 h-4 mr-1" />
+              Read by
+            </h4>
+            {renderList(receipts.readBy, 'Not read yet')}
+          </section>
+
+          <section>
+            <h4 className="flex items-center mb-2 text-xs font-semibold uppercase tracking-wide text-muted">
+              <Check className="w-4 h-4 mr-1" />
+              Delivered to
+            </h4>
+            {renderList(receipts.deliveredTo, receipts.readBy.length > 0 ? 'Everyone has read it' : 'Not delivered yet')}
+          </section>
+
+          {loading && (
+            <div className="flex justify-center">
+              <LoadingSpinner size="small" />
+            </div>
+          )}
+        </div>
+
+        <p className="px-4 pb-3 text-xs text-muted">
+          People who turned off read receipts show as delivered only.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default MessageInfoDialog;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { extractUrls } from '../../utils/linkify';
+import useLinkPreview from '../../hooks/useLinkPreview';
+import usePreference from '../../hooks/usePreference';
+import LinkPreviewCard from './LinkPreviewCard';
+
+/**
+ * Preview card for the first link in a message.
+ *
+ * The sender attaches the preview they saw (`message.linkPreview`), or
+ * `false` when they removed it. Messages without either are resolved here.
+ */
+const MessageLinkPreview = ({ message, isOwn = false }) => {
+  const [enabled] = usePreference('linkPreviews');
+  const attached = message.linkPreview;
+  const url = enabled !== false && attached == null ? extractUrls(message.content)[0] || null : null;
+  const { preview } = useLinkPreview(url);
+
+  if (enabled === false || attached === false) return null;
+
+  return (
+    <LinkPreviewCard
+      preview={attached || preview}
+      isOwn={isOwn}
+      className="mt-2"
+    />
+  );
+};
+
+export default MessageLinkPreview;
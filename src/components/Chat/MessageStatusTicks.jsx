@@ -0,0 +1,30 @@
+import React from 'react';
+import { Clock, Check, CheckCheck, AlertCircle } from 'lucide-react';
+
+const STATUS_LABELS = {
+  queued: 'Waiting to send',
+  failed: 'Failed to send',
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read'
+};
+
+/**
+ * Delivery ticks for the sender's own messages: a clock while queued, one
+ * tick when sent, two when delivered and two highlighted ticks when read
+ */
+const MessageStatusTicks = ({ status, error, className = '' }) => {
+  const label = status === 'failed' && error ? error : STATUS_LABELS[status];
+
+  return (
+    <span title={label} aria-label={label} className={`inline-flex items-center ${className}`}>
+      {status === 'queued' && <Clock className="w-3 h-3 opacity-75" />}
+      {status === 'failed' && <AlertCircle className="w-4 h-4 text-red-200" />}
+      {status === 'sent' && <Check className="w-4 h-4 opacity-75" />}
+      {status === 'delivered' && <CheckCheck className="w-4 h-4 opacity-75" />}
+      {status === 'read' && <CheckCheck className="w-4 h-4 text-sky-300" />}
+    </span>
+  );
+};
+
+export default MessageStatusTicks;
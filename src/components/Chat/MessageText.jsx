@@ -0,0 +1,141 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../../utils/markdown';
+import { highlightCode } from '../../utils/syntaxHighlight';
+import HighlightedText from '../UI/HighlightedText';
+
+const HIGHLIGHT_CLASS = 'bg-yellow-300 text-gray-900 rounded px-0.5';
+
+const TOKEN_CLASSES = {
+  keyword: 'text-purple-300',
+  string: 'text-green-300',
+  comment: 'text-gray-500 italic',
+  number: 'text-amber-300',
+  function: 'text-sky-300',
+  tag: 'text-rose-300'
+};
+
+const CodeBlock = ({ lang, code }) => {
+  const tokens = useMemo(() => highlightCode(code, lang), [code, lang]);
+
+  return (
+    <pre className="my-1 max-w-full overflow-x-auto rounded-lg bg-gray-900 text-gray-100 text-xs p-3 font-mono whitespace-pre">
+      {lang && (
+        <span className="block mb-1 text-[10px] uppercase tracking-wide text-gray-400 select-none">{lang}</span>
+      )}
+      <code>
+        {tokens.map((token, index) => (
+          token.type
+            ? <span key={index} className={TOKEN_CLASSES[token.type]}>{token.value}</span>
+            : <React.Fragment key={index}>{token.value}</React.Fragment>
+        ))}
+      </code>
+    </pre>
+  );
+};
+
+const renderInline = (nodes, options) => nodes.map((node, index) => {
+  const { highlight, isOwn } = options;
+
+  switch (node.type) {
+    case 'text':
+      return <HighlightedText key={index} text={node.value} query={highlight} className={HIGHLIGHT_CLASS} />;
+    case 'break':
+      return <br key={index} />;
+    case 'bold':
+      return <strong key={index} className="font-semibold">{renderInline(node.children, options)}</strong>;
+    case 'italic':
+      return <em key={index}>{renderInline(node.children, options)}</em>;
+    case 'strike':
+      return <del key={index}>{renderInline(node.children, options)}</del>;
+    case 'code':
+      return (
+        <code
+          key={index}
+          className={`px-1 py-0.5 rounded font-mono text-[0.85em] ${
+            isOwn ? 'bg-white/20' : 'bg-gray-100 dark:bg-gray-700 text-rose-600 dark:text-rose-300'
+          }`}
+        >
+          {node.value}
+        </code>
+      );
+    case 'link':
+      return (
+        <a
+          key={index}
+          href={node.href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`underline break-all ${isOwn ? 'text-white' : 'text-primary-600 dark:text-primary-400'}`}
+        >
+          <HighlightedText text={node.value} query={highlight} className={HIGHLIGHT_CLASS} />
+        </a>
+      );
+    case 'mention':
+      return (
+        <span key={index} className={`font-medium ${isOwn ? 'text-white' : 'text-primary-600 dark:text-primary-400'}`}>
+          <HighlightedText text={`@${node.username}`} query={highlight} className={HIGHLIGHT_CLASS} />
+        </span>
+      );
+    case 'hashtag':
+      return (
+        <span key={index} className={isOwn ? 'text-white/90 font-medium' : 'text-blue-600 dark:text-blue-400'}>
+          <HighlightedText text={`#${node.tag}`} query={highlight} className={HIGHLIGHT_CLASS} />
+        </span>
+      );
+    default:
+      return null;
+  }
+});
+
+const renderBlocks = (blocks, options) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'codeBlock':
+      return <CodeBlock key={index} lang={block.lang} code={block.code} />;
+    case 'quote':
+      return (
+        <blockquote
+          key={index}
+          className={`my-1 pl-2 border-l-2 ${
+            options.isOwn ? 'border-white/60 text-white/90' : 'border-gray-300 dark:border-gray-500 text-subtle'
+          }`}
+        >
+          {renderBlocks(block.children, options)}
+        </blockquote>
+      );
+    case 'list': {
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag
+          key={index}
+          start={block.ordered ? block.start : undefined}
+          className={`my-1 pl-5 space-y-0.5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item, options)}</li>
+          ))}
+        </ListTag>
+      );
+    }
+    default:
+      return <p key={index}>{renderInline(block.children, options)}</p>;
+  }
+});
+
+/**
+ * Message text with markdown-lite formatting, clickable links, mentions,
+ * hashtags and optional search highlighting. Rendered from a parsed tree
+ * as React elements, so message content is never injected as HTML.
+ */
+const MessageText = ({ text, highlight = '', isOwn = false }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+  if (!text) return null;
+
+  return (
+    <div className="space-y-1">
+      {renderBlocks(blocks, { highlight, isOwn })}
+    </div>
+  );
+};
+
+export default MessageText;
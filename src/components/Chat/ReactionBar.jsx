@@ -0,0 +1,156 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { summarizeReactions } from '../../utils/reactions';
+
+const HOVER_DELAY_MS = 400; // Hover intent before the who-reacted popover opens
+const LONG_PRESS_MS = 500;
+
+/**
+ * Reaction chips under a message. Clicking a chip toggles the user's own
+ * reaction; hovering (or long-pressing on touch) lists who reacted.
+ */
+const ReactionBar = ({ reactions, currentUserId, participants = [], onToggle, isOwn = false }) => {
+  const groups = useMemo(() => summarizeReactions(reactions, currentUserId), [reactions, currentUserId]);
+  const [details, setDetails] = useState(null); // Emoji whose popover is open
+  const [selectedTab, setSelectedTab] = useState(null);
+  const hoverTimerRef = useRef(null);
+  const longPressRef = useRef({ timer: null, fired: false });
+  const containerRef = useRef(null);
+
+  useEffect(() => () => {
+    clearTimeout(hoverTimerRef.current);
+    clearTimeout(longPressRef.current.timer);
+  }, []);
+
+  // Touch-opened popovers close on the next tap elsewhere
+  useEffect(() => {
+    if (!details) return;
+    const handlePointerDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setDetails(null);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [details]);
+
+  if (groups.length === 0) return null;
+
+  const openDetails = (emoji) => {
+    setDetails(emoji);
+    setSelectedTab(emoji);
+  };
+
+  const scheduleDetails = (emoji) => {
+    clearTimeout(hoverTimerRef.current);
+    hoverTimerRef.current = setTimeout(() => openDetails(emoji), HOVER_DELAY_MS);
+  };
+
+  const cancelDetails = () => {
+    clearTimeout(hoverTimerRef.current);
+    hoverTimerRef.current = setTimeout(() => setDetails(null), HOVER_DELAY_MS / 2);
+  };
+
+  const handlePointerDown = (e, emoji) => {
+    if (e.pointerType !== 'touch') return;
+    longPressRef.current.fired = false;
+    longPressRef.current.timer = setTimeout(() => {
+      longPressRef.current.fired = true;
+      openDetails(emoji);
+    }, LONG_PRESS_MS);
+  };
+
+  const handlePointerUp = () => clearTimeout(longPressRef.current.timer);
+
+  const handleClick = (emoji) => {
+    // A long press opens the list instead of toggling
+    if (longPressRef.current.fired) {
+      longPressRef.current.fired = false;
+      return;
+    }
+    onToggle(emoji);
+  };
+
+  const resolveName = (user) => {
+    if (user._id && user._id === currentUserId) return 'You';
+    const known = participants.find(participant => (participant?._id || participant?.userId) === user._id);
+    return user.fullName || user.username || known?.fullName || known?.username || 'Unknown user';
+  };
+
+  const visibleUsers = (selectedTab ? groups.filter(group => group.emoji === selectedTab) : groups)
+    .flatMap(group => group.users.map(user => ({ user, emoji: group.emoji })));
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative flex flex-wrap gap-1 mt-1 ${isOwn ? 'justify-end' : ''}`}
+      onMouseEnter={() => clearTimeout(hoverTimerRef.current)}
+      onMouseLeave={cancelDetails}
+    >
+      {groups.map(group => (
+        <button
+          key={group.emoji}
+          type="button"
+          onClick={() => handleClick(group.emoji)}
+          onMouseEnter={() => scheduleDetails(group.emoji)}
+          onPointerDown={(e) => handlePointerDown(e, group.emoji)}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+          onContextMenu={(e) => e.preventDefault()}
+          aria-pressed={group.reactedByMe}
+          aria-label={`${group.emoji} ${group.count}${group.reactedByMe ? ', including you' : ''}`}
+          className={`flex items-center space-x-1 px-2 py-0.5 rounded-full border text-xs transition-colors select-none ${
+            group.reactedByMe
+              ? 'bg-primary-50 dark:bg-primary-900/30 border-primary-300 dark:border-primary-700 text-primary-700 dark:text-primary-300'
+              : 'bg-white dark:bg-gray-700 border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-gray-300'
+          }`}
+        >
+          <span className="text-sm leading-none">{group.emoji}</span>
+          <span className="font-medium">{group.count}</span>
+        </button>
+      ))}
+
+      {details && (
+        <div
+          role="dialog"
+          aria-label="Reactions"
+          className={`absolute bottom-full mb-2 z-30 w-56 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-lg ${
+            isOwn ? 'right-0' : 'left-0'
+          }`}
+        >
+          <div className="flex overflow-x-auto border-b border-gray-200 dark:border-gray-700 text-xs">
+            <button
+              type="button"
+              onClick={() => setSelectedTab(null)}
+              className={`px-3 py-2 border-b-2 ${selectedTab === null ? 'border-primary-600 font-medium' : 'border-transparent text-muted'}`}
+            >
+              All {groups.reduce((total, group) => total + group.count, 0)}
+            </button>
+            {groups.map(group => (
+              <button
+                key={group.emoji}
+                type="button"
+                onClick={() => setSelectedTab(group.emoji)}
+                className={`px-2 py-2 border-b-2 whitespace-nowrap ${
+                  selectedTab === group.emoji ? 'border-primary-600 font-medium' : 'border-transparent text-muted'
+                }`}
+              >
+                {group.emoji} {group.count}
+              </button>
+            ))}
+          </div>
+          <ul className="max-h-48 overflow-y-auto py-1">
+            {visibleUsers.map(({ user, emoji }, index) => (
+              <li key={`${user._id || index}-${emoji}`} className="flex items-center justify-between px-3 py-1.5 text-sm">
+                <span className="truncate text-gray-800 dark:text-gray-200">{resolveName(user)}</span>
+                <span className="ml-2 text-base">{emoji}</span>
+              </li>
+            ))}
+            {visibleUsers.length === 0 && (
+              <li className="px-3 py-2 text-xs text-muted">No details available</li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReactionBar;
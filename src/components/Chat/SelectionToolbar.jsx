@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { X, Copy, Forward, Download, Trash2, MoreVertical, Check } from 'lucide-react';
+
+const COPIED_FEEDBACK_MS = 1500;
+
+const ACTION_BUTTON_CLASS = 'p-2 rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50';
+const MENU_CLASS = 'absolute right-0 top-full mt-1 z-30 min-w-[200px] py-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg';
+const MENU_ITEM_CLASS = 'w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700';
+
+/**
+ * Actions for the messages selected in the timeline: copy, forward,
+ * export and delete (for me, or for everyone when all are the user's own)
+ */
+const SelectionToolbar = ({
+  count,
+  canDeleteForEveryone = false,
+  busy = false,
+  onCopy,
+  onForward,
+  onExport,
+  onDelete,
+  onMore,
+  onCancel
+}) => {
+  const [openMenu, setOpenMenu] = useState(null); // 'export' | 'delete'
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), COPIED_FEEDBACK_MS);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      if (openMenu) {
+        setOpenMenu(null);
+      } else {
+        onCancel();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [openMenu, onCancel]);
+
+  const handleCopy = async () => {
+    try {
+      await onCopy();
+      setCopied(true);
+    } catch (error) {
+      console.error('[SELECTION] ❌ Failed to copy messages:', error);
+    }
+  };
+
+  const toggleMenu = (menu) => setOpenMenu(openMenu === menu ? null : menu);
+
+  const chooseFromMenu = (action) => {
+    setOpenMenu(null);
+    action();
+  };
+
+  return (
+    <div className="flex items-center px-4 py-2 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700" role="toolbar" aria-label="Selected messages">
+      <button onClick={onCancel} aria-label="Cancel selection" title="Cancel" className={ACTION_BUTTON_CLASS}>
+        <X className="w-5 h-5" />
+      </button>
+      <span className="flex-1 ml-2 text-sm font-medium text-gray-900 dark:text-white">
+        {count} selected
+      </span>
+
+      <div className="flex items-center space-x-1">
+        <button
+          onClick={handleCopy}
+          disabled={busy}
+          aria-label="Copy as text"
+          title={copied ? 'Copied' : 'Copy as text'}
+          className={ACTION_BUTTON_CLASS}
+        >
+          {copied ? <Check className="w-5 h-5 text-green-500" /> : <Copy className="w-5 h-5" />}
+        </button>
+        <button onClick={onForward} disabled={busy} aria-label="Forward" title="Forward" className={ACTION_BUTTON_CLASS}>
+          <Forward className="w-5 h-5" />
+        </button>
+
+        <div className="relative">
+          <button
+            onClick={() => toggleMenu('export')}
+            disabled={busy}
+            aria-label="Export"
+            aria-expanded={openMenu === 'export'}
+            title="Export"
+            className={ACTION_BUTTON_CLASS}
+          >
+            <Download className="w-5 h-5" />
+          </button>
+          {openMenu === 'export' && (
+            <div className={MENU_CLASS}>
+              <button className={MENU_ITEM_CLASS} onClick={() => chooseFromMenu(() => onExport('text'))}>
+                Export as text (.txt)
+              </button>
+              <button className={MENU_ITEM_CLASS} onClick={() => chooseFromMenu(() => onExport('json'))}>
+                Export as JSON (.json)
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="relative">
+          <button
+            onClick={() => toggleMenu('delete')}
+            disabled={busy}
+            aria-label="Delete"
+            aria-expanded={openMenu === 'delete'}
+            title="Delete"
+            className={`${ACTION_BUTTON_CLASS} hover:text-red-600`}
+          >
+            <Trash2 className="w-5 h-5" />
+          </button>
+          {openMenu === 'delete' && (
+            <div className={MENU_CLASS}>
+              <p className="px-4 py-2 text-xs text-muted">
+                Delete {count === 1 ? 'this message' : `${count} messages`}?
+              </p>
+              <button
+                className="w-full px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                onClick={() => chooseFromMenu(() => onDelete(false))}
+              >
+                Delete for me
+              </button>
+              {canDeleteForEveryone && (
+                <button
+                  className="w-full px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                  onClick={() => chooseFromMenu(() => onDelete(true))}
+                >
+                  Delete for everyone
+                </button>
+              )}
+              <button className={MENU_ITEM_CLASS} onClick={() => setOpenMenu(null)}>
+                Cancel
+              </button>
+            </div>
+          )}
+        </div>
+
+        {onMore && (
+          <button onClick={onMore} aria-label="More actions" title="More actions" className={ACTION_BUTTON_CLASS}>
+            <MoreVertical className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SelectionToolbar;
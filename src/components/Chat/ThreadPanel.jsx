@@ -0,0 +1,393 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import { X, Send, MessageSquare, CornerDownRight, Paperclip, Clock, AlertCircle } from 'lucide-react';
+import messageService from '../../services/enhancedMessageService';
+import enhancedSocketService from '../../services/enhancedSocketService';
+import outboxService from '../../services/outboxService';
+import { useAuth } from '../../contexts/AuthContext';
+import { applyFormat, getShortcutFormat } from '../../utils/markdown';
+import {
+  getMessageId,
+  getMessageKey,
+  isSameMessage,
+  isLocalMessage,
+  upsertMessage,
+  toOutboxMessage,
+  getReplyToId
+} from '../../utils/messageUtils';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import MessageText from './MessageText';
+
+const PAGE_SIZE = 50;
+
+const MEDIA_LABELS = {
+  image: '📷 Photo',
+  video: '🎥 Video',
+  audio: '🎵 Voice message',
+  document: '📄 Document'
+};
+
+const sortByTime = (messages) => [...messages].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+const hasMorePages = (pagination, page, received) => {
+  if (typeof pagination?.hasMore === 'boolean') return pagination.hasMore;
+  if (pagination?.pages) return page < pagination.pages;
+  return received === PAGE_SIZE;
+};
+
+const formatTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+const ThreadMessage = ({ message, isRoot = false, onShowInChat }) => {
+  const sender = message.senderId || {};
+  const name = sender.fullName || sender.username || 'Unknown';
+  const local = isLocalMessage(message);
+
+  return (
+    <div className={`group flex space-x-3 ${isRoot ? 'p-4 bg-gray-50 dark:bg-gray-800/60' : 'px-4 py-2'}`}>
+      <div className="w-8 h-8 flex-shrink-0 rounded-full bg-primary-100 dark:bg-primary-900/40 text-primary-700 dark:text-primary-300 flex items-center justify-center text-sm font-semibold">
+        {name.charAt(0).toUpperCase()}
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="flex items-baseline space-x-2">
+          <span className="text-sm font-semibold text-gray-900 dark:text-white truncate">{name}</span>
+          <span className="text-xs text-muted flex-shrink-0">{formatTime(message.createdAt)}</span>
+          {message.editedAt && <span className="text-xs text-muted">(edited)</span>}
+          {!local && onShowInChat && (
+            <button
+              onClick={() => onShowInChat(message)}
+              className="ml-auto text-xs text-primary-600 dark:text-primary-400 hover:underline opacity-0 group-hover:opacity-100 focus:opacity-100"
+            >
+              Show in chat
+            </button>
+          )}
+        </div>
+
+        <div className="text-sm text-gray-800 dark:text-gray-200 break-words">
+          <MessageText text={message.content} />
+        </div>
+
+        {MEDIA_LABELS[message.type] && (
+          <div className="mt-1 inline-flex items-center space-x-1 text-xs text-subtle">
+            <Paperclip className="w-3 h-3" />
+            <span>{message.media?.fileName || MEDIA_LABELS[message.type]}</span>
+          </div>
+        )}
+
+        {message.status === 'pending' && local && (
+          <p className="mt-1 flex items-center text-xs text-muted">
+            <Clock className="w-3 h-3 mr-1" />
+            Sending…
+          </p>
+        )}
+        {message.status === 'failed' && local && (
+          <div className="mt-1 flex items-center space-x-3 text-xs">
+            <span className="flex items-center text-red-600 dark:text-red-400" title={message.error || undefined}>
+              <AlertCircle className="w-3 h-3 mr-1" />
+              Not sent
+            </span>
+            <button
+              className="text-primary-600 dark:text-primary-400 font-medium hover:underline"
+              onClick={() => outboxService.retry(message.clientMessageId)}
+            >
+              Retry
+            </button>
+            <button
+              className="text-gray-500 dark:text-gray-400 hover:underline"
+              onClick={() => outboxService.discard(message.clientMessageId)}
+            >
+              Discard
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Side panel showing a message and all of its replies, with a composer
+ * that replies inside the thread
+ */
+const ThreadPanel = ({ chatId, rootMessage, onClose, onShowInChat, className = '' }) => {
+  const { user } = useAuth();
+  const rootId = getMessageId(rootMessage);
+  const [root, setRoot] = useState(rootMessage);
+  const [replies, setReplies] = useState([]);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+  const lastReplyKeyRef = useRef(null);
+  const prependAnchorRef = useRef(null);
+
+  const isThreadReply = useCallback(
+    (message) => message.chatId === chatId && getReplyToId(message) === rootId,
+    [chatId, rootId]
+  );
+
+  const loadPage = useCallback(async (pageNum) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await messageService.getThread(rootId, pageNum, PAGE_SIZE);
+      if (result.root) setRoot(prev => ({ ...prev, ...result.root }));
+      setReplies(prev => {
+        const merged = result.replies.reduce(
+          (list, reply) => (list.some(msg => isSameMessage(msg, reply)) ? list : [...list, reply]),
+          // Server copies replace optimistic ones that have been delivered
+          prev.filter(msg => !(isLocalMessage(msg) && result.replies.some(reply => isSameMessage(reply, msg))))
+        );
+        return sortByTime(merged);
+      });
+      setPage(pageNum);
+      setHasMore(hasMorePages(result.pagination, pageNum, result.replies.length));
+    } catch (err) {
+      console.error('[THREAD] ❌ Failed to load thread:', err);
+      setError(err.message || 'Failed to load replies');
+    } finally {
+      setLoading(false);
+    }
+  }, [rootId]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  // Replies still waiting in the outbox
+  useEffect(() => {
+    let cancelled = false;
+    outboxService.getEntries(chatId).then((entries) => {
+      if (cancelled) return;
+      const pending = entries.map(entry => toOutboxMessage(entry, user)).filter(isThreadReply);
+      if (pending.length) {
+        setReplies(prev => sortByTime(pending.reduce(upsertMessage, prev)));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [chatId, user, isThreadReply]);
+
+  // Live replies, edits and deletions
+  useEffect(() => {
+    const handleMessageReceived = (data) => {
+      if (isThreadReply(data)) {
+        setReplies(prev => sortByTime(upsertMessage(prev, data)));
+      }
+    };
+
+    const handleMessageUpdated = (data) => {
+      if (data.chatId !== chatId) return;
+      if (isSameMessage(data, { _id: rootId })) {
+        setRoot(prev => ({ ...prev, ...data }));
+        return;
+      }
+      setReplies(prev => prev.map(msg => (!isLocalMessage(msg) && isSameMessage(msg, data) ? { ...msg, ...data } : msg)));
+    };
+
+    const handleMessageDeleted = (data) => {
+      if (data.chatId !== chatId) return;
+      if (isSameMessage(data, { _id: rootId })) {
+        onClose();
+        return;
+      }
+      setReplies(prev => prev.filter(msg => isLocalMessage(msg) || !isSameMessage(msg, data)));
+    };
+
+    const handleOutboxUpdated = (entry) => {
+      const message = toOutboxMessage(entry, user);
+      if (isThreadReply(message)) {
+        setReplies(prev => sortByTime(upsertMessage(prev, message)));
+      }
+    };
+
+    const handleOutboxSent = ({ clientMessageId, chatId: sentChatId, message }) => {
+      if (sentChatId !== chatId) return;
+      setReplies(prev => {
+        const withoutOptimistic = prev.filter(msg => !(isLocalMessage(msg) && msg.clientMessageId === clientMessageId));
+        if (withoutOptimistic.length === prev.length) return prev;
+        return message ? sortByTime(upsertMessage(withoutOptimistic, message)) : withoutOptimistic;
+      });
+    };
+
+    const handleOutboxDiscarded = ({ clientMessageId }) => {
+      setReplies(prev => prev.filter(msg => !(isLocalMessage(msg) && msg.clientMessageId === clientMessageId)));
+    };
+
+    enhancedSocketService.on('message_received', handleMessageReceived);
+    enhancedSocketService.on('message_updated', handleMessageUpdated);
+    enhancedSocketService.on('message_deleted', handleMessageDeleted);
+    outboxService.on('updated', handleOutboxUpdated);
+    outboxService.on('sent', handleOutboxSent);
+    outboxService.on('discarded', handleOutboxDiscarded);
+
+    return () => {
+      enhancedSocketService.off('message_received', handleMessageReceived);
+      enhancedSocketService.off('message_updated', handleMessageUpdated);
+      enhancedSocketService.off('message_deleted', handleMessageDeleted);
+      outboxService.off('updated', handleOutboxUpdated);
+      outboxService.off('sent', handleOutboxSent);
+      outboxService.off('discarded', handleOutboxDiscarded);
+    };
+  }, [chatId, rootId, user, isThreadReply, onClose]);
+
+  // Keep the view steady when earlier replies load, follow new ones otherwise
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list) return;
+
+    if (prependAnchorRef.current) {
+      const { scrollHeight, scrollTop } = prependAnchorRef.current;
+      list.scrollTop = list.scrollHeight - scrollHeight + scrollTop;
+      prependAnchorRef.current = null;
+      return;
+    }
+
+    const lastReply = replies[replies.length - 1];
+    const lastKey = lastReply ? getMessageKey(lastReply) : null;
+    if (lastKey && lastKey !== lastReplyKeyRef.current) {
+      list.scrollTop = list.scrollHeight;
+    }
+    lastReplyKeyRef.current = lastKey;
+  }, [replies]);
+
+  const loadEarlier = () => {
+    const list = listRef.current;
+    if (list) {
+      prependAnchorRef.current = { scrollHeight: list.scrollHeight, scrollTop: list.scrollTop };
+    }
+    loadPage(page + 1);
+  };
+
+  const sendReply = async () => {
+    const content = draft.trim();
+    if (!content) return;
+
+    try {
+      setDraft('');
+      await outboxService.enqueueText(chatId, content, { replyTo: root });
+    } catch (err) {
+      console.error('[THREAD] ❌ Failed to queue reply:', err);
+      setDraft(content);
+      setError(err.message || 'Failed to send reply');
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    const format = getShortcutFormat(e);
+    if (format) {
+      e.preventDefault();
+      const textarea = e.currentTarget;
+      const result = applyFormat(draft, textarea.selectionStart, textarea.selectionEnd, format);
+      setDraft(result.value);
+      requestAnimationFrame(() => textarea.setSelectionRange(result.selectionStart, result.selectionEnd));
+      return;
+    }
+
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      sendReply();
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  const replyCount = Math.max(replies.length, root.threadSummary?.replyCount || 0);
+
+  return (
+    <div className={`flex flex-col bg-white dark:bg-gray-900 border-l border-gray-200 dark:border-gray-700 ${className}`}>
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="flex items-center text-base font-semibold text-gray-900 dark:text-white">
+          <MessageSquare className="w-4 h-4 mr-2" />
+          Thread
+        </h3>
+        <button
+          onClick={onClose}
+          aria-label="Close thread"
+          className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div ref={listRef} className="flex-1 overflow-y-auto">
+        <ThreadMessage message={root} isRoot onShowInChat={onShowInChat} />
+
+        <div className="flex items-center px-4 py-2 text-xs text-muted">
+          <span className="mr-2">
+            {replyCount === 0 ? 'No replies yet' : `${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`}
+          </span>
+          <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+        </div>
+
+        {hasMore && !loading && (
+          <div className="flex justify-center py-1">
+            <button
+              onClick={loadEarlier}
+              className="text-xs text-primary-600 dark:text-primary-400 font-medium hover:underline"
+            >
+              Load earlier replies
+            </button>
+          </div>
+        )}
+
+        {loading && (
+          <div className="flex justify-center py-3">
+            <LoadingSpinner size="small" />
+          </div>
+        )}
+
+        {error && (
+          <div className="mx-4 my-2 flex items-center justify-between p-2 text-xs rounded-lg bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400">
+            <span>{error}</span>
+            <button onClick={() => loadPage(page || 1)} className="font-medium hover:underline">
+              Retry
+            </button>
+          </div>
+        )}
+
+        {replies.map(reply => (
+          <ThreadMessage key={getMessageKey(reply)} message={reply} onShowInChat={onShowInChat} />
+        ))}
+      </div>
+
+      <div className="p-3 border-t border-gray-200 dark:border-gray-700">
+        <div className="flex items-end space-x-2">
+          <div className="flex-1">
+            <div className="flex items-center mb-1 text-xs text-muted">
+              <CornerDownRight className="w-3 h-3 mr-1" />
+              Reply in thread
+            </div>
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Reply…"
+              rows="2"
+              autoFocus
+              className="w-full p-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            onClick={sendReply}
+            disabled={!draft.trim()}
+            aria-label="Send reply"
+            className="p-2 mb-1 rounded-lg bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            <Send className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ThreadPanel;
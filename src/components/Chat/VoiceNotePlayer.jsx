@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, Pause } from 'lucide-react';
+import { loadWaveform, formatDuration, DEFAULT_BAR_COUNT } from '../../utils/audioWaveform';
+
+const PLAYBACK_RATES = [1, 1.5, 2];
+
+// Only one voice note plays at a time
+let activeAudio = null;
+
+/**
+ * Voice note bubble with waveform, scrubbing and playback speed
+ */
+const VoiceNotePlayer = ({ src, peaks: initialPeaks = null, duration: knownDuration = null, isOwn = false }) => {
+  const audioRef = useRef(null);
+  const waveformRef = useRef(null);
+  const scrubbingRef = useRef(false);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(knownDuration || 0);
+  const [rate, setRate] = useState(1);
+  const [peaks, setPeaks] = useState(initialPeaks);
+
+  // Decode the file for its waveform, and for its duration, which recorded
+  // webm files don't report until fully played; notes sent with both skip it
+  useEffect(() => {
+    if (!src || (initialPeaks && knownDuration)) return;
+
+    let cancelled = false;
+    loadWaveform(src)
+      .then((waveform) => {
+        if (cancelled) return;
+        if (!initialPeaks) setPeaks(waveform.peaks);
+        setDuration(current => current || waveform.duration);
+      })
+      .catch((error) => {
+        console.warn('[VOICE_NOTE] ⚠️ Waveform unavailable:', error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src, initialPeaks, knownDuration]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    return () => {
+      if (activeAudio === audio) activeAudio = null;
+    };
+  }, []);
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    if (audio.paused) {
+      if (activeAudio && activeAudio !== audio) activeAudio.pause();
+      activeAudio = audio;
+      audio.playbackRate = rate;
+      audio.play().catch((error) => console.error('[VOICE_NOTE] ❌ Playback failed:', error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const cycleRate = () => {
+    const next = PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(rate) + 1) % PLAYBACK_RATES.length];
+    setRate(next);
+    if (audioRef.current) audioRef.current.playbackRate = next;
+  };
+
+  const handleLoadedMetadata = (e) => {
+    if (Number.isFinite(e.currentTarget.duration)) {
+      setDuration(e.currentTarget.duration);
+    }
+  };
+
+  const handleTimeUpdate = (e) => {
+    if (!scrubbingRef.current) setCurrentTime(e.currentTarget.currentTime);
+  };
+
+  const handleEnded = () => {
+    setPlaying(false);
+    setCurrentTime(0);
+  };
+
+  // Seek to the pointer position on the waveform
+  const seekTo = (clientX) => {
+    const rect = waveformRef.current?.getBoundingClientRect();
+    if (!rect || !duration) return;
+
+    const fraction = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    const time = fraction * duration;
+    setCurrentTime(time);
+    if (audioRef.current) audioRef.current.currentTime = time;
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    scrubbingRef.current = true;
+    seekTo(e.clientX);
+  };
+
+  const handlePointerMove = (e) => {
+    if (scrubbingRef.current) seekTo(e.clientX);
+  };
+
+  const handlePointerUp = (e) => {
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+    scrubbingRef.current = false;
+  };
+
+  const handleKeyDown = (e) => {
+    if (!audioRef.current || !duration) return;
+    if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+      e.preventDefault();
+      const time = Math.min(Math.max(currentTime + (e.key === 'ArrowRight' ? 5 : -5), 0), duration);
+      audioRef.current.currentTime = time;
+      setCurrentTime(time);
+    }
+  };
+
+  const progress = duration ? currentTime / duration : 0;
+  const bars = peaks?.length ? peaks : Array(DEFAULT_BAR_COUNT).fill(0.15);
+  const playedColor = isOwn ? 'bg-white' : 'bg-primary-500';
+  const unplayedColor = isOwn ? 'bg-white/40' : 'bg-gray-300 dark:bg-gray-600';
+
+  return (
+    <div className="flex items-center space-x-3 min-w-[220px]">
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={handleEnded}
+        onLoadedMetadata={handleLoadedMetadata}
+        onTimeUpdate={handleTimeUpdate}
+      />
+
+      <button
+        type="button"
+        onClick={togglePlay}
+        aria-label={playing ? 'Pause voice note' : 'Play voice note'}
+        className={`w-9 h-9 flex-shrink-0 rounded-full flex items-center justify-center ${
+          isOwn ? 'bg-white/20 hover:bg-white/30' : 'bg-primary-100 dark:bg-primary-900/40 text-primary-600 dark:text-primary-400 hover:bg-primary-200'
+        }`}
+      >
+        {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4 ml-0.5" />}
+      </button>
+
+      <div className="flex-1 min-w-0">
+        <div
+          ref={waveformRef}
+          role="slider"
+          tabIndex={0}
+          aria-label="Seek"
+          aria-valuemin={0}
+          aria-valuemax={Math.round(duration)}
+          aria-valuenow={Math.round(currentTime)}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onKeyDown={handleKeyDown}
+          className="flex items-center h-8 space-x-px cursor-pointer touch-none focus:outline-none"
+        >
+          {bars.map((peak, index) => (
+            <div
+              key={index}
+              className={`flex-1 rounded-full ${index / bars.length < progress ? playedColor : unplayedColor}`}
+              style={{ height: `${Math.max(peak * 100, 12)}%` }}
+            />
+          ))}
+        </div>
+        <div className="flex items-center justify-between mt-0.5 text-[11px] opacity-75">
+          <span>{formatDuration(playing || currentTime > 0 ? currentTime : duration)}</span>
+          <button
+            type="button"
+            onClick={cycleRate}
+            aria-label="Playback speed"
+            className={`px-1.5 rounded-full font-semibold ${isOwn ? 'bg-white/20' : 'bg-gray-200 dark:bg-gray-700'}`}
+          >
+            {rate}x
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VoiceNotePlayer;
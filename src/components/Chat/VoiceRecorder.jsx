@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Mic, Trash2, Send, ChevronLeft } from 'lucide-react';
+import useVoiceRecorder from '../../hooks/useVoiceRecorder';
+import { formatDuration } from '../../utils/audioWaveform';
+import VoiceNotePlayer from './VoiceNotePlayer';
+
+const CANCEL_DISTANCE = 120; // px to slide left before the recording is thrown away
+const MIN_RECORDING_MS = 700; // Shorter presses are treated as taps
+
+/**
+ * Press-and-hold voice note recorder for the message composer.
+ *
+ * Hold the mic button to record, slide left to cancel, release to preview.
+ * Renders an overlay over its nearest positioned ancestor while active, so
+ * the composer should be `relative`.
+ */
+const VoiceRecorder = ({ onSend, disabled = false }) => {
+  const { isSupported, status, duration, levels, recording, error, start, stop, cancel, clearError } = useVoiceRecorder();
+  const [slideOffset, setSlideOffset] = useState(0);
+  const [hint, setHint] = useState(null);
+  const [sending, setSending] = useState(false);
+  const pressRef = useRef(null); // { x, startedAt } while the button is held
+
+  useEffect(() => {
+    if (!hint) return;
+    const timer = setTimeout(() => setHint(null), 2500);
+    return () => clearTimeout(timer);
+  }, [hint]);
+
+  if (!isSupported) return null;
+
+  const isRecording = status === 'requesting' || status === 'recording';
+
+  const handlePointerDown = (e) => {
+    if (disabled || e.button > 0) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    pressRef.current = { x: e.clientX, startedAt: Date.now() };
+    setHint(null);
+    clearError();
+    start();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pressRef.current) return;
+
+    const dx = Math.min(e.clientX - pressRef.current.x, 0);
+    if (-dx > CANCEL_DISTANCE) {
+      pressRef.current = null;
+      setSlideOffset(0);
+      cancel();
+      return;
+    }
+    setSlideOffset(dx);
+  };
+
+  const handlePointerUp = () => {
+    if (!pressRef.current) return;
+
+    const heldFor = Date.now() - pressRef.current.startedAt;
+    pressRef.current = null;
+    setSlideOffset(0);
+
+    if (status !== 'recording' || heldFor < MIN_RECORDING_MS) {
+      cancel();
+      setHint('Hold to record, release to preview');
+      return;
+    }
+    stop();
+  };
+
+  const handlePointerCancel = () => {
+    if (!pressRef.current) return;
+    pressRef.current = null;
+    setSlideOffset(0);
+    cancel();
+  };
+
+  // Keyboard users toggle recording instead of holding
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    if (status === 'recording') {
+      stop();
+    } else if (status === 'idle') {
+      start();
+    }
+  };
+
+  const handleSend = async () => {
+    if (!recording || sending) return;
+
+    try {
+      setSending(true);
+      // Sent along so recipients can draw the note without decoding it
+      await onSend(recording.file, {
+        duration: recording.duration,
+        peaks: recording.peaks.map(peak => Math.round(peak * 100) / 100)
+      });
+      cancel();
+    } catch (err) {
+      console.error('[VOICE_RECORDER] ❌ Failed to send voice note:', err);
+      setHint(err.message || 'Failed to send voice note');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <>
+      {(hint || error) && !isRecording && status !== 'recorded' && (
+        <p className="absolute -top-7 right-4 px-2 py-1 text-xs rounded bg-gray-900/80 text-white">
+          {error || hint}
+        </p>
+      )}
+
+      {isRecording && (
+        <div className="absolute inset-0 z-10 flex items-center px-4 space-x-3 bg-white dark:bg-gray-900">
+          <span className="w-2.5 h-2.5 rounded-full bg-red-500 animate-pulse flex-shrink-0" />
+          <span className="text-sm font-medium tabular-nums text-gray-900 dark:text-white w-10">
+            {formatDuration(duration)}
+          </span>
+          <div className="flex-1 flex items-center h-8 space-x-px overflow-hidden" aria-hidden="true">
+            {levels.map((level, index) => (
+              <div
+                key={index}
+                className="w-1 rounded-full bg-red-400"
+                style={{ height: `${Math.max(level * 100, 8)}%` }}
+              />
+            ))}
+          </div>
+          <span
+            className="flex items-center text-xs text-muted pr-14 whitespace-nowrap"
+            style={{
+              transform: `translateX(${slideOffset}px)`,
+              opacity: 1 - Math.min(-slideOffset / CANCEL_DISTANCE, 1) * 0.7
+            }}
+          >
+            <ChevronLeft className="w-4 h-4" />
+            Slide to cancel
+          </span>
+        </div>
+      )}
+
+      {status === 'recorded' && recording && (
+        <div className="absolute inset-0 z-10 flex items-center px-4 space-x-3 bg-white dark:bg-gray-900">
+          <button
+            type="button"
+            onClick={cancel}
+            aria-label="Discard voice note"
+            className="p-2 rounded-full text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20"
+          >
+            <Trash2 className="w-5 h-5" />
+          </button>
+          <div className="flex-1 px-3 py-1 rounded-2xl bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-white">
+            <VoiceNotePlayer src={recording.url} peaks={recording.peaks} duration={recording.duration} />
+          </div>
+          <button
+            type="button"
+            onClick={handleSend}
+            disabled={sending}
+            aria-label="Send voice note"
+            className="p-2 rounded-full bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            <Send className="w-5 h-5" />
+          </button>
+        </div>
+      )}
+
+      {status !== 'recorded' && (
+        <button
+          type="button"
+          disabled={disabled}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerCancel}
+          onKeyDown={handleKeyDown}
+          onContextMenu={(e) => e.preventDefault()}
+          aria-label={status === 'recording' ? 'Release to stop recording' : 'Hold to record a voice note'}
+          title="Hold to record a voice note"
+          className={`relative z-20 p-2 rounded-xl touch-none select-none transition-transform ${
+            isRecording
+              ? 'bg-red-500 text-white scale-125'
+              : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'
+          } disabled:opacity-50`}
+        >
+          <Mic className="w-5 h-5" />
+        </button>
+      )}
+    </>
+  );
+};
+
+export default VoiceRecorder;
@@ -1,27 +1,33 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { Bell, Search, Settings, LogOut, User } from 'lucide-react';
+import GlobalSearch from '../Search/GlobalSearch';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const [showProfileMenu, setShowProfileMenu] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
+  const [showSearch, setShowSearch] = useState(false);
+
+  // Ctrl/Cmd+K opens search from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowSearch(true);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   const handleLogout = () => {
     logout();
     navigate('/login');
   };
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    if (searchQuery.trim()) {
-      // Implement search functionality
-      console.log('Searching for:', searchQuery);
-    }
-  };
-
   return (
     <nav className="bg-white border-b border-secondary-200 px-6 py-4">
       <div className="flex items-center justify-between">
@@ -32,20 +38,21 @@ const Navbar = () => {
 
         {/* Search Bar */}
         <div className="flex-1 max-w-lg mx-8">
-          <form onSubmit={handleSearch} className="relative">
-            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+          <button
+            type="button"
+            onClick={() => setShowSearch(true)}
+            className="relative flex items-center w-full pl-10 pr-4 py-2 border border-secondary-300 rounded-lg text-left text-secondary-400 hover:border-secondary-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <span className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
               <Search className="h-5 w-5 text-secondary-400" />
-            </div>
-            <input
-              type="text"
-              placeholder="Search users, messages..."
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              className="w-full pl-10 pr-4 py-2 border border-secondary-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-            />
-          </form>
+            </span>
+            <span className="flex-1">Search users, messages...</span>
+            <kbd className="hidden md:inline text-xs border border-secondary-200 rounded px-1.5 py-0.5">Ctrl K</kbd>
+          </button>
         </div>
 
+        <GlobalSearch isOpen={showSearch} onClose={() => setShowSearch(false)} />
+
         {/* Right Side */}
         <div className="flex items-center space-x-4">
           {/* Notifications */}
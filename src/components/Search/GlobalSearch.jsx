@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, User, MessageCircle, MessageSquare, Clock, X, CornerDownLeft } from 'lucide-react';
+import searchService from '../../services/searchService';
+import chatService from '../../services/enhancedChatService';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import HighlightedText from '../UI/HighlightedText';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const getChatName = (chat) =>
+  chat?.otherParticipant?.fullName || chat?.otherParticipant?.username || chat?.name || 'Chat';
+
+/**
+ * Command-palette style search over people, chats and messages
+ */
+const GlobalSearch = ({ isOpen, onClose, initialQuery = '' }) => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState(initialQuery);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  // Reset when opened
+  useEffect(() => {
+    if (isOpen) {
+      setQuery(initialQuery);
+      setRecentSearches(searchService.getRecentSearches());
+      setError(null);
+      setActiveIndex(0);
+      setTimeout(() => inputRef.current?.focus(), 0);
+    }
+  }, [isOpen, initialQuery]);
+
+  // Debounced search; responses to outdated queries are dropped
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const trimmed = query.trim();
+    if (!trimmed) {
+      requestIdRef.current += 1;
+      setResults(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      const requestId = ++requestIdRef.current;
+      const searchResults = await searchService.search(trimmed);
+      if (requestId !== requestIdRef.current) return;
+
+      setResults(searchResults);
+      setActiveIndex(0);
+      setLoading(false);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [query, isOpen]);
+
+  // Flat list of selectable items, in display order, for keyboard navigation
+  const items = useMemo(() => {
+    if (!query.trim()) {
+      return recentSearches.map(recent => ({ kind: 'recent', key: `recent-${recent}`, value: recent }));
+    }
+    if (!results) return [];
+
+    return [
+      ...results.people.map(person => ({ kind: 'person', key: `person-${person._id}`, value: person })),
+      ...results.chats.map(chat => ({ kind: 'chat', key: `chat-${chat._id}`, value: chat })),
+      ...results.messages.map(message => ({ kind: 'message', key: `message-${message._id}`, value: message }))
+    ];
+  }, [query, results, recentSearches]);
+
+  // Keep the highlighted item visible
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-search-index="${activeIndex}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const handleSelect = async (item) => {
+    if (!item) return;
+
+    if (item.kind === 'recent') {
+      setQuery(item.value);
+      return;
+    }
+
+    searchService.addRecentSearch(query);
+
+    try {
+      switch (item.kind) {
+        case 'person': {
+          const result = await chatService.createOrGetChat(item.value._id);
+          navigate(`/chat/${result.chat._id}`);
+          break;
+        }
+        case 'chat':
+          navigate(`/chat/${item.value._id}`);
+          break;
+        case 'message':
+          navigate(`/chat/${item.value.chatId}?message=${item.value._id}`);
+          break;
+        default:
+          break;
+      }
+      onClose();
+    } catch (err) {
+      console.error('[GLOBAL_SEARCH] ❌ Failed to open result:', err);
+      setError(err.message || 'Failed to open chat');
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(index => (items.length === 0 ? 0 : (index + 1) % items.length));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => (items.length === 0 ? 0 : (index - 1 + items.length) % items.length));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        handleSelect(items[activeIndex]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        onClose();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleRemoveRecent = (e, recent) => {
+    e.stopPropagation();
+    searchService.removeRecentSearch(recent);
+    setRecentSearches(searchService.getRecentSearches());
+  };
+
+  if (!isOpen) return null;
+
+  const renderItem = (item, index) => {
+    const isActive = index === activeIndex;
+    const baseClass = `flex items-center w-full px-4 py-2 text-left space-x-3 ${
+      isActive ? 'bg-primary-50 text-primary-700' : 'text-secondary-700 hover:bg-secondary-50'
+    }`;
+    const common = {
+      'data-search-index': index,
+      className: baseClass,
+      onMouseEnter: () => setActiveIndex(index),
+      onClick: () => handleSelect(item)
+    };
+
+    switch (item.kind) {
+      case 'recent':
+        return (
+          <div {...common} className={`${baseClass} cursor-pointer`}>
+            <Clock className="h-4 w-4 text-secondary-400 flex-shrink-0" />
+            <span className="flex-1 truncate">{item.value}</span>
+            <button
+              aria-label="Remove recent search"
+              onClick={(e) => handleRemoveRecent(e, item.value)}
+              className="p-1 text-secondary-400 hover:text-secondary-600"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+        );
+      case 'person':
+        return (
+          <button {...common}>
+            {item.value.profilePictureUrl ? (
+              <img src={item.value.profilePictureUrl} alt="" className="h-8 w-8 rounded-full object-cover flex-shrink-0" />
+            ) : (
+              <div className="h-8 w-8 rounded-full bg-primary-100 flex items-center justify-center flex-shrink-0">
+                <User className="h-4 w-4 text-primary-600" />
+              </div>
+            )}
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium truncate"><HighlightedText text={item.value.fullName || item.value.username} query={query} /></p>
+              <p className="text-xs text-secondary-500 truncate">@<HighlightedText text={item.value.username} query={query} /></p>
+            </div>
+          </button>
+        );
+      case 'chat':
+        return (
+          <button {...common}>
+            <MessageCircle className="h-5 w-5 text-secondary-400 flex-shrink-0" />
+            <span className="flex-1 text-sm font-medium truncate"><HighlightedText text={getChatName(item.value)} query={query} /></span>
+          </button>
+        );
+      case 'message':
+        return (
+          <button {...common}>
+            <MessageSquare className="h-5 w-5 text-secondary-400 flex-shrink-0" />
+            <div className="flex-1 min-w-0">
+              <p className="text-xs text-secondary-500 truncate">
+                {item.value.senderId?.fullName || item.value.senderId?.username || 'Unknown'} in {getChatName(item.value.chat)}
+                {item.value.createdAt && ` · ${new Date(item.value.createdAt).toLocaleDateString()}`}
+              </p>
+              <p className="text-sm truncate"><HighlightedText text={item.value.content} query={query} /></p>
+            </div>
+          </button>
+        );
+      default:
+        return null;
+    }
+  };
+
+  // Render items grouped under headings, keeping their flat indexes
+  const renderGroup = (title, kind, groupError) => {
+    const groupItems = items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.kind === kind);
+    if (groupItems.length === 0 && !groupError) return null;
+
+    return (
+      <div key={kind} className="py-2">
+        <div className="flex items-center justify-between px-4 pb-1">
+          <p className="text-xs font-semibold uppercase tracking-wide text-secondary-400">{title}</p>
+          {kind === 'recent' && (
+            <button
+              onClick={() => {
+                searchService.clearRecentSearches();
+                setRecentSearches([]);
+              }}
+              className="text-xs text-secondary-400 hover:text-secondary-600"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+        {groupError && <p className="px-4 py-1 text-xs text-red-500">{groupError}</p>}
+        {groupItems.map(({ item, index }) => (
+          <React.Fragment key={item.key}>{renderItem(item, index)}</React.Fragment>
+        ))}
+      </div>
+    );
+  };
+
+  const hasQuery = query.trim().length > 0;
+  const noResults = hasQuery && !loading && results && items.length === 0 && Object.keys(results.errors).length === 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center pt-24 px-4 bg-black/30" onClick={onClose}>
+      <div
+        className="w-full max-w-xl bg-white rounded-xl shadow-2xl border border-secondary-200 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Search"
+      >
+        {/* Search input */}
+        <div className="flex items-center px-4 border-b border-secondary-200">
+          <Search className="h-5 w-5 text-secondary-400" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search people, chats and messages..."
+            className="flex-1 px-3 py-4 text-secondary-900 placeholder-secondary-400 focus:outline-none"
+          />
+          {loading && <LoadingSpinner size="small" />}
+        </div>
+
+        {/* Results */}
+        <div ref={listRef} className="max-h-96 overflow-y-auto">
+          {error && <p className="px-4 py-2 text-sm text-red-600">{error}</p>}
+
+          {!hasQuery && renderGroup('Recent searches', 'recent')}
+          {!hasQuery && recentSearches.length === 0 && (
+            <p className="px-4 py-6 text-sm text-center text-secondary-500">
+              Search for people, conversations or messages
+            </p>
+          )}
+
+          {hasQuery && results && (
+            <>
+              {renderGroup('People', 'person', results.errors.people)}
+              {renderGroup('Chats', 'chat', results.errors.chats)}
+              {renderGroup('Messages', 'message', results.errors.messages)}
+            </>
+          )}
+
+          {noResults && (
+            <p className="px-4 py-6 text-sm text-center text-secondary-500">
+              No results for "{query.trim()}"
+            </p>
+          )}
+        </div>
+
+        {/* Keyboard hints */}
+        <div className="flex items-center justify-end space-x-4 px-4 py-2 border-t border-secondary-100 text-xs text-secondary-400">
+          <span>↑↓ to navigate</span>
+          <span className="flex items-center"><CornerDownLeft className="h-3 w-3 mr-1" /> to open</span>
+          <span>esc to close</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+/**
+ * Render text with case-insensitive matches of `query` wrapped in <mark>
+ */
+const HighlightedText = ({ text = '', query = '', className = 'bg-yellow-200 text-inherit rounded px-0.5' }) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle || !text) return text;
+
+  const haystack = text.toLowerCase();
+  const parts = [];
+  let cursor = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    parts.push(text.slice(cursor, index));
+    parts.push(
+      <mark key={index} className={className}>
+        {text.slice(index, index + needle.length)}
+      </mark>
+    );
+    cursor = index + needle.length;
+    index = haystack.indexOf(needle, cursor);
+  }
+  parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
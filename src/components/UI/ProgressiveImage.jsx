@@ -0,0 +1,34 @@
+import React, { useState } from 'react';
+
+/**
+ * Image that shows a blurred placeholder (a tiny data URL) until the full
+ * image has loaded. Known dimensions reserve the space up front so the
+ * layout doesn't jump when it arrives.
+ */
+const ProgressiveImage = ({ src, placeholder, width, height, alt = '', className = '' }) => {
+  const [loaded, setLoaded] = useState(false);
+  const style = width && height ? { aspectRatio: `${width} / ${height}` } : undefined;
+
+  return (
+    <div className={`relative overflow-hidden ${className}`} style={style}>
+      {placeholder && !loaded && (
+        <img
+          src={placeholder}
+          alt=""
+          aria-hidden="true"
+          className="absolute inset-0 w-full h-full object-cover blur-lg scale-110"
+        />
+      )}
+      <img
+        src={src}
+        alt={alt}
+        onLoad={() => setLoaded(true)}
+        className={`relative w-full h-full object-cover transition-opacity duration-300 ${
+          placeholder && !loaded ? 'opacity-0' : 'opacity-100'
+        }`}
+      />
+    </div>
+  );
+};
+
+export default ProgressiveImage;
@@ -1,8 +1,12 @@
 // Environment Configuration
 export const config = {
   API_BASE_URL: import.meta.env.VITE_API_URL || 'https://vibgyornode.onrender.com',
+  // Version prefix prepended to every API route (e.g. '/api/v1'); empty when the backend mounts routes at the root
+  API_PREFIX: import.meta.env.VITE_API_PREFIX || '',
   SOCKET_URL: import.meta.env.VITE_SOCKET_URL || 'https://vibgyornode.onrender.com',
   ENVIRONMENT: import.meta.env.VITE_ENVIRONMENT || 'production',
+  // JSON array of RTCIceServer objects for calls; public STUN servers when empty
+  ICE_SERVERS: import.meta.env.VITE_ICE_SERVERS || '',
 };
 
 export default config;
@@ -1,6 +1,12 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { authAPI } from '../utils/api';
 import enhancedSocketService from '../services/enhancedSocketService';
+import apiService from '../services/enhancedApiService';
+import routes from '../services/apiRoutes';
+import messageCacheService from '../services/messageCacheService';
+import searchService from '../services/searchService';
+import outboxService from '../services/outboxService';
+import uploadService from '../services/uploadService';
 
 const AuthContext = createContext();
 
@@ -22,6 +28,13 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
+  // Keep the socket authenticated with the latest access token
+  useEffect(() => {
+    return apiService.onTokenRefreshed((accessToken) => {
+      enhancedSocketService.updateAuthToken(accessToken);
+    });
+  }, []);
+
   const checkAuthStatus = async () => {
     console.log('[AUTH] 🔍 checkAuthStatus called');
     try {
@@ -34,7 +47,7 @@ export const AuthProvider = ({ children }) => {
           const response = await authAPI.getMe();
           console.log('[AUTH] 📡 getMe response:', response.data);
           // Handle different response structures
-          const userData = response.data.data?.user || response.data.user || response.data.data;
+          const userData = response.data?.user || response.data;
           console.log('[AUTH] 🔍 Extracted userData:', userData);
           if (userData) {
             setUser(userData);
@@ -51,7 +64,7 @@ export const AuthProvider = ({ children }) => {
           console.error('[AUTH] ❌ getMe API call failed:', apiError);
           
           // Only clear tokens if it's an authentication error (401/403)
-          if (apiError.response?.status === 401 || apiError.response?.status === 403) {
+          if (apiError.status === 401 || apiError.status === 403) {
             localStorage.removeItem('accessToken');
             localStorage.removeItem('refreshToken');
             setHasValidToken(false);
@@ -85,10 +98,10 @@ export const AuthProvider = ({ children }) => {
   const login = async (phoneNumber, otp) => {
     try {
       const response = await authAPI.verifyPhoneOTP(phoneNumber, otp);
-      const { accessToken, refreshToken, user: userData } = response.data.data;
+      const { accessToken, refreshToken, user: userData } = response.data;
       
-      localStorage.setItem('accessToken', accessToken);
       localStorage.setItem('refreshToken', refreshToken);
+      apiService.setAuthToken(accessToken); // Stores the token and schedules its refresh
       localStorage.setItem('userData', JSON.stringify(userData)); // Save user data as fallback
       setUser(userData);
       setIsAuthenticated(true);
@@ -99,7 +112,7 @@ export const AuthProvider = ({ children }) => {
       
       return { success: true, data: userData };
     } catch (error) {
-      return { success: false, error: error.response?.data?.message || 'Login failed' };
+      return { success: false, error: error.message || 'Login failed' };
     }
   };
 
@@ -110,11 +123,10 @@ export const AuthProvider = ({ children }) => {
     const token = localStorage.getItem('accessToken');
     if (token && navigator.sendBeacon) {
       try {
-        const baseURL = import.meta.env.VITE_API_URL || 'https://vibgyornode.onrender.com';
         // sendBeacon works better with FormData or URLSearchParams
         const formData = new FormData();
         formData.append('token', token);
-        navigator.sendBeacon(`${baseURL}/user/status/offline`, formData);
+        navigator.sendBeacon(apiService.buildUrl(routes.status.offline()), formData);
         console.log('[AUTH] 📡 Offline status sent to server');
       } catch (error) {
         console.error('[AUTH] Failed to send offline status:', error);
@@ -125,10 +137,15 @@ export const AuthProvider = ({ children }) => {
     enhancedSocketService.disconnect();
     
     // Clear local storage
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
+    apiService.clearAuthToken();
     localStorage.removeItem('userData');
     
+    // Cached chats, messages, searches, unsent messages and uploads belong to this account only
+    messageCacheService.clear();
+    searchService.clearRecentSearches();
+    // Uploads in flight are aborted with the outbox before their sessions go
+    outboxService.clear().then(() => uploadService.clear());
+    
     // Update state
     setUser(null);
     setIsAuthenticated(false);
@@ -146,7 +163,7 @@ export const AuthProvider = ({ children }) => {
       await authAPI.sendPhoneOTP(phoneNumber, countryCode);
       return { success: true };
     } catch (error) {
-      return { success: false, error: error.response?.data?.message || 'Failed to send OTP' };
+      return { success: false, error: error.message || 'Failed to send OTP' };
     }
   };
 
@@ -155,7 +172,7 @@ export const AuthProvider = ({ children }) => {
       await authAPI.resendPhoneOTP(phoneNumber);
       return { success: true };
     } catch (error) {
-      return { success: false, error: error.response?.data?.message || 'Failed to resend OTP' };
+      return { success: false, error: error.message || 'Failed to resend OTP' };
     }
   };
 
@@ -164,27 +181,27 @@ export const AuthProvider = ({ children }) => {
       await authAPI.sendEmailOTP(email);
       return { success: true };
     } catch (error) {
-      return { success: false, error: error.response?.data?.message || 'Failed to send email OTP' };
+      return { success: false, error: error.message || 'Failed to send email OTP' };
     }
   };
 
   const verifyEmailOTP = async (otp) => {
     try {
       const response = await authAPI.verifyEmailOTP(otp);
-      updateUser(response.data.data.user);
-      return { success: true, data: response.data.data.user };
+      updateUser(response.data.user);
+      return { success: true, data: response.data.user };
     } catch (error) {
-      return { success: false, error: error.response?.data?.message || 'Email verification failed' };
+      return { success: false, error: error.message || 'Email verification failed' };
     }
   };
 
   const updateProfile = async (profileData) => {
     try {
       const response = await authAPI.updateProfile(profileData);
-      updateUser(response.data.data.user);
-      return { success: true, data: response.data.data.user };
+      updateUser(response.data.user);
+      return { success: true, data: response.data.user };
     } catch (error) {
-      return { success: false, error: error.response?.data?.message || 'Profile update failed' };
+      return { success: false, error: error.message || 'Profile update failed' };
     }
   };
 
@@ -0,0 +1,138 @@
+import { useState, useEffect, useCallback } from 'react';
+import outboxService, { generateClientMessageId } from '../services/outboxService';
+import uploadService from '../services/uploadService';
+import { getFileMessageType } from '../utils/fileUtils';
+
+const MAX_ATTACHMENTS = 10;
+
+const toUpload = (entry) => ({
+  clientMessageId: entry.clientMessageId,
+  file: entry.file,
+  fileName: entry.fileName,
+  type: entry.type,
+  caption: entry.content || '',
+  status: entry.status,
+  error: entry.error
+});
+
+/**
+ * Attachments for a chat: files picked, dropped or pasted but not sent yet
+ * (drafts, each with a caption), and file messages still uploading from the
+ * outbox with their progress. Uploads can be paused and resumed; large files
+ * pick up from the last uploaded chunk.
+ * @param {string} chatId - Chat ID
+ * @returns {Object} Tray state and actions
+ */
+const useAttachmentTray = (chatId) => {
+  const [drafts, setDrafts] = useState([]); // { id, file, type, caption }
+  const [uploads, setUploads] = useState([]); // toUpload(entry) plus progress
+
+  useEffect(() => {
+    setDrafts([]);
+    setUploads([]);
+    if (!chatId) return;
+
+    let cancelled = false;
+
+    // Uploads that survived a reload or a chat switch, with what the server
+    // already has of resumable ones
+    Promise.all([outboxService.getEntries(chatId), uploadService.ready]).then(([entries]) => {
+      if (cancelled) return;
+      setUploads(entries.filter(entry => entry.file).map(entry => ({
+        ...toUpload(entry),
+        progress: uploadService.getSavedProgress(entry.clientMessageId)
+      })));
+    });
+
+    const handleUpdated = (entry) => {
+      if (entry.chatId !== chatId || !entry.file) return;
+      setUploads((prev) => {
+        const existing = prev.find(upload => upload.clientMessageId === entry.clientMessageId);
+        // A retry starts the upload over
+        const progress = existing && !(existing.status === 'failed' && entry.status === 'pending') ? existing.progress : 0;
+        const upload = { ...toUpload(entry), progress };
+        return existing
+          ? prev.map(item => (item.clientMessageId === entry.clientMessageId ? upload : item))
+          : [...prev, upload];
+      });
+    };
+
+    const handleProgress = (data) => {
+      if (data.chatId !== chatId) return;
+      setUploads(prev => prev.map(upload => (
+        upload.clientMessageId === data.clientMessageId ? { ...upload, progress: data.progress } : upload
+      )));
+    };
+
+    const handleFinished = (data) => {
+      setUploads(prev => prev.filter(upload => upload.clientMessageId !== data.clientMessageId));
+    };
+
+    outboxService.on('updated', handleUpdated);
+    outboxService.on('progress', handleProgress);
+    outboxService.on('sent', handleFinished);
+    outboxService.on('discarded', handleFinished);
+
+    return () => {
+      cancelled = true;
+      outboxService.off('updated', handleUpdated);
+      outboxService.off('progress', handleProgress);
+      outboxService.off('sent', handleFinished);
+      outboxService.off('discarded', handleFinished);
+    };
+  }, [chatId]);
+
+  /**
+   * Add files to the tray, up to MAX_ATTACHMENTS. Empty files (e.g. dropped
+   * folders) are skipped.
+   * @param {FileList|File[]} files - Files to add
+   */
+  const addFiles = useCallback((files) => {
+    const added = Array.from(files)
+      .filter(file => file.size > 0)
+      .map(file => ({ id: generateClientMessageId(), file, type: getFileMessageType(file), caption: '' }));
+    if (added.length === 0) return;
+
+    setDrafts(prev => [...prev, ...added].slice(0, MAX_ATTACHMENTS));
+  }, []);
+
+  const removeDraft = useCallback((id) => {
+    setDrafts(prev => prev.filter(draft => draft.id !== id));
+  }, []);
+
+  const setCaption = useCallback((id, caption) => {
+    setDrafts(prev => prev.map(draft => (draft.id === id ? { ...draft, caption } : draft)));
+  }, []);
+
+  const clearDrafts = useCallback(() => setDrafts([]), []);
+
+  // Queued one by one so the messages arrive in tray order
+  const sendDrafts = useCallback(async () => {
+    setDrafts([]);
+    for (const draft of drafts) {
+      await outboxService.enqueueFile(chatId, draft.file, draft.type, { caption: draft.caption.trim() });
+    }
+  }, [chatId, drafts]);
+
+  const cancelUpload = useCallback((clientMessageId) => outboxService.discard(clientMessageId), []);
+  const retryUpload = useCallback((clientMessageId) => outboxService.retry(clientMessageId), []);
+  const pauseUpload = useCallback((clientMessageId) => outboxService.pause(clientMessageId), []);
+  const resumeUpload = useCallback((clientMessageId) => outboxService.resume(clientMessageId), []);
+
+  return {
+    drafts,
+    uploads,
+    maxAttachments: MAX_ATTACHMENTS,
+    addFiles,
+    removeDraft,
+    setCaption,
+    clearDrafts,
+    sendDrafts,
+    cancelUpload,
+    retryUpload,
+    pauseUpload,
+    resumeUpload
+  };
+};
+
+export default useAttachmentTray;
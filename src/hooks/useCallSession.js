@@ -0,0 +1,147 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import CallSession, { CALL_STATES } from '../services/callSession';
+
+const INITIAL_SNAPSHOT = {
+  state: CALL_STATES.IDLE,
+  endReason: null,
+  error: null,
+  call: null,
+  type: null,
+  isIncoming: false,
+  isMuted: false,
+  isVideoEnabled: false,
+  isScreenSharing: false,
+  quality: 'good',
+  stats: null,
+  localStream: null,
+  remoteStream: null,
+  connectedAt: null
+};
+
+const END_REASON_TEXT = {
+  rejected: 'Call rejected',
+  missed: 'Call missed',
+  failed: 'Call failed',
+  connection_lost: 'Connection lost'
+};
+
+/**
+ * Format a call duration as mm:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatCallDuration = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+const getStatusText = ({ state, isIncoming, endReason }, duration) => {
+  switch (state) {
+    case CALL_STATES.IDLE:
+    case CALL_STATES.CONNECTING:
+      return 'Connecting...';
+    case CALL_STATES.RINGING:
+      return isIncoming ? 'Incoming call' : 'Calling...';
+    case CALL_STATES.CONNECTED:
+      return formatCallDuration(duration);
+    case CALL_STATES.RECONNECTING:
+      return 'Reconnecting...';
+    default:
+      return END_REASON_TEXT[endReason] || 'Call ended';
+  }
+};
+
+/**
+ * Run a call through a CallSession for the lifetime of the component.
+ *
+ * Attach `localMediaRef` and `remoteMediaRef` to `<video>`/`<audio>`
+ * elements and they follow the session's streams. The speaker toggle only
+ * mutes playback here; it never touches the call.
+ *
+ * @param {Object} options - Call options
+ * @param {string} options.callId - Call ID; nothing starts without one
+ * @param {'audio'|'video'} options.type - Call type; read from the server when omitted
+ * @param {boolean} options.isIncoming - Whether the other side called; derived from userId when omitted
+ * @param {boolean} options.accepted - The incoming call was already accepted elsewhere
+ * @param {string} options.userId - Current user's ID
+ * @returns {Object} Call snapshot, duration, status text, media refs and controls
+ */
+const useCallSession = ({ callId, type, isIncoming, accepted = false, userId } = {}) => {
+  const [snapshot, setSnapshot] = useState(INITIAL_SNAPSHOT);
+  const [duration, setDuration] = useState(0);
+  const [isSpeakerEnabled, setIsSpeakerEnabled] = useState(true);
+  const sessionRef = useRef(null);
+
+  useEffect(() => {
+    if (!callId) return undefined;
+
+    const session = new CallSession({ callId, type, isIncoming, userId });
+    sessionRef.current = session;
+    setSnapshot(session.getSnapshot());
+    session.on('change', setSnapshot);
+    session.start({ accepted });
+
+    return () => {
+      session.off('change', setSnapshot);
+      session.destroy();
+      if (sessionRef.current === session) {
+        sessionRef.current = null;
+      }
+    };
+  }, [callId, type, isIncoming, accepted, userId]);
+
+  // Tick while the call is up; a reconnect keeps counting
+  const { connectedAt } = snapshot;
+  const isLive = snapshot.state === CALL_STATES.CONNECTED || snapshot.state === CALL_STATES.RECONNECTING;
+  useEffect(() => {
+    if (!isLive || !connectedAt) return undefined;
+
+    const tick = () => setDuration(Math.floor((Date.now() - connectedAt) / 1000));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [isLive, connectedAt]);
+
+  const { localStream, remoteStream } = snapshot;
+
+  const localMediaRef = useCallback((element) => {
+    if (element && element.srcObject !== localStream) {
+      element.srcObject = localStream;
+    }
+  }, [localStream]);
+
+  const remoteMediaRef = useCallback((element) => {
+    if (element && element.srcObject !== remoteStream) {
+      element.srcObject = remoteStream;
+      // Autoplay can be blocked until the user interacts with the page
+      element.play?.()?.catch(() => {});
+    }
+  }, [remoteStream]);
+
+  const accept = useCallback(() => sessionRef.current?.accept(), []);
+  const reject = useCallback((reason) => sessionRef.current?.reject(reason), []);
+  const hangup = useCallback((reason) => sessionRef.current?.hangup(reason), []);
+  const toggleMute = useCallback(() => sessionRef.current?.toggleMute(), []);
+  const toggleVideo = useCallback(() => sessionRef.current?.toggleVideo(), []);
+  const toggleScreenShare = useCallback(() => sessionRef.current?.toggleScreenShare(), []);
+  const toggleSpeaker = useCallback(() => setIsSpeakerEnabled(enabled => !enabled), []);
+
+  return {
+    ...snapshot,
+    duration,
+    statusText: getStatusText(snapshot, duration),
+    isSpeakerEnabled,
+    localMediaRef,
+    remoteMediaRef,
+    accept,
+    reject,
+    hangup,
+    toggleMute,
+    toggleVideo,
+    toggleScreenShare,
+    toggleSpeaker
+  };
+};
+
+export default useCallSession;
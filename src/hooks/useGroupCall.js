@@ -0,0 +1,109 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import GroupCallSession from '../services/groupCallSession';
+import { CALL_STATES } from '../services/callSession';
+import { formatCallDuration } from './useCallSession';
+
+const INITIAL_SNAPSHOT = {
+  state: CALL_STATES.IDLE,
+  endReason: null,
+  error: null,
+  call: null,
+  type: null,
+  participants: [],
+  localStream: null,
+  isMuted: false,
+  isVideoEnabled: false,
+  activeSpeakerId: null,
+  connectedAt: null,
+  openSlots: 0
+};
+
+const END_REASON_TEXT = {
+  rejected: 'Call declined',
+  missed: 'Call missed',
+  failed: 'Call failed',
+  left: 'You left the call'
+};
+
+const getStatusText = ({ state, endReason, participants }, duration) => {
+  switch (state) {
+    case CALL_STATES.IDLE:
+    case CALL_STATES.CONNECTING:
+      return 'Connecting...';
+    case CALL_STATES.RINGING:
+      return 'Incoming group call';
+    case CALL_STATES.CONNECTED: {
+      const joined = participants.filter(p => p.status === 'joined').length;
+      return joined > 0 ? formatCallDuration(duration) : 'Waiting for others to join...';
+    }
+    default:
+      return END_REASON_TEXT[endReason] || 'Call ended';
+  }
+};
+
+/**
+ * Run a group call through a GroupCallSession for the lifetime of the
+ * component.
+ *
+ * @param {Object} options - Call options
+ * @param {string} options.callId - Call ID; nothing starts without one
+ * @param {'audio'|'video'} options.type - Call type; read from the server when omitted
+ * @param {boolean} options.accepted - The invitation was already accepted elsewhere
+ * @param {string} options.userId - Current user's ID
+ * @returns {Object} Call snapshot, duration, status text and controls
+ */
+const useGroupCall = ({ callId, type, accepted = false, userId } = {}) => {
+  const [snapshot, setSnapshot] = useState(INITIAL_SNAPSHOT);
+  const [duration, setDuration] = useState(0);
+  const sessionRef = useRef(null);
+
+  useEffect(() => {
+    if (!callId) return undefined;
+
+    const session = new GroupCallSession({ callId, type, userId });
+    sessionRef.current = session;
+    setSnapshot(session.getSnapshot());
+    session.on('change', setSnapshot);
+    session.start({ accepted });
+
+    return () => {
+      session.off('change', setSnapshot);
+      session.destroy();
+      if (sessionRef.current === session) {
+        sessionRef.current = null;
+      }
+    };
+  }, [callId, type, accepted, userId]);
+
+  const { connectedAt } = snapshot;
+  const isLive = snapshot.state === CALL_STATES.CONNECTED;
+  useEffect(() => {
+    if (!isLive || !connectedAt) return undefined;
+
+    const tick = () => setDuration(Math.floor((Date.now() - connectedAt) / 1000));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [isLive, connectedAt]);
+
+  const accept = useCallback(() => sessionRef.current?.accept(), []);
+  const decline = useCallback((reason) => sessionRef.current?.decline(reason), []);
+  const leave = useCallback(() => sessionRef.current?.leave(), []);
+  const invite = useCallback(async (users) => sessionRef.current?.invite(users), []);
+  const toggleMute = useCallback(() => sessionRef.current?.toggleMute(), []);
+  const toggleVideo = useCallback(() => sessionRef.current?.toggleVideo(), []);
+
+  return {
+    ...snapshot,
+    duration,
+    statusText: getStatusText(snapshot, duration),
+    accept,
+    decline,
+    leave,
+    invite,
+    toggleMute,
+    toggleVideo
+  };
+};
+
+export default useGroupCall;
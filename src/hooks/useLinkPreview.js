@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import linkPreviewService from '../services/linkPreviewService';
+import usePreference from './usePreference';
+
+/**
+ * Resolve the preview for a URL
+ * @param {string|null} url - URL to preview, or null for none
+ * @returns {{preview: Object|null, loading: boolean}} Preview state
+ */
+const useLinkPreview = (url) => {
+  const [enabled] = usePreference('linkPreviews');
+  const [state, setState] = useState({ url: null, preview: null, loading: false });
+
+  useEffect(() => {
+    if (!url || enabled === false) {
+      setState({ url: null, preview: null, loading: false });
+      return;
+    }
+
+    const cached = linkPreviewService.getCached(url);
+    if (cached !== undefined) {
+      setState({ url, preview: cached, loading: false });
+      return;
+    }
+
+    let cancelled = false;
+    setState({ url, preview: null, loading: true });
+    linkPreviewService.getPreview(url).then((preview) => {
+      if (!cancelled) setState({ url, preview, loading: false });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, enabled]);
+
+  // Never hand out a preview that belongs to a previous URL
+  return state.url === url ? state : { preview: null, loading: !!url && enabled !== false };
+};
+
+export default useLinkPreview;
@@ -0,0 +1,25 @@
+import { useState, useEffect, useCallback } from 'react';
+import preferencesService from '../services/preferencesService';
+
+/**
+ * Read and update a device-level preference, re-rendering when it changes
+ * @param {string} key - Preference name
+ * @returns {[*, Function]} Current value and setter
+ */
+const usePreference = (key) => {
+  const [value, setValue] = useState(() => preferencesService.get(key));
+
+  useEffect(() => {
+    const handleChange = (preferences) => setValue(preferences[key]);
+
+    setValue(preferencesService.get(key));
+    preferencesService.on('change', handleChange);
+    return () => preferencesService.off('change', handleChange);
+  }, [key]);
+
+  const update = useCallback((next) => preferencesService.set(key, next), [key]);
+
+  return [value, update];
+};
+
+export default usePreference;
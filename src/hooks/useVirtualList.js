@@ -0,0 +1,200 @@
+import { useState, useRef, useEffect, useLayoutEffect, useCallback } from 'react';
+import { createVirtualScroller } from '../utils/performanceUtils';
+
+/**
+ * Windowed rendering for long lists with variable-height rows.
+ *
+ * Only the rows intersecting the viewport (plus overscan) are rendered; the
+ * rest of the list is represented by top/bottom padding computed from
+ * measured heights, falling back to `estimateSize` for rows that have never
+ * been on screen. Rows are measured with a ResizeObserver, so images loading
+ * or reactions being added are picked up automatically.
+ *
+ * Usage: put `listRef` on the element wrapping the rows, render
+ * `keys.slice(range.start, range.end)` between two spacers of height
+ * `paddingTop`/`paddingBottom`, and attach `measureElement` plus
+ * `data-virtual-key={key}` to each row.
+ *
+ * @param {Object} options - List options
+ * @param {React.RefObject<HTMLElement>} options.scrollRef - Scrollable container
+ * @param {string[]} options.keys - Stable row keys in display order
+ * @param {Function} options.estimateSize - (index) => estimated row height in px
+ * @param {number} options.overscan - Extra pixels rendered above and below the viewport
+ * @param {Function} options.shouldStickToBottom - Returns true when the list should stay
+ *   pinned to the bottom while rows resize (e.g. a chat scrolled to the latest message)
+ * @returns {Object} Range, spacer sizes, refs and scrollToIndex
+ */
+const useVirtualList = ({
+  scrollRef,
+  keys,
+  estimateSize = () => 80,
+  overscan = 400,
+  shouldStickToBottom = null
+}) => {
+  const estimateSizeRef = useRef(estimateSize);
+  estimateSizeRef.current = estimateSize;
+  const stickToBottomRef = useRef(shouldStickToBottom);
+  stickToBottomRef.current = shouldStickToBottom;
+
+  const scrollerRef = useRef(null);
+  if (!scrollerRef.current) {
+    scrollerRef.current = createVirtualScroller({
+      estimateSize: (index) => estimateSizeRef.current(index),
+      overscan
+    });
+  }
+  const scroller = scrollerRef.current;
+  scroller.setItems(keys);
+
+  const listRef = useRef(null);
+  const observerRef = useRef(null);
+  const observedElementsRef = useRef(new Set());
+  const boundContainerRef = useRef(null);
+  const pendingStickRef = useRef(false);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+  const [, setMeasureVersion] = useState(0);
+
+  // Distance from the top of the scroll content to the first row
+  const getListTop = useCallback(() => {
+    const container = scrollRef.current;
+    const list = listRef.current;
+    if (!container || !list) return 0;
+
+    return list.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+  }, [scrollRef]);
+
+  const updateRange = useCallback(() => {
+    const container = scrollRef.current;
+    if (!container || !listRef.current) return;
+
+    const next = scrollerRef.current.getRange(container.scrollTop - getListTop(), container.clientHeight);
+    setRange(prev => (prev.start === next.start && prev.end === next.end ? prev : next));
+  }, [scrollRef, getListTop]);
+
+  const getObserver = useCallback(() => {
+    if (!observerRef.current && typeof ResizeObserver !== 'undefined') {
+      observerRef.current = new ResizeObserver((entries) => {
+        const container = scrollRef.current;
+        const listTop = getListTop();
+        const sticking = !!stickToBottomRef.current?.();
+        let changed = false;
+
+        entries.forEach((entry) => {
+          const key = entry.target.dataset.virtualKey;
+          if (!entry.target.isConnected || key === undefined) return;
+
+          const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+          const index = scrollerRef.current.getIndexOfKey(key);
+          const delta = scrollerRef.current.setSize(key, height);
+          if (!delta) return;
+          changed = true;
+
+          // A row above the viewport changed height: shift the scroll position
+          // so the content the user is looking at stays put
+          if (!sticking && container && index !== -1 &&
+              listTop + scrollerRef.current.getOffset(index) < container.scrollTop) {
+            container.scrollTop += delta;
+          }
+        });
+
+        if (changed) {
+          pendingStickRef.current = sticking;
+          setMeasureVersion(version => version + 1);
+        }
+      });
+    }
+    return observerRef.current;
+  }, [scrollRef, getListTop]);
+
+  // Ref callback for rows
+  const measureElement = useCallback((element) => {
+    if (!element) return;
+
+    const observer = getObserver();
+    if (observer && !observedElementsRef.current.has(element)) {
+      observer.observe(element);
+      observedElementsRef.current.add(element);
+    }
+  }, [getObserver]);
+
+  // Runs after every render: bind to the container, drop unmounted rows,
+  // keep the bottom pinned if asked to, and recompute the visible range
+  useLayoutEffect(() => {
+    const container = scrollRef.current;
+
+    if (container !== boundContainerRef.current) {
+      boundContainerRef.current?.removeEventListener('scroll', updateRange);
+      if (container) {
+        container.addEventListener('scroll', updateRange, { passive: true });
+        // We compensate for row resizes ourselves
+        container.style.overflowAnchor = 'none';
+      }
+      boundContainerRef.current = container;
+    }
+
+    observedElementsRef.current.forEach((element) => {
+      if (!element.isConnected) {
+        observerRef.current?.unobserve(element);
+        observedElementsRef.current.delete(element);
+      }
+    });
+
+    if (pendingStickRef.current && container) {
+      container.scrollTop = container.scrollHeight;
+      pendingStickRef.current = false;
+    }
+
+    updateRange();
+  });
+
+  useEffect(() => {
+    window.addEventListener('resize', updateRange);
+    return () => window.removeEventListener('resize', updateRange);
+  }, [updateRange]);
+
+  useEffect(() => {
+    const observedElements = observedElementsRef.current;
+    return () => {
+      boundContainerRef.current?.removeEventListener('scroll', updateRange);
+      observerRef.current?.disconnect();
+      observedElements.clear();
+    };
+  }, [updateRange]);
+
+  /**
+   * Scroll a row into view, even if it isn't rendered yet
+   * @param {number} index - Row index
+   * @param {Object} options - Scroll options
+   * @param {'start'|'center'|'end'} options.align - Where to place the row
+   */
+  const scrollToIndex = useCallback((index, { align = 'start' } = {}) => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    const top = getListTop() + scrollerRef.current.getOffset(index);
+    const size = scrollerRef.current.getSize(index);
+
+    if (align === 'center') {
+      container.scrollTop = top - (container.clientHeight - size) / 2;
+    } else if (align === 'end') {
+      container.scrollTop = top + size - container.clientHeight;
+    } else {
+      container.scrollTop = top;
+    }
+    updateRange();
+  }, [scrollRef, getListTop, updateRange]);
+
+  const start = Math.min(range.start, keys.length);
+  const end = Math.min(range.end, keys.length);
+
+  return {
+    range: { start, end },
+    paddingTop: scroller.getOffset(start),
+    paddingBottom: scroller.getTotalSize() - scroller.getOffset(end),
+    listRef,
+    measureElement,
+    scrollToIndex
+  };
+};
+
+export default useVirtualList;
@@ -0,0 +1,241 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { getAudioContextClass, resampleLevels, DEFAULT_BAR_COUNT } from '../utils/audioWaveform';
+
+const LEVEL_SAMPLE_MS = 100;
+const LIVE_LEVEL_COUNT = 40; // Bars shown in the live waveform
+
+// Containers in order of preference; Safari only records mp4
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+const pickMimeType = () =>
+  MIME_TYPES.find(type => MediaRecorder.isTypeSupported?.(type)) || '';
+
+const getExtension = (mimeType) => {
+  if (mimeType.includes('ogg')) return 'ogg';
+  if (mimeType.includes('mp4')) return 'm4a';
+  return 'webm';
+};
+
+/**
+ * Recorded voice note
+ * @typedef {Object} VoiceRecording
+ * @property {File} file - Audio file ready to upload
+ * @property {string} url - Object URL for previewing
+ * @property {number} duration - Length in seconds
+ * @property {number[]} peaks - Waveform bar heights (0..1)
+ */
+
+/**
+ * Record audio from the microphone with MediaRecorder.
+ *
+ * While recording, `levels` holds the most recent input levels (0..1) for a
+ * live waveform. Stopping produces a `recording` for preview; cancelling
+ * throws the audio away.
+ *
+ * @param {Object} options - Recorder options
+ * @param {number} options.maxDuration - Recording stops automatically after this many seconds
+ * @returns {Object} Recorder state and controls
+ */
+const useVoiceRecorder = ({ maxDuration = 300 } = {}) => {
+  const [status, setStatus] = useState('idle'); // idle | requesting | recording | recorded
+  const [duration, setDuration] = useState(0);
+  const [levels, setLevels] = useState([]);
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState(null);
+
+  const recorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const audioContextRef = useRef(null);
+  const samplerRef = useRef(null);
+  const chunksRef = useRef([]);
+  const allLevelsRef = useRef([]);
+  const startedAtRef = useRef(0);
+  const discardRef = useRef(false);
+  const sessionRef = useRef(0); // Invalidates a pending getUserMedia when cancelled
+  const recordingUrlRef = useRef(null);
+
+  const isSupported = typeof navigator !== 'undefined' &&
+    !!navigator.mediaDevices?.getUserMedia &&
+    typeof MediaRecorder !== 'undefined';
+
+  // Release the microphone and the analyser
+  const releaseInput = useCallback(() => {
+    clearInterval(samplerRef.current);
+    samplerRef.current = null;
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    audioContextRef.current?.close().catch(() => {});
+    audioContextRef.current = null;
+  }, []);
+
+  const revokeRecordingUrl = useCallback(() => {
+    if (recordingUrlRef.current) {
+      URL.revokeObjectURL(recordingUrlRef.current);
+      recordingUrlRef.current = null;
+    }
+  }, []);
+
+  const start = useCallback(async () => {
+    if (!isSupported) {
+      setError('Voice recording is not supported in this browser');
+      return;
+    }
+    if (recorderRef.current) return;
+
+    const session = ++sessionRef.current;
+    revokeRecordingUrl();
+    setRecording(null);
+    setError(null);
+    setDuration(0);
+    setLevels([]);
+    setStatus('requesting');
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      console.error('[VOICE_RECORDER] ❌ Microphone access failed:', err);
+      if (session === sessionRef.current) {
+        setError(err.name === 'NotAllowedError'
+          ? 'Microphone access was denied'
+          : 'Could not access the microphone');
+        setStatus('idle');
+      }
+      return;
+    }
+
+    // Cancelled while the permission prompt was open
+    if (session !== sessionRef.current) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    streamRef.current = stream;
+    chunksRef.current = [];
+    allLevelsRef.current = [];
+    discardRef.current = false;
+
+    const mimeType = pickMimeType();
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    recorderRef.current = recorder;
+
+    recorder.ondataavailable = (event) => {
+      if (event.data?.size > 0) chunksRef.current.push(event.data);
+    };
+
+    recorder.onstop = () => {
+      const recordedDuration = (Date.now() - startedAtRef.current) / 1000;
+      recorderRef.current = null;
+      releaseInput();
+
+      if (discardRef.current || chunksRef.current.length === 0) {
+        setStatus('idle');
+        setLevels([]);
+        return;
+      }
+
+      const type = recorder.mimeType || mimeType || 'audio/webm';
+      const file = new File(chunksRef.current, `voice-note-${Date.now()}.${getExtension(type)}`, { type });
+      const url = URL.createObjectURL(file);
+      recordingUrlRef.current = url;
+
+      setRecording({
+        file,
+        url,
+        duration: recordedDuration,
+        peaks: resampleLevels(allLevelsRef.current, DEFAULT_BAR_COUNT)
+      });
+      setStatus('recorded');
+    };
+
+    // Sample the input level for the live waveform
+    let analyser = null;
+    const AudioContextClass = getAudioContextClass();
+    if (AudioContextClass) {
+      const audioContext = new AudioContextClass();
+      analyser = audioContext.createAnalyser();
+      analyser.fftSize = 1024;
+      audioContext.createMediaStreamSource(stream).connect(analyser);
+      audioContextRef.current = audioContext;
+    }
+
+    const samples = new Uint8Array(analyser?.fftSize || 0);
+    samplerRef.current = setInterval(() => {
+      if (analyser) {
+        analyser.getByteTimeDomainData(samples);
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+          const value = (samples[i] - 128) / 128;
+          sum += value * value;
+        }
+        // RMS is quiet for speech, so scale it up into a visible range
+        const level = Math.min(Math.sqrt(sum / samples.length) * 3, 1);
+        allLevelsRef.current.push(level);
+        setLevels(allLevelsRef.current.slice(-LIVE_LEVEL_COUNT));
+      }
+      setDuration((Date.now() - startedAtRef.current) / 1000);
+    }, LEVEL_SAMPLE_MS);
+
+    startedAtRef.current = Date.now();
+    recorder.start(250);
+    setStatus('recording');
+    console.log('[VOICE_RECORDER] 🎙️ Recording started', mimeType || '(default format)');
+  }, [isSupported, releaseInput, revokeRecordingUrl]);
+
+  // Finish recording and keep the audio for preview
+  const stop = useCallback(() => {
+    if (recorderRef.current?.state === 'recording') {
+      discardRef.current = false;
+      recorderRef.current.stop();
+    }
+  }, []);
+
+  // Throw the recording (or the recording in progress) away
+  const cancel = useCallback(() => {
+    sessionRef.current += 1;
+    discardRef.current = true;
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    } else {
+      releaseInput();
+      setStatus('idle');
+    }
+    revokeRecordingUrl();
+    setRecording(null);
+    setLevels([]);
+    setDuration(0);
+  }, [releaseInput, revokeRecordingUrl]);
+
+  // Stop at the length limit
+  useEffect(() => {
+    if (status === 'recording' && duration >= maxDuration) {
+      stop();
+    }
+  }, [status, duration, maxDuration, stop]);
+
+  useEffect(() => {
+    return () => {
+      discardRef.current = true;
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.stop();
+      }
+      releaseInput();
+      revokeRecordingUrl();
+    };
+  }, [releaseInput, revokeRecordingUrl]);
+
+  return {
+    isSupported,
+    status,
+    duration,
+    levels,
+    recording,
+    error,
+    start,
+    stop,
+    cancel,
+    clearError: () => setError(null)
+  };
+};
+
+export default useVoiceRecorder;
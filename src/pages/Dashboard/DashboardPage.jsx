@@ -25,9 +25,9 @@ const DashboardPage = () => {
       ]);
 
       setStats({
-        social: socialStats.data.data,
-        chat: chatStats.data.data,
-        status: statusStats.data.data
+        social: socialStats.data,
+        chat: chatStats.data,
+        status: statusStats.data
       });
     } catch (error) {
       console.error('Failed to fetch dashboard data:', error);
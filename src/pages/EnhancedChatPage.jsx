@@ -1,16 +1,22 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams } from 'react-router-dom';
-import { Phone, Video, MessageCircle, PhoneOff, Plus, MoreVertical } from 'lucide-react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Phone, Video, MessageCircle, PhoneOff, Plus, MoreVertical, Search, Images, Users } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import chatService from '../services/enhancedChatService';
 import messageService from '../services/enhancedMessageService';
 import callService from '../services/enhancedCallService';
 import enhancedSocketService from '../services/enhancedSocketService';
 import enhancedApiService from '../services/enhancedApiService';
+import routes from '../services/apiRoutes';
 import EnhancedChatList from '../components/Chat/EnhancedChatList';
 import EnhancedMessageList from '../components/Chat/EnhancedMessageList';
+import MediaGallery from '../components/Chat/MediaGallery';
+import ThreadPanel from '../components/Chat/ThreadPanel';
 import EnhancedAudioCall from '../components/Call/EnhancedAudioCall';
 import EnhancedVideoCall from '../components/Call/EnhancedVideoCall';
+import GroupCall from '../components/Call/GroupCall';
+import InviteParticipantsDialog from '../components/Call/InviteParticipantsDialog';
+import { MAX_GROUP_CALL_PARTICIPANTS } from '../services/groupCallSession';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import Button from '../components/UI/Button';
 
@@ -19,6 +25,8 @@ import Button from '../components/UI/Button';
  */
 const EnhancedChatPage = () => {
   const { chatId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const focusMessageId = searchParams.get('message'); // Deep link to a message, e.g. from search
   const { user } = useAuth();
   
   // State management
@@ -27,12 +35,24 @@ const EnhancedChatPage = () => {
   const [error, setError] = useState(null);
   const [activeCall, setActiveCall] = useState(null);
   const [incomingCall, setIncomingCall] = useState(null);
+  const [showGroupCallDialog, setShowGroupCallDialog] = useState(false);
   const [showChatList, setShowChatList] = useState(true);
   const [onlineUsers, setOnlineUsers] = useState(new Set());
+  const [showSearch, setShowSearch] = useState(false);
+  const [showMedia, setShowMedia] = useState(false);
+  const [threadRoot, setThreadRoot] = useState(null);
   const listenersSetupRef = useRef(false);
+  const activeCallRef = useRef(null); // For socket handlers registered once
+
+  useEffect(() => {
+    activeCallRef.current = activeCall;
+  }, [activeCall]);
 
   // Load chat details when chatId changes
   useEffect(() => {
+    setShowSearch(false);
+    setShowMedia(false);
+    setThreadRoot(null);
     if (chatId) {
       loadChatDetails(chatId);
       checkForActiveCall(chatId);
@@ -42,6 +62,24 @@ const EnhancedChatPage = () => {
     }
   }, [chatId]);
 
+  const closeSearch = useCallback(() => setShowSearch(false), []);
+  const closeThread = useCallback(() => setThreadRoot(null), []);
+
+  // Thread and media share the side panel slot
+  const openThread = useCallback((message) => {
+    setShowMedia(false);
+    setThreadRoot(message);
+  }, []);
+
+  // Open a gallery or thread item at its place in the conversation
+  const handleShowInChat = (message) => {
+    setSearchParams({ message: message._id });
+    if (window.innerWidth < 768) {
+      setShowMedia(false);
+      setThreadRoot(null);
+    }
+  };
+
   // Handle online users update from chat list
   const handleOnlineUsersUpdate = (newOnlineUsers) => {
     console.log('[CHAT_PAGE] 📡 Received online users update:', Array.from(newOnlineUsers));
@@ -59,7 +97,9 @@ const EnhancedChatPage = () => {
       console.log('[CHAT_PAGE] 🔑 Token preview:', token ? token.substring(0, 20) + '...' : 'none');
       
       // Use the enhanced API service for proper base URL and auth handling
-      const response = await enhancedApiService.get(`/user/status/online?t=${Date.now()}`);
+      const response = await enhancedApiService.get(routes.status.online(), {
+        params: { t: Date.now() }
+      });
       
       console.log('[CHAT_PAGE] 📡 API Response:', response);
       
@@ -221,6 +261,24 @@ const EnhancedChatPage = () => {
     }
   }, [activeCall]);
 
+  const handleGroupCallInitiate = useCallback(async (people, type) => {
+    if (activeCall) {
+      throw new Error('Another call is already active');
+    }
+
+    const result = await callService.initiateGroupCall(people.map(person => person._id), type, selectedChat?._id);
+    if (result.success) {
+      setActiveCall({
+        callId: result.callId,
+        chatId: result.chatId,
+        type: result.type,
+        status: result.status,
+        isGroup: true,
+        isIncoming: false
+      });
+    }
+  }, [activeCall, selectedChat]);
+
   const handleCallEnd = useCallback(() => {
     setActiveCall(null);
     setIncomingCall(null);
@@ -243,6 +301,11 @@ const EnhancedChatPage = () => {
       console.log('[CHAT_PAGE] 🔍 Current activeCall before update:', prev);
       console.log('[CHAT_PAGE] 🔍 Current activeCall type:', prev?.type);
       
+      // Group calls track who joined themselves
+      if (prev?.isGroup) {
+        return prev;
+      }
+
       if (prev && prev.callId === callData.callId) {
         console.log('[CHAT_PAGE] 🔄 Updating existing activeCall status to connected');
         const updated = { ...prev, status: 'connected' };
@@ -259,7 +322,9 @@ const EnhancedChatPage = () => {
           timestamp: callData.timestamp,
           chatId: callData.chatId,
           otherUser: callData.otherUser,
-          isIncoming: false
+          // Our own acceptance can arrive before acceptCall() resolves; the
+          // call screen works out which side we are from the call's initiator
+          isIncoming: undefined
         };
         console.log('[CHAT_PAGE] 🆕 New activeCall:', newActiveCall);
         return newActiveCall;
@@ -273,6 +338,8 @@ const EnhancedChatPage = () => {
   const handleCallRejected = useCallback((callData) => {
     console.log('[CHAT_PAGE] 📞 Call rejected:', callData);
     setIncomingCall(null);
+    // One person declining doesn't end a group call
+    if (activeCallRef.current?.isGroup) return;
     setActiveCall(null);
     setError('Call was rejected');
   }, []);
@@ -297,14 +364,20 @@ const EnhancedChatPage = () => {
       const result = await callService.acceptCall(incomingCall.callId);
       
       if (result.success) {
-        setActiveCall({
-          callId: incomingCall.callId,
-          chatId: incomingCall.chatId,
-          type: incomingCall.type,
-          status: 'connected',
-          otherUser: incomingCall.otherUser,
-          isIncoming: false
-        });
+        // call_accepted may have opened the call screen already; changing its
+        // props now would tear the running call down and start it again
+        setActiveCall(prev => (prev?.callId === incomingCall.callId && !!prev.isGroup === !!incomingCall.isGroup
+          ? prev
+          : {
+            callId: incomingCall.callId,
+            chatId: incomingCall.chatId,
+            type: incomingCall.type,
+            status: 'connected',
+            otherUser: incomingCall.otherUser,
+            isGroup: !!incomingCall.isGroup,
+            // Already accepted: the call screen answers the caller's offer
+            isIncoming: true
+          }));
         setIncomingCall(null);
       }
     } catch (error) {
@@ -415,6 +488,31 @@ const EnhancedChatPage = () => {
               </div>
               
               <div className="flex items-center space-x-3">
+                <Button
+                  variant="ghost"
+                  size="small"
+                  onClick={() => setShowSearch(!showSearch)}
+                  title="Search in conversation"
+                  className={`p-3 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 ${
+                    showSearch ? 'bg-gray-100 dark:bg-gray-700' : ''
+                  }`}
+                >
+                  <Search className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="small"
+                  onClick={() => {
+                    setShowMedia(!showMedia);
+                    setThreadRoot(null);
+                  }}
+                  title="Shared media"
+                  className={`p-3 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 ${
+                    showMedia ? 'bg-gray-100 dark:bg-gray-700' : ''
+                  }`}
+                >
+                  <Images className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+                </Button>
                 <Button
                   variant="ghost"
                   size="small"
@@ -433,6 +531,16 @@ const EnhancedChatPage = () => {
                 >
                   <Video className="w-5 h-5 text-primary-600 dark:text-primary-400 group-hover:scale-110 transition-transform" />
                 </Button>
+                <Button
+                  variant="ghost"
+                  size="small"
+                  onClick={() => setShowGroupCallDialog(true)}
+                  disabled={!!activeCall}
+                  title="Group call"
+                  className="p-3 hover:bg-primary-100 dark:hover:bg-primary-900/30 rounded-xl group"
+                >
+                  <Users className="w-5 h-5 text-primary-600 dark:text-primary-400 group-hover:scale-110 transition-transform" />
+                </Button>
                 <Button
                   variant="ghost"
                   size="small"
@@ -444,12 +552,42 @@ const EnhancedChatPage = () => {
             </div>
 
             {/* Enhanced Messages */}
-            <div className="flex-1 overflow-hidden">
-              <EnhancedMessageList
-                chatId={selectedChat._id}
-                onCallInitiate={handleCallInitiate}
-                className="h-full"
-              />
+            <div className="flex-1 flex overflow-hidden">
+              <div className="flex-1 min-w-0 overflow-hidden">
+                <EnhancedMessageList
+                  chatId={selectedChat._id}
+                  focusMessageId={focusMessageId}
+                  participants={[user, selectedChat.otherParticipant].filter(Boolean)}
+                  showSearch={showSearch}
+                  onCloseSearch={closeSearch}
+                  onOpenThread={openThread}
+                  onCallInitiate={handleCallInitiate}
+                  className="h-full"
+                />
+              </div>
+
+              {/* Shared media panel */}
+              {showMedia && (
+                <MediaGallery
+                  key={selectedChat._id}
+                  chatId={selectedChat._id}
+                  onClose={() => setShowMedia(false)}
+                  onShowInChat={handleShowInChat}
+                  className="fixed inset-0 z-40 md:static md:z-auto md:w-96"
+                />
+              )}
+
+              {/* Thread panel */}
+              {threadRoot && (
+                <ThreadPanel
+                  key={threadRoot._id}
+                  chatId={selectedChat._id}
+                  rootMessage={threadRoot}
+                  onClose={closeThread}
+                  onShowInChat={handleShowInChat}
+                  className="fixed inset-0 z-40 md:static md:z-auto md:w-96"
+                />
+              )}
             </div>
           </>
         ) : (
@@ -483,6 +621,16 @@ const EnhancedChatPage = () => {
           {(() => {
             console.log('[CHAT_PAGE] 🎯 Rendering call component for type:', activeCall.type);
             console.log('[CHAT_PAGE] 🎯 Active call details:', activeCall);
+            if (activeCall.isGroup) {
+              return (
+                <GroupCall
+                  callId={activeCall.callId}
+                  type={activeCall.type}
+                  accepted={activeCall.isIncoming && activeCall.status === 'connected'}
+                  onCallEnd={handleCallEnd}
+                />
+              );
+            }
             return activeCall.type === 'audio' ? (
               <EnhancedAudioCall
                 chatId={activeCall.chatId}
@@ -506,6 +654,18 @@ const EnhancedChatPage = () => {
         </div>
       )}
 
+      {/* Group call setup */}
+      {showGroupCallDialog && (
+        <InviteParticipantsDialog
+          title="Start a group call"
+          initialSelection={[selectedChat?.otherParticipant].filter(Boolean)}
+          maxSelectable={MAX_GROUP_CALL_PARTICIPANTS - 1}
+          chooseType
+          onConfirm={handleGroupCallInitiate}
+          onClose={() => setShowGroupCallDialog(false)}
+        />
+      )}
+
       {/* Enhanced Incoming Call Notification */}
       {incomingCall && !activeCall && (
         <div className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-6">
@@ -524,14 +684,16 @@ const EnhancedChatPage = () => {
               
               <div className="mb-6">
                 <h3 className="heading-4 text-gray-900 dark:text-white mb-2">
-                  {incomingCall.type === 'audio' ? '📞 Incoming Audio Call' : '📹 Incoming Video Call'}
+                  {incomingCall.isGroup
+                    ? `👥 Incoming Group ${incomingCall.type === 'audio' ? 'Audio' : 'Video'} Call`
+                    : incomingCall.type === 'audio' ? '📞 Incoming Audio Call' : '📹 Incoming Video Call'}
                 </h3>
                 
                 <p className="text-muted text-lg">
                   {incomingCall.otherUser?.fullName || incomingCall.otherUser?.username}
                 </p>
                 <p className="text-sm text-subtle mt-1">
-                  is calling you
+                  {incomingCall.isGroup ? 'is inviting you to a group call' : 'is calling you'}
                 </p>
               </div>
               
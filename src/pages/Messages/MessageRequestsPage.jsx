@@ -26,10 +26,10 @@ const MessageRequestsPage = () => {
     try {
       if (activeTab === 'pending') {
         const response = await messageRequestAPI.getPendingRequests();
-        setPendingRequests(response.data.data.messageRequests);
+        setPendingRequests(response.data.messageRequests);
       } else {
         const response = await messageRequestAPI.getSentRequests();
-        setSentRequests(response.data.data.messageRequests);
+        setSentRequests(response.data.messageRequests);
       }
     } catch (error) {
       setError('Failed to fetch message requests');
@@ -42,12 +42,12 @@ const MessageRequestsPage = () => {
     setProcessingRequest(requestId);
     try {
       const result = await messageRequestAPI.acceptMessageRequest(requestId);
-      if (result.data.success) {
+      if (result.success) {
         setSuccess('Message request accepted!');
         setPendingRequests(prev => prev.filter(req => req._id !== requestId));
         // Navigate to chat or show success
       } else {
-        setError(result.data.message || 'Failed to accept request');
+        setError(result.message || 'Failed to accept request');
       }
     } catch (error) {
       setError('Failed to accept message request');
@@ -60,11 +60,11 @@ const MessageRequestsPage = () => {
     setProcessingRequest(requestId);
     try {
       const result = await messageRequestAPI.rejectMessageRequest(requestId);
-      if (result.data.success) {
+      if (result.success) {
         setSuccess('Message request rejected!');
         setPendingRequests(prev => prev.filter(req => req._id !== requestId));
       } else {
-        setError(result.data.message || 'Failed to reject request');
+        setError(result.message || 'Failed to reject request');
       }
     } catch (error) {
       setError('Failed to reject message request');
@@ -77,11 +77,11 @@ const MessageRequestsPage = () => {
     setProcessingRequest(requestId);
     try {
       const result = await messageRequestAPI.deleteMessageRequest(requestId);
-      if (result.data.success) {
+      if (result.success) {
         setSuccess('Message request deleted!');
         setSentRequests(prev => prev.filter(req => req._id !== requestId));
       } else {
-        setError(result.data.message || 'Failed to delete request');
+        setError(result.message || 'Failed to delete request');
       }
     } catch (error) {
       setError('Failed to delete message request');
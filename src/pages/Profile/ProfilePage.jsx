@@ -106,12 +106,14 @@ const ProfilePage = () => {
         setSuccess(`${type === 'profile' ? 'Profile picture' : 'ID proof'} uploaded successfully!`);
         // Refresh user data
         const profileResponse = await authAPI.getProfile();
-        updateUser(profileResponse.data.data.user);
+        updateUser(profileResponse.data.user);
       } else {
         setError(result.error);
       }
     } catch (error) {
-      setError(`Failed to upload ${type === 'profile' ? 'profile picture' : 'ID proof'}`);
+      setError(error.type === 'metadata_error'
+        ? error.message
+        : `Failed to upload ${type === 'profile' ? 'profile picture' : 'ID proof'}`);
     } finally {
       setUploading(false);
     }
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { authAPI, statusAPI } from '../../utils/api';
+import usePreference from '../../hooks/usePreference';
 import Button from '../../components/UI/Button';
 import Input from '../../components/UI/Input';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
@@ -24,6 +25,9 @@ const SettingsPage = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [activeTab, setActiveTab] = useState('account');
+  const [linkPreviews, setLinkPreviews] = usePreference('linkPreviews');
+  const [readReceipts, setReadReceipts] = usePreference('readReceipts');
+  const [iceTransportPolicy, setIceTransportPolicy] = usePreference('iceTransportPolicy');
 
   // Settings state
   const [settings, setSettings] = useState({
@@ -80,8 +84,8 @@ const SettingsPage = () => {
     try {
       // Fetch user settings from API
       const response = await authAPI.getProfile();
-      if (response.data.success) {
-        const userData = response.data.data.user;
+      if (response.success) {
+        const userData = response.data.user;
         setSettings(prev => ({
           ...prev,
           account: {
@@ -125,13 +129,13 @@ const SettingsPage = () => {
           break;
         default:
           // For other settings, you would have specific API endpoints
-          result = { data: { success: true } };
+          result = { success: true };
       }
 
-      if (result.data.success) {
+      if (result.success) {
         setSuccess(`${category} settings saved successfully!`);
       } else {
-        setError(result.data.message || 'Failed to save settings');
+        setError(result.message || 'Failed to save settings');
       }
     } catch (error) {
       setError(`Failed to save ${category} settings`);
@@ -285,6 +289,52 @@ const SettingsPage = () => {
           Save Changes
         </Button>
       </div>
+
+      {/* Device preferences apply immediately and are not synced */}
+      <div className="pt-6 border-t border-secondary-200">
+        <h3 className="text-lg font-semibold text-secondary-900 mb-1">On This Device</h3>
+        <p className="text-sm text-secondary-600 mb-4">These settings are saved in this browser as soon as you change them.</p>
+        <div className="flex items-center justify-between">
+          <div>
+            <h4 className="font-medium text-secondary-900">Link Previews</h4>
+            <p className="text-sm text-secondary-600">
+              Fetch titles and images for links in messages. When off, linked sites aren't contacted until you open a link.
+            </p>
+          </div>
+          <button
+            onClick={() => setLinkPreviews(linkPreviews === false)}
+            className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+              linkPreviews !== false ? 'bg-primary-600' : 'bg-secondary-300'
+            }`}
+          >
+            <span
+              className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                linkPreviews !== false ? 'translate-x-6' : 'translate-x-1'
+              }`}
+            />
+          </button>
+        </div>
+        <div className="flex items-center justify-between mt-4">
+          <div>
+            <h4 className="font-medium text-secondary-900">Read Receipts</h4>
+            <p className="text-sm text-secondary-600">
+              Let senders see when you've read their messages. They still see when messages are delivered.
+            </p>
+          </div>
+          <button
+            onClick={() => setReadReceipts(readReceipts === false)}
+            className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+              readReceipts !== false ? 'bg-primary-600' : 'bg-secondary-300'
+            }`}
+          >
+            <span
+              className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                readReceipts !== false ? 'translate-x-6' : 'translate-x-1'
+              }`}
+            />
+          </button>
+        </div>
+      </div>
     </div>
   );
 
@@ -354,6 +404,32 @@ const SettingsPage = () => {
           </div>
         </div>
       </div>
+
+      {/* Device preferences apply immediately and are not synced */}
+      <div className="pt-6 border-t border-secondary-200">
+        <h3 className="text-lg font-semibold text-secondary-900 mb-1">On This Device</h3>
+        <p className="text-sm text-secondary-600 mb-4">These settings are saved in this browser as soon as you change them.</p>
+        <div className="flex items-center justify-between">
+          <div>
+            <h4 className="font-medium text-secondary-900">Relay-Only Calls</h4>
+            <p className="text-sm text-secondary-600">
+              Route call audio and video through the relay server so the other person never sees your IP address. Calls may take longer to connect and use more bandwidth on the relay.
+            </p>
+          </div>
+          <button
+            onClick={() => setIceTransportPolicy(iceTransportPolicy === 'relay' ? 'all' : 'relay')}
+            className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+              iceTransportPolicy === 'relay' ? 'bg-primary-600' : 'bg-secondary-300'
+            }`}
+          >
+            <span
+              className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                iceTransportPolicy === 'relay' ? 'translate-x-6' : 'translate-x-1'
+              }`}
+            />
+          </button>
+        </div>
+      </div>
     </div>
   );
 
@@ -26,10 +26,10 @@ const FollowRequestsPage = () => {
     try {
       if (activeTab === 'pending') {
         const response = await socialAPI.getPendingFollowRequests();
-        setPendingRequests(response.data.data.followRequests);
+        setPendingRequests(response.data.followRequests);
       } else {
         const response = await socialAPI.getSentFollowRequests();
-        setSentRequests(response.data.data.followRequests);
+        setSentRequests(response.data.followRequests);
       }
     } catch (error) {
       setError('Failed to fetch follow requests');
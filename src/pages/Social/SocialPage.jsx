@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { socialAPI } from '../../utils/api';
+import searchService from '../../services/searchService';
 import Button from '../../components/UI/Button';
 import Input from '../../components/UI/Input';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
@@ -30,15 +31,15 @@ const SocialPage = () => {
       switch (activeTab) {
         case 'followers':
           const followersRes = await socialAPI.getFollowers();
-          setFollowers(followersRes.data.data.followers);
+          setFollowers(followersRes.data.followers);
           break;
         case 'following':
           const followingRes = await socialAPI.getFollowing();
-          setFollowing(followingRes.data.data.following);
+          setFollowing(followingRes.data.following);
           break;
         case 'blocked':
           const blockedRes = await socialAPI.getBlockedUsers();
-          setBlockedUsers(blockedRes.data.data.blockedUsers);
+          setBlockedUsers(blockedRes.data.blockedUsers);
           break;
         default:
           break;
@@ -127,13 +128,8 @@ const SocialPage = () => {
 
     setLoading(true);
     try {
-      // This would be a search API call - implementing basic search for now
-      // In a real app, you'd have a search endpoint
-      const searchRes = await socialAPI.getFollowing(); // Placeholder
-      setSearchResults(searchRes.data.data.following.filter(user => 
-        user.username.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        user.fullName.toLowerCase().includes(searchQuery.toLowerCase())
-      ));
+      const people = await searchService.searchPeople(searchQuery.trim());
+      setSearchResults(people);
     } catch (error) {
       setError('Search failed');
     } finally {
@@ -79,10 +79,10 @@ const StatusPage = () => {
         statusAPI.getRecentlyActiveUsers()
       ]);
 
-      setUserStatus(userStatusRes.data.data.status);
-      setOnlineUsers(onlineUsersRes.data.data.users);
-      setRecentlyActiveUsers(recentUsersRes.data.data.users);
-      setStatusMessage(userStatusRes.data.data.status.statusMessage || '');
+      setUserStatus(userStatusRes.data.status);
+      setOnlineUsers(onlineUsersRes.data.users);
+      setRecentlyActiveUsers(recentUsersRes.data.users);
+      setStatusMessage(userStatusRes.data.status.statusMessage || '');
     } catch (error) {
       setError('Failed to fetch status data');
     } finally {
@@ -102,7 +102,7 @@ const StatusPage = () => {
       };
 
       const result = await statusAPI.updateUserStatus(statusData);
-      if (result.data.success) {
+      if (result.success) {
         setUserStatus(prev => ({ ...prev, ...statusData }));
         setEditingStatus(false);
         setSuccess('Status updated successfully!');
@@ -110,7 +110,7 @@ const StatusPage = () => {
         // Emit status update via socket
         enhancedSocketService.updateStatus(statusData);
       } else {
-        setError(result.data.message || 'Failed to update status');
+        setError(result.message || 'Failed to update status');
       }
     } catch (error) {
       setError('Failed to update status');
@@ -124,7 +124,7 @@ const StatusPage = () => {
     
     try {
       const result = await statusAPI.updatePrivacySettings(privacyData);
-      if (result.data.success) {
+      if (result.success) {
         setUserStatus(prev => ({
           ...prev,
           privacySettings: { ...prev.privacySettings, ...privacyData }
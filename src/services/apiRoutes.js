@@ -0,0 +1,128 @@
+/**
+ * API route table shared by the `*API` objects in utils/api.js and the
+ * enhanced*Service classes.
+ *
+ * Paths are relative to the API root. The base URL and version prefix
+ * (`VITE_API_URL` + `VITE_API_PREFIX`) are applied once by ApiService, so a
+ * route must never include them itself.
+ */
+const routes = {
+  auth: {
+    sendOtp: () => '/user/auth/send-otp',
+    verifyOtp: () => '/user/auth/verify-otp',
+    resendOtp: () => '/user/auth/resend-otp',
+    sendEmailOtp: () => '/user/auth/email/send-otp',
+    verifyEmailOtp: () => '/user/auth/email/verify-otp',
+    resendEmailOtp: () => '/user/auth/email/resend-otp',
+    profile: () => '/user/auth/profile',
+    me: () => '/user/auth/me',
+    refresh: () => '/user/auth/refresh',
+  },
+
+  social: {
+    followRequest: (userId) => `/user/social/follow-request/${userId}`,
+    acceptFollowRequest: (requestId) => `/user/social/follow-request/${requestId}/accept`,
+    rejectFollowRequest: (requestId) => `/user/social/follow-request/${requestId}/reject`,
+    cancelFollowRequest: (requestId) => `/user/social/follow-request/${requestId}/cancel`,
+    pendingFollowRequests: () => '/user/social/follow-requests/pending',
+    sentFollowRequests: () => '/user/social/follow-requests/sent',
+    follow: (userId) => `/user/social/follow/${userId}`,
+    followers: () => '/user/social/followers',
+    following: () => '/user/social/following',
+    block: (userId) => `/user/social/block/${userId}`,
+    blocked: () => '/user/social/blocked',
+    report: (userId) => `/user/social/report/${userId}`,
+    reports: () => '/user/social/reports',
+    stats: () => '/user/social/social-stats',
+    searchUsers: () => '/user/social/search',
+  },
+
+  chats: {
+    list: () => '/user/chats',
+    withUser: (userId) => `/user/chats/${userId}`,
+    detail: (chatId) => `/user/chats/${chatId}`,
+    search: () => '/user/chats/search',
+    stats: () => '/user/chats/stats',
+    typing: (chatId) => `/user/chats/${chatId}/typing`,
+    join: (chatId) => `/user/chats/${chatId}/join`,
+    leave: (chatId) => `/user/chats/${chatId}/leave`,
+  },
+
+  messages: {
+    list: (chatId) => `/user/messages/chats/${chatId}/messages`,
+    read: (chatId) => `/user/messages/chats/${chatId}/messages/read`,
+    search: (chatId) => `/user/messages/chats/${chatId}/messages/search`,
+    media: (chatId) => `/user/messages/chats/${chatId}/media`,
+    detail: (messageId) => `/user/messages/${messageId}`,
+    bulkDelete: () => '/user/messages/bulk-delete',
+    react: (messageId) => `/user/messages/${messageId}/react`,
+    forward: (messageId) => `/user/messages/${messageId}/forward`,
+    download: (messageId) => `/user/messages/${messageId}/download`,
+    thread: (messageId) => `/user/messages/${messageId}/thread`,
+    receipts: (messageId) => `/user/messages/${messageId}/receipts`,
+    linkPreview: () => '/user/messages/link-preview',
+  },
+
+  messageRequests: {
+    toUser: (userId) => `/user/message-requests/${userId}`,
+    pending: () => '/user/message-requests/pending',
+    sent: () => '/user/message-requests/sent',
+    accept: (requestId) => `/user/message-requests/${requestId}/accept`,
+    reject: (requestId) => `/user/message-requests/${requestId}/reject`,
+    detail: (requestId) => `/user/message-requests/${requestId}`,
+    stats: () => '/user/message-requests/stats',
+    between: (userId) => `/user/message-requests/between/${userId}`,
+  },
+
+  status: {
+    self: () => '/user/status',
+    user: (userId) => `/user/status/${userId}`,
+    online: () => '/user/status/online',
+    offline: () => '/user/status/offline',
+    recent: () => '/user/status/recent',
+    batch: () => '/user/status/batch',
+    privacy: () => '/user/status/privacy',
+    stats: () => '/user/status/stats',
+  },
+
+  calls: {
+    initiate: () => '/user/calls/initiate',
+    accept: (callId) => `/user/calls/${callId}/accept`,
+    reject: (callId) => `/user/calls/${callId}/reject`,
+    end: (callId) => `/user/calls/${callId}/end`,
+    status: (callId) => `/user/calls/${callId}/status`,
+    settings: (callId) => `/user/calls/${callId}/settings`,
+    signaling: (callId) => `/user/calls/${callId}/signaling`,
+    quality: (callId) => `/user/calls/${callId}/quality`,
+    history: (chatId) => `/user/calls/chats/${chatId}/call-history`,
+    active: (chatId) => `/user/calls/chats/${chatId}/active-call`,
+    cleanup: (chatId) => `/user/calls/chats/${chatId}/cleanup`,
+    stats: () => '/user/calls/stats',
+    iceServers: () => '/user/calls/ice-servers',
+    invite: (callId) => `/user/calls/${callId}/invite`,
+    leave: (callId) => `/user/calls/${callId}/leave`,
+  },
+
+  upload: {
+    profilePicture: () => '/user/upload/profile-picture',
+    idProof: () => '/user/upload/id-proof',
+    sessions: () => '/user/upload/sessions',
+    session: (uploadId) => `/user/upload/sessions/${uploadId}`,
+    chunk: (uploadId, index) => `/user/upload/sessions/${uploadId}/chunks/${index}`,
+    complete: (uploadId) => `/user/upload/sessions/${uploadId}/complete`,
+  },
+
+  catalog: {
+    root: () => '/user/catalog',
+    list: (listType) => `/user/catalog/${listType}`,
+    add: () => '/user/catalog/add',
+    remove: () => '/user/catalog/remove',
+  },
+
+  username: {
+    available: () => '/user/username/available',
+    suggest: () => '/user/username/suggest',
+  },
+};
+
+export default routes;
@@ -0,0 +1,849 @@
+import callService from './enhancedCallService';
+import enhancedSocketService from './enhancedSocketService';
+import iceServerService from './iceServerService';
+import CallStatsCollector from './callStatsCollector';
+
+/**
+ * Call lifecycle states
+ */
+export const CALL_STATES = {
+  IDLE: 'idle',
+  RINGING: 'ringing',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  ENDED: 'ended'
+};
+
+// Allowed transitions; anything else is ignored
+const TRANSITIONS = {
+  idle: ['ringing', 'connecting', 'ended'],
+  ringing: ['connecting', 'ended'],
+  connecting: ['connected', 'ended'],
+  connected: ['reconnecting', 'ended'],
+  reconnecting: ['connected', 'ended'],
+  ended: []
+};
+
+const AUDIO_CONSTRAINTS = { echoCancellation: true, noiseSuppression: true, autoGainControl: true };
+const VIDEO_CONSTRAINTS = { width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: 30 } };
+const STATS_INTERVAL = 2000; // 2 seconds
+const QUALITY_REPORT_INTERVAL = 30000; // Summaries sent to the server
+const RECONNECT_TIMEOUT = 20000; // End the call if it hasn't recovered by then
+const ICE_RESTART_DELAY = 2000; // A brief 'disconnected' often recovers by itself
+const ICE_RESTART_INTERVAL = 5000; // Retry while still reconnecting
+
+// Server call statuses that mean the call is already over, with the end reason
+const SERVER_END_REASONS = { ended: 'remote_ended', rejected: 'rejected', missed: 'missed', failed: 'failed' };
+
+/**
+ * Transport for call control and WebRTC signaling. Every method returns a
+ * promise; `subscribe` returns an unsubscribe function.
+ * @typedef {Object} CallSignaling
+ * @property {Function} getStatus - (callId) → `{ call, type, status, initiator, webrtcData }`
+ * @property {Function} accept - (callId)
+ * @property {Function} reject - (callId, reason)
+ * @property {Function} end - (callId, reason)
+ * @property {Function} updateSettings - (callId, settings)
+ * @property {Function} sendOffer - (callId, offer, { iceRestart })
+ * @property {Function} sendAnswer - (callId, answer)
+ * @property {Function} sendIceCandidate - (callId, candidate)
+ * @property {Function} reportQuality - (callId, summary) from CallStatsCollector.summarize()
+ * @property {Function} subscribe - ({ offer, answer, iceCandidate, accepted, rejected, ended }) → unsubscribe
+ */
+
+/**
+ * Snapshot of a call for the UI
+ * @typedef {Object} CallSnapshot
+ * @property {string} state - One of CALL_STATES
+ * @property {string|null} endReason - hangup, rejected, remote_ended, missed, failed, connection_lost or left
+ * @property {string|null} error - Last error message
+ * @property {Object|null} call - Call record from the server
+ * @property {string|null} type - audio or video
+ * @property {boolean} isIncoming - Whether the other side called
+ * @property {boolean} isMuted - Microphone muted
+ * @property {boolean} isVideoEnabled - Camera on
+ * @property {boolean} isScreenSharing - Screen shared instead of the camera
+ * @property {string} quality - excellent, good, fair or poor
+ * @property {import('./callStatsCollector').CallStats|null} stats - Latest stats sample
+ * @property {MediaStream|null} localStream - Local preview (the shared screen while sharing)
+ * @property {MediaStream|null} remoteStream - Remote audio/video
+ * @property {number|null} connectedAt - When media first flowed (ms)
+ */
+
+/**
+ * Signaling over the call REST API, with remote events from the socket
+ * @type {CallSignaling}
+ */
+export const defaultSignaling = {
+  getStatus: (callId) => callService.getCallStatus(callId),
+  accept: (callId) => callService.acceptCall(callId),
+  reject: (callId, reason) => callService.rejectCall(callId, reason),
+  end: (callId, reason) => callService.endCall(callId, reason),
+  updateSettings: (callId, settings) => callService.updateCallSettings(callId, settings),
+  sendOffer: (callId, offer, options) => callService.sendOffer(callId, offer, options),
+  sendAnswer: (callId, answer) => callService.sendAnswer(callId, answer),
+  sendIceCandidate: (callId, candidate) => callService.sendIceCandidate(callId, candidate),
+  reportQuality: (callId, summary) => callService.updateCallQuality(callId, summary),
+  subscribe(handlers) {
+    const events = {
+      webrtc_offer: handlers.offer,
+      webrtc_answer: handlers.answer,
+      webrtc_ice_candidate: handlers.iceCandidate,
+      call_accepted: handlers.accepted,
+      call_rejected: handlers.rejected,
+      call_ended: handlers.ended
+    };
+    Object.entries(events).forEach(([event, handler]) => enhancedSocketService.on(event, handler));
+    return () => Object.entries(events).forEach(([event, handler]) => enhancedSocketService.off(event, handler));
+  }
+};
+
+const getUserId = (user) => (user && typeof user === 'object' ? user._id || user.id : user);
+
+/**
+ * One audio/video call between two people: media, the peer connection,
+ * offer/answer, ICE candidate queueing, quality monitoring and cleanup.
+ *
+ * While connected, stats are sampled every STATS_INTERVAL (see
+ * CallStatsCollector) to drive `quality` and `stats`, and a summary is
+ * reported to the server every QUALITY_REPORT_INTERVAL and when the call ends.
+ *
+ * Framework-agnostic: the UI subscribes to `change` and renders the
+ * snapshot. Signaling, the peer connection and media capture are injected,
+ * so the session runs against fakes outside the browser.
+ *
+ * States: idle → ringing → connecting → connected ⇄ reconnecting → ended.
+ * The caller sends its offer while ringing; the callee answers once it has
+ * accepted. Candidates that arrive before the remote description are queued.
+ *
+ * When the network changes (connection 'disconnected'/'failed', or the
+ * browser goes offline) the call moves to reconnecting and the caller
+ * restarts ICE with a new offer; the callee answers it like any other, so
+ * both sides never offer at once. A call that hasn't recovered within
+ * RECONNECT_TIMEOUT ends with `connection_lost`.
+ */
+class CallSession {
+  /**
+   * @param {Object} options - Session options
+   * @param {string} options.callId - Call ID
+   * @param {'audio'|'video'} [options.type] - Call type; read from the server when omitted
+   * @param {boolean} [options.isIncoming] - Whether the other side called; derived from the initiator and userId when omitted
+   * @param {string} [options.userId] - Current user's ID
+   * @param {CallSignaling} [options.signaling] - Signaling transport
+   * @param {RTCConfiguration|Function} [options.rtcConfig] - Peer connection configuration, or a function
+   *   resolving it when the call connects (defaults to iceServerService, which fetches fresh TURN credentials)
+   * @param {Function} [options.createPeerConnection] - (config) → RTCPeerConnection
+   * @param {Function} [options.getUserMedia] - (constraints) → Promise<MediaStream>
+   * @param {Function} [options.getDisplayMedia] - (constraints) → Promise<MediaStream>
+   * @param {EventTarget} [options.networkEvents] - Source of online/offline events (window)
+   */
+  constructor({
+    callId,
+    type = null,
+    isIncoming,
+    userId = null,
+    signaling = defaultSignaling,
+    rtcConfig = () => iceServerService.getRtcConfig(),
+    createPeerConnection = (config) => new RTCPeerConnection(config),
+    getUserMedia = (constraints) => navigator.mediaDevices.getUserMedia(constraints),
+    getDisplayMedia = (constraints) => navigator.mediaDevices.getDisplayMedia(constraints),
+    networkEvents = typeof window !== 'undefined' ? window : null
+  }) {
+    this.callId = callId;
+    this.type = type;
+    this.isIncoming = isIncoming;
+    this.userId = userId;
+    this.signaling = signaling;
+    this.rtcConfig = rtcConfig;
+    this.createPeerConnection = createPeerConnection;
+    this.getUserMedia = getUserMedia;
+    this.getDisplayMedia = getDisplayMedia;
+    this.networkEvents = networkEvents;
+
+    this.state = CALL_STATES.IDLE;
+    this.endReason = null;
+    this.error = null;
+    this.call = null;
+    this.isMuted = false;
+    this.isVideoEnabled = type !== 'audio';
+    this.isScreenSharing = false;
+    this.quality = 'good';
+    this.stats = null;
+    this.connectedAt = null;
+
+    this.peerConnection = null;
+    this.localStream = null;
+    this.screenStream = null;
+    this.remoteStream = null;
+    this.pendingOffer = null; // Offer received before we were ready to answer
+    this.pendingCandidates = []; // Candidates received before the remote description
+    this.qualityTimer = null;
+    this.qualityReportTimer = null;
+    this.statsCollector = null;
+    this.reconnectTimer = null;
+    this.restartTimer = null;
+    this.unsubscribe = null;
+    this.eventListeners = new Map();
+
+    this.handleOnline = () => {
+      if (this.state === CALL_STATES.RECONNECTING && !this.resumeIfConnected()) {
+        this.scheduleIceRestart(0);
+      }
+    };
+    this.handleOffline = () => this.startRecovery();
+  }
+
+  /**
+   * Current state for the UI
+   * @returns {CallSnapshot} Snapshot
+   */
+  getSnapshot() {
+    return {
+      state: this.state,
+      endReason: this.endReason,
+      error: this.error,
+      call: this.call,
+      type: this.type,
+      isIncoming: !!this.isIncoming,
+      isMuted: this.isMuted,
+      isVideoEnabled: this.isVideoEnabled,
+      isScreenSharing: this.isScreenSharing,
+      quality: this.quality,
+      stats: this.stats,
+      localStream: this.screenStream || this.localStream,
+      remoteStream: this.remoteStream,
+      connectedAt: this.connectedAt
+    };
+  }
+
+  /**
+   * Load the call from the server and join it. An incoming call that hasn't
+   * been accepted rings until accept() or reject().
+   * @param {Object} options - Start options
+   * @param {boolean} options.accepted - The callee already accepted (e.g. from a notification)
+   */
+  async start({ accepted = false } = {}) {
+    if (this.state !== CALL_STATES.IDLE) return;
+
+    this.unsubscribe = this.signaling.subscribe({
+      offer: (data) => this.handleRemoteOffer(data),
+      answer: (data) => this.handleRemoteAnswer(data),
+      iceCandidate: (data) => this.handleRemoteCandidate(data),
+      accepted: (data) => this.isThisCall(data) && this.handleAccepted(),
+      rejected: (data) => this.isThisCall(data) && this.finish('rejected'),
+      ended: (data) => this.isThisCall(data) && this.finish('remote_ended')
+    });
+    this.networkEvents?.addEventListener('online', this.handleOnline);
+    this.networkEvents?.addEventListener('offline', this.handleOffline);
+
+    try {
+      const status = await this.signaling.getStatus(this.callId);
+      if (this.state !== CALL_STATES.IDLE) return;
+
+      this.call = status.call || null;
+      this.type = this.type || status.type || 'audio';
+      this.isVideoEnabled = this.type === 'video';
+      if (this.isIncoming === undefined) {
+        this.isIncoming = !!this.userId && getUserId(status.initiator) !== this.userId;
+      }
+      // A stored offer is only a fallback; one from the socket is newer
+      this.pendingOffer = this.pendingOffer || status.webrtcData?.offer || null;
+
+      const endReason = SERVER_END_REASONS[status.status];
+      if (endReason) {
+        this.finish(endReason);
+        return;
+      }
+
+      if (this.isIncoming) {
+        if (status.status === 'ringing' && !accepted) {
+          this.transition(CALL_STATES.RINGING);
+          return;
+        }
+        this.transition(CALL_STATES.CONNECTING);
+        await this.setupPeerConnection();
+        await this.answerPendingOffer();
+      } else {
+        this.transition(status.status === 'ringing' ? CALL_STATES.RINGING : CALL_STATES.CONNECTING);
+        await this.setupPeerConnection();
+        await this.createOffer();
+      }
+    } catch (error) {
+      this.fail(error, 'Failed to start call');
+    }
+  }
+
+  /**
+   * Accept an incoming call
+   */
+  async accept() {
+    if (this.state !== CALL_STATES.RINGING || !this.isIncoming) return;
+
+    try {
+      await this.signaling.accept(this.callId);
+      this.transition(CALL_STATES.CONNECTING);
+      await this.setupPeerConnection();
+      await this.answerPendingOffer();
+    } catch (error) {
+      this.fail(error, 'Failed to accept call');
+    }
+  }
+
+  /**
+   * Decline an incoming call
+   * @param {string} reason - Reason sent to the server
+   */
+  async reject(reason = 'User rejected') {
+    if (this.state === CALL_STATES.ENDED) return;
+
+    try {
+      await this.signaling.reject(this.callId, reason);
+    } catch (error) {
+      console.error('[CALL_SESSION] ❌ Reject failed:', error);
+    }
+    this.finish('rejected');
+  }
+
+  /**
+   * Hang up. A call that failed locally is still ended on the server.
+   * @param {string} reason - Reason sent to the server
+   */
+  async hangup(reason = 'user_ended') {
+    const notifyServer = this.state !== CALL_STATES.ENDED || this.endReason === 'failed';
+
+    if (notifyServer) {
+      try {
+        await this.signaling.end(this.callId, reason);
+      } catch (error) {
+        console.error('[CALL_SESSION] ❌ End call failed:', error);
+      }
+    }
+    this.finish('hangup');
+  }
+
+  /**
+   * Release everything without ending the call on the server (e.g. the UI
+   * unmounted)
+   */
+  destroy() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.eventListeners.clear();
+    this.finish('left');
+  }
+
+  /**
+   * Mute or unmute the microphone
+   * @param {boolean} muted - Muted
+   */
+  setMuted(muted) {
+    this.isMuted = muted;
+    this.localStream?.getAudioTracks().forEach(track => { track.enabled = !muted; });
+    this.updateSettings({ isMuted: muted });
+    this.emitChange();
+  }
+
+  toggleMute() {
+    this.setMuted(!this.isMuted);
+  }
+
+  /**
+   * Turn the camera on or off
+   * @param {boolean} enabled - Camera on
+   */
+  setVideoEnabled(enabled) {
+    this.isVideoEnabled = enabled;
+    this.localStream?.getVideoTracks().forEach(track => { track.enabled = enabled; });
+    this.updateSettings({ isVideoEnabled: enabled });
+    this.emitChange();
+  }
+
+  toggleVideo() {
+    this.setVideoEnabled(!this.isVideoEnabled);
+  }
+
+  /**
+   * Send the screen instead of the camera
+   */
+  async startScreenShare() {
+    if (this.isScreenSharing || !this.peerConnection) return;
+
+    try {
+      const screenStream = await this.getDisplayMedia({ video: true });
+      const screenTrack = screenStream.getVideoTracks()[0];
+      await this.getVideoSender()?.replaceTrack(screenTrack);
+      // The browser's own "Stop sharing" button
+      screenTrack.onended = () => this.stopScreenShare();
+
+      this.screenStream = screenStream;
+      this.isScreenSharing = true;
+      this.updateSettings({ isScreenSharing: true });
+      this.emitChange();
+    } catch (error) {
+      console.error('[CALL_SESSION] ❌ Screen share failed:', error);
+      this.error = error.message || 'Failed to share screen';
+      this.emitChange();
+    }
+  }
+
+  /**
+   * Switch back from the screen to the camera
+   */
+  async stopScreenShare() {
+    if (!this.isScreenSharing) return;
+
+    const cameraTrack = this.localStream?.getVideoTracks()[0] || null;
+    try {
+      await this.getVideoSender()?.replaceTrack(cameraTrack);
+    } catch (error) {
+      console.error('[CALL_SESSION] ❌ Switching back to the camera failed:', error);
+    }
+
+    this.screenStream?.getTracks().forEach(track => track.stop());
+    this.screenStream = null;
+    this.isScreenSharing = false;
+    this.updateSettings({ isScreenSharing: false });
+    this.emitChange();
+  }
+
+  toggleScreenShare() {
+    return this.isScreenSharing ? this.stopScreenShare() : this.startScreenShare();
+  }
+
+  isThisCall(data) {
+    return data?.callId === this.callId;
+  }
+
+  handleAccepted() {
+    if (this.state === CALL_STATES.RINGING && !this.isIncoming) {
+      this.transition(CALL_STATES.CONNECTING);
+    }
+  }
+
+  async handleRemoteOffer(data) {
+    if (!this.isThisCall(data) || !data.offer) return;
+
+    // Answered once the callee has accepted and the peer connection exists
+    if (!this.peerConnection || this.state === CALL_STATES.RINGING) {
+      this.pendingOffer = data.offer;
+      return;
+    }
+
+    try {
+      await this.answerOffer(data.offer);
+    } catch (error) {
+      this.failNegotiation(error, 'Failed to answer call');
+    }
+  }
+
+  async handleRemoteAnswer(data) {
+    const pc = this.peerConnection;
+    if (!this.isThisCall(data) || !data.answer || !pc) return;
+    if (pc.signalingState !== 'have-local-offer') return;
+
+    // An answer means the callee picked up, even if call_accepted is late
+    this.handleAccepted();
+
+    try {
+      await pc.setRemoteDescription(data.answer);
+      await this.flushCandidates();
+      this.resumeIfConnected();
+    } catch (error) {
+      this.failNegotiation(error, 'Failed to connect call');
+    }
+  }
+
+  async handleRemoteCandidate(data) {
+    if (!this.isThisCall(data) || !data.candidate) return;
+
+    const pc = this.peerConnection;
+    if (!pc?.remoteDescription) {
+      this.pendingCandidates.push(data.candidate);
+      return;
+    }
+
+    try {
+      await pc.addIceCandidate(data.candidate);
+    } catch (error) {
+      console.error('[CALL_SESSION] ❌ Adding ICE candidate failed:', error);
+    }
+  }
+
+  /**
+   * Capture media and create the peer connection
+   */
+  async setupPeerConnection() {
+    if (this.peerConnection) return;
+
+    const [media, rtcConfig] = await Promise.allSettled([
+      this.getUserMedia({
+        audio: AUDIO_CONSTRAINTS,
+        video: this.type === 'video' ? VIDEO_CONSTRAINTS : false
+      }),
+      this.resolveRtcConfig()
+    ]);
+    const stream = media.status === 'fulfilled' ? media.value : null;
+
+    // Hung up while the permission prompt was open, or one of them failed
+    if (this.state === CALL_STATES.ENDED || !stream || rtcConfig.status === 'rejected') {
+      stream?.getTracks().forEach(track => track.stop());
+      if (media.status === 'rejected') throw media.reason;
+      if (rtcConfig.status === 'rejected') throw rtcConfig.reason;
+      return;
+    }
+
+    this.localStream = stream;
+    stream.getAudioTracks().forEach(track => { track.enabled = !this.isMuted; });
+
+    const pc = this.createPeerConnection(rtcConfig.value);
+    this.peerConnection = pc;
+    stream.getTracks().forEach(track => pc.addTrack(track, stream));
+
+    pc.ontrack = (event) => {
+      this.remoteStream = event.streams[0] || this.remoteStream;
+      this.emitChange();
+    };
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.send('sendIceCandidate', event.candidate);
+      }
+    };
+    pc.onconnectionstatechange = () => this.handleConnectionState(pc.connectionState);
+
+    console.log('[CALL_SESSION] ✅ Peer connection ready:', this.callId);
+    this.emitChange();
+  }
+
+  async resolveRtcConfig() {
+    return typeof this.rtcConfig === 'function' ? this.rtcConfig() : this.rtcConfig;
+  }
+
+  handleConnectionState(connectionState) {
+    console.log('[CALL_SESSION] 🔗 Connection state:', connectionState);
+
+    if (connectionState === 'connected') {
+      if (this.state === CALL_STATES.CONNECTING || this.state === CALL_STATES.RINGING) {
+        this.transition(CALL_STATES.CONNECTING);
+        this.connectedAt = Date.now();
+        this.startQualityMonitoring();
+      }
+      if (this.state === CALL_STATES.RECONNECTING) {
+        console.log('[CALL_SESSION] ✅ Connection recovered:', this.callId);
+      }
+      this.stopRecovery();
+      this.transition(CALL_STATES.CONNECTED);
+    } else if (connectionState === 'disconnected') {
+      if (this.startRecovery()) {
+        this.scheduleIceRestart(ICE_RESTART_DELAY);
+      }
+    } else if (connectionState === 'failed') {
+      if (this.startRecovery()) {
+        this.scheduleIceRestart(0);
+      } else {
+        // Never connected in the first place
+        this.fail(new Error('Could not connect the call'));
+      }
+    }
+  }
+
+  /**
+   * Enter reconnecting and start the recovery deadline
+   * @returns {boolean} Whether the call is now recovering
+   */
+  startRecovery() {
+    if (this.state === CALL_STATES.RECONNECTING) return true;
+    if (this.state !== CALL_STATES.CONNECTED) return false;
+
+    this.transition(CALL_STATES.RECONNECTING);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.giveUpRecovery(), RECONNECT_TIMEOUT);
+    return true;
+  }
+
+  /**
+   * Leave reconnecting if the connection is up. Going offline and back, or
+   * an ICE restart over the same path, can leave the peer connection
+   * connected without it ever reporting a state change.
+   * @returns {boolean} Whether the call recovered
+   */
+  resumeIfConnected() {
+    if (this.state !== CALL_STATES.RECONNECTING || this.peerConnection?.connectionState !== 'connected') {
+      return false;
+    }
+
+    this.handleConnectionState('connected');
+    return true;
+  }
+
+  stopRecovery() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.restartTimer);
+    this.reconnectTimer = null;
+    this.restartTimer = null;
+  }
+
+  // Only the caller restarts ICE, so the two sides never offer at once
+  scheduleIceRestart(delay) {
+    if (this.isIncoming) return;
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => this.restartIce(), delay);
+  }
+
+  /**
+   * Renegotiate with fresh ICE credentials (and fresh TURN credentials),
+   * retrying until the connection recovers or the deadline ends the call
+   */
+  async restartIce() {
+    const pc = this.peerConnection;
+    if (!pc || this.state !== CALL_STATES.RECONNECTING || this.resumeIfConnected()) return;
+
+    this.restartTimer = setTimeout(() => this.restartIce(), ICE_RESTART_INTERVAL);
+
+    if (typeof this.rtcConfig === 'function') {
+      try {
+        pc.setConfiguration(await this.resolveRtcConfig());
+      } catch (error) {
+        console.warn('[CALL_SESSION] ⚠️ Keeping the previous ICE servers:', error);
+      }
+    }
+
+    try {
+      const offer = await pc.createOffer({ iceRestart: true });
+      if (pc !== this.peerConnection || this.state !== CALL_STATES.RECONNECTING) return;
+
+      await pc.setLocalDescription(offer);
+      await this.signaling.sendOffer(this.callId, offer, { iceRestart: true });
+      console.log('[CALL_SESSION] 🧊 ICE restart offer sent:', this.callId);
+    } catch (error) {
+      console.warn('[CALL_SESSION] ⚠️ ICE restart failed, will retry:', error);
+    }
+  }
+
+  async giveUpRecovery() {
+    if (this.state !== CALL_STATES.RECONNECTING) return;
+
+    console.warn('[CALL_SESSION] ⚠️ Connection not recovered, ending call:', this.callId);
+    this.error = 'Connection lost. The call could not be recovered.';
+    this.finish('connection_lost');
+
+    try {
+      await this.signaling.end(this.callId, 'connection_lost');
+    } catch (error) {
+      console.error('[CALL_SESSION] ❌ End call failed:', error);
+    }
+  }
+
+  async createOffer() {
+    const pc = this.peerConnection;
+    if (!pc || pc.localDescription) return;
+
+    const offer = await pc.createOffer({
+      offerToReceiveAudio: true,
+      offerToReceiveVideo: this.type === 'video'
+    });
+    await pc.setLocalDescription(offer);
+    await this.signaling.sendOffer(this.callId, offer);
+    console.log('[CALL_SESSION] 📤 Offer sent:', this.callId);
+  }
+
+  async answerPendingOffer() {
+    const offer = this.pendingOffer;
+    this.pendingOffer = null;
+    if (offer) {
+      await this.answerOffer(offer);
+    }
+  }
+
+  /**
+   * Answer the first offer, or a renegotiation (ICE restart) of a live call
+   * @param {RTCSessionDescriptionInit} offer - Remote offer
+   */
+  async answerOffer(offer) {
+    const pc = this.peerConnection;
+    // Skip repeated deliveries of the offer we already answered
+    if (!pc || pc.signalingState !== 'stable' || pc.remoteDescription?.sdp === offer.sdp) return;
+
+    await pc.setRemoteDescription(offer);
+    await this.flushCandidates();
+
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    await this.signaling.sendAnswer(this.callId, answer);
+    console.log('[CALL_SESSION] 📤 Answer sent:', this.callId);
+    this.resumeIfConnected();
+  }
+
+  // Add the candidates that arrived before the remote description
+  async flushCandidates() {
+    const candidates = this.pendingCandidates;
+    this.pendingCandidates = [];
+
+    for (const candidate of candidates) {
+      try {
+        await this.peerConnection.addIceCandidate(candidate);
+      } catch (error) {
+        console.error('[CALL_SESSION] ❌ Adding queued ICE candidate failed:', error);
+      }
+    }
+  }
+
+  getVideoSender() {
+    return this.peerConnection?.getSenders().find(sender => sender.track?.kind === 'video') || null;
+  }
+
+  startQualityMonitoring() {
+    this.stopQualityMonitoring();
+    this.statsCollector = new CallStatsCollector({ type: this.type });
+    this.qualityTimer = setInterval(() => this.sampleQuality(), STATS_INTERVAL);
+    this.qualityReportTimer = setInterval(() => this.reportQuality(), QUALITY_REPORT_INTERVAL);
+  }
+
+  stopQualityMonitoring() {
+    clearInterval(this.qualityTimer);
+    clearInterval(this.qualityReportTimer);
+    this.qualityTimer = null;
+    this.qualityReportTimer = null;
+  }
+
+  /**
+   * Sample the connection and rate the last interval
+   */
+  async sampleQuality() {
+    const pc = this.peerConnection;
+    const collector = this.statsCollector;
+    if (!pc || !collector || pc.connectionState !== 'connected') return;
+
+    try {
+      const stats = await collector.sample(pc);
+      if (this.peerConnection !== pc) return;
+
+      this.stats = stats;
+      this.quality = stats.quality;
+      this.emitChange();
+    } catch (error) {
+      console.error('[CALL_SESSION] ❌ Reading call stats failed:', error);
+    }
+  }
+
+  // Send the averages since the last report
+  reportQuality() {
+    const summary = this.statsCollector?.summarize();
+    if (summary) {
+      this.send('reportQuality', summary);
+    }
+  }
+
+  updateSettings(settings) {
+    if (this.state === CALL_STATES.IDLE || this.state === CALL_STATES.ENDED) return;
+    this.send('updateSettings', settings);
+  }
+
+  // Fire-and-forget signaling call
+  send(method, payload) {
+    Promise.resolve(this.signaling[method](this.callId, payload)).catch((error) => {
+      console.error(`[CALL_SESSION] ❌ ${method} failed:`, error);
+    });
+  }
+
+  // A failed renegotiation while recovering is retried until the deadline
+  failNegotiation(error, fallbackMessage) {
+    if (this.state === CALL_STATES.RECONNECTING) {
+      console.warn('[CALL_SESSION] ⚠️ Renegotiation failed while reconnecting:', error);
+      return;
+    }
+    this.fail(error, fallbackMessage);
+  }
+
+  fail(error, fallbackMessage = 'Call failed') {
+    console.error('[CALL_SESSION] ❌ Call failed:', error);
+    if (this.state === CALL_STATES.ENDED) return;
+    this.error = error?.message || fallbackMessage;
+    this.finish('failed');
+  }
+
+  /**
+   * End the session locally: stop media, close the connection
+   * @param {string} reason - End reason
+   */
+  finish(reason) {
+    if (this.state === CALL_STATES.ENDED) return;
+
+    this.endReason = reason;
+    this.stopQualityMonitoring();
+    this.reportQuality();
+    this.statsCollector = null;
+    this.stopRecovery();
+    this.networkEvents?.removeEventListener('online', this.handleOnline);
+    this.networkEvents?.removeEventListener('offline', this.handleOffline);
+
+    this.localStream?.getTracks().forEach(track => track.stop());
+    this.screenStream?.getTracks().forEach(track => track.stop());
+    this.localStream = null;
+    this.screenStream = null;
+    this.isScreenSharing = false;
+
+    if (this.peerConnection) {
+      this.peerConnection.ontrack = null;
+      this.peerConnection.onicecandidate = null;
+      this.peerConnection.onconnectionstatechange = null;
+      this.peerConnection.close();
+      this.peerConnection = null;
+    }
+    this.pendingOffer = null;
+    this.pendingCandidates = [];
+
+    this.transition(CALL_STATES.ENDED);
+  }
+
+  transition(nextState) {
+    if (this.state === nextState) return true;
+    if (!TRANSITIONS[this.state].includes(nextState)) {
+      console.warn(`[CALL_SESSION] ⚠️ Ignoring transition ${this.state} → ${nextState}`);
+      return false;
+    }
+
+    console.log(`[CALL_SESSION] 🔄 ${this.state} → ${nextState}`);
+    this.state = nextState;
+    this.emitChange();
+    return true;
+  }
+
+  emitChange() {
+    this.emitEvent('change', this.getSnapshot());
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name (change)
+   * @param {Function} callback - Called with the CallSnapshot
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    this.eventListeners.get(event)?.delete(callback);
+  }
+
+  emitEvent(event, data) {
+    this.eventListeners.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[CALL_SESSION] Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+}
+
+export default CallSession;
@@ -0,0 +1,248 @@
+/**
+ * Rate a connection from packet loss, round-trip time and, for video, the
+ * received bitrate
+ * @param {number} packetLoss - Lost packets in percent
+ * @param {number|null} videoBitrate - Received video bitrate in kbps, null for audio calls or while no video is coming in
+ * @param {number|null} rtt - Round-trip time in ms, null when unknown
+ * @returns {'excellent'|'good'|'fair'|'poor'} Quality
+ */
+export const rateQuality = (packetLoss, videoBitrate = null, rtt = null) => {
+  const meets = (maxLoss, minBitrate, maxRtt) =>
+    packetLoss < maxLoss &&
+    (videoBitrate === null || videoBitrate > minBitrate) &&
+    (rtt === null || rtt < maxRtt);
+  if (meets(1, 500, 150)) return 'excellent';
+  if (meets(3, 300, 300)) return 'good';
+  if (meets(5, 200, 500)) return 'fair';
+  return 'poor';
+};
+
+const round = (value, digits = 0) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => {
+  const known = values.filter(value => value !== null && value !== undefined);
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+};
+
+const lossPercent = (lost, received) => (lost + received > 0 ? (lost * 100) / (lost + received) : 0);
+
+const getKind = (report) => report.kind || report.mediaType;
+
+// A camera that's off or a still screen share sends next to nothing on a
+// good network, so video bitrate only counts while frames are decoded
+const isLiveVideo = (track) => track.kind === 'video' && track.frameRate > 0 && !!track.width;
+
+/**
+ * Statistics for one RTP stream during the last interval
+ * @typedef {Object} TrackStats
+ * @property {string} id - Stats report ID
+ * @property {'audio'|'video'} kind - Media kind
+ * @property {'inbound'|'outbound'} direction - Received or sent
+ * @property {string|null} codec - Codec, e.g. video/VP8
+ * @property {number|null} bitrate - kbps
+ * @property {number|null} packetLoss - Percent; for outbound streams as reported by the other side
+ * @property {number|null} jitter - ms
+ * @property {number|null} frameRate - Frames per second (video)
+ * @property {number|null} width - Frame width (video)
+ * @property {number|null} height - Frame height (video)
+ */
+
+/**
+ * One stats sample
+ * @typedef {Object} CallStats
+ * @property {number} timestamp - When the sample was taken (ms)
+ * @property {number|null} rtt - Round-trip time in ms
+ * @property {number|null} availableOutgoingBitrate - Estimated upload capacity in kbps
+ * @property {number} packetLoss - Received packets lost in percent
+ * @property {number|null} jitter - Highest receive jitter in ms
+ * @property {string} quality - excellent, good, fair or poor
+ * @property {TrackStats[]} tracks - Per-stream statistics
+ */
+
+/**
+ * Turns the cumulative counters of RTCPeerConnection.getStats() into rates
+ * per interval: every sample is compared with the previous report of the
+ * same stream, so bitrate, packet loss and frame rate describe the last few
+ * seconds rather than the whole call.
+ *
+ * Samples are also accumulated until summarize(), which averages them into
+ * the report sent to the server.
+ */
+class CallStatsCollector {
+  /**
+   * @param {Object} options - Collector options
+   * @param {'audio'|'video'} options.type - Call type; video calls also rate the received video bitrate
+   */
+  constructor({ type = 'audio' } = {}) {
+    this.type = type;
+    this.previousReports = new Map(); // Report ID -> last inbound/outbound-rtp report
+    this.samples = []; // Since the last summary
+    this.summaryStartedAt = Date.now();
+  }
+
+  /**
+   * Read the connection's stats and compute the last interval
+   * @param {RTCPeerConnection} peerConnection - Connection to sample
+   * @returns {Promise<CallStats>} Sample
+   */
+  async sample(peerConnection) {
+    const stats = await peerConnection.getStats();
+    const reports = [...stats.values()];
+    const byId = new Map(reports.map(report => [report.id, report]));
+
+    const transport = reports.find(report => report.type === 'transport');
+    const candidatePair = byId.get(transport?.selectedCandidatePairId) ||
+      reports.find(report => report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded');
+
+    // The other side's view of what we send: loss, jitter and RTT per stream
+    const remoteInbound = new Map(reports
+      .filter(report => report.type === 'remote-inbound-rtp' && report.localId)
+      .map(report => [report.localId, report]));
+
+    const rtpReports = reports.filter(report => report.type === 'inbound-rtp' || report.type === 'outbound-rtp');
+    const streams = rtpReports.map(report => this.getStreamStats(report, byId, remoteInbound.get(report.id)));
+    this.previousReports = new Map(rtpReports.map(report => [report.id, report]));
+
+    const tracks = streams.map(stream => stream.track);
+    const inbound = tracks.filter(track => track.direction === 'inbound');
+    const lost = streams.reduce((sum, stream) => sum + stream.packetsLost, 0);
+    const received = streams.reduce((sum, stream) => sum + stream.packetsReceived, 0);
+    const packetLoss = lossPercent(lost, received);
+
+    const remoteRtt = [...remoteInbound.values()].map(report => report.roundTripTime).filter(Boolean);
+    const rttSeconds = candidatePair?.currentRoundTripTime ?? (remoteRtt.length > 0 ? average(remoteRtt) : null);
+    const rtt = rttSeconds === null ? null : rttSeconds * 1000;
+
+    const jitters = inbound.map(track => track.jitter).filter(jitter => jitter !== null);
+    const jitter = jitters.length > 0 ? Math.max(...jitters) : null;
+
+    const videoIn = inbound.filter(track => isLiveVideo(track) && track.bitrate !== null);
+    const videoBitrate = this.type === 'video' && videoIn.length > 0
+      ? videoIn.reduce((sum, track) => sum + track.bitrate, 0)
+      : null;
+
+    const sample = {
+      timestamp: Date.now(),
+      rtt: round(rtt),
+      availableOutgoingBitrate: candidatePair?.availableOutgoingBitrate
+        ? round(candidatePair.availableOutgoingBitrate / 1000)
+        : null,
+      packetLoss: round(packetLoss, 1),
+      jitter: round(jitter, 1),
+      quality: rateQuality(packetLoss, videoBitrate, rtt),
+      tracks
+    };
+
+    this.samples.push(sample);
+    return sample;
+  }
+
+  // One stream's TrackStats, plus the received packet counts for the totals
+  getStreamStats(report, byId, remoteInbound) {
+    const previous = this.previousReports.get(report.id);
+    const isInbound = report.type === 'inbound-rtp';
+    const kind = getKind(report);
+    const elapsed = previous ? report.timestamp - previous.timestamp : 0; // ms
+
+    // Counters restart when a stream is replaced; treat that as a first sample
+    const delta = (field) => {
+      if (!previous || elapsed <= 0) return null;
+      const value = (report[field] || 0) - (previous[field] || 0);
+      return value >= 0 ? value : null;
+    };
+
+    const bytes = delta(isInbound ? 'bytesReceived' : 'bytesSent');
+    const frames = delta(isInbound ? 'framesDecoded' : 'framesEncoded');
+    const packetsLost = isInbound ? (delta('packetsLost') ?? 0) : 0;
+    const packetsReceived = isInbound ? (delta('packetsReceived') ?? 0) : 0;
+
+    let packetLoss = null;
+    let jitter = null;
+    if (isInbound) {
+      packetLoss = previous ? lossPercent(packetsLost, packetsReceived) : null;
+      jitter = typeof report.jitter === 'number' ? report.jitter * 1000 : null;
+    } else if (remoteInbound) {
+      packetLoss = typeof remoteInbound.fractionLost === 'number' ? remoteInbound.fractionLost * 100 : null;
+      jitter = typeof remoteInbound.jitter === 'number' ? remoteInbound.jitter * 1000 : null;
+    }
+
+    const track = {
+      id: report.id,
+      kind,
+      direction: isInbound ? 'inbound' : 'outbound',
+      codec: byId.get(report.codecId)?.mimeType || null,
+      // bytes * 8 / ms = kbit/s
+      bitrate: bytes === null ? null : round((bytes * 8) / elapsed),
+      packetLoss: round(packetLoss, 1),
+      jitter: round(jitter, 1),
+      frameRate: kind === 'video'
+        ? round(report.framesPerSecond ?? (frames === null ? null : (frames * 1000) / elapsed))
+        : null,
+      width: report.frameWidth || null,
+      height: report.frameHeight || null
+    };
+    return { track, packetsLost, packetsReceived };
+  }
+
+  /**
+   * Average the samples since the last summary, for reporting to the server
+   * @returns {Object|null} Summary, or null when nothing was sampled
+   */
+  summarize() {
+    const samples = this.samples;
+    const startedAt = this.summaryStartedAt;
+    this.samples = [];
+    this.summaryStartedAt = Date.now();
+    if (samples.length === 0) return null;
+
+    const tracksOf = (kind, direction) => samples.flatMap(sample =>
+      sample.tracks.filter(track => track.kind === kind && track.direction === direction));
+    const averageOf = (tracks, field, digits = 0) => round(average(tracks.map(track => track[field])), digits);
+    const lastResolution = (tracks) => {
+      const track = [...tracks].reverse().find(candidate => candidate.width && candidate.height);
+      return track ? `${track.width}x${track.height}` : null;
+    };
+
+    const audioIn = tracksOf('audio', 'inbound');
+    const audioOut = tracksOf('audio', 'outbound');
+    const videoIn = tracksOf('video', 'inbound');
+    const videoOut = tracksOf('video', 'outbound');
+
+    const packetLoss = average(samples.map(sample => sample.packetLoss)) ?? 0;
+    const rtt = average(samples.map(sample => sample.rtt));
+    const liveVideoIn = videoIn.filter(isLiveVideo);
+    const videoBitrate = this.type === 'video' && liveVideoIn.length > 0 ? average(liveVideoIn.map(track => track.bitrate)) : null;
+
+    return {
+      quality: rateQuality(packetLoss, videoBitrate, rtt),
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: new Date().toISOString(),
+      samples: samples.length,
+      packetLoss: round(packetLoss, 1),
+      rtt: round(rtt),
+      jitter: round(average(samples.map(sample => sample.jitter)), 1),
+      audio: {
+        bitrateIn: averageOf(audioIn, 'bitrate'),
+        bitrateOut: averageOf(audioOut, 'bitrate'),
+        packetLossOut: averageOf(audioOut, 'packetLoss', 1)
+      },
+      video: this.type === 'video'
+        ? {
+          bitrateIn: averageOf(videoIn, 'bitrate'),
+          bitrateOut: averageOf(videoOut, 'bitrate'),
+          packetLossOut: averageOf(videoOut, 'packetLoss', 1),
+          frameRateIn: averageOf(videoIn, 'frameRate'),
+          frameRateOut: averageOf(videoOut, 'frameRate'),
+          resolutionIn: lastResolution(videoIn),
+          resolutionOut: lastResolution(videoOut)
+        }
+        : null
+    };
+  }
+}
+
+export default CallStatsCollector;
@@ -1,22 +1,65 @@
 import axios from 'axios';
+import config from '../config/environment';
+import routes from './apiRoutes';
 
 /**
- * Enhanced API Service with comprehensive error handling and retry logic
+ * Unwrapped API response envelope
+ * @typedef {Object} ApiResponse
+ * @property {boolean} success - Always true for resolved requests
+ * @property {*} data - `data` field of the server envelope
+ * @property {string} [message] - Server message
+ * @property {Object} [meta] - Pagination and other metadata
+ */
+
+/**
+ * Normalized API error
+ * @typedef {Object} ApiError
+ * @property {'response_error'|'network_error'|'request_error'|'canceled'} type - Error category
+ * @property {number} status - HTTP status (0 when no response was received)
+ * @property {string} message - Human readable message
+ * @property {Object} [errors] - Field errors returned by the server
+ * @property {*} [data] - Error payload returned by the server
+ */
+
+/**
+ * Enhanced API Service with comprehensive error handling and retry logic.
+ *
+ * Owns the single axios instance used by the whole app: base URL, version
+ * prefix, auth header and envelope unwrapping all live here. Route paths come
+ * from apiRoutes.js.
  */
 class ApiService {
   constructor() {
-    this.baseURL = import.meta.env.VITE_API_URL || 'https://vibgyornode.onrender.com';
+    this.baseURL = config.API_BASE_URL;
+    this.apiRoot = `${this.baseURL}${config.API_PREFIX}`;
     this.timeout = 30000; // 30 seconds
     this.retryAttempts = 3;
     this.retryDelay = 1000; // 1 second
+    this.refreshLeadTime = 60000; // Refresh 1 minute before the access token expires
+    
+    // Single-flight token refresh state
+    this.refreshPromise = null;
+    this.refreshQueue = [];
+    this.refreshTimer = null;
+    this.tokenListeners = new Set();
     
     this.createAxiosInstance();
     this.setupInterceptors();
+    this.scheduleTokenRefresh(localStorage.getItem('accessToken'));
+    
+    // A refresh that failed while offline is retried once we're back
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => {
+        if (this.isTokenExpiring(localStorage.getItem('accessToken'))) {
+          this.refreshAccessToken().catch(() => {});
+        }
+      });
+    }
   }
   
   createAxiosInstance() {
     this.api = axios.create({
-      baseURL: this.baseURL,
+      baseURL: this.apiRoot,
       timeout: this.timeout,
       headers: {
         'Content-Type': 'application/json',
@@ -27,7 +70,13 @@ class ApiService {
   setupInterceptors() {
     // Request interceptor
     this.api.interceptors.request.use(
-      (config) => {
+      async (config) => {
+        // Refresh first if the token is about to expire, so the request
+        // doesn't go out with a token the server will reject
+        if (this.isTokenExpiring(localStorage.getItem('accessToken'))) {
+          await this.refreshAccessToken().catch(() => null);
+        }
+        
         // Add auth token
         const token = localStorage.getItem('accessToken');
         if (token) {
@@ -59,34 +108,30 @@ class ApiService {
       async (error) => {
         const originalRequest = error.config;
         
-        // Handle 401 Unauthorized
-        if (error.response?.status === 401 && !originalRequest._retry) {
+        // Aborted by the caller; never replay
+        if (axios.isCancel(error)) {
+          return Promise.reject(error);
+        }
+        
+        // Handle 401 Unauthorized - wait for the shared refresh, then replay
+        if (error.response?.status === 401 && !originalRequest._retry && localStorage.getItem('refreshToken')) {
           originalRequest._retry = true;
           
           try {
-            // Try to refresh token
-            const refreshToken = localStorage.getItem('refreshToken');
-            if (refreshToken) {
-              const response = await axios.post(`${this.baseURL}/user/auth/refresh`, {
-                refreshToken
-              });
-              
-              const { accessToken } = response.data.data;
-              localStorage.setItem('accessToken', accessToken);
-              
-              // Retry original request
-              originalRequest.headers.Authorization = `Bearer ${accessToken}`;
-              return this.api(originalRequest);
-            }
+            const accessToken = await this.refreshAccessToken();
+            originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+            return this.api(originalRequest);
           } catch (refreshError) {
-            console.error('[ApiService] Token refresh failed:', refreshError);
-            // Clear tokens and redirect to login
-            localStorage.removeItem('accessToken');
-            localStorage.removeItem('refreshToken');
-            window.location.href = '/login';
+            return Promise.reject(refreshError);
           }
         }
         
+        // Rejected token and nothing to refresh it with
+        if (error.response?.status === 401 && !localStorage.getItem('refreshToken') && originalRequest.headers?.Authorization) {
+          this.endSession();
+          return Promise.reject(error);
+        }
+        
         // Handle network errors with retry
         if (!error.response && originalRequest._retryCount < this.retryAttempts) {
           originalRequest._retryCount = (originalRequest._retryCount || 0) + 1;
@@ -100,13 +145,20 @@ class ApiService {
           return this.api(originalRequest);
         }
         
-        return Promise.reject(this.handleError(error));
+        // Normalized with handleError by request() below
+        return Promise.reject(error);
       }
     );
   }
   
   handleError(error) {
-    if (error.response) {
+    if (axios.isCancel(error)) {
+      return {
+        type: 'canceled',
+        message: 'Request canceled',
+        status: 0
+      };
+    } else if (error.response) {
       // Server responded with error status
       const { status, data } = error.response;
       
@@ -134,90 +186,218 @@ class ApiService {
     }
   }
   
-  // Generic HTTP methods
-  async get(url, config = {}) {
+  /**
+   * Build an absolute URL for a route, for callers that cannot go through
+   * axios (e.g. navigator.sendBeacon)
+   * @param {string} path - Route path from apiRoutes
+   * @returns {string} Absolute URL
+   */
+  buildUrl(path) {
+    return `${this.apiRoot}${path}`;
+  }
+  
+  /**
+   * Unwrap the server envelope `{ success, data, message, meta }`
+   * @param {import('axios').AxiosResponse} response - Axios response
+   * @returns {ApiResponse} Unwrapped response
+   */
+  unwrap(response) {
+    return {
+      success: true,
+      data: response.data.data,
+      message: response.data.message,
+      meta: response.data.meta
+    };
+  }
+  
+  /**
+   * Send a request and unwrap the response envelope
+   * @param {Object} requestConfig - Axios request config
+   * @returns {Promise<ApiResponse>} Unwrapped response
+   * @throws {ApiError} Normalized error
+   */
+  async request(requestConfig) {
     try {
-      const response = await this.api.get(url, config);
-      return {
-        success: true,
-        data: response.data.data,
-        message: response.data.message,
-        meta: response.data.meta
-      };
+      const response = await this.api.request(requestConfig);
+      return this.unwrap(response);
     } catch (error) {
-      throw error;
+      throw this.handleError(error);
     }
   }
   
+  // Generic HTTP methods
+  async get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+  
   async post(url, data = {}, config = {}) {
-    try {
-      const response = await this.api.post(url, data, config);
-      return {
-        success: true,
-        data: response.data.data,
-        message: response.data.message,
-        meta: response.data.meta
-      };
-    } catch (error) {
-      throw error;
-    }
+    return this.request({ ...config, method: 'post', url, data });
   }
   
   async put(url, data = {}, config = {}) {
-    try {
-      const response = await this.api.put(url, data, config);
-      return {
-        success: true,
-        data: response.data.data,
-        message: response.data.message,
-        meta: response.data.meta
-      };
-    } catch (error) {
-      throw error;
-    }
+    return this.request({ ...config, method: 'put', url, data });
+  }
+  
+  async patch(url, data = {}, config = {}) {
+    return this.request({ ...config, method: 'patch', url, data });
   }
   
   async delete(url, config = {}) {
-    try {
-      const response = await this.api.delete(url, config);
-      return {
-        success: true,
-        data: response.data.data,
-        message: response.data.message,
-        meta: response.data.meta
-      };
-    } catch (error) {
-      throw error;
+    return this.request({ ...config, method: 'delete', url });
+  }
+  
+  /**
+   * Upload multipart form data
+   * @param {string} url - Route path
+   * @param {FormData} formData - Form data with the file
+   * @param {Function} onProgress - Called with the percentage uploaded
+   * @param {Object} options - Upload options
+   * @param {AbortSignal} options.signal - Aborts the upload; the request then rejects with type 'canceled'
+   * @returns {Promise<ApiResponse>} Unwrapped response
+   */
+  async uploadFile(url, formData, onProgress = null, { signal } = {}) {
+    return this.request({
+      method: 'post',
+      url,
+      data: formData,
+      signal,
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      onUploadProgress: (progressEvent) => {
+        if (onProgress) {
+          const percentCompleted = Math.round(
+            (progressEvent.loaded * 100) / progressEvent.total
+          );
+          onProgress(percentCompleted);
+        }
+      },
+    });
+  }
+  
+  /**
+   * Refresh the access token. Concurrent callers share one in-flight refresh:
+   * the first caller sends the request, everyone else is queued and resolved
+   * with the same new token.
+   *
+   * Only a refresh the server rejects (401/403) ends the session. Network
+   * errors and timeouts keep the tokens; the next request or the `online`
+   * event tries again.
+   * @returns {Promise<string>} New access token
+   */
+  refreshAccessToken() {
+    if (this.refreshPromise) {
+      return new Promise((resolve, reject) => {
+        this.refreshQueue.push({ resolve, reject });
+      });
+    }
+    
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      return Promise.reject(new Error('No refresh token available'));
     }
+    
+    console.log('[ApiService] Refreshing access token');
+    
+    // Bare axios so the refresh call itself never goes through the interceptors
+    this.refreshPromise = axios.post(this.buildUrl(routes.auth.refresh()), { refreshToken })
+      .then((response) => {
+        const { accessToken, refreshToken: rotatedRefreshToken } = response.data.data;
+        this.refreshPromise = null;
+        
+        localStorage.setItem('accessToken', accessToken);
+        if (rotatedRefreshToken) {
+          localStorage.setItem('refreshToken', rotatedRefreshToken);
+        }
+        this.scheduleTokenRefresh(accessToken);
+        
+        this.flushRefreshQueue(null, accessToken);
+        this.notifyTokenListeners(accessToken);
+        return accessToken;
+      })
+      .catch((refreshError) => {
+        console.error('[ApiService] Token refresh failed:', refreshError);
+        this.refreshPromise = null;
+        this.flushRefreshQueue(refreshError, null);
+        
+        const status = refreshError.response?.status;
+        if (status === 401 || status === 403) {
+          this.endSession();
+        }
+        throw refreshError;
+      });
+    
+    return this.refreshPromise;
   }
   
-  // File upload method
-  async uploadFile(url, formData, onProgress = null) {
-    try {
-      const config = {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        onUploadProgress: (progressEvent) => {
-          if (onProgress) {
-            const percentCompleted = Math.round(
-              (progressEvent.loaded * 100) / progressEvent.total
-            );
-            onProgress(percentCompleted);
-          }
-        },
-      };
-      
-      const response = await this.api.post(url, formData, config);
-      return {
-        success: true,
-        data: response.data.data,
-        message: response.data.message,
-        meta: response.data.meta
-      };
-    } catch (error) {
-      throw error;
+  /**
+   * Settle every request waiting on the in-flight refresh
+   * @param {Error|null} error - Refresh error, if the refresh failed
+   * @param {string|null} token - New access token, if the refresh succeeded
+   */
+  flushRefreshQueue(error, token) {
+    const queue = this.refreshQueue;
+    this.refreshQueue = [];
+    
+    queue.forEach(({ resolve, reject }) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(token);
+      }
+    });
+  }
+  
+  /**
+   * Schedule a proactive refresh shortly before the token's `exp`
+   * @param {string|null} token - Access token
+   */
+  scheduleTokenRefresh(token) {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
     }
+    
+    const payload = this.decodeToken(token);
+    if (!payload?.exp || !localStorage.getItem('refreshToken')) return;
+    
+    const delay = Math.max(payload.exp * 1000 - Date.now() - this.refreshLeadTime, 0);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refreshAccessToken().catch(() => {});
+    }, delay);
+  }
+  
+  /**
+   * Check whether a token expires within the refresh lead time
+   * @param {string|null} token - Access token
+   * @returns {boolean} True when the token should be refreshed before use
+   */
+  isTokenExpiring(token) {
+    const payload = this.decodeToken(token);
+    if (!payload?.exp || !localStorage.getItem('refreshToken')) return false;
+    
+    return payload.exp * 1000 - Date.now() <= this.refreshLeadTime;
+  }
+  
+  /**
+   * Subscribe to access token changes (refresh or login)
+   * @param {Function} callback - Called with the new access token
+   * @returns {Function} Unsubscribe function
+   */
+  onTokenRefreshed(callback) {
+    this.tokenListeners.add(callback);
+    return () => this.tokenListeners.delete(callback);
+  }
+  
+  notifyTokenListeners(token) {
+    this.tokenListeners.forEach(callback => {
+      try {
+        callback(token);
+      } catch (error) {
+        console.error('[ApiService] Error in token listener:', error);
+      }
+    });
   }
   
   // Set auth token
@@ -229,6 +409,18 @@ class ApiService {
       localStorage.removeItem('accessToken');
       delete this.api.defaults.headers.Authorization;
     }
+    this.scheduleTokenRefresh(token);
+  }
+  
+  /**
+   * The server no longer accepts our credentials: drop them and go to login
+   */
+  endSession() {
+    console.warn('[ApiService] Session expired, redirecting to login');
+    this.clearAuthToken();
+    if (window.location.pathname !== '/login') {
+      window.location.href = '/login';
+    }
   }
   
   // Clear auth token
@@ -236,34 +428,40 @@ class ApiService {
     localStorage.removeItem('accessToken');
     localStorage.removeItem('refreshToken');
     delete this.api.defaults.headers.Authorization;
+    this.scheduleTokenRefresh(null);
   }
   
-  // Get current user info from token
-  getCurrentUser() {
+  /**
+   * Decode a JWT payload
+   * @param {string|null} token - JWT
+   * @returns {Object|null} Payload, or null when the token is missing or malformed
+   */
+  decodeToken(token) {
+    if (!token) return null;
+    
     try {
-      const token = localStorage.getItem('accessToken');
-      if (!token) return null;
-      
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      return payload.user || null;
+      // JWT segments are base64url encoded
+      const segment = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(segment));
     } catch (error) {
       console.error('[ApiService] Error decoding token:', error);
       return null;
     }
   }
   
+  // Get current user info from token
+  getCurrentUser() {
+    const payload = this.decodeToken(localStorage.getItem('accessToken'));
+    return payload?.user || null;
+  }
+  
   // Check if user is authenticated
   isAuthenticated() {
-    const token = localStorage.getItem('accessToken');
-    if (!token) return false;
+    const payload = this.decodeToken(localStorage.getItem('accessToken'));
+    if (!payload) return false;
     
-    try {
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      const currentTime = Date.now() / 1000;
-      return payload.exp > currentTime;
-    } catch (error) {
-      return false;
-    }
+    const currentTime = Date.now() / 1000;
+    return payload.exp > currentTime;
   }
 }
 
@@ -1,4 +1,5 @@
 import apiService from './enhancedApiService';
+import routes from './apiRoutes';
 
 /**
  * Enhanced Call Service with comprehensive error handling and WebRTC integration
@@ -13,7 +14,7 @@ class CallService {
    */
   async initiateCall(chatId, type = 'audio') {
     try {
-      const response = await apiService.post('/api/v1/user/calls', {
+      const response = await apiService.post(routes.calls.initiate(), {
         chatId,
         type
       });
@@ -35,6 +36,79 @@ class CallService {
     }
   }
   
+  /**
+   * Start a group call with up to 7 other people. The server rings everyone;
+   * the call stays up until the last participant leaves.
+   * @param {string[]} participantIds - User IDs to invite
+   * @param {string} type - Call type (audio/video)
+   * @param {string} chatId - Chat the call was started from, if any
+   * @returns {Promise<Object>} Call object
+   */
+  async initiateGroupCall(participantIds, type = 'audio', chatId = null) {
+    try {
+      const response = await apiService.post(routes.calls.initiate(), {
+        chatId,
+        type,
+        isGroup: true,
+        participantIds
+      });
+      
+      return {
+        success: true,
+        call: response.data.call,
+        callId: response.data.call.callId,
+        chatId: response.data.call.chatId,
+        type: response.data.call.type,
+        status: response.data.call.status,
+        participants: response.data.call.participants
+      };
+    } catch (error) {
+      console.error('[CallService] initiateGroupCall error:', error);
+      throw this.handleError(error);
+    }
+  }
+  
+  /**
+   * Invite more people into a group call that's in progress
+   * @param {string} callId - Call ID
+   * @param {string[]} userIds - User IDs to invite
+   * @returns {Promise<Object>} Updated participant list
+   */
+  async inviteToCall(callId, userIds) {
+    try {
+      const response = await apiService.post(routes.calls.invite(callId), { userIds });
+      
+      return {
+        success: true,
+        callId: response.data.callId,
+        participants: response.data.participants
+      };
+    } catch (error) {
+      console.error('[CallService] inviteToCall error:', error);
+      throw this.handleError(error);
+    }
+  }
+  
+  /**
+   * Leave a group call without ending it for everyone else
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} Leave result
+   */
+  async leaveCall(callId) {
+    try {
+      const response = await apiService.post(routes.calls.leave(callId));
+      
+      return {
+        success: true,
+        callId: response.data.callId,
+        status: response.data.status
+      };
+    } catch (error) {
+      console.error('[CallService] leaveCall error:', error);
+      throw this.handleError(error);
+    }
+  }
+  
   /**
    * Accept a call
    * @param {string} callId - Call ID
@@ -43,7 +117,7 @@ class CallService {
    */
   async acceptCall(callId, signalingData = {}) {
     try {
-      const response = await apiService.post(`/api/v1/user/calls/${callId}/accept`, {
+      const response = await apiService.post(routes.calls.accept(callId), {
         signalingData
       });
       
@@ -68,7 +142,7 @@ class CallService {
    */
   async rejectCall(callId, reason = 'Call rejected') {
     try {
-      const response = await apiService.post(`/api/v1/user/calls/${callId}/reject`, {
+      const response = await apiService.post(routes.calls.reject(callId), {
         reason
       });
       
@@ -93,7 +167,7 @@ class CallService {
    */
   async endCall(callId, reason = 'user_ended') {
     try {
-      const response = await apiService.post(`/api/v1/user/calls/${callId}/end`, {
+      const response = await apiService.post(routes.calls.end(callId), {
         reason
       });
       
@@ -118,7 +192,7 @@ class CallService {
    */
   async getCallStatus(callId) {
     try {
-      const response = await apiService.get(`/api/v1/user/calls/${callId}/status`);
+      const response = await apiService.get(routes.calls.status(callId));
       
       return {
         success: true,
@@ -164,7 +238,7 @@ class CallService {
       if (startDate) params.startDate = startDate;
       if (endDate) params.endDate = endDate;
       
-      const response = await apiService.get(`/api/v1/user/calls/chat/${chatId}/history`, {
+      const response = await apiService.get(routes.calls.history(chatId), {
         params
       });
       
@@ -192,7 +266,7 @@ class CallService {
         if (dateRange.end) params.endDate = dateRange.end;
       }
       
-      const response = await apiService.get('/api/v1/user/calls/stats', {
+      const response = await apiService.get(routes.calls.stats(), {
         params
       });
       
@@ -214,7 +288,7 @@ class CallService {
    */
   async updateCallSettings(callId, settings) {
     try {
-      const response = await apiService.put(`/api/v1/user/calls/${callId}/settings`, settings);
+      const response = await apiService.put(routes.calls.settings(callId), settings);
       
       return {
         success: true,
@@ -230,16 +304,17 @@ class CallService {
   /**
    * Handle WebRTC signaling
    * @param {string} callId - Call ID
-   * @param {Object} signalingData - Signaling data
+   * @param {Object} signalingData - Signaling data; `targetUserId` addresses one participant of a group call
    * @returns {Promise<Object>} Signaling result
    */
   async handleSignaling(callId, signalingData) {
     try {
-      const { type, data } = signalingData;
+      const { type, data, targetUserId } = signalingData;
       
-      const response = await apiService.post(`/api/v1/user/calls/${callId}/signaling`, {
+      const response = await apiService.post(routes.calls.signaling(callId), {
         type,
-        data
+        data,
+        ...(targetUserId && { targetUserId })
       });
       
       return {
@@ -261,7 +336,7 @@ class CallService {
    */
   async getActiveCall(chatId) {
     try {
-      const response = await apiService.get(`/api/v1/user/calls/chat/${chatId}/active`);
+      const response = await apiService.get(routes.calls.active(chatId));
       
       return {
         success: true,
@@ -273,6 +348,26 @@ class CallService {
     }
   }
   
+  /**
+   * Get short-lived ICE servers (TURN credentials) for the next call
+   * @returns {Promise<Object>} `{ iceServers, ttl }` where ttl is in seconds
+   */
+  async getIceServers() {
+    try {
+      // A call shouldn't wait long for credentials
+      const response = await apiService.get(routes.calls.iceServers(), { timeout: 5000 });
+      
+      return {
+        success: true,
+        iceServers: response.data.iceServers || [],
+        ttl: response.data.ttl
+      };
+    } catch (error) {
+      console.error('[CallService] getIceServers error:', error);
+      throw this.handleError(error);
+    }
+  }
+  
   /**
    * Force cleanup calls for a chat
    * @param {string} chatId - Chat ID
@@ -280,7 +375,7 @@ class CallService {
    */
   async forceCleanupCalls(chatId) {
     try {
-      const response = await apiService.post(`/api/v1/user/calls/chat/${chatId}/cleanup`);
+      const response = await apiService.post(routes.calls.cleanup(chatId));
       
       return {
         success: true,
@@ -297,14 +392,19 @@ class CallService {
    * Send WebRTC offer
    * @param {string} callId - Call ID
    * @param {RTCSessionDescriptionInit} offer - WebRTC offer
+   * @param {Object} options - Offer options
+   * @param {boolean} options.iceRestart - Renegotiation of a live call after a network change
+   * @param {string} options.targetUserId - Recipient in a group call
    * @returns {Promise<Object>} Signaling result
    */
-  async sendOffer(callId, offer) {
+  async sendOffer(callId, offer, { iceRestart = false, targetUserId } = {}) {
     return this.handleSignaling(callId, {
       type: 'offer',
+      targetUserId,
       data: {
         sdp: offer.sdp,
-        type: offer.type
+        type: offer.type,
+        iceRestart
       }
     });
   }
@@ -313,11 +413,14 @@ class CallService {
    * Send WebRTC answer
    * @param {string} callId - Call ID
    * @param {RTCSessionDescriptionInit} answer - WebRTC answer
+   * @param {Object} options - Answer options
+   * @param {string} options.targetUserId - Recipient in a group call
    * @returns {Promise<Object>} Signaling result
    */
-  async sendAnswer(callId, answer) {
+  async sendAnswer(callId, answer, { targetUserId } = {}) {
     return this.handleSignaling(callId, {
       type: 'answer',
+      targetUserId,
       data: {
         sdp: answer.sdp,
         type: answer.type
@@ -329,11 +432,14 @@ class CallService {
    * Send ICE candidate
    * @param {string} callId - Call ID
    * @param {RTCIceCandidateInit} candidate - ICE candidate
+   * @param {Object} options - Candidate options
+   * @param {string} options.targetUserId - Recipient in a group call
    * @returns {Promise<Object>} Signaling result
    */
-  async sendIceCandidate(callId, candidate) {
+  async sendIceCandidate(callId, candidate, { targetUserId } = {}) {
     return this.handleSignaling(callId, {
       type: 'ice-candidate',
+      targetUserId,
       data: {
         candidate: candidate.candidate,
         sdpMLineIndex: candidate.sdpMLineIndex,
@@ -350,7 +456,7 @@ class CallService {
    */
   async updateCallQuality(callId, qualityData) {
     try {
-      const response = await apiService.put(`/api/v1/user/calls/${callId}/quality`, qualityData);
+      const response = await apiService.put(routes.calls.quality(callId), qualityData);
       
       return {
         success: true,
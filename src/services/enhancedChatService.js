@@ -1,4 +1,5 @@
 import apiService from './enhancedApiService';
+import routes from './apiRoutes';
 
 /**
  * Enhanced Chat Service with comprehensive error handling
@@ -12,9 +13,7 @@ class ChatService {
    */
   async createOrGetChat(otherUserId) {
     try {
-      const response = await apiService.post('/api/v1/user/chats', {
-        otherUserId
-      });
+      const response = await apiService.post(routes.chats.withUser(otherUserId));
       
       return {
         success: true,
@@ -37,7 +36,7 @@ class ChatService {
    */
   async getUserChats(page = 1, limit = 20) {
     try {
-      const response = await apiService.get('/api/v1/user/chats', {
+      const response = await apiService.get(routes.chats.list(), {
         params: { page, limit }
       });
       
@@ -59,7 +58,7 @@ class ChatService {
    */
   async getChatDetails(chatId) {
     try {
-      const response = await apiService.get(`/user/chats/${chatId}`);
+      const response = await apiService.get(routes.chats.detail(chatId));
       
       return {
         success: true,
@@ -82,7 +81,7 @@ class ChatService {
    */
   async updateChatSettings(chatId, settings) {
     try {
-      const response = await apiService.put(`/user/chats/${chatId}/settings`, settings);
+      const response = await apiService.put(routes.chats.detail(chatId), settings);
       
       return {
         success: true,
@@ -102,7 +101,7 @@ class ChatService {
    */
   async deleteChat(chatId) {
     try {
-      const response = await apiService.delete(`/user/chats/${chatId}`);
+      const response = await apiService.delete(routes.chats.detail(chatId));
       
       return {
         success: true,
@@ -124,8 +123,8 @@ class ChatService {
    */
   async searchChats(query, page = 1, limit = 20) {
     try {
-      const response = await apiService.get('/api/v1/user/chats/search', {
-        params: { q: query, page, limit }
+      const response = await apiService.get(routes.chats.search(), {
+        params: { query, page, limit }
       });
       
       return {
@@ -145,7 +144,7 @@ class ChatService {
    */
   async getChatStats() {
     try {
-      const response = await apiService.get('/api/v1/user/chats/stats');
+      const response = await apiService.get(routes.chats.stats());
       
       return {
         success: true,
@@ -164,7 +163,7 @@ class ChatService {
    */
   async joinChat(chatId) {
     try {
-      const response = await apiService.post(`/user/chats/${chatId}/join`);
+      const response = await apiService.post(routes.chats.join(chatId));
       
       return {
         success: true,
@@ -186,7 +185,7 @@ class ChatService {
    */
   async leaveChat(chatId) {
     try {
-      const response = await apiService.post(`/user/chats/${chatId}/leave`);
+      const response = await apiService.post(routes.chats.leave(chatId));
       
       return {
         success: true,
@@ -1,4 +1,9 @@
 import apiService from './enhancedApiService';
+import routes from './apiRoutes';
+import uploadService from './uploadService';
+import { prepareMediaUpload } from '../utils/mediaProcessing';
+
+const FORWARD_CONCURRENCY = 3; // Target chats forwarded to at once
 
 /**
  * Enhanced Message Service with comprehensive error handling and file upload
@@ -12,16 +17,20 @@ class MessageService {
    * @param {string} type - Message type
    * @param {string} replyTo - Reply to message ID
    * @param {string} forwardedFrom - Forwarded from message ID
+   * @param {string} clientMessageId - Client-generated ID the server uses to dedupe retries
+   * @param {Object} extras - Additional message fields
+   * @param {Object|false} extras.linkPreview - Preview the sender saw, or false when they removed it
    * @returns {Promise<Object>} Sent message
    */
-  async sendMessage(chatId, content, type = 'text', replyTo = null, forwardedFrom = null) {
+  async sendMessage(chatId, content, type = 'text', replyTo = null, forwardedFrom = null, clientMessageId = null, extras = {}) {
     try {
-      const response = await apiService.post('/api/v1/user/messages', {
-        chatId,
+      const response = await apiService.post(routes.messages.list(chatId), {
         type,
         content,
         replyTo,
-        forwardedFrom
+        forwardedFrom,
+        clientMessageId,
+        ...extras
       });
       
       return {
@@ -37,21 +46,51 @@ class MessageService {
   }
   
   /**
-   * Send a file message
+   * Send a file message. Images are resized and re-encoded for the current
+   * connection and stripped of location data first, and images and videos
+   * carry a blurred placeholder (see utils/mediaProcessing). Large files go
+   * up in resumable chunks (see uploadService) and the message is then sent
+   * with the `uploadId` instead of the file.
    * @param {string} chatId - Chat ID
    * @param {File} file - File to upload
    * @param {string} type - Message type (audio, video, image, document)
    * @param {Function} onProgress - Upload progress callback
+   * @param {string} clientMessageId - Client-generated ID the server uses to dedupe retries
+   * @param {Object} options - Upload options
+   * @param {string} options.caption - Text sent with the file
+   * @param {number} options.duration - Length of audio in seconds
+   * @param {number[]} options.peaks - Waveform of a voice note (0..1)
+   * @param {AbortSignal} options.signal - Cancels the upload; a chunked upload resumes on the next call
    * @returns {Promise<Object>} Sent message
    */
-  async sendFileMessage(chatId, file, type, onProgress = null) {
+  async sendFileMessage(chatId, file, type, onProgress = null, clientMessageId = null, { caption = '', duration, peaks, signal } = {}) {
     try {
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('chatId', chatId);
-      formData.append('type', type);
+      const prepared = await prepareMediaUpload(file, { type });
+      
+      const fields = {
+        type,
+        ...(prepared.placeholder && { placeholder: prepared.placeholder }),
+        ...(prepared.width && prepared.height && { width: prepared.width, height: prepared.height }),
+        ...(duration && { duration }),
+        ...(peaks?.length && { peaks }),
+        ...(caption && { content: caption }),
+        ...(clientMessageId && { clientMessageId })
+      };
+      
+      // Null when the file is small or the server can't take chunks
+      const upload = uploadService.shouldChunk(prepared.file)
+        ? await uploadService.upload(prepared.file, { key: clientMessageId, signal, onProgress })
+        : null;
       
-      const response = await apiService.uploadFile('/user/messages', formData, onProgress);
+      let response;
+      if (upload) {
+        response = await apiService.post(routes.messages.list(chatId), { ...fields, uploadId: upload.uploadId }, { signal });
+      } else {
+        const formData = new FormData();
+        formData.append('file', prepared.file);
+        Object.entries(fields).forEach(([name, value]) => formData.append(name, Array.isArray(value) ? JSON.stringify(value) : value));
+        response = await apiService.uploadFile(routes.messages.list(chatId), formData, onProgress, { signal });
+      }
       
       return {
         success: true,
@@ -74,7 +113,7 @@ class MessageService {
    */
   async getChatMessages(chatId, page = 1, limit = 50) {
     try {
-      const response = await apiService.get(`/api/v1/user/messages/chat/${chatId}`, {
+      const response = await apiService.get(routes.messages.list(chatId), {
         params: { page, limit }
       });
       
@@ -88,15 +127,46 @@ class MessageService {
       throw this.handleError(error);
     }
   }
-  
+
+  /**
+   * Get messages next to a message rather than by page: the window around
+   * it, or the messages just before or after it
+   * @param {string} chatId - Chat ID
+   * @param {Object} cursor - One of `{ around }`, `{ before }` or `{ after }` with a message ID
+   * @param {number} limit - Items to fetch
+   * @returns {Promise<Object>} Messages, oldest first, and whether older and newer ones exist
+   */
+  async getMessagesNear(chatId, cursor, limit = 50) {
+    try {
+      const response = await apiService.get(routes.messages.list(chatId), {
+        params: { ...cursor, limit }
+      });
+
+      const messages = response.data.messages || [];
+      const pagination = response.data.pagination || {};
+      // Without the flags, keep paging until a page comes back empty
+      return {
+        success: true,
+        messages,
+        hasOlder: pagination.hasOlder ?? messages.length > 0,
+        hasNewer: pagination.hasNewer ?? messages.length > 0
+      };
+    } catch (error) {
+      console.error('[MessageService] getMessagesNear error:', error);
+      throw this.handleError(error);
+    }
+  }
+
   /**
    * Mark messages as read in a chat
    * @param {string} chatId - Chat ID
+   * @param {Object} options - Read options
+   * @param {boolean} options.sendReceipt - Notify senders; false clears unread counts without a read receipt
    * @returns {Promise<Object>} Read result
    */
-  async markMessagesAsRead(chatId) {
+  async markMessagesAsRead(chatId, { sendReceipt = true } = {}) {
     try {
-      const response = await apiService.put(`/api/v1/user/messages/chat/${chatId}/read`);
+      const response = await apiService.post(routes.messages.read(chatId), { sendReceipt });
       
       return {
         success: true,
@@ -110,6 +180,26 @@ class MessageService {
     }
   }
   
+  /**
+   * Get who a message has been delivered to and read by
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Delivery and read receipts
+   */
+  async getMessageReceipts(messageId) {
+    try {
+      const response = await apiService.get(routes.messages.receipts(messageId));
+      
+      return {
+        success: true,
+        deliveredTo: response.data.deliveredTo || [],
+        readBy: response.data.readBy || []
+      };
+    } catch (error) {
+      console.error('[MessageService] getMessageReceipts error:', error);
+      throw this.handleError(error);
+    }
+  }
+  
   /**
    * Edit a message
    * @param {string} messageId - Message ID
@@ -118,7 +208,7 @@ class MessageService {
    */
   async editMessage(messageId, content) {
     try {
-      const response = await apiService.put(`/api/v1/user/messages/${messageId}`, {
+      const response = await apiService.put(routes.messages.detail(messageId), {
         content
       });
       
@@ -141,7 +231,7 @@ class MessageService {
    */
   async deleteMessage(messageId) {
     try {
-      const response = await apiService.delete(`/api/v1/user/messages/${messageId}`);
+      const response = await apiService.delete(routes.messages.detail(messageId));
       
       return {
         success: true,
@@ -154,6 +244,31 @@ class MessageService {
     }
   }
   
+  /**
+   * Delete several messages at once
+   * @param {string[]} messageIds - Message IDs
+   * @param {Object} options - Delete options
+   * @param {boolean} options.forEveryone - Remove the messages for all participants (own messages only); otherwise only hide them for the current user
+   * @returns {Promise<Object>} IDs of the deleted messages
+   */
+  async deleteMessages(messageIds, { forEveryone = false } = {}) {
+    try {
+      const response = await apiService.post(routes.messages.bulkDelete(), {
+        messageIds,
+        forEveryone
+      });
+      
+      return {
+        success: true,
+        deletedIds: response.data.messageIds || messageIds,
+        forEveryone: response.data.forEveryone ?? forEveryone
+      };
+    } catch (error) {
+      console.error('[MessageService] deleteMessages error:', error);
+      throw this.handleError(error);
+    }
+  }
+  
   /**
    * Add reaction to a message
    * @param {string} messageId - Message ID
@@ -162,7 +277,7 @@ class MessageService {
    */
   async reactToMessage(messageId, emoji) {
     try {
-      const response = await apiService.post(`/api/v1/user/messages/${messageId}/reactions`, {
+      const response = await apiService.post(routes.messages.react(messageId), {
         emoji
       });
       
@@ -184,7 +299,7 @@ class MessageService {
    */
   async removeReaction(messageId) {
     try {
-      const response = await apiService.delete(`/api/v1/user/messages/${messageId}/reactions`);
+      const response = await apiService.delete(routes.messages.react(messageId));
       
       return {
         success: true,
@@ -205,7 +320,7 @@ class MessageService {
    */
   async forwardMessage(messageId, targetChatId) {
     try {
-      const response = await apiService.post(`/api/v1/user/messages/${messageId}/forward`, {
+      const response = await apiService.post(routes.messages.forward(messageId), {
         targetChatId
       });
       
@@ -222,18 +337,74 @@ class MessageService {
     }
   }
   
+  /**
+   * Forward messages to several chats. Each chat gets the messages in order,
+   * followed by the optional comment; chats are handled a few at a time and
+   * one failing does not stop the others.
+   * @param {string[]} messageIds - Messages to forward, in order
+   * @param {string[]} targetChatIds - Target chat IDs
+   * @param {Object} options - Forward options
+   * @param {string} options.comment - Text message sent after the forwarded messages
+   * @param {Object} options.completed - Steps that already went through, by target chat ID: `{ forwardedIds, commentSent }`; a retry skips them so nothing is posted twice
+   * @param {Function} options.onTargetUpdate - Called with (targetChatId, { status, error, forwardedIds, commentSent }) as each chat starts ('sending'), succeeds ('sent') or fails ('failed')
+   * @returns {Promise<Object>} Result per target chat
+   */
+  async forwardMessages(messageIds, targetChatIds, { comment = '', completed = {}, onTargetUpdate = null } = {}) {
+    const results = [];
+    const queue = [...targetChatIds];
+    const trimmedComment = comment.trim();
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const targetChatId = queue.shift();
+        const forwardedIds = [...(completed[targetChatId]?.forwardedIds || [])];
+        let commentSent = !!completed[targetChatId]?.commentSent;
+        const progress = () => ({ forwardedIds: [...forwardedIds], commentSent });
+        onTargetUpdate?.(targetChatId, { status: 'sending', ...progress() });
+
+        try {
+          for (const messageId of messageIds) {
+            if (forwardedIds.includes(messageId)) continue;
+            await this.forwardMessage(messageId, targetChatId);
+            forwardedIds.push(messageId);
+          }
+          if (trimmedComment && !commentSent) {
+            await this.sendMessage(targetChatId, trimmedComment);
+            commentSent = true;
+          }
+          results.push({ targetChatId, success: true });
+          onTargetUpdate?.(targetChatId, { status: 'sent', ...progress() });
+        } catch (error) {
+          results.push({ targetChatId, success: false, error: error.message });
+          onTargetUpdate?.(targetChatId, { status: 'failed', error: error.message, ...progress() });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(FORWARD_CONCURRENCY, queue.length) }, worker));
+
+    return {
+      success: results.every(result => result.success),
+      results
+    };
+  }
+  
   /**
    * Search messages in a chat
    * @param {string} chatId - Chat ID
    * @param {string} query - Search query
    * @param {number} page - Page number
    * @param {number} limit - Items per page
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.senderId - Only messages from this user
+   * @param {string} filters.type - Message type (text, image, video, audio, document)
+   * @param {string} filters.from - Earliest date (ISO)
+   * @param {string} filters.to - Latest date (ISO)
    * @returns {Promise<Array>} Search results
    */
-  async searchMessages(chatId, query, page = 1, limit = 20) {
+  async searchMessages(chatId, query, page = 1, limit = 20, filters = {}) {
     try {
-      const response = await apiService.get(`/api/v1/user/messages/chat/${chatId}/search`, {
-        params: { q: query, page, limit }
+      const response = await apiService.get(routes.messages.search(chatId), {
+        params: { query, page, limit, ...filters }
       });
       
       return {
@@ -247,6 +418,31 @@ class MessageService {
     }
   }
   
+  /**
+   * Get a thread: the root message and its replies, oldest reply first
+   * @param {string} messageId - Root message ID
+   * @param {number} page - Page number (page 1 holds the latest replies)
+   * @param {number} limit - Replies per page
+   * @returns {Promise<Object>} Root message, replies and pagination
+   */
+  async getThread(messageId, page = 1, limit = 50) {
+    try {
+      const response = await apiService.get(routes.messages.thread(messageId), {
+        params: { page, limit }
+      });
+      
+      return {
+        success: true,
+        root: response.data.root,
+        replies: response.data.replies || [],
+        pagination: response.data.pagination
+      };
+    } catch (error) {
+      console.error('[MessageService] getThread error:', error);
+      throw this.handleError(error);
+    }
+  }
+  
   /**
    * Get media messages in a chat
    * @param {string} chatId - Chat ID
@@ -260,7 +456,7 @@ class MessageService {
       const params = { page, limit };
       if (type) params.type = type;
       
-      const response = await apiService.get(`/api/v1/user/messages/chat/${chatId}/media`, {
+      const response = await apiService.get(routes.messages.media(chatId), {
         params
       });
       
@@ -282,7 +478,7 @@ class MessageService {
    */
   async getMessageDetails(messageId) {
     try {
-      const response = await apiService.get(`/api/v1/user/messages/${messageId}`);
+      const response = await apiService.get(routes.messages.detail(messageId));
       
       return {
         success: true,
@@ -301,7 +497,7 @@ class MessageService {
    */
   async getFileDownloadUrl(messageId) {
     try {
-      const response = await apiService.get(`/api/v1/user/messages/${messageId}/download`);
+      const response = await apiService.get(routes.messages.download(messageId));
       
       return {
         success: true,
@@ -335,6 +531,10 @@ class MessageService {
         message: 'Network error. Please check your connection.',
         status: 0
       };
+    } else if (error.type === 'canceled') {
+      return error;
+    } else if (error.type === 'metadata_error') {
+      return { type: 'metadata_error', message: error.message, status: 0 };
     } else {
       return {
         type: 'unknown_error',
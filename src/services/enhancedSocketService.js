@@ -12,7 +12,10 @@ class EnhancedSocketService {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
     this.eventListeners = new Map();
+    this.serviceListeners = new Map(); // App-lifetime listeners of singleton services, kept across disconnect()
     this.messageQueue = [];
+    this.joinedChats = new Set(); // Chat rooms to rejoin after a reconnect
+    this.acknowledgedMessages = new Set(); // Messages already reported as delivered
     this.callHandlers = new Map();
     this.storedWebRTCEvents = new Map(); // Store WebRTC events for later processing
     
@@ -81,6 +84,9 @@ class EnhancedSocketService {
         this.isConnecting = false;
         this.reconnectAttempts = 0;
         
+        // Rooms are per connection - rejoin the ones we were in
+        this.joinedChats.forEach(chatId => this.socket.emit('join_chat', chatId));
+        
         // Process queued messages
         this.processMessageQueue();
         
@@ -203,6 +209,7 @@ class EnhancedSocketService {
       this.eventListeners.clear();
       this.callHandlers.clear();
       this.messageQueue = [];
+      this.joinedChats.clear();
       this.reconnectAttempts = 0;
       this.authToken = null;
       
@@ -227,9 +234,19 @@ class EnhancedSocketService {
 
     // Chat events
     this.socket.on('message_received', (data) => {
+      this.acknowledgeDelivery(data);
       this.emitEvent('message_received', data);
     });
 
+    // Receipts for messages we sent
+    this.socket.on('message_delivered', (data) => {
+      this.emitEvent('message_delivered', data);
+    });
+
+    this.socket.on('messages_read', (data) => {
+      this.emitEvent('messages_read', data);
+    });
+
     this.socket.on('message_reaction', (data) => {
       this.emitEvent('message_reaction', data);
     });
@@ -273,6 +290,19 @@ class EnhancedSocketService {
       this.emitEvent('call_error', data);
     });
 
+    // Group call membership: { callId, participant } / { callId, userId, ... }
+    this.socket.on('call:participant_joined', (data) => {
+      this.emitEvent('call_participant_joined', data);
+    });
+
+    this.socket.on('call:participant_left', (data) => {
+      this.emitEvent('call_participant_left', data);
+    });
+
+    this.socket.on('call:participant_updated', (data) => {
+      this.emitEvent('call_participant_updated', data);
+    });
+
     // WebRTC events (Socket.IO converts colons to underscores)
     this.socket.on('webrtc_offer', (data) => {
       console.log('[SOCKET_SERVICE] 📡 Received webrtc_offer event:', data);
@@ -400,6 +430,7 @@ class EnhancedSocketService {
 
     // Notification events
     this.socket.on('new_message_notification', (data) => {
+      this.acknowledgeDelivery(data.message || data);
       this.emitEvent('new_message_notification', data);
     });
 
@@ -420,6 +451,14 @@ class EnhancedSocketService {
    * @param {any} data - Event data
    */
   emitEvent(event, data) {
+    this.serviceListeners.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in service listener for ${event}:`, error);
+      }
+    });
+
     const listeners = this.eventListeners.get(event);
     console.log(`[SOCKET] 📡 Emitting event '${event}' to ${listeners ? listeners.size : 0} listeners:`, data);
     
@@ -507,6 +546,29 @@ class EnhancedSocketService {
     }
   }
 
+  /**
+   * Add a listener for the lifetime of the app. Unlike on(), it survives
+   * disconnect(), so singleton services that subscribe once in their
+   * constructor keep receiving events after a logout or reconnect.
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  onService(event, callback) {
+    if (!this.serviceListeners.has(event)) {
+      this.serviceListeners.set(event, new Set());
+    }
+    this.serviceListeners.get(event).add(callback);
+  }
+
+  /**
+   * Remove a listener added with onService()
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  offService(event, callback) {
+    this.serviceListeners.get(event)?.delete(callback);
+  }
+
   /**
    * Get debug info about current listeners
    */
@@ -602,12 +664,35 @@ class EnhancedSocketService {
     });
   }
 
+  /**
+   * Tell the server a message from someone else reached this device, so the
+   * sender sees it as delivered
+   * @param {Object} message - Received message
+   */
+  acknowledgeDelivery(message) {
+    const messageId = message?._id || message?.messageId;
+    const senderId = message?.senderId?._id || message?.senderId;
+    if (!messageId || !message.chatId || senderId === this.getCurrentUserId()) return;
+    if (this.acknowledgedMessages.has(messageId)) return;
+
+    this.acknowledgedMessages.add(messageId);
+    // Only recent IDs matter for deduping repeated events
+    if (this.acknowledgedMessages.size > 500) {
+      this.acknowledgedMessages.delete(this.acknowledgedMessages.values().next().value);
+    }
+
+    this.emit('message_delivered', { messageId, chatId: message.chatId });
+  }
+
   /**
    * Join chat room
    * @param {string} chatId - Chat ID
    */
   joinChat(chatId) {
-    this.emit('join_chat', chatId);
+    this.joinedChats.add(chatId);
+    if (this.isConnected) {
+      this.emit('join_chat', chatId);
+    }
   }
 
   /**
@@ -615,7 +700,10 @@ class EnhancedSocketService {
    * @param {string} chatId - Chat ID
    */
   leaveChat(chatId) {
-    this.emit('leave_chat', chatId);
+    this.joinedChats.delete(chatId);
+    if (this.isConnected) {
+      this.emit('leave_chat', chatId);
+    }
   }
 
   /**
@@ -766,6 +854,28 @@ class EnhancedSocketService {
     }
   }
 
+  /**
+   * Re-authenticate with a new access token (e.g. after a token refresh).
+   * The token is only checked during the handshake, so a live connection is
+   * re-established; rooms are rejoined on connect.
+   * @param {string} token - New authentication token
+   */
+  updateAuthToken(token) {
+    if (!token || token === this.authToken) return;
+    
+    this.authToken = token;
+    
+    if (!this.socket) return;
+    
+    console.log('[SOCKET] 🔑 Access token refreshed, re-authenticating socket');
+    this.socket.auth = { token };
+    
+    if (this.socket.connected) {
+      this.socket.disconnect();
+      this.socket.connect();
+    }
+  }
+
   /**
    * Reconnect manually
    */
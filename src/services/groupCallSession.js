@@ -0,0 +1,584 @@
+import callService from './enhancedCallService';
+import enhancedSocketService from './enhancedSocketService';
+import iceServerService from './iceServerService';
+import MeshCallTransport from './meshCallTransport';
+import { CALL_STATES } from './callSession';
+
+export const MAX_GROUP_CALL_PARTICIPANTS = 8; // Including ourselves
+
+// Allowed transitions; connection trouble is tracked per participant
+const TRANSITIONS = {
+  idle: ['ringing', 'connecting', 'ended'],
+  ringing: ['connecting', 'ended'],
+  connecting: ['connected', 'ended'],
+  connected: ['ended'],
+  ended: []
+};
+
+const AUDIO_CONSTRAINTS = { echoCancellation: true, noiseSuppression: true, autoGainControl: true };
+const VIDEO_CONSTRAINTS = { width: { ideal: 640 }, height: { ideal: 480 }, frameRate: { ideal: 24 } }; // Sent to every peer
+const SPEAKER_INTERVAL = 500;
+const SPEAKING_LEVEL = 0.05; // audioLevel above which someone counts as speaking
+
+// Server call statuses that mean the call is already over, with the end reason
+const SERVER_END_REASONS = { ended: 'remote_ended', missed: 'missed', failed: 'failed' };
+
+// Participants that take up a place in the call
+const ACTIVE_STATUSES = ['invited', 'joined'];
+
+const getUserId = (user) => {
+  const id = user && typeof user === 'object' ? user._id || user.id : user;
+  return id ? String(id) : null;
+};
+
+/**
+ * Participant of a group call
+ * @typedef {Object} GroupCallParticipant
+ * @property {string} userId - User ID
+ * @property {Object} user - Profile (fullName, username, profilePictureUrl)
+ * @property {string} status - invited, joined, declined or left
+ * @property {boolean} isMuted - Microphone muted
+ * @property {boolean} isVideoEnabled - Camera on
+ * @property {string|null} connection - Our media connection to them: connecting, connected, reconnecting or lost
+ * @property {MediaStream|null} stream - Their audio/video
+ */
+
+/**
+ * Normalise a participant from the server: either `{ user, status, ... }`
+ * or a user object carrying the call fields itself
+ * @param {Object} raw - Participant from the API or a socket event
+ * @returns {GroupCallParticipant|null} Participant
+ */
+const toParticipant = (raw) => {
+  const user = raw?.user && typeof raw.user === 'object' ? raw.user : raw;
+  const userId = getUserId(user) || getUserId(raw?.userId);
+  if (!userId) return null;
+
+  return {
+    userId,
+    user,
+    status: raw.status || 'invited',
+    isMuted: !!raw.isMuted,
+    isVideoEnabled: raw.isVideoEnabled !== false,
+    connection: null,
+    stream: null
+  };
+};
+
+/**
+ * Media transport of a group call. MeshCallTransport keeps one peer
+ * connection per participant; an SFU transport would keep a single
+ * connection to the media server and map its tracks to participants.
+ * Created once we have joined, with `{ localUserId, localStream, rtcConfig,
+ * sendSignal, onRemoteStream, onPeerState }`.
+ * @typedef {Object} GroupCallTransport
+ * @property {Function} addPeer - (userId) start exchanging media with a participant
+ * @property {Function} removePeer - (userId) stop exchanging media with a participant
+ * @property {Function} handleSignal - (fromUserId, { type, payload }) offer, answer or candidate
+ * @property {Function} getAudioLevels - () → Promise<Map<userId, level>>, including our own
+ * @property {Function} close - () release everything
+ */
+
+/**
+ * Group call signaling over the call REST API, with remote events from the
+ * socket. WebRTC messages are addressed to one participant (`targetUserId`)
+ * and arrive with the sender in `from`.
+ */
+export const defaultGroupSignaling = {
+  getStatus: (callId) => callService.getCallStatus(callId),
+  join: (callId) => callService.acceptCall(callId),
+  decline: (callId, reason) => callService.rejectCall(callId, reason),
+  leave: (callId) => callService.leaveCall(callId),
+  invite: (callId, userIds) => callService.inviteToCall(callId, userIds),
+  updateSettings: (callId, settings) => callService.updateCallSettings(callId, settings),
+  sendSignal(callId, targetUserId, type, payload, options = {}) {
+    if (type === 'offer') return callService.sendOffer(callId, payload, { ...options, targetUserId });
+    if (type === 'answer') return callService.sendAnswer(callId, payload, { targetUserId });
+    return callService.sendIceCandidate(callId, payload, { targetUserId });
+  },
+  subscribe(handlers) {
+    const events = {
+      webrtc_offer: (data) => handlers.signal('offer', data, data.offer),
+      webrtc_answer: (data) => handlers.signal('answer', data, data.answer),
+      webrtc_ice_candidate: (data) => handlers.signal('candidate', data, data.candidate),
+      call_participant_joined: handlers.participantJoined,
+      call_participant_left: handlers.participantLeft,
+      call_participant_updated: handlers.participantUpdated,
+      call_rejected: handlers.declined,
+      call_ended: handlers.ended
+    };
+    Object.entries(events).forEach(([event, handler]) => enhancedSocketService.on(event, handler));
+    return () => Object.entries(events).forEach(([event, handler]) => enhancedSocketService.off(event, handler));
+  }
+};
+
+/**
+ * A call with up to MAX_GROUP_CALL_PARTICIPANTS people. Tracks who is
+ * invited, joined or gone, runs the media transport, and picks the active
+ * speaker from audio levels.
+ *
+ * Like CallSession it is framework-agnostic: the UI subscribes to `change`.
+ * States: idle → ringing (invited, not joined) → connecting → connected →
+ * ended. Connection trouble with one participant doesn't affect the call;
+ * each participant carries its own `connection` state.
+ */
+class GroupCallSession {
+  /**
+   * @param {Object} options - Session options
+   * @param {string} options.callId - Call ID
+   * @param {string} options.userId - Current user's ID
+   * @param {'audio'|'video'} [options.type] - Call type; read from the server when omitted
+   * @param {Object} [options.signaling] - Signaling transport (see defaultGroupSignaling)
+   * @param {Function} [options.createTransport] - (options) → GroupCallTransport
+   * @param {RTCConfiguration|Function} [options.rtcConfig] - Peer connection configuration or a function resolving it
+   * @param {Function} [options.getUserMedia] - (constraints) → Promise<MediaStream>
+   */
+  constructor({
+    callId,
+    userId,
+    type = null,
+    signaling = defaultGroupSignaling,
+    createTransport = (options) => new MeshCallTransport(options),
+    rtcConfig = () => iceServerService.getRtcConfig(),
+    getUserMedia = (constraints) => navigator.mediaDevices.getUserMedia(constraints)
+  }) {
+    this.callId = callId;
+    this.userId = getUserId(userId);
+    this.type = type;
+    this.signaling = signaling;
+    this.createTransport = createTransport;
+    this.rtcConfig = rtcConfig;
+    this.getUserMedia = getUserMedia;
+
+    this.state = CALL_STATES.IDLE;
+    this.endReason = null;
+    this.error = null;
+    this.call = null;
+    this.participants = new Map(); // userId -> GroupCallParticipant, without ourselves
+    this.localStream = null;
+    this.isMuted = false;
+    this.isVideoEnabled = type !== 'audio';
+    this.activeSpeakerId = null;
+    this.connectedAt = null;
+
+    this.transport = null;
+    this.pendingSignals = []; // Signals that arrived before we joined
+    this.speakerTimer = null;
+    this.unsubscribe = null;
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Current state for the UI
+   * @returns {Object} Snapshot with `participants` (everyone but us, in join order)
+   */
+  getSnapshot() {
+    return {
+      state: this.state,
+      endReason: this.endReason,
+      error: this.error,
+      call: this.call,
+      type: this.type,
+      participants: [...this.participants.values()],
+      localStream: this.localStream,
+      isMuted: this.isMuted,
+      isVideoEnabled: this.isVideoEnabled,
+      activeSpeakerId: this.activeSpeakerId,
+      connectedAt: this.connectedAt,
+      openSlots: this.getOpenSlots()
+    };
+  }
+
+  /**
+   * How many more people can be invited
+   * @returns {number} Open places
+   */
+  getOpenSlots() {
+    const taken = [...this.participants.values()].filter(p => ACTIVE_STATUSES.includes(p.status)).length;
+    return Math.max(0, MAX_GROUP_CALL_PARTICIPANTS - 1 - taken);
+  }
+
+  /**
+   * Load the call and join it, or ring if we were invited and haven't
+   * answered yet
+   * @param {Object} options - Start options
+   * @param {boolean} options.accepted - Already accepted (e.g. from the incoming call notification)
+   */
+  async start({ accepted = false } = {}) {
+    if (this.state !== CALL_STATES.IDLE) return;
+
+    this.unsubscribe = this.signaling.subscribe({
+      signal: (type, data, payload) => this.handleSignal(type, data, payload),
+      participantJoined: (data) => this.isThisCall(data) && this.handleParticipantJoined(data.participant || data),
+      participantLeft: (data) => this.isThisCall(data) && this.handleParticipantLeft(getUserId(data.userId || data.user)),
+      participantUpdated: (data) => this.isThisCall(data) && this.handleParticipantUpdated(data),
+      declined: (data) => this.isThisCall(data) && this.handleParticipantUpdated({ ...data, status: 'declined' }),
+      ended: (data) => this.isThisCall(data) && this.finish('remote_ended')
+    });
+
+    try {
+      const status = await this.signaling.getStatus(this.callId);
+      if (this.state !== CALL_STATES.IDLE) return;
+
+      this.call = status.call || null;
+      this.type = this.type || status.type || 'audio';
+      this.isVideoEnabled = this.type === 'video';
+
+      let ourStatus = getUserId(status.initiator) === this.userId ? 'joined' : null;
+      (status.participants || []).forEach((raw) => {
+        const participant = toParticipant(raw);
+        if (!participant) return;
+        if (participant.userId === this.userId) {
+          ourStatus = participant.status;
+        } else {
+          this.participants.set(participant.userId, participant);
+        }
+      });
+
+      const endReason = SERVER_END_REASONS[status.status];
+      if (endReason) {
+        this.finish(endReason);
+        return;
+      }
+
+      if (ourStatus === 'joined' || accepted) {
+        await this.connect();
+      } else {
+        this.transition(CALL_STATES.RINGING);
+      }
+    } catch (error) {
+      this.fail(error, 'Failed to start call');
+    }
+  }
+
+  /**
+   * Join a call we were invited to
+   */
+  async accept() {
+    if (this.state !== CALL_STATES.RINGING) return;
+
+    try {
+      await this.signaling.join(this.callId);
+      await this.connect();
+    } catch (error) {
+      this.fail(error, 'Failed to join call');
+    }
+  }
+
+  /**
+   * Turn down an invitation
+   * @param {string} reason - Reason sent to the server
+   */
+  async decline(reason = 'User rejected') {
+    if (this.state === CALL_STATES.ENDED) return;
+
+    try {
+      await this.signaling.decline(this.callId, reason);
+    } catch (error) {
+      console.error('[GROUP_CALL] ❌ Decline failed:', error);
+    }
+    this.finish('rejected');
+  }
+
+  /**
+   * Leave the call; it goes on for everyone else
+   */
+  async leave() {
+    if (this.state !== CALL_STATES.ENDED || this.endReason === 'failed') {
+      try {
+        await this.signaling.leave(this.callId);
+      } catch (error) {
+        console.error('[GROUP_CALL] ❌ Leave failed:', error);
+      }
+    }
+    this.finish('left');
+  }
+
+  /**
+   * Invite more people
+   * @param {Object[]} users - Users to invite (with _id, fullName, username, profilePictureUrl)
+   * @throws {Error} When there aren't enough open places or the server refuses
+   */
+  async invite(users) {
+    const newUsers = users.filter((user) => {
+      const existing = this.participants.get(getUserId(user));
+      return getUserId(user) !== this.userId && !ACTIVE_STATUSES.includes(existing?.status);
+    });
+    if (newUsers.length === 0) return;
+    if (newUsers.length > this.getOpenSlots()) {
+      throw new Error(`A call can have at most ${MAX_GROUP_CALL_PARTICIPANTS} people`);
+    }
+
+    const result = await this.signaling.invite(this.callId, newUsers.map(getUserId));
+    const invited = result?.participants?.length
+      ? result.participants
+      : newUsers.map(user => ({ user, status: 'invited' }));
+
+    invited.map(toParticipant).forEach((participant) => {
+      if (participant && participant.userId !== this.userId) {
+        this.upsertParticipant(participant);
+      }
+    });
+    this.emitChange();
+  }
+
+  toggleMute() {
+    this.isMuted = !this.isMuted;
+    this.localStream?.getAudioTracks().forEach(track => { track.enabled = !this.isMuted; });
+    this.updateSettings({ isMuted: this.isMuted });
+    this.emitChange();
+  }
+
+  toggleVideo() {
+    this.isVideoEnabled = !this.isVideoEnabled;
+    this.localStream?.getVideoTracks().forEach(track => { track.enabled = this.isVideoEnabled; });
+    this.updateSettings({ isVideoEnabled: this.isVideoEnabled });
+    this.emitChange();
+  }
+
+  /**
+   * Release everything without leaving on the server (e.g. the UI unmounted)
+   */
+  destroy() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.eventListeners.clear();
+    this.finish('left');
+  }
+
+  isThisCall(data) {
+    return data?.callId === this.callId;
+  }
+
+  /**
+   * Capture media, create the transport and connect to everyone who has joined
+   */
+  async connect() {
+    this.transition(CALL_STATES.CONNECTING);
+
+    const [media, rtcConfig] = await Promise.allSettled([
+      this.getUserMedia({
+        audio: AUDIO_CONSTRAINTS,
+        video: this.type === 'video' ? VIDEO_CONSTRAINTS : false
+      }),
+      typeof this.rtcConfig === 'function' ? this.rtcConfig() : this.rtcConfig
+    ]);
+    const stream = media.status === 'fulfilled' ? media.value : null;
+
+    // Left while the permission prompt was open, or one of them failed
+    if (this.state === CALL_STATES.ENDED || !stream || rtcConfig.status === 'rejected') {
+      stream?.getTracks().forEach(track => track.stop());
+      if (media.status === 'rejected') throw media.reason;
+      if (rtcConfig.status === 'rejected') throw rtcConfig.reason;
+      return;
+    }
+
+    this.localStream = stream;
+    this.transport = this.createTransport({
+      localUserId: this.userId,
+      localStream: stream,
+      rtcConfig: rtcConfig.value,
+      sendSignal: (toUserId, type, payload, options) => this.sendSignal(toUserId, type, payload, options),
+      onRemoteStream: (userId, remoteStream) => this.updateParticipant(userId, { stream: remoteStream }),
+      onPeerState: (userId, connection) => this.updateParticipant(userId, connection === 'lost'
+        ? { connection, stream: null }
+        : { connection })
+    });
+
+    this.connectedAt = Date.now();
+    this.transition(CALL_STATES.CONNECTED);
+    console.log('[GROUP_CALL] ✅ Joined call:', this.callId);
+
+    this.participants.forEach((participant) => {
+      if (participant.status === 'joined') {
+        this.transport.addPeer(participant.userId);
+      }
+    });
+
+    const signals = this.pendingSignals;
+    this.pendingSignals = [];
+    signals.forEach(({ fromUserId, signal }) => this.transport.handleSignal(fromUserId, signal));
+
+    this.speakerTimer = setInterval(() => this.detectActiveSpeaker(), SPEAKER_INTERVAL);
+  }
+
+  handleSignal(type, data, payload) {
+    const fromUserId = getUserId(data?.from);
+    if (!this.isThisCall(data) || !payload || !fromUserId || fromUserId === this.userId) return;
+
+    const signal = { type, payload };
+    if (!this.transport) {
+      this.pendingSignals.push({ fromUserId, signal });
+      return;
+    }
+    this.transport.handleSignal(fromUserId, signal);
+  }
+
+  handleParticipantJoined(raw) {
+    const participant = toParticipant(raw);
+    if (!participant || participant.userId === this.userId) return;
+
+    this.upsertParticipant({ ...participant, status: 'joined' });
+    console.log('[GROUP_CALL] 👋 Participant joined:', participant.userId);
+    this.transport?.addPeer(participant.userId);
+    this.emitChange();
+  }
+
+  handleParticipantLeft(userId) {
+    if (!userId || !this.participants.has(userId)) return;
+
+    console.log('[GROUP_CALL] 👋 Participant left:', userId);
+    this.transport?.removePeer(userId);
+    this.updateParticipant(userId, { status: 'left', connection: null, stream: null });
+    if (this.activeSpeakerId === userId) {
+      this.activeSpeakerId = null;
+      this.emitChange();
+    }
+  }
+
+  handleParticipantUpdated(data) {
+    const userId = getUserId(data.userId || data.user);
+    if (!userId || userId === this.userId) return;
+
+    const patch = {};
+    if (typeof data.isMuted === 'boolean') patch.isMuted = data.isMuted;
+    if (typeof data.isVideoEnabled === 'boolean') patch.isVideoEnabled = data.isVideoEnabled;
+    if (data.status) patch.status = data.status;
+
+    if (patch.status === 'left' || patch.status === 'declined') {
+      this.transport?.removePeer(userId);
+      patch.connection = null;
+      patch.stream = null;
+    }
+    this.updateParticipant(userId, patch);
+  }
+
+  upsertParticipant(participant) {
+    const existing = this.participants.get(participant.userId);
+    this.participants.set(participant.userId, existing
+      ? { ...existing, ...participant, connection: existing.connection, stream: existing.stream }
+      : participant);
+  }
+
+  updateParticipant(userId, patch) {
+    const participant = this.participants.get(userId);
+    if (!participant) return;
+
+    this.participants.set(userId, { ...participant, ...patch });
+    this.emitChange();
+  }
+
+  sendSignal(toUserId, type, payload, options) {
+    Promise.resolve(this.signaling.sendSignal(this.callId, toUserId, type, payload, options)).catch((error) => {
+      console.error(`[GROUP_CALL] ❌ Sending ${type} to ${toUserId} failed:`, error);
+    });
+  }
+
+  // Highlight the loudest unmuted participant; the last speaker stays
+  // highlighted through pauses
+  async detectActiveSpeaker() {
+    if (!this.transport) return;
+
+    const levels = await this.transport.getAudioLevels();
+    let speakerId = null;
+    let loudest = SPEAKING_LEVEL;
+
+    levels.forEach((level, userId) => {
+      const muted = userId === this.userId ? this.isMuted : this.participants.get(userId)?.isMuted;
+      if (!muted && level > loudest) {
+        speakerId = userId;
+        loudest = level;
+      }
+    });
+
+    if (speakerId && speakerId !== this.activeSpeakerId) {
+      this.activeSpeakerId = speakerId;
+      this.emitChange();
+    }
+  }
+
+  updateSettings(settings) {
+    if (this.state !== CALL_STATES.CONNECTED) return;
+
+    Promise.resolve(this.signaling.updateSettings(this.callId, settings)).catch((error) => {
+      console.error('[GROUP_CALL] ❌ updateSettings failed:', error);
+    });
+  }
+
+  fail(error, fallbackMessage = 'Call failed') {
+    console.error('[GROUP_CALL] ❌ Call failed:', error);
+    if (this.state === CALL_STATES.ENDED) return;
+    this.error = error?.message || fallbackMessage;
+    this.finish('failed');
+  }
+
+  /**
+   * End the session locally: stop media, close every connection
+   * @param {string} reason - End reason
+   */
+  finish(reason) {
+    if (this.state === CALL_STATES.ENDED) return;
+
+    this.endReason = reason;
+    clearInterval(this.speakerTimer);
+    this.speakerTimer = null;
+
+    this.transport?.close();
+    this.transport = null;
+    this.pendingSignals = [];
+    this.localStream?.getTracks().forEach(track => track.stop());
+    this.localStream = null;
+
+    this.transition(CALL_STATES.ENDED);
+  }
+
+  transition(nextState) {
+    if (this.state === nextState) return true;
+    if (!TRANSITIONS[this.state].includes(nextState)) {
+      console.warn(`[GROUP_CALL] ⚠️ Ignoring transition ${this.state} → ${nextState}`);
+      return false;
+    }
+
+    console.log(`[GROUP_CALL] 🔄 ${this.state} → ${nextState}`);
+    this.state = nextState;
+    this.emitChange();
+    return true;
+  }
+
+  emitChange() {
+    this.emitEvent('change', this.getSnapshot());
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name (change)
+   * @param {Function} callback - Called with the snapshot
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    this.eventListeners.get(event)?.delete(callback);
+  }
+
+  emitEvent(event, data) {
+    this.eventListeners.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[GROUP_CALL] Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+}
+
+export default GroupCallSession;
@@ -0,0 +1,115 @@
+import callService from './enhancedCallService';
+import preferencesService from './preferencesService';
+import config from '../config/environment';
+
+// Used when VITE_ICE_SERVERS is not set
+const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' }
+];
+
+/**
+ * Parse VITE_ICE_SERVERS (a JSON array of RTCIceServer objects)
+ * @param {string} value - Raw environment value
+ * @returns {RTCIceServer[]|null} Servers, or null when unset or invalid
+ */
+const parseIceServers = (value) => {
+  if (!value) return null;
+
+  try {
+    const servers = JSON.parse(value);
+    if (Array.isArray(servers) && servers.length > 0 && servers.every(server => server?.urls)) {
+      return servers;
+    }
+  } catch {
+    // Reported below
+  }
+
+  console.warn('[ICE] ⚠️ Ignoring VITE_ICE_SERVERS: expected a JSON array of { urls, username, credential }');
+  return null;
+};
+
+const isRelayServer = (server) =>
+  [].concat(server.urls).some(url => /^turns?:/i.test(url));
+
+/**
+ * ICE configuration for calls.
+ *
+ * Servers come from two places: VITE_ICE_SERVERS (or public STUN servers)
+ * and the backend's credentials endpoint, which hands out short-lived TURN
+ * usernames/passwords. Credentials are fetched again for every call, so
+ * they're always fresh when the peer connection is created. Backends
+ * without the endpoint (404) are remembered and not asked again.
+ *
+ * The `iceTransportPolicy` preference switches to relay-only: media only
+ * flows through TURN and the other side never learns our IP address.
+ */
+class IceServerService {
+  constructor() {
+    this.configuredServers = parseIceServers(config.ICE_SERVERS) || DEFAULT_ICE_SERVERS;
+    this.credentialsSupported = true;
+  }
+
+  /**
+   * Whether calls are set to relay-only
+   * @returns {boolean} True for relay-only
+   */
+  isRelayOnly() {
+    return preferencesService.get('iceTransportPolicy') === 'relay';
+  }
+
+  /**
+   * Fetch TURN credentials for one call
+   * @returns {Promise<RTCIceServer[]>} Servers; empty when unavailable
+   */
+  async fetchCredentials() {
+    if (!this.credentialsSupported) return [];
+
+    try {
+      const { iceServers } = await callService.getIceServers();
+      return iceServers.filter(server => server?.urls);
+    } catch (error) {
+      if (error.status === 404 || error.status === 501) {
+        this.credentialsSupported = false;
+        console.log('[ICE] ℹ️ No TURN credentials endpoint, using configured servers');
+      } else {
+        console.warn('[ICE] ⚠️ Fetching TURN credentials failed, using configured servers:', error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Peer connection configuration for a new call
+   * @returns {Promise<RTCConfiguration>} Configuration
+   * @throws {Error} When relay-only is on and no TURN server is available
+   */
+  async getRtcConfig() {
+    const iceTransportPolicy = this.isRelayOnly() ? 'relay' : 'all';
+    const fetchedServers = await this.fetchCredentials();
+    const iceServers = [...fetchedServers, ...this.configuredServers];
+
+    // Relay-only without TURN would gather no candidates and never connect
+    if (iceTransportPolicy === 'relay' && !iceServers.some(isRelayServer)) {
+      throw new Error('Relay-only calls need a TURN server, and none is available');
+    }
+
+    console.log('[ICE] 🧊 Call configuration:', {
+      servers: iceServers.length,
+      relayServers: iceServers.filter(isRelayServer).length,
+      iceTransportPolicy
+    });
+
+    return {
+      iceServers,
+      iceTransportPolicy,
+      iceCandidatePoolSize: 10
+    };
+  }
+}
+
+// Create singleton instance
+const iceServerService = new IceServerService();
+
+export default iceServerService;
@@ -0,0 +1,149 @@
+import apiService from './enhancedApiService';
+import routes from './apiRoutes';
+import preferencesService from './preferencesService';
+import { getHostname } from '../utils/linkify';
+
+/**
+ * Link preview card data
+ * @typedef {Object} LinkPreview
+ * @property {string} url - Canonical URL
+ * @property {string} [title] - Page title
+ * @property {string} [description] - Page description
+ * @property {string} [image] - Preview image URL
+ * @property {string} siteName - Site name (falls back to the host name)
+ */
+
+/**
+ * Resolves a URL to preview data
+ * @callback LinkPreviewResolver
+ * @param {string} url - URL to preview
+ * @returns {Promise<Object|null>} Raw preview fields (title, description, image, siteName) or null
+ */
+
+const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
+
+/**
+ * Link previews for URLs in messages.
+ *
+ * Fetching is delegated to a resolver so the source can be swapped (the
+ * backend by default, since browsers can't read arbitrary pages across
+ * origins). Results, including misses, are cached per URL. Nothing is
+ * fetched while the user has link previews turned off.
+ */
+class LinkPreviewService {
+  constructor() {
+    this.cache = new Map(); // url -> { promise, expiresAt }
+    this.maxEntries = 200;
+    this.ttl = 6 * 60 * 60 * 1000; // 6 hours
+    this.missTtl = 10 * 60 * 1000; // 10 minutes for URLs without a preview
+    this.resolver = this.defaultResolver;
+  }
+
+  /**
+   * Replace the preview resolver
+   * @param {LinkPreviewResolver|null} resolver - New resolver, or null for the default
+   */
+  setResolver(resolver) {
+    this.resolver = resolver || this.defaultResolver;
+    this.cache.clear();
+  }
+
+  /**
+   * Whether the user allows fetching previews
+   * @returns {boolean} True when enabled
+   */
+  isEnabled() {
+    return preferencesService.get('linkPreviews') !== false;
+  }
+
+  /**
+   * Get a cached preview without fetching
+   * @param {string} url - URL
+   * @returns {LinkPreview|null|undefined} Preview, null for a known miss, undefined when not cached
+   */
+  getCached(url) {
+    const entry = this.cache.get(url);
+    if (!entry || entry.expiresAt < Date.now()) return undefined;
+    return entry.value;
+  }
+
+  /**
+   * Get the preview for a URL
+   * @param {string} url - URL
+   * @returns {Promise<LinkPreview|null>} Preview, or null when there is none
+   */
+  async getPreview(url) {
+    if (!url || !this.isEnabled()) return null;
+
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt >= Date.now()) {
+      return cached.promise;
+    }
+
+    const entry = { promise: null, value: undefined, expiresAt: Date.now() + this.ttl };
+    entry.promise = Promise.resolve()
+      .then(() => this.resolver(url))
+      .then(data => this.normalizePreview(url, data))
+      .catch(error => {
+        console.warn('[LINK_PREVIEW] ⚠️ Failed to resolve preview for', url, error.message);
+        return null;
+      })
+      .then(preview => {
+        entry.value = preview;
+        if (!preview) entry.expiresAt = Date.now() + this.missTtl;
+        return preview;
+      });
+
+    this.cache.delete(url);
+    this.cache.set(url, entry);
+    // Evict the oldest entries
+    while (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return entry.promise;
+  }
+
+  /**
+   * Ask the backend to scrape the page
+   * @param {string} url - URL
+   * @returns {Promise<Object|null>} Raw preview fields
+   */
+  async defaultResolver(url) {
+    const response = await apiService.get(routes.messages.linkPreview(), { params: { url } });
+    return response.data?.preview || response.data || null;
+  }
+
+  /**
+   * Keep only displayable fields; a preview without a title, description
+   * or image isn't worth a card
+   * @param {string} url - Requested URL
+   * @param {Object} data - Raw preview fields
+   * @returns {LinkPreview|null} Preview
+   */
+  normalizePreview(url, data) {
+    if (!data) return null;
+
+    const preview = {
+      url: isHttpUrl(data.url) ? data.url : url,
+      title: data.title?.trim() || '',
+      description: data.description?.trim() || '',
+      image: isHttpUrl(data.image) ? data.image : '',
+      siteName: data.siteName?.trim() || getHostname(url)
+    };
+
+    return preview.title || preview.description || preview.image ? preview : null;
+  }
+
+  /**
+   * Forget all cached previews
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Create singleton instance
+const linkPreviewService = new LinkPreviewService();
+
+export default linkPreviewService;
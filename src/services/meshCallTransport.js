@@ -0,0 +1,263 @@
+const RECONNECT_TIMEOUT = 20000; // Drop the connection if it hasn't recovered by then
+const ICE_RESTART_DELAY = 2000; // A brief 'disconnected' often recovers by itself
+const ICE_RESTART_INTERVAL = 5000; // Retry while still reconnecting
+
+const createRtcPeerConnection = (config) => new RTCPeerConnection(config);
+
+/**
+ * Group call media over a full mesh: one peer connection to every other
+ * participant, each sending our tracks directly. Fine for up to 8 people;
+ * beyond that an SFU transport takes its place behind the same interface
+ * (see GroupCallTransport in groupCallSession.js).
+ *
+ * Of each pair, the side with the smaller user ID sends the offer, so two
+ * participants never offer to each other at the same time. That side also
+ * restarts ICE when the connection drops, retrying until it recovers; a
+ * connection that stays down for RECONNECT_TIMEOUT is closed on both sides
+ * and reported as lost.
+ */
+class MeshCallTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.localUserId - Our user ID
+   * @param {MediaStream} options.localStream - Microphone (and camera) stream
+   * @param {RTCConfiguration} options.rtcConfig - Peer connection configuration
+   * @param {Function} options.sendSignal - (toUserId, type, payload, options) for offer, answer and candidate
+   * @param {Function} options.onRemoteStream - (userId, stream) when a participant's media arrives
+   * @param {Function} options.onPeerState - (userId, state) with connecting, connected, reconnecting or lost
+   * @param {Function} [options.createPeerConnection] - (config) → RTCPeerConnection
+   */
+  constructor({
+    localUserId,
+    localStream,
+    rtcConfig,
+    sendSignal,
+    onRemoteStream,
+    onPeerState,
+    createPeerConnection = createRtcPeerConnection
+  }) {
+    this.localUserId = String(localUserId);
+    this.localStream = localStream;
+    this.rtcConfig = rtcConfig;
+    this.sendSignal = sendSignal;
+    this.onRemoteStream = onRemoteStream;
+    this.onPeerState = onPeerState;
+    this.createPeerConnection = createPeerConnection;
+    this.peers = new Map(); // userId -> { userId, pc, pendingCandidates, restartTimer, reconnectTimer }
+    this.earlyCandidates = new Map(); // Candidates from participants we have no connection to yet
+  }
+
+  isOfferer(userId) {
+    return this.localUserId < String(userId);
+  }
+
+  /**
+   * Start exchanging media with a participant
+   * @param {string} userId - Participant's user ID
+   * @param {Object} options - Peer options
+   * @param {boolean} options.offer - Send the offer (defaults to the ID rule)
+   * @returns {Object} Peer entry
+   */
+  addPeer(userId, { offer = this.isOfferer(userId) } = {}) {
+    if (this.peers.has(userId)) return this.peers.get(userId);
+
+    const pc = this.createPeerConnection(this.rtcConfig);
+    const peer = {
+      userId,
+      pc,
+      pendingCandidates: this.earlyCandidates.get(userId) || [],
+      restartTimer: null,
+      reconnectTimer: null
+    };
+    this.peers.set(userId, peer);
+    this.earlyCandidates.delete(userId);
+
+    this.localStream.getTracks().forEach(track => pc.addTrack(track, this.localStream));
+    pc.ontrack = (event) => {
+      if (event.streams[0]) {
+        this.onRemoteStream(userId, event.streams[0]);
+      }
+    };
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.sendSignal(userId, 'candidate', event.candidate);
+      }
+    };
+    pc.onconnectionstatechange = () => this.handleConnectionState(peer);
+
+    console.log('[MESH] 🔗 Connecting to participant:', userId);
+    this.onPeerState(userId, 'connecting');
+    if (offer) {
+      this.sendOffer(peer);
+    }
+    return peer;
+  }
+
+  /**
+   * Stop exchanging media with a participant
+   * @param {string} userId - Participant's user ID
+   */
+  removePeer(userId) {
+    const peer = this.peers.get(userId);
+    this.earlyCandidates.delete(userId);
+    if (!peer) return;
+
+    this.stopRecovery(peer);
+    peer.pc.ontrack = null;
+    peer.pc.onicecandidate = null;
+    peer.pc.onconnectionstatechange = null;
+    peer.pc.close();
+    this.peers.delete(userId);
+    console.log('[MESH] 👋 Disconnected from participant:', userId);
+  }
+
+  /**
+   * Apply an offer, answer or ICE candidate from a participant
+   * @param {string} fromUserId - Sender
+   * @param {Object} signal - `{ type: 'offer'|'answer'|'candidate', payload }`
+   */
+  async handleSignal(fromUserId, { type, payload }) {
+    try {
+      if (type === 'offer') {
+        await this.answerOffer(fromUserId, payload);
+      } else if (type === 'answer') {
+        const peer = this.peers.get(fromUserId);
+        if (!peer || peer.pc.signalingState !== 'have-local-offer') return;
+        await peer.pc.setRemoteDescription(payload);
+        await this.flushCandidates(peer);
+        // An ICE restart over the same path may not change the state again
+        if (peer.reconnectTimer && peer.pc.connectionState === 'connected') {
+          this.handleConnectionState(peer);
+        }
+      } else if (type === 'candidate') {
+        const peer = this.peers.get(fromUserId);
+        if (!peer) {
+          this.earlyCandidates.set(fromUserId, [...(this.earlyCandidates.get(fromUserId) || []), payload]);
+        } else if (!peer.pc.remoteDescription) {
+          peer.pendingCandidates.push(payload);
+        } else {
+          await peer.pc.addIceCandidate(payload);
+        }
+      }
+    } catch (error) {
+      console.error(`[MESH] ❌ Handling ${type} from ${fromUserId} failed:`, error);
+    }
+  }
+
+  async answerOffer(fromUserId, offer) {
+    // An offer from someone we haven't connected to yet means they joined first
+    const peer = this.peers.get(fromUserId) || this.addPeer(fromUserId, { offer: false });
+    const { pc } = peer;
+    if (pc.signalingState !== 'stable' || pc.remoteDescription?.sdp === offer.sdp) return;
+
+    await pc.setRemoteDescription(offer);
+    await this.flushCandidates(peer);
+
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    this.sendSignal(fromUserId, 'answer', answer);
+  }
+
+  async sendOffer(peer, { iceRestart = false } = {}) {
+    try {
+      const offer = await peer.pc.createOffer({ iceRestart });
+      if (this.peers.get(peer.userId) !== peer) return;
+
+      await peer.pc.setLocalDescription(offer);
+      this.sendSignal(peer.userId, 'offer', offer, { iceRestart });
+    } catch (error) {
+      console.error('[MESH] ❌ Offer to', peer.userId, 'failed:', error);
+    }
+  }
+
+  async flushCandidates(peer) {
+    const candidates = peer.pendingCandidates;
+    peer.pendingCandidates = [];
+
+    for (const candidate of candidates) {
+      try {
+        await peer.pc.addIceCandidate(candidate);
+      } catch (error) {
+        console.error('[MESH] ❌ Adding queued ICE candidate failed:', error);
+      }
+    }
+  }
+
+  handleConnectionState(peer) {
+    const { connectionState } = peer.pc;
+
+    if (connectionState === 'connected') {
+      this.stopRecovery(peer);
+      this.onPeerState(peer.userId, 'connected');
+    } else if (connectionState === 'disconnected' || connectionState === 'failed') {
+      if (!peer.reconnectTimer) {
+        peer.reconnectTimer = setTimeout(() => this.giveUpRecovery(peer), RECONNECT_TIMEOUT);
+      }
+      this.onPeerState(peer.userId, 'reconnecting');
+      if (this.isOfferer(peer.userId)) {
+        clearTimeout(peer.restartTimer);
+        peer.restartTimer = setTimeout(
+          () => this.restartIce(peer),
+          connectionState === 'failed' ? 0 : ICE_RESTART_DELAY
+        );
+      }
+    }
+  }
+
+  stopRecovery(peer) {
+    clearTimeout(peer.restartTimer);
+    clearTimeout(peer.reconnectTimer);
+    peer.restartTimer = null;
+    peer.reconnectTimer = null;
+  }
+
+  // Offer fresh ICE credentials until the connection recovers or the deadline passes
+  restartIce(peer) {
+    if (this.peers.get(peer.userId) !== peer || !peer.reconnectTimer) return;
+
+    peer.restartTimer = setTimeout(() => this.restartIce(peer), ICE_RESTART_INTERVAL);
+    this.sendOffer(peer, { iceRestart: true });
+  }
+
+  giveUpRecovery(peer) {
+    if (this.peers.get(peer.userId) !== peer) return;
+
+    console.warn('[MESH] ⚠️ Connection not recovered, dropping participant:', peer.userId);
+    this.removePeer(peer.userId);
+    this.onPeerState(peer.userId, 'lost');
+  }
+
+  /**
+   * Current audio levels for active speaker detection
+   * @returns {Promise<Map<string, number>>} userId → level (0..1), including ours
+   */
+  async getAudioLevels() {
+    const levels = new Map();
+
+    await Promise.all([...this.peers.values()].map(async (peer) => {
+      try {
+        const stats = await peer.pc.getStats();
+        stats.forEach(report => {
+          if ((report.kind || report.mediaType) !== 'audio' || typeof report.audioLevel !== 'number') return;
+          if (report.type === 'inbound-rtp') {
+            levels.set(peer.userId, report.audioLevel);
+          } else if (report.type === 'media-source') {
+            // Our microphone; the same on every connection
+            levels.set(this.localUserId, report.audioLevel);
+          }
+        });
+      } catch (error) {
+        console.warn('[MESH] ⚠️ Reading audio levels failed:', error);
+      }
+    }));
+
+    return levels;
+  }
+
+  close() {
+    [...this.peers.keys()].forEach(userId => this.removePeer(userId));
+    this.earlyCandidates.clear();
+  }
+}
+
+export default MeshCallTransport;
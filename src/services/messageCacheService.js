@@ -0,0 +1,225 @@
+import enhancedSocketService from './enhancedSocketService';
+import outboxService from './outboxService';
+import { STORES, isIndexedDbAvailable, getAllRecords, getRecord, putRecord, deleteRecord, bulkUpdate, clearStore } from '../utils/indexedDb';
+
+// Server messages are keyed by _id, some socket payloads only carry messageId
+const getMessageId = (message) => message?._id || message?.messageId;
+
+const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+/**
+ * Local cache of chats and messages persisted to IndexedDB.
+ *
+ * Lets the chat list and message history render instantly from the last
+ * known state while the server request is in flight, and keeps that state
+ * current from socket events even for chats that aren't open. The server
+ * stays the source of truth: every fetch is reconciled back into the cache.
+ */
+class MessageCacheService {
+  constructor() {
+    this.maxChats = 50;
+    this.maxMessagesPerChat = 200;
+    this.enabled = isIndexedDbAvailable();
+
+    if (this.enabled) {
+      this.setupListeners();
+    }
+  }
+
+  // Service listeners survive socket disconnects, so the cache keeps
+  // following live events across logouts and reconnects
+  setupListeners() {
+    enhancedSocketService.onService('message_received', (data) => {
+      if (data?.chatId && getMessageId(data)) {
+        this.upsertMessage(data);
+      }
+    });
+
+    enhancedSocketService.onService('message_updated', (data) => {
+      if (getMessageId(data)) {
+        this.upsertMessage(data, { createIfMissing: false });
+      }
+    });
+
+    enhancedSocketService.onService('message_deleted', (data) => {
+      if (getMessageId(data)) {
+        this.removeMessage(getMessageId(data));
+      }
+    });
+
+    // Our own messages land here before (or instead of) the socket echo
+    outboxService.on('sent', ({ message }) => {
+      if (message?.chatId && getMessageId(message)) {
+        this.upsertMessage(message);
+      }
+    });
+  }
+
+  /**
+   * Get cached chats in the order they were last listed
+   * @returns {Promise<Array>} Cached chats (empty when nothing is cached)
+   */
+  async getChats() {
+    if (!this.enabled) return [];
+
+    try {
+      const records = await getAllRecords(STORES.CHATS);
+      return records
+        .sort((a, b) => a.position - b.position)
+        .map(record => record.chat);
+    } catch (error) {
+      console.error('[MESSAGE_CACHE] ❌ Failed to read chats:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Replace the cached chat list
+   * @param {Array} chats - Chats in display order
+   */
+  async saveChats(chats) {
+    if (!this.enabled) return;
+
+    try {
+      const existing = await getAllRecords(STORES.CHATS);
+      const keep = chats.slice(0, this.maxChats);
+      const keepIds = new Set(keep.map(chat => chat._id));
+
+      await bulkUpdate(STORES.CHATS, {
+        remove: existing.filter(record => !keepIds.has(record.id)).map(record => record.id),
+        put: keep.map((chat, position) => ({ id: chat._id, position, chat }))
+      });
+    } catch (error) {
+      console.error('[MESSAGE_CACHE] ❌ Failed to save chats:', error);
+    }
+  }
+
+  /**
+   * Get the most recent cached messages of a chat, oldest first
+   * @param {string} chatId - Chat ID
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Array>} Cached messages (empty when nothing is cached)
+   */
+  async getMessages(chatId, limit = 50) {
+    if (!this.enabled) return [];
+
+    try {
+      const records = await getAllRecords(STORES.MESSAGES, 'chatId', chatId);
+      return records
+        .sort(byCreatedAt)
+        .slice(-limit)
+        .map(record => record.message);
+    } catch (error) {
+      console.error('[MESSAGE_CACHE] ❌ Failed to read messages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Reconcile the cache with a page of messages fetched from the server.
+   * Cached messages inside the page's time window that the server didn't
+   * return were deleted while we weren't listening, so they are dropped.
+   * @param {string} chatId - Chat ID
+   * @param {Array} messages - Server messages
+   * @param {Object} options - Reconcile options
+   * @param {boolean} options.isLatest - Whether this is the newest page
+   */
+  async reconcileMessages(chatId, messages, { isLatest = true } = {}) {
+    if (!this.enabled) return;
+
+    try {
+      const records = (await getAllRecords(STORES.MESSAGES, 'chatId', chatId)).sort(byCreatedAt);
+      const serverIds = new Set(messages.map(getMessageId));
+      const sorted = [...messages].sort(byCreatedAt);
+      const windowStart = sorted.length > 0 ? new Date(sorted[0].createdAt) : null;
+      const windowEnd = sorted.length > 0 ? new Date(sorted[sorted.length - 1].createdAt) : null;
+
+      const stale = records.filter(record => {
+        if (serverIds.has(record.id)) return false;
+        // An empty newest page means the chat has no messages at all
+        if (!windowStart) return isLatest;
+
+        const createdAt = new Date(record.createdAt);
+        return createdAt >= windowStart && (isLatest || createdAt <= windowEnd);
+      });
+
+      const remaining = records.filter(record => !serverIds.has(record.id) && !stale.includes(record));
+      const total = remaining.length + messages.length;
+      const overflow = Math.max(total - this.maxMessagesPerChat, 0);
+      // Oldest messages go first when the chat exceeds its budget
+      const trimmed = remaining.slice(0, overflow);
+
+      await bulkUpdate(STORES.MESSAGES, {
+        remove: [...stale, ...trimmed].map(record => record.id),
+        put: messages
+          .filter(message => getMessageId(message))
+          .map(message => this.toRecord({ ...message, chatId: message.chatId || chatId }))
+      });
+    } catch (error) {
+      console.error('[MESSAGE_CACHE] ❌ Failed to reconcile messages:', error);
+    }
+  }
+
+  /**
+   * Insert a message, or merge a partial update into the cached copy
+   * @param {Object} message - Message or partial message with chatId
+   * @param {Object} options - Upsert options
+   * @param {boolean} options.createIfMissing - Insert when the message isn't cached yet
+   */
+  async upsertMessage(message, { createIfMissing = true } = {}) {
+    if (!this.enabled) return;
+
+    try {
+      const id = getMessageId(message);
+      const existing = await getRecord(STORES.MESSAGES, id);
+      // A partial update is not enough to render a message we never saw
+      if (!existing && !createIfMissing) return;
+
+      await putRecord(STORES.MESSAGES, this.toRecord({ ...existing?.message, ...message }));
+    } catch (error) {
+      console.error('[MESSAGE_CACHE] ❌ Failed to cache message:', error);
+    }
+  }
+
+  /**
+   * Remove a message from the cache
+   * @param {string} messageId - Message ID
+   */
+  async removeMessage(messageId) {
+    if (!this.enabled) return;
+
+    try {
+      await deleteRecord(STORES.MESSAGES, messageId);
+    } catch (error) {
+      console.error('[MESSAGE_CACHE] ❌ Failed to remove message:', error);
+    }
+  }
+
+  /**
+   * Drop all cached chats and messages (e.g. on logout)
+   */
+  async clear() {
+    if (!this.enabled) return;
+
+    try {
+      await Promise.all([clearStore(STORES.CHATS), clearStore(STORES.MESSAGES)]);
+      console.log('[MESSAGE_CACHE] 🧹 Cache cleared');
+    } catch (error) {
+      console.error('[MESSAGE_CACHE] ❌ Failed to clear cache:', error);
+    }
+  }
+
+  toRecord(message) {
+    return {
+      id: getMessageId(message),
+      chatId: message.chatId,
+      createdAt: message.createdAt || new Date().toISOString(),
+      message
+    };
+  }
+}
+
+// Create singleton instance
+const messageCacheService = new MessageCacheService();
+
+export default messageCacheService;
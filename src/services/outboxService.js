@@ -0,0 +1,409 @@
+import messageService from './enhancedMessageService';
+import enhancedSocketService from './enhancedSocketService';
+import uploadService from './uploadService';
+import { STORES, isIndexedDbAvailable, getAllRecords, putRecord, deleteRecord, clearStore } from '../utils/indexedDb';
+
+/**
+ * Outbox entry for a message that has not reached the server yet
+ * @typedef {Object} OutboxEntry
+ * @property {string} clientMessageId - Client-generated message ID (dedupe key)
+ * @property {string} chatId - Target chat ID
+ * @property {string} type - Message type (text, image, video, audio, document)
+ * @property {Blob} [file] - Attachment for file messages
+ * @property {string} [fileName] - Attachment name, for display while unsent
+ * @property {string} [content] - Text content, or the caption of a file message
+ * @property {number} [duration] - Length of a voice note in seconds
+ * @property {number[]} [peaks] - Waveform of a voice note (0..1)
+ * @property {Object} [replyTo] - Message being replied to
+ * @property {Object|false} [linkPreview] - Link preview to attach, false when the sender removed it
+ * @property {'pending'|'paused'|'failed'} status - Delivery state; paused uploads wait for resume()
+ * @property {number} attempts - Send attempts so far
+ * @property {number} nextAttemptAt - Earliest time of the next retry (ms)
+ * @property {string} [error] - Last error message
+ * @property {string} createdAt - ISO timestamp of when the user sent it
+ */
+
+/**
+ * Generate a client-side message ID
+ * @returns {string} Unique ID
+ */
+export const generateClientMessageId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Persistent outbox for chat messages.
+ *
+ * Messages are written to IndexedDB before they are sent, so nothing is lost
+ * on reload or while offline. Entries are sent in order with exponential
+ * backoff and removed once the server has accepted them. Every entry carries
+ * a clientMessageId so a retry after an unacknowledged success never
+ * double-posts.
+ */
+class OutboxService {
+  constructor() {
+    this.entries = new Map(); // clientMessageId -> OutboxEntry
+    this.uploadControllers = new Map(); // clientMessageId -> AbortController of the upload in flight
+    this.eventListeners = new Map();
+    this.isFlushing = false;
+    this.retryTimer = null;
+    this.maxAttempts = 6;
+    this.baseRetryDelay = 2000; // 2 seconds
+    this.maxRetryDelay = 60000; // 1 minute
+    this.persistent = isIndexedDbAvailable();
+
+    this.ready = this.loadEntries();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.flush());
+    }
+    enhancedSocketService.onService('connection_success', () => this.flush());
+  }
+
+  /**
+   * Load persisted entries from IndexedDB
+   * @returns {Promise<void>}
+   */
+  async loadEntries() {
+    if (!this.persistent) {
+      console.warn('[OUTBOX] ⚠️ IndexedDB unavailable, unsent messages will not survive a reload');
+      return;
+    }
+
+    try {
+      const stored = await getAllRecords(STORES.OUTBOX);
+      stored.forEach(entry => {
+        // A send interrupted by a reload is retried right away
+        this.entries.set(entry.clientMessageId, { ...entry, nextAttemptAt: 0 });
+      });
+      console.log(`[OUTBOX] 📦 Loaded ${stored.length} unsent messages`);
+    } catch (error) {
+      console.error('[OUTBOX] ❌ Failed to load outbox, continuing in memory only:', error);
+    }
+
+    this.flush();
+  }
+
+  /**
+   * Queue a text message
+   * @param {string} chatId - Chat ID
+   * @param {string} content - Message content
+   * @param {Object} options - Optional message fields
+   * @param {Object} options.replyTo - Message being replied to
+   * @param {string} options.type - Message type
+   * @param {Object|false} options.linkPreview - Link preview to attach, false when removed
+   * @returns {Promise<OutboxEntry>} Queued entry
+   */
+  async enqueueText(chatId, content, { replyTo = null, type = 'text', linkPreview } = {}) {
+    return this.enqueue({ chatId, type, content, replyTo, ...(linkPreview !== undefined && { linkPreview }) });
+  }
+
+  /**
+   * Queue a file message
+   * @param {string} chatId - Chat ID
+   * @param {File} file - File to upload
+   * @param {string} type - Message type (image, video, audio, document)
+   * @param {Object} options - Optional message fields
+   * @param {string} options.caption - Text sent with the file
+   * @param {number} options.duration - Voice note length in seconds
+   * @param {number[]} options.peaks - Voice note waveform, so recipients don't decode the clip to draw it
+   * @returns {Promise<OutboxEntry>} Queued entry
+   */
+  async enqueueFile(chatId, file, type, { caption = '', duration, peaks } = {}) {
+    return this.enqueue({
+      chatId,
+      type,
+      file,
+      fileName: file.name,
+      ...(caption && { content: caption }),
+      ...(duration && { duration }),
+      ...(peaks?.length && { peaks })
+    });
+  }
+
+  async enqueue(fields) {
+    await this.ready;
+
+    const entry = {
+      ...fields,
+      clientMessageId: generateClientMessageId(),
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      error: null,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.saveEntry(entry);
+    this.flush();
+
+    return entry;
+  }
+
+  /**
+   * Get unsent entries for a chat, oldest first
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<OutboxEntry[]>} Entries
+   */
+  async getEntries(chatId) {
+    await this.ready;
+
+    return Array.from(this.entries.values())
+      .filter(entry => entry.chatId === chatId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Retry a failed entry immediately
+   * @param {string} clientMessageId - Entry ID
+   */
+  async retry(clientMessageId) {
+    const entry = this.entries.get(clientMessageId);
+    if (!entry) return;
+
+    await this.saveEntry({ ...entry, status: 'pending', attempts: 0, nextAttemptAt: 0, error: null });
+    this.flush();
+  }
+
+  /**
+   * Pause a file upload. Large files continue from the last uploaded chunk
+   * on resume, even after a reload.
+   * @param {string} clientMessageId - Entry ID
+   */
+  async pause(clientMessageId) {
+    const entry = this.entries.get(clientMessageId);
+    if (!entry?.file || entry.status !== 'pending') return;
+
+    await this.saveEntry({ ...entry, status: 'paused' });
+    this.uploadControllers.get(clientMessageId)?.abort();
+  }
+
+  /**
+   * Resume a paused upload
+   * @param {string} clientMessageId - Entry ID
+   */
+  async resume(clientMessageId) {
+    const entry = this.entries.get(clientMessageId);
+    if (entry?.status !== 'paused') return;
+
+    await this.saveEntry({ ...entry, status: 'pending', nextAttemptAt: 0 });
+    this.flush();
+  }
+
+  /**
+   * Drop an entry without sending it, cancelling its upload if one is in
+   * flight
+   * @param {string} clientMessageId - Entry ID
+   */
+  async discard(clientMessageId) {
+    const entry = this.entries.get(clientMessageId);
+    if (!entry) return;
+
+    this.uploadControllers.get(clientMessageId)?.abort();
+    await this.removeEntry(entry);
+    if (entry.file) {
+      await uploadService.discard(clientMessageId);
+    }
+    this.emitEvent('discarded', { clientMessageId, chatId: entry.chatId });
+  }
+
+  /**
+   * Drop every unsent message, e.g. on logout: queued messages must never go
+   * out with the next account's token
+   */
+  async clear() {
+    await this.ready;
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.uploadControllers.forEach(controller => controller.abort());
+    this.entries.clear();
+    if (!this.persistent) return;
+
+    try {
+      await clearStore(STORES.OUTBOX);
+      console.log('[OUTBOX] 🧹 Outbox cleared');
+    } catch (error) {
+      console.error('[OUTBOX] ❌ Failed to clear outbox:', error);
+    }
+  }
+
+  /**
+   * Send every due entry, one at a time in creation order
+   */
+  async flush() {
+    if (this.isFlushing) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      console.log('[OUTBOX] 📴 Offline, waiting for connectivity');
+      return;
+    }
+
+    this.isFlushing = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    try {
+      const dueEntries = Array.from(this.entries.values())
+        .filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= Date.now())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      for (const due of dueEntries) {
+        // Paused or discarded while earlier entries were sending
+        const entry = this.entries.get(due.clientMessageId);
+        if (entry?.status !== 'pending') continue;
+
+        const sent = await this.sendEntry(entry);
+        // Connectivity dropped mid-flush; the 'online' event resumes it
+        if (!sent && navigator.onLine === false) break;
+      }
+    } finally {
+      this.isFlushing = false;
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Send a single entry
+   * @param {OutboxEntry} entry - Entry to send
+   * @returns {Promise<boolean>} True when the server accepted the message
+   */
+  async sendEntry(entry) {
+    const { clientMessageId, chatId } = entry;
+    const uploadController = entry.file ? new AbortController() : null;
+    if (uploadController) this.uploadControllers.set(clientMessageId, uploadController);
+
+    try {
+      const result = entry.file
+        ? await messageService.sendFileMessage(
+            chatId,
+            entry.file,
+            entry.type,
+            (progress) => this.emitEvent('progress', { clientMessageId, chatId, progress }),
+            clientMessageId,
+            { caption: entry.content || '', duration: entry.duration, peaks: entry.peaks, signal: uploadController.signal }
+          )
+        : await messageService.sendMessage(
+            chatId,
+            entry.content,
+            entry.type,
+            entry.replyTo?._id || null,
+            null,
+            clientMessageId,
+            entry.linkPreview !== undefined ? { linkPreview: entry.linkPreview } : {}
+          );
+
+      // Discarded while the request was in flight
+      if (!this.entries.has(clientMessageId)) return true;
+
+      await this.removeEntry(entry);
+      console.log('[OUTBOX] ✅ Message sent:', clientMessageId);
+      this.emitEvent('sent', { clientMessageId, chatId, message: result.message });
+      return true;
+    } catch (error) {
+      // Paused or discarded while uploading
+      const current = this.entries.get(clientMessageId);
+      if (!current || current.status === 'paused') return false;
+
+      const attempts = entry.attempts + 1;
+      const retryable = this.isRetryable(error) && attempts < this.maxAttempts;
+      const delay = Math.min(this.baseRetryDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+
+      console.error(`[OUTBOX] ❌ Send failed (attempt ${attempts}):`, error);
+
+      await this.saveEntry({
+        ...entry,
+        attempts,
+        status: retryable ? 'pending' : 'failed',
+        nextAttemptAt: retryable ? Date.now() + delay : 0,
+        error: error.message || 'Failed to send message'
+      });
+      return false;
+    } finally {
+      this.uploadControllers.delete(clientMessageId);
+    }
+  }
+
+  /**
+   * Network failures and server-side errors are worth retrying;
+   * validation/permission errors and photos that can't be cleaned are not
+   * @param {Object} error - Formatted service error
+   * @returns {boolean} Whether to retry
+   */
+  isRetryable(error) {
+    if (error.type === 'metadata_error') return false;
+    if (error.type === 'network_error' || !error.status) return true;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+
+  // Wake up for the earliest pending retry
+  scheduleRetry() {
+    const pending = Array.from(this.entries.values()).filter(entry => entry.status === 'pending');
+    if (pending.length === 0) return;
+
+    const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.flush(), Math.max(nextAttemptAt - Date.now(), 0));
+  }
+
+  async saveEntry(entry) {
+    this.entries.set(entry.clientMessageId, entry);
+    this.emitEvent('updated', entry);
+    if (!this.persistent) return;
+
+    try {
+      await putRecord(STORES.OUTBOX, entry);
+    } catch (error) {
+      console.error('[OUTBOX] ❌ Failed to persist entry:', error);
+    }
+  }
+
+  async removeEntry(entry) {
+    this.entries.delete(entry.clientMessageId);
+    if (!this.persistent) return;
+
+    try {
+      await deleteRecord(STORES.OUTBOX, entry.clientMessageId);
+    } catch (error) {
+      console.error('[OUTBOX] ❌ Failed to delete entry:', error);
+    }
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name (updated, progress, sent, discarded)
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    this.eventListeners.get(event)?.delete(callback);
+  }
+
+  emitEvent(event, data) {
+    this.eventListeners.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[OUTBOX] Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const outboxService = new OutboxService();
+
+export default outboxService;
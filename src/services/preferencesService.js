@@ -0,0 +1,108 @@
+const PREFERENCES_KEY = 'preferences';
+
+// Device-level preferences and their defaults
+const DEFAULT_PREFERENCES = {
+  linkPreviews: true, // Fetch previews for links in messages
+  readReceipts: true, // Let senders see when their messages have been read
+  emojiSkinTone: '', // Skin tone modifier for emoji that take one ('' = default yellow)
+  recentEmoji: [], // Most recently used emoji, newest first
+  iceTransportPolicy: 'all' // 'relay' sends call media only through TURN, hiding our IP from the other side
+};
+
+/**
+ * Preferences stored on this device (localStorage), as opposed to account
+ * settings saved on the server. Changes are broadcast to listeners, including
+ * changes made in other tabs.
+ */
+class PreferencesService {
+  constructor() {
+    this.eventListeners = new Map();
+    this.preferences = { ...DEFAULT_PREFERENCES, ...this.load() };
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== PREFERENCES_KEY) return;
+        this.preferences = { ...DEFAULT_PREFERENCES, ...this.load() };
+        this.emitEvent('change', { ...this.preferences });
+      });
+    }
+  }
+
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Get a preference
+   * @param {string} key - Preference name
+   * @returns {*} Current value (or its default)
+   */
+  get(key) {
+    return this.preferences[key];
+  }
+
+  /**
+   * Get all preferences
+   * @returns {Object} Preferences
+   */
+  getAll() {
+    return { ...this.preferences };
+  }
+
+  /**
+   * Change a preference
+   * @param {string} key - Preference name
+   * @param {*} value - New value
+   */
+  set(key, value) {
+    this.preferences = { ...this.preferences, [key]: value };
+
+    try {
+      localStorage.setItem(PREFERENCES_KEY, JSON.stringify(this.preferences));
+    } catch (error) {
+      console.error('[PREFERENCES] ❌ Failed to save preferences:', error);
+    }
+
+    this.emitEvent('change', { ...this.preferences });
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name (change)
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    this.eventListeners.get(event)?.delete(callback);
+  }
+
+  emitEvent(event, data) {
+    this.eventListeners.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`[PREFERENCES] Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const preferencesService = new PreferencesService();
+
+export default preferencesService;
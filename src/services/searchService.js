@@ -0,0 +1,227 @@
+import apiService from './enhancedApiService';
+import routes from './apiRoutes';
+import chatService from './enhancedChatService';
+import messageService from './enhancedMessageService';
+import messageCacheService from './messageCacheService';
+
+const RECENT_SEARCHES_KEY = 'recentSearches';
+
+/**
+ * Global search results, grouped by kind
+ * @typedef {Object} SearchResults
+ * @property {Array} people - Matching users
+ * @property {Array} chats - Matching chats
+ * @property {Array} messages - Matching messages, newest first, each with its `chat`
+ * @property {Object} errors - Error message per group that failed (people, chats, messages)
+ */
+
+/**
+ * Global search across people, chats and messages.
+ *
+ * Each group is searched independently, so one failing endpoint only empties
+ * its own section. There is no server-side search across all chats, so
+ * message search fans out over the user's most recent chats.
+ */
+class SearchService {
+  constructor() {
+    this.maxRecentSearches = 8;
+    this.messageSearchChatLimit = 20; // Chats searched per query
+    this.messageSearchConcurrency = 4;
+    this.resultsPerGroup = 5;
+  }
+
+  /**
+   * Search everything
+   * @param {string} query - Search query
+   * @returns {Promise<SearchResults>} Grouped results
+   */
+  async search(query) {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      return { people: [], chats: [], messages: [], errors: {} };
+    }
+
+    const [people, chats, messages] = await Promise.allSettled([
+      this.searchPeople(trimmed, this.resultsPerGroup),
+      this.searchChats(trimmed),
+      this.searchMessages(trimmed)
+    ]);
+
+    const errors = {};
+    [['people', people], ['chats', chats], ['messages', messages]].forEach(([group, result]) => {
+      if (result.status === 'rejected') {
+        console.error(`[SearchService] ${group} search error:`, result.reason);
+        errors[group] = result.reason?.message || 'Search failed';
+      }
+    });
+
+    return {
+      people: people.value || [],
+      chats: chats.value || [],
+      messages: messages.value || [],
+      errors
+    };
+  }
+
+  /**
+   * Search users by name or username
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum results
+   * @returns {Promise<Array>} Matching users
+   */
+  async searchPeople(query, limit = 20) {
+    try {
+      const response = await apiService.get(routes.social.searchUsers(), {
+        params: { query, page: 1, limit }
+      });
+      return response.data.users || [];
+    } catch (error) {
+      // Servers without the search endpoint: match within the user's own network
+      if (error.status === 404) {
+        return this.searchNetwork(query, limit);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Match people the user follows or is followed by
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum results
+   * @returns {Promise<Array>} Matching users
+   */
+  async searchNetwork(query, limit) {
+    const needle = query.toLowerCase();
+    const network = await this.getNetwork();
+
+    return network
+      .filter(user => user.username?.toLowerCase().includes(needle) ||
+        user.fullName?.toLowerCase().includes(needle))
+      .slice(0, limit);
+  }
+
+  /**
+   * People the user follows or is followed by, without duplicates
+   * @returns {Promise<Array>} Users, followed people first
+   */
+  async getNetwork() {
+    const [following, followers] = await Promise.all([
+      apiService.get(routes.social.following(), { params: { page: 1, limit: 100 } }),
+      apiService.get(routes.social.followers(), { params: { page: 1, limit: 100 } })
+    ]);
+
+    const seen = new Set();
+    return [...(following.data.following || []), ...(followers.data.followers || [])]
+      .filter(user => {
+        if (seen.has(user._id)) return false;
+        seen.add(user._id);
+        return true;
+      });
+  }
+
+  /**
+   * Search chats by participant name
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} Matching chats
+   */
+  async searchChats(query) {
+    const result = await chatService.searchChats(query, 1, this.resultsPerGroup);
+    return result.chats || [];
+  }
+
+  /**
+   * Search message content across the user's recent chats
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} Matching messages, newest first
+   */
+  async searchMessages(query) {
+    const chats = await this.getSearchableChats();
+    const matches = [];
+    let failures = 0;
+
+    // Limited fan-out so a search doesn't fire dozens of requests at once
+    const queue = [...chats];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const chat = queue.shift();
+        try {
+          const result = await messageService.searchMessages(chat._id, query, 1, this.resultsPerGroup);
+          (result.messages || []).forEach(message => {
+            matches.push({ ...message, chatId: message.chatId || chat._id, chat });
+          });
+        } catch (error) {
+          failures += 1;
+          console.error('[SearchService] searchMessages error for chat', chat._id, error);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: this.messageSearchConcurrency }, worker));
+
+    if (chats.length > 0 && failures === chats.length) {
+      throw new Error('Message search is unavailable');
+    }
+
+    return matches
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, this.resultsPerGroup * 2);
+  }
+
+  // Most recent chats, from the local cache when it is warm
+  async getSearchableChats() {
+    const cached = await messageCacheService.getChats();
+    if (cached.length > 0) {
+      return cached.slice(0, this.messageSearchChatLimit);
+    }
+
+    const result = await chatService.getUserChats(1, this.messageSearchChatLimit);
+    return result.chats || [];
+  }
+
+  /**
+   * Get recent search queries, newest first
+   * @returns {string[]} Recent queries
+   */
+  getRecentSearches() {
+    try {
+      return JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Remember a search query
+   * @param {string} query - Search query
+   */
+  addRecentSearch(query) {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+
+    const recent = this.getRecentSearches().filter(item => item.toLowerCase() !== trimmed.toLowerCase());
+    localStorage.setItem(
+      RECENT_SEARCHES_KEY,
+      JSON.stringify([trimmed, ...recent].slice(0, this.maxRecentSearches))
+    );
+  }
+
+  /**
+   * Forget a search query
+   * @param {string} query - Search query
+   */
+  removeRecentSearch(query) {
+    localStorage.setItem(
+      RECENT_SEARCHES_KEY,
+      JSON.stringify(this.getRecentSearches().filter(item => item !== query))
+    );
+  }
+
+  // Clear all recent searches
+  clearRecentSearches() {
+    localStorage.removeItem(RECENT_SEARCHES_KEY);
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+export default searchService;
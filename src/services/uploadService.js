@@ -0,0 +1,400 @@
+import apiService from './enhancedApiService';
+import routes from './apiRoutes';
+import { STORES, isIndexedDbAvailable, getAllRecords, putRecord, deleteRecord, clearStore } from '../utils/indexedDb';
+
+export const CHUNK_SIZE = 1024 * 1024; // 1 MB, the server may ask for smaller chunks
+export const CHUNKED_UPLOAD_THRESHOLD = 4 * CHUNK_SIZE; // Smaller files go up in one multipart request
+const CHUNK_TIMEOUT = 60000; // Per chunk, so slow links don't hit the 30s API default
+const MAX_CHUNK_ATTEMPTS = 5;
+const BASE_RETRY_DELAY = 1000; // 1 second
+const MAX_RETRY_DELAY = 16000; // 16 seconds
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Saved sessions older than a week are dropped
+const FINGERPRINT_BYTES = 64 * 1024;
+
+/**
+ * Saved state of a chunked upload, persisted so it survives a reload
+ * @typedef {Object} UploadSession
+ * @property {string} key - Caller's ID for the upload (the outbox clientMessageId)
+ * @property {string} uploadId - Server session ID
+ * @property {string} fingerprint - Identifies the file's bytes; another file never resumes the session
+ * @property {number} fileSize - File size in bytes
+ * @property {number} chunkSize - Chunk size agreed with the server
+ * @property {number[]} receivedChunks - Indexes of the chunks the server has stored
+ * @property {number} updatedAt - Last change (ms)
+ */
+
+const canceledError = () => ({ type: 'canceled', message: 'Request canceled', status: 0 });
+
+// Sleep between retries; an abort cuts the wait short
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(canceledError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(canceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, delay);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Size, modification time and a hash of the first bytes. Re-encoded images
+ * keep the original's name and date, so the hash is what tells them apart.
+ * @param {Blob} file - File to upload
+ * @returns {Promise<string>} Fingerprint
+ */
+const fingerprintFile = async (file) => {
+  const base = `${file.size}-${file.lastModified || 0}`;
+  if (typeof crypto === 'undefined' || !crypto.subtle) return base;
+
+  const digest = await crypto.subtle.digest('SHA-256', await file.slice(0, FINGERPRINT_BYTES).arrayBuffer());
+  const hash = Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${base}-${hash}`;
+};
+
+const chunkBytes = (session, index) =>
+  Math.max(0, Math.min(session.chunkSize, session.fileSize - index * session.chunkSize));
+
+/**
+ * Resumable chunked uploads for large attachments.
+ *
+ * Files are sent in fixed-size chunks, one at a time, and each chunk is
+ * retried with backoff on its own, so a dropped connection costs at most one
+ * chunk. The session is saved in IndexedDB; an upload that is paused,
+ * aborted or cut off by a reload continues from the chunks the server
+ * already has.
+ *
+ * Server contract (responses use the usual `{ success, data }` envelope):
+ * - `POST /user/upload/sessions` with `{ clientUploadId, fileName, fileSize,
+ *   mimeType, chunkSize }` returns `{ uploadId, chunkSize, receivedChunks }`.
+ *   The same clientUploadId returns the existing session, and the server may
+ *   lower chunkSize. 404 means chunked uploads are not supported.
+ * - `GET /user/upload/sessions/:uploadId` returns `{ uploadId, chunkSize,
+ *   receivedChunks }`, or 404 once the session has expired.
+ * - `PUT /user/upload/sessions/:uploadId/chunks/:index` with the raw bytes
+ *   (`application/octet-stream`, `Content-Range: bytes start-end/total`)
+ *   returns `{ index }`. Sending a stored chunk again is a no-op.
+ * - `POST /user/upload/sessions/:uploadId/complete` returns `{ uploadId,
+ *   fileUrl }`, or 409 with `{ missingChunks }` when chunks are missing.
+ * - `DELETE /user/upload/sessions/:uploadId` drops the session.
+ *
+ * A completed upload is attached to a message by sending its `uploadId`
+ * instead of the file (see MessageService.sendFileMessage).
+ */
+class UploadService {
+  constructor() {
+    this.sessions = new Map(); // key -> UploadSession
+    this.supported = true; // Cleared when the server has no chunked upload endpoint
+    this.persistent = isIndexedDbAvailable();
+
+    this.ready = this.loadSessions();
+  }
+
+  /**
+   * Load saved sessions from IndexedDB, dropping stale ones
+   * @returns {Promise<void>}
+   */
+  async loadSessions() {
+    if (!this.persistent) return;
+
+    try {
+      const stored = await getAllRecords(STORES.UPLOADS);
+      const cutoff = Date.now() - SESSION_MAX_AGE;
+
+      for (const session of stored) {
+        if (session.updatedAt >= cutoff) {
+          this.sessions.set(session.key, session);
+        } else {
+          // The server expires abandoned sessions on its own
+          await deleteRecord(STORES.UPLOADS, session.key);
+        }
+      }
+      console.log(`[UPLOAD] 📦 Loaded ${this.sessions.size} resumable uploads`);
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Failed to load upload sessions:', error);
+    }
+  }
+
+  /**
+   * Whether a file should be uploaded in chunks
+   * @param {Blob} file - File to upload
+   * @returns {boolean} True for large files when the server supports it
+   */
+  shouldChunk(file) {
+    return this.supported && file.size >= CHUNKED_UPLOAD_THRESHOLD;
+  }
+
+  /**
+   * Upload a file in chunks, resuming a saved session for the same key and
+   * file when there is one
+   * @param {Blob} file - File to upload
+   * @param {Object} options - Upload options
+   * @param {string} options.key - Stable ID for the upload (e.g. the clientMessageId)
+   * @param {AbortSignal} options.signal - Stops the upload; the session is kept for resuming
+   * @param {Function} options.onProgress - Called with the percentage uploaded
+   * @returns {Promise<Object|null>} `{ uploadId, fileUrl }`, or null when the server doesn't support chunked uploads
+   */
+  async upload(file, { key, signal, onProgress } = {}) {
+    await this.ready;
+
+    const uploadKey = key || `${file.name}-${file.size}-${file.lastModified || 0}`;
+    const fingerprint = await fingerprintFile(file);
+    let session = await this.resumeSession(uploadKey, fingerprint, signal)
+      || await this.createSession(uploadKey, file, fingerprint, signal);
+    if (!session) return null;
+
+    // One recovery attempt: a new session when the old one expired, or the
+    // chunks the server reports missing on completion
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.sendChunks(session, file, { signal, onProgress });
+        const response = await apiService.post(routes.upload.complete(session.uploadId), {}, { signal });
+
+        await this.forgetSession(uploadKey);
+        console.log('[UPLOAD] ✅ Upload complete:', session.uploadId);
+        return { ...response.data, uploadId: session.uploadId };
+      } catch (error) {
+        if (attempt > 0) throw error;
+
+        if (error.status === 404) {
+          console.warn('[UPLOAD] ⚠️ Upload session expired, starting over');
+          await this.forgetSession(uploadKey);
+          session = await this.createSession(uploadKey, file, fingerprint, signal);
+          if (!session) throw error;
+        } else if (error.status === 409 && Array.isArray(error.data?.missingChunks)) {
+          const missing = new Set(error.data.missingChunks);
+          const latest = this.sessions.get(uploadKey) || session;
+          session = await this.saveSession({
+            ...latest,
+            receivedChunks: latest.receivedChunks.filter(index => !missing.has(index))
+          });
+        } else {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Saved upload progress for a key, e.g. for a paused upload after a reload
+   * @param {string} key - Upload key
+   * @returns {number} Percentage the server has received (0 when unknown)
+   */
+  getSavedProgress(key) {
+    const session = this.sessions.get(key);
+    if (!session?.fileSize) return 0;
+
+    const received = session.receivedChunks.reduce((total, index) => total + chunkBytes(session, index), 0);
+    return Math.round((received * 100) / session.fileSize);
+  }
+
+  /**
+   * Drop a saved session and tell the server to delete its chunks. Abort the
+   * upload first if it is still running.
+   * @param {string} key - Upload key
+   */
+  async discard(key) {
+    await this.ready;
+
+    const session = this.sessions.get(key);
+    if (!session) return;
+
+    await this.forgetSession(key);
+    apiService.delete(routes.upload.session(session.uploadId)).catch((error) => {
+      console.warn('[UPLOAD] ⚠️ Failed to delete upload session:', error);
+    });
+  }
+
+  /**
+   * Continue a saved session with the chunk list from the server
+   * @returns {Promise<UploadSession|null>} Session, or null when there is nothing to resume
+   */
+  async resumeSession(key, fingerprint, signal) {
+    const saved = this.sessions.get(key);
+    if (!saved) return null;
+
+    // The file changed (e.g. re-encoded differently after a reload)
+    if (saved.fingerprint !== fingerprint) {
+      await this.discard(key);
+      return null;
+    }
+
+    try {
+      const response = await apiService.get(routes.upload.session(saved.uploadId), { signal });
+      console.log('[UPLOAD] 🔄 Resuming upload:', saved.uploadId);
+      return this.saveSession({
+        ...saved,
+        chunkSize: response.data.chunkSize || saved.chunkSize,
+        receivedChunks: response.data.receivedChunks || []
+      });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      await this.forgetSession(key);
+      return null;
+    }
+  }
+
+  /**
+   * Open a new upload session on the server
+   * @returns {Promise<UploadSession|null>} Session, or null when chunked uploads are not supported
+   */
+  async createSession(key, file, fingerprint, signal) {
+    try {
+      const response = await apiService.post(routes.upload.sessions(), {
+        // Includes the fingerprint so a different file never gets an old session back
+        clientUploadId: `${key}:${fingerprint}`,
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.type || 'application/octet-stream',
+        chunkSize: CHUNK_SIZE
+      }, { signal });
+
+      return this.saveSession({
+        key,
+        uploadId: response.data.uploadId,
+        fingerprint,
+        fileSize: file.size,
+        chunkSize: response.data.chunkSize || CHUNK_SIZE,
+        receivedChunks: response.data.receivedChunks || []
+      });
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 501) throw error;
+
+      console.warn('[UPLOAD] ⚠️ Chunked uploads not supported by the server, using single requests');
+      this.supported = false;
+      return null;
+    }
+  }
+
+  /**
+   * Send every chunk the server doesn't have yet, in order
+   * @param {UploadSession} session - Upload session
+   * @param {Blob} file - File being uploaded
+   * @param {Object} options - `{ signal, onProgress }`
+   */
+  async sendChunks(session, file, { signal, onProgress }) {
+    const received = new Set(session.receivedChunks);
+    const chunkCount = Math.ceil(file.size / session.chunkSize);
+    let uploadedBytes = Array.from(received).reduce((total, index) => total + chunkBytes(session, index), 0);
+    let current = session;
+
+    const report = (bytes) => onProgress?.(Math.min(100, Math.round((bytes * 100) / file.size)));
+    report(uploadedBytes);
+
+    for (let index = 0; index < chunkCount; index++) {
+      if (received.has(index)) continue;
+
+      const start = index * session.chunkSize;
+      const chunk = file.slice(start, start + session.chunkSize);
+      await this.sendChunk(session.uploadId, index, chunk, {
+        start,
+        fileSize: file.size,
+        signal,
+        onProgress: (loaded) => report(uploadedBytes + loaded)
+      });
+
+      // Don't resurrect a session discarded while this chunk was in flight
+      if (signal?.aborted) throw canceledError();
+
+      uploadedBytes += chunk.size;
+      received.add(index);
+      current = await this.saveSession({ ...current, receivedChunks: Array.from(received) });
+    }
+  }
+
+  /**
+   * Send one chunk, retrying network and server errors with exponential
+   * backoff
+   * @param {string} uploadId - Upload session ID
+   * @param {number} index - Chunk index
+   * @param {Blob} chunk - Chunk bytes
+   * @param {Object} options - `{ start, fileSize, signal, onProgress }`
+   */
+  async sendChunk(uploadId, index, chunk, { start, fileSize, signal, onProgress }) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await apiService.put(routes.upload.chunk(uploadId, index), chunk, {
+          signal,
+          timeout: CHUNK_TIMEOUT,
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${start + chunk.size - 1}/${fileSize}`
+          },
+          onUploadProgress: (event) => onProgress(Math.min(event.loaded, chunk.size))
+        });
+      } catch (error) {
+        if (attempt >= MAX_CHUNK_ATTEMPTS || !this.isRetryable(error)) throw error;
+
+        const delay = Math.min(BASE_RETRY_DELAY * Math.pow(2, attempt - 1), MAX_RETRY_DELAY);
+        console.warn(`[UPLOAD] ⚠️ Chunk ${index} failed (attempt ${attempt}), retrying in ${delay}ms`);
+        onProgress(0);
+        await wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Network failures and server-side errors are worth retrying; aborts and
+   * client errors are not
+   * @param {Object} error - Normalized API error
+   * @returns {boolean} Whether to retry
+   */
+  isRetryable(error) {
+    if (error.type === 'canceled') return false;
+    if (error.type === 'network_error' || !error.status) return true;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+
+  /**
+   * Forget every saved upload session, e.g. on logout, so the next account
+   * can't resume this one's uploads
+   */
+  async clear() {
+    await this.ready;
+
+    this.sessions.clear();
+    if (!this.persistent) return;
+
+    try {
+      await clearStore(STORES.UPLOADS);
+      console.log('[UPLOAD] 🧹 Upload sessions cleared');
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Failed to clear upload sessions:', error);
+    }
+  }
+
+  async saveSession(fields) {
+    const session = { ...fields, updatedAt: Date.now() };
+    this.sessions.set(session.key, session);
+    if (!this.persistent) return session;
+
+    try {
+      await putRecord(STORES.UPLOADS, session);
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Failed to persist upload session:', error);
+    }
+    return session;
+  }
+
+  async forgetSession(key) {
+    this.sessions.delete(key);
+    if (!this.persistent) return;
+
+    try {
+      await deleteRecord(STORES.UPLOADS, key);
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Failed to delete upload session:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const uploadService = new UploadService();
+
+export default uploadService;
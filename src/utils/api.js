@@ -1,295 +1,262 @@
-import axios from 'axios';
+import apiService from '../services/enhancedApiService';
+import routes from '../services/apiRoutes';
+import { prepareMediaUpload } from './mediaProcessing';
 
-// API Configuration
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://vibgyornode.onrender.com';
+// Every helper goes through ApiService, which owns the base URL, version
+// prefix, auth header and token refresh. Responses are unwrapped to
+// `{ success, data, message, meta }` and errors normalized to ApiError.
+const api = apiService;
 
-// Create axios instance
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Request interceptor to add auth token
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('accessToken');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor to handle token refresh
-api.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    // Handle network errors gracefully
-    if (!error.response) {
-      // Network error - don't redirect to login
-      error.code = 'NETWORK_ERROR';
-      return Promise.reject(error);
-    }
-
-    if (error.response?.status === 401) {
-      // Token expired - since there's no refresh endpoint, just clear tokens
-      localStorage.removeItem('accessToken');
-      localStorage.removeItem('refreshToken');
-      localStorage.removeItem('userData');
-      // Let the component handle the redirect
-    }
-    return Promise.reject(error);
-  }
-);
+const PROFILE_PICTURE_SIZE = 1024; // Longest side of uploaded profile pictures
 
 // API Service Functions
 export const authAPI = {
   // Phone OTP
   sendPhoneOTP: (phoneNumber, countryCode = '+91') =>
-    api.post('/user/auth/send-otp', { phoneNumber, countryCode }),
+    api.post(routes.auth.sendOtp(), { phoneNumber, countryCode }),
   
   verifyPhoneOTP: (phoneNumber, otp) =>
-    api.post('/user/auth/verify-otp', { phoneNumber, otp }),
+    api.post(routes.auth.verifyOtp(), { phoneNumber, otp }),
   
   resendPhoneOTP: (phoneNumber) =>
-    api.post('/user/auth/resend-otp', { phoneNumber }),
+    api.post(routes.auth.resendOtp(), { phoneNumber }),
 
   // Email OTP
   sendEmailOTP: (email) =>
-    api.post('/user/auth/email/send-otp', { email }),
+    api.post(routes.auth.sendEmailOtp(), { email }),
   
   verifyEmailOTP: (otp) =>
-    api.post('/user/auth/email/verify-otp', { otp }),
+    api.post(routes.auth.verifyEmailOtp(), { otp }),
   
   resendEmailOTP: (email) =>
-    api.post('/user/auth/email/resend-otp', { email }),
+    api.post(routes.auth.resendEmailOtp(), { email }),
 
   // Profile
   getProfile: () =>
-    api.get('/user/auth/profile'),
+    api.get(routes.auth.profile()),
   
   getMe: () =>
-    api.get('/user/auth/me'),
+    api.get(routes.auth.me()),
   
   updateProfile: (profileData) =>
-    api.put('/user/auth/profile', profileData),
+    api.put(routes.auth.profile(), profileData),
 };
 
 export const socialAPI = {
   // Follow Requests
   sendFollowRequest: (userId, message = '') =>
-    api.post(`/user/social/follow-request/${userId}`, { message }),
+    api.post(routes.social.followRequest(userId), { message }),
   
   acceptFollowRequest: (requestId) =>
-    api.post(`/user/social/follow-request/${requestId}/accept`),
+    api.post(routes.social.acceptFollowRequest(requestId)),
   
   rejectFollowRequest: (requestId) =>
-    api.post(`/user/social/follow-request/${requestId}/reject`),
+    api.post(routes.social.rejectFollowRequest(requestId)),
   
   cancelFollowRequest: (requestId) =>
-    api.delete(`/user/social/follow-request/${requestId}/cancel`),
+    api.delete(routes.social.cancelFollowRequest(requestId)),
   
   getPendingFollowRequests: (page = 1, limit = 20) =>
-    api.get(`/user/social/follow-requests/pending?page=${page}&limit=${limit}`),
+    api.get(routes.social.pendingFollowRequests(), { params: { page, limit } }),
   
   getSentFollowRequests: (page = 1, limit = 20, status = 'all') =>
-    api.get(`/user/social/follow-requests/sent?page=${page}&limit=${limit}&status=${status}`),
+    api.get(routes.social.sentFollowRequests(), { params: { page, limit, status } }),
 
   // Follow/Unfollow
   unfollowUser: (userId) =>
-    api.delete(`/user/social/follow/${userId}`),
+    api.delete(routes.social.follow(userId)),
   
   getFollowers: (page = 1, limit = 20) =>
-    api.get(`/user/social/followers?page=${page}&limit=${limit}`),
+    api.get(routes.social.followers(), { params: { page, limit } }),
   
   getFollowing: (page = 1, limit = 20) =>
-    api.get(`/user/social/following?page=${page}&limit=${limit}`),
+    api.get(routes.social.following(), { params: { page, limit } }),
 
   // Block/Unblock
   blockUser: (userId) =>
-    api.post(`/user/social/block/${userId}`),
+    api.post(routes.social.block(userId)),
   
   unblockUser: (userId) =>
-    api.delete(`/user/social/block/${userId}`),
+    api.delete(routes.social.block(userId)),
   
   getBlockedUsers: (page = 1, limit = 20) =>
-    api.get(`/user/social/blocked?page=${page}&limit=${limit}`),
+    api.get(routes.social.blocked(), { params: { page, limit } }),
 
   // Report
   reportUser: (userId, reportData) =>
-    api.post(`/user/social/report/${userId}`, reportData),
+    api.post(routes.social.report(userId), reportData),
   
   getUserReports: (page = 1, limit = 10) =>
-    api.get(`/user/social/reports?page=${page}&limit=${limit}`),
+    api.get(routes.social.reports(), { params: { page, limit } }),
   
   getSocialStats: () =>
-    api.get('/user/social/social-stats'),
+    api.get(routes.social.stats()),
+
+  // Search
+  searchUsers: (query, page = 1, limit = 20) =>
+    api.get(routes.social.searchUsers(), { params: { query, page, limit } }),
 };
 
 export const chatAPI = {
   // Chat Management
   createOrGetChat: (userId) =>
-    api.post(`/user/chats/${userId}`),
+    api.post(routes.chats.withUser(userId)),
   
   getUserChats: (page = 1, limit = 20) =>
-    api.get(`/user/chats?page=${page}&limit=${limit}`),
+    api.get(routes.chats.list(), { params: { page, limit } }),
   
   getChatDetails: (chatId) =>
-    api.get(`/user/chats/${chatId}`),
+    api.get(routes.chats.detail(chatId)),
   
   updateChatSettings: (chatId, settings) =>
-    api.put(`/user/chats/${chatId}`, settings),
+    api.put(routes.chats.detail(chatId), settings),
   
   deleteChat: (chatId) =>
-    api.delete(`/user/chats/${chatId}`),
+    api.delete(routes.chats.detail(chatId)),
   
   searchChats: (query, page = 1, limit = 20) =>
-    api.get(`/user/chats/search?query=${query}&page=${page}&limit=${limit}`),
+    api.get(routes.chats.search(), { params: { query, page, limit } }),
   
   getChatStats: () =>
-    api.get('/api/v1/user/chats/stats'),
+    api.get(routes.chats.stats()),
   
   getTypingUsers: (chatId) =>
-    api.get(`/user/chats/${chatId}/typing`),
+    api.get(routes.chats.typing(chatId)),
 };
 
 export const messageAPI = {
   // Messages
   sendMessage: (chatId, messageData) =>
-    api.post(`/user/messages/chats/${chatId}/messages`, messageData, {
+    api.post(routes.messages.list(chatId), messageData, {
       headers: { 'Content-Type': 'multipart/form-data' }
     }),
   
   getChatMessages: (chatId, page = 1, limit = 20) =>
-    api.get(`/user/messages/chats/${chatId}/messages?page=${page}&limit=${limit}`),
+    api.get(routes.messages.list(chatId), { params: { page, limit } }),
   
   markMessagesAsRead: (chatId) =>
-    api.post(`/user/messages/chats/${chatId}/messages/read`),
+    api.post(routes.messages.read(chatId)),
   
   editMessage: (messageId, content) =>
-    api.put(`/user/messages/${messageId}`, { content }),
+    api.put(routes.messages.detail(messageId), { content }),
   
   deleteMessage: (messageId) =>
-    api.delete(`/user/messages/${messageId}`),
+    api.delete(routes.messages.detail(messageId)),
   
   reactToMessage: (messageId, emoji) =>
-    api.post(`/user/messages/${messageId}/react`, { emoji }),
+    api.post(routes.messages.react(messageId), { emoji }),
   
   removeReaction: (messageId) =>
-    api.delete(`/user/messages/${messageId}/react`),
+    api.delete(routes.messages.react(messageId)),
   
   searchMessages: (chatId, query, page = 1, limit = 20) =>
-    api.get(`/user/messages/chats/${chatId}/messages/search?query=${query}&page=${page}&limit=${limit}`),
+    api.get(routes.messages.search(chatId), { params: { query, page, limit } }),
   
   forwardMessage: (messageId, targetChatId) =>
-    api.post(`/user/messages/${messageId}/forward`, { targetChatId }),
+    api.post(routes.messages.forward(messageId), { targetChatId }),
   
   getChatMedia: (chatId, page = 1, limit = 20) =>
-    api.get(`/user/messages/chats/${chatId}/media?page=${page}&limit=${limit}`),
+    api.get(routes.messages.media(chatId), { params: { page, limit } }),
   
   getMessageDetails: (messageId) =>
-    api.get(`/user/messages/${messageId}`),
+    api.get(routes.messages.detail(messageId)),
 };
 
 export const messageRequestAPI = {
   // Message Requests
   sendMessageRequest: (userId) =>
-    api.post(`/user/message-requests/${userId}`),
+    api.post(routes.messageRequests.toUser(userId)),
   
   getPendingRequests: (page = 1, limit = 20) =>
-    api.get(`/user/message-requests/pending?page=${page}&limit=${limit}`),
+    api.get(routes.messageRequests.pending(), { params: { page, limit } }),
   
   getSentRequests: (page = 1, limit = 20) =>
-    api.get(`/user/message-requests/sent?page=${page}&limit=${limit}`),
+    api.get(routes.messageRequests.sent(), { params: { page, limit } }),
   
   acceptMessageRequest: (requestId) =>
-    api.post(`/user/message-requests/${requestId}/accept`),
+    api.post(routes.messageRequests.accept(requestId)),
   
   rejectMessageRequest: (requestId) =>
-    api.post(`/user/message-requests/${requestId}/reject`),
+    api.post(routes.messageRequests.reject(requestId)),
   
   deleteMessageRequest: (requestId) =>
-    api.delete(`/user/message-requests/${requestId}`),
+    api.delete(routes.messageRequests.detail(requestId)),
   
   getMessageRequestDetails: (requestId) =>
-    api.get(`/user/message-requests/${requestId}`),
+    api.get(routes.messageRequests.detail(requestId)),
   
   getMessageRequestStats: () =>
-    api.get('/user/message-requests/stats'),
+    api.get(routes.messageRequests.stats()),
   
   getRequestBetweenUsers: (userId) =>
-    api.get(`/user/message-requests/between/${userId}`),
+    api.get(routes.messageRequests.between(userId)),
 };
 
 export const statusAPI = {
   // User Status
   updateUserStatus: (statusData) =>
-    api.put('/user/status', statusData),
+    api.put(routes.status.self(), statusData),
   
   getUserStatus: (userId) =>
-    api.get(`/user/status/${userId}`),
+    api.get(routes.status.user(userId)),
   
   getOnlineUsers: () =>
-    api.get('/user/status/online'),
+    api.get(routes.status.online()),
   
   getRecentlyActiveUsers: () =>
-    api.get('/user/status/recent'),
+    api.get(routes.status.recent()),
   
   getUserStatuses: (userIds) =>
-    api.post('/user/status/batch', { userIds }),
+    api.post(routes.status.batch(), { userIds }),
   
   updatePrivacySettings: (privacySettings) =>
-    api.put('/user/status/privacy', privacySettings),
+    api.put(routes.status.privacy(), privacySettings),
   
   getStatusStats: () =>
-    api.get('/user/status/stats'),
+    api.get(routes.status.stats()),
 };
 
 export const callAPI = {
   // Call Management
   initiateCall: (chatId, type = 'audio') =>
-    api.post('/user/calls/initiate', { chatId, type }),
+    api.post(routes.calls.initiate(), { chatId, type }),
   
   acceptCall: (callId, signalingData = {}) =>
-    api.post(`/user/calls/${callId}/accept`, { signalingData }),
+    api.post(routes.calls.accept(callId), { signalingData }),
   
   rejectCall: (callId, reason = '') =>
-    api.post(`/user/calls/${callId}/reject`, { reason }),
+    api.post(routes.calls.reject(callId), { reason }),
   
   endCall: (callId, reason = '') =>
-    api.post(`/user/calls/${callId}/end`, { reason }),
+    api.post(routes.calls.end(callId), { reason }),
   
   getCallStatus: (callId) =>
-    api.get(`/user/calls/${callId}/status`),
+    api.get(routes.calls.status(callId)),
   
   getCallHistory: (chatId, page = 1, limit = 20, type = 'audio') =>
-    api.get(`/user/calls/chats/${chatId}/call-history?page=${page}&limit=${limit}&type=${type}`),
+    api.get(routes.calls.history(chatId), { params: { page, limit, type } }),
   
   getCallStats: () =>
-    api.get('/user/calls/stats'),
+    api.get(routes.calls.stats()),
   
   updateCallSettings: (callId, settings) =>
-    api.put(`/user/calls/${callId}/settings`, settings),
+    api.put(routes.calls.settings(callId), settings),
   
   handleSignaling: (callId, signalingData) =>
-    api.post(`/user/calls/${callId}/signaling`, signalingData),
+    api.post(routes.calls.signaling(callId), signalingData),
   
   getActiveCall: (chatId) =>
-    api.get(`/user/calls/chats/${chatId}/active-call`),
+    api.get(routes.calls.active(chatId)),
 };
 
 export const uploadAPI = {
   // File Upload
-  uploadProfilePicture: (file) => {
+  uploadProfilePicture: async (file) => {
+    // Avatars are shown small; resizing also strips the photo's location
+    const prepared = await prepareMediaUpload(file, { type: 'image', maxDimension: PROFILE_PICTURE_SIZE, placeholder: false });
     const formData = new FormData();
-    formData.append('file', file);
-    return api.post('/user/upload/profile-picture', formData, {
+    formData.append('file', prepared.file);
+    return api.post(routes.upload.profilePicture(), formData, {
       headers: { 'Content-Type': 'multipart/form-data' }
     });
   },
@@ -299,7 +266,7 @@ export const uploadAPI = {
     formData.append('file', file);
     formData.append('documentType', documentType);
     formData.append('documentNumber', documentNumber);
-    return api.post('/user/upload/id-proof', formData, {
+    return api.post(routes.upload.idProof(), formData, {
       headers: { 'Content-Type': 'multipart/form-data' }
     });
   },
@@ -308,34 +275,34 @@ export const uploadAPI = {
 export const catalogAPI = {
   // Catalog Management
   getCatalog: () =>
-    api.get('/user/catalog'),
+    api.get(routes.catalog.root()),
   
   getSpecificList: (listType) =>
-    api.get(`/user/catalog/${listType}`),
+    api.get(routes.catalog.list(listType)),
   
   createCatalog: (catalogData) =>
-    api.post('/user/catalog', catalogData),
+    api.post(routes.catalog.root(), catalogData),
   
   updateCatalog: (catalogData) =>
-    api.put('/user/catalog', catalogData),
+    api.put(routes.catalog.root(), catalogData),
   
   addToList: (listType, items) =>
-    api.patch('/user/catalog/add', { listType, items }),
+    api.patch(routes.catalog.add(), { listType, items }),
   
   removeFromList: (listType, items) =>
-    api.patch('/user/catalog/remove', { listType, items }),
+    api.patch(routes.catalog.remove(), { listType, items }),
   
   deleteCatalog: () =>
-    api.delete('/user/catalog'),
+    api.delete(routes.catalog.root()),
 };
 
 export const usernameAPI = {
   // Username System
   checkAvailability: (username) =>
-    api.get(`/user/username/available?u=${username}`),
+    api.get(routes.username.available(), { params: { u: username } }),
   
   getSuggestions: (base) =>
-    api.get(`/user/username/suggest?base=${base}`),
+    api.get(routes.username.suggest(), { params: { base } }),
 };
 
 export default api;
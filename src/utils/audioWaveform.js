@@ -0,0 +1,107 @@
+// Waveform helpers for voice notes
+
+export const DEFAULT_BAR_COUNT = 48;
+
+const waveformCache = new Map(); // url -> Promise<{ peaks, duration }>
+
+export const getAudioContextClass = () =>
+  typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : undefined;
+
+/**
+ * Downsample a series of levels to a fixed number of bars, normalized to 0..1
+ * @param {number[]} levels - Raw levels (any scale)
+ * @param {number} bars - Number of bars
+ * @returns {number[]} Bar heights
+ */
+export const resampleLevels = (levels, bars = DEFAULT_BAR_COUNT) => {
+  if (!levels || levels.length === 0) return [];
+
+  const bucketSize = levels.length / bars;
+  const result = [];
+  for (let bar = 0; bar < bars; bar++) {
+    const start = Math.floor(bar * bucketSize);
+    const end = Math.max(Math.floor((bar + 1) * bucketSize), start + 1);
+    let peak = 0;
+    for (let i = start; i < end && i < levels.length; i++) {
+      peak = Math.max(peak, Math.abs(levels[i]));
+    }
+    result.push(peak);
+  }
+
+  const max = Math.max(...result);
+  return max > 0 ? result.map(value => value / max) : result;
+};
+
+/**
+ * Bar heights for a decoded audio buffer
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {number} bars - Number of bars
+ * @returns {number[]} Bar heights (0..1)
+ */
+export const computePeaks = (audioBuffer, bars = DEFAULT_BAR_COUNT) => {
+  const samples = audioBuffer.getChannelData(0);
+  const bucketSize = Math.max(Math.floor(samples.length / bars), 1);
+  const peaks = [];
+
+  for (let bar = 0; bar < bars; bar++) {
+    let peak = 0;
+    const start = bar * bucketSize;
+    // Sampling every 16th value is plenty for a thumbnail waveform
+    for (let i = start; i < start + bucketSize && i < samples.length; i += 16) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    peaks.push(peak);
+  }
+
+  return resampleLevels(peaks, bars);
+};
+
+/**
+ * Fetch and decode an audio file to get its waveform and real duration.
+ * Results are cached per URL; failures are not, so they can be retried.
+ * @param {string} url - Audio URL (http or blob:)
+ * @param {number} bars - Number of bars
+ * @returns {Promise<{peaks: number[], duration: number}>} Waveform
+ */
+export const loadWaveform = (url, bars = DEFAULT_BAR_COUNT) => {
+  const key = `${url}#${bars}`;
+  if (waveformCache.has(key)) return waveformCache.get(key);
+
+  const promise = (async () => {
+    const OfflineContext = typeof window !== 'undefined'
+      ? window.OfflineAudioContext || window.webkitOfflineAudioContext
+      : undefined;
+    if (!OfflineContext) throw new Error('Web Audio is not supported');
+
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to fetch audio (${response.status})`);
+
+    const data = await response.arrayBuffer();
+    const context = new OfflineContext(1, 1, 44100);
+    const audioBuffer = await context.decodeAudioData(data);
+
+    return { peaks: computePeaks(audioBuffer, bars), duration: audioBuffer.duration };
+  })();
+
+  waveformCache.set(key, promise);
+  promise.catch(() => waveformCache.delete(key));
+  return promise;
+};
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+export default {
+  resampleLevels,
+  computePeaks,
+  loadWaveform,
+  formatDuration
+};
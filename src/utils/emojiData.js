@@ -0,0 +1,885 @@
+// Emoji catalogue for the picker
+//
+// Each line is "<emoji> <name and search keywords>". A trailing * on the
+// emoji marks it as accepting a skin tone modifier.
+
+const RAW_CATEGORIES = [
+  {
+    id: 'smileys',
+    label: 'Smileys & People',
+    emoji: `
+😀 grinning face smile happy
+😃 smiley grinning happy joy
+😄 smile happy joy laugh
+😁 grin beaming teeth
+😆 laughing satisfied haha
+😅 sweat smile relief nervous
+🤣 rofl rolling floor laughing
+😂 joy tears laughing lol
+🙂 slightly smiling
+🙃 upside down silly sarcasm
+😉 wink flirt
+😊 blush smiling eyes happy
+😇 innocent halo angel
+🥰 smiling hearts love adore
+😍 heart eyes love crush
+🤩 star struck excited wow
+😘 kissing heart blow kiss
+😗 kissing
+😚 kissing closed eyes
+😋 yum delicious tongue
+😛 tongue out playful
+😜 winking tongue crazy
+🤪 zany goofy wild
+😝 squinting tongue
+🤑 money mouth rich
+🤗 hugging hug
+🤭 hand over mouth oops giggle
+🤫 shushing quiet secret
+🤔 thinking hmm wonder
+🤐 zipper mouth secret
+🤨 raised eyebrow skeptical
+😐 neutral meh
+😑 expressionless blank
+😶 no mouth silent
+😏 smirk smug
+😒 unamused annoyed
+🙄 eye roll whatever
+😬 grimacing awkward
+😮‍💨 exhaling sigh relief
+🤥 lying pinocchio
+😌 relieved calm
+😔 pensive sad
+😪 sleepy tired
+🤤 drooling
+😴 sleeping zzz
+😷 mask sick
+🤒 thermometer ill fever
+🤕 bandage hurt
+🤢 nauseated sick green
+🤮 vomiting
+🤧 sneezing cold
+🥵 hot heat sweating
+🥶 cold freezing
+🥴 woozy dizzy drunk
+😵 dizzy knocked out
+🤯 mind blown exploding head
+🤠 cowboy
+🥳 partying party celebrate birthday
+🥸 disguise incognito
+😎 sunglasses cool
+🤓 nerd geek glasses
+🧐 monocle curious
+😕 confused
+😟 worried
+🙁 slightly frowning
+☹️ frowning sad
+😮 open mouth surprised
+😯 hushed surprised
+😲 astonished shocked
+😳 flushed embarrassed
+🥺 pleading puppy eyes please
+😦 frowning open mouth
+😧 anguished
+😨 fearful scared
+😰 anxious sweat
+😥 sad relieved disappointed
+😢 cry tear sad
+😭 sob crying loudly
+😱 scream fear shocked
+😖 confounded
+😣 persevering
+😞 disappointed
+😓 downcast sweat
+😩 weary tired
+😫 tired exhausted
+🥱 yawning bored
+😤 triumph huffing
+😡 pouting angry rage
+😠 angry mad
+🤬 cursing swearing
+😈 smiling devil horns
+👿 angry devil imp
+💀 skull dead
+☠️ skull crossbones
+💩 poop
+🤡 clown
+👹 ogre
+👻 ghost boo halloween
+👽 alien ufo
+🤖 robot bot
+😺 smiling cat
+😸 grinning cat
+😹 cat joy tears
+😻 cat heart eyes
+🙈 see no evil monkey
+🙉 hear no evil monkey
+🙊 speak no evil monkey
+👋* wave hello hi bye
+🤚* raised back of hand
+✋* raised hand high five stop
+🖖* vulcan salute spock
+👌* ok perfect
+🤌* pinched fingers
+🤏* pinching small
+✌️* victory peace
+🤞* crossed fingers luck hope
+🤟* love you gesture
+🤘* rock on horns metal
+🤙* call me shaka
+👈* point left
+👉* point right
+👆* point up
+👇* point down
+☝️* index pointing up
+👍* thumbs up like yes approve +1
+👎* thumbs down dislike no -1
+✊* raised fist
+👊* punch fist bump
+🤛* left fist bump
+🤜* right fist bump
+👏* clap applause bravo
+🙌* raising hands hooray celebrate
+👐* open hands
+🤲* palms up together
+🤝 handshake deal agreement
+🙏* pray please thanks folded hands
+✍️* writing
+💅* nail polish
+🤳* selfie
+💪* muscle strong flex
+🧠 brain smart
+👀 eyes look see
+👁️ eye
+👅 tongue
+👄 mouth lips
+👶* baby
+🧒* child kid
+👦* boy
+👧* girl
+🧑* person adult
+👨* man
+👩* woman
+🧓* older person
+👴* old man
+👵* old woman
+🙋* raising hand question
+🤷* shrug idk whatever
+🤦* facepalm
+🙇* bowing sorry
+💁* tipping hand information
+🙅* no gesture
+🙆* ok gesture
+🧑‍💻 technologist developer coder
+👮* police officer
+🕵️ detective
+👷* construction worker
+🤴* prince
+👸* princess
+🦸* superhero
+🧙* mage wizard
+🧛* vampire
+🧜* merperson mermaid
+🧚* fairy
+🏃* running run
+💃* dancing woman dance
+🕺* dancing man dance
+👯 people with bunny ears party
+🧘* yoga meditate
+👫 couple holding hands
+💑 couple heart
+👪 family
+🗣️ speaking head
+👤 silhouette user
+`
+  },
+  {
+    id: 'nature',
+    label: 'Animals & Nature',
+    emoji: `
+🐶 dog puppy
+🐱 cat kitten
+🐭 mouse
+🐹 hamster
+🐰 rabbit bunny
+🦊 fox
+🐻 bear
+🐼 panda
+🐨 koala
+🐯 tiger
+🦁 lion
+🐮 cow
+🐷 pig
+🐸 frog
+🐵 monkey
+🐔 chicken
+🐧 penguin
+🐦 bird
+🐤 chick
+🦆 duck
+🦅 eagle
+🦉 owl
+🦇 bat
+🐺 wolf
+🐗 boar
+🐴 horse
+🦄 unicorn
+🐝 bee honeybee
+🐛 bug caterpillar
+🦋 butterfly
+🐌 snail slow
+🐞 ladybug
+🐜 ant
+🕷️ spider
+🐢 turtle slow
+🐍 snake
+🦎 lizard
+🦖 t-rex dinosaur
+🐙 octopus
+🦑 squid
+🦀 crab
+🐠 tropical fish
+🐟 fish
+🐬 dolphin
+🐳 whale
+🦈 shark
+🐊 crocodile
+🐘 elephant
+🦒 giraffe
+🦘 kangaroo
+🐪 camel
+🐎 racehorse
+🐕 dog
+🐈 cat
+🐾 paw prints
+🌵 cactus
+🎄 christmas tree
+🌲 evergreen tree
+🌳 tree
+🌴 palm tree
+🌱 seedling plant grow
+🌿 herb
+☘️ shamrock
+🍀 four leaf clover luck
+🍁 maple leaf autumn
+🍂 fallen leaves autumn fall
+🌷 tulip flower
+🌹 rose flower love
+🥀 wilted flower
+🌺 hibiscus flower
+🌸 cherry blossom flower spring
+🌼 blossom flower
+🌻 sunflower
+🌞 sun face
+🌝 full moon face
+🌙 crescent moon night
+⭐ star
+🌟 glowing star
+✨ sparkles shiny magic
+⚡ lightning zap electric
+🔥 fire lit hot flame
+🌈 rainbow
+☀️ sun sunny
+⛅ partly cloudy
+☁️ cloud
+🌧️ rain
+⛈️ thunderstorm
+❄️ snowflake cold winter
+☃️ snowman
+🌊 wave ocean sea
+💧 droplet water
+🌍 earth globe world
+`
+  },
+  {
+    id: 'food',
+    label: 'Food & Drink',
+    emoji: `
+🍏 green apple
+🍎 red apple
+🍐 pear
+🍊 orange tangerine
+🍋 lemon
+🍌 banana
+🍉 watermelon
+🍇 grapes
+🍓 strawberry
+🫐 blueberries
+🍒 cherries
+🍑 peach
+🥭 mango
+🍍 pineapple
+🥥 coconut
+🥝 kiwi
+🍅 tomato
+🥑 avocado
+🍆 eggplant
+🥦 broccoli
+🌽 corn
+🥕 carrot
+🌶️ hot pepper spicy
+🥔 potato
+🥐 croissant
+🍞 bread
+🥖 baguette
+🧀 cheese
+🥚 egg
+🍳 cooking fried egg breakfast
+🥞 pancakes
+🥓 bacon
+🍗 poultry leg chicken
+🍖 meat bone
+🌭 hot dog
+🍔 hamburger burger
+🍟 fries
+🍕 pizza
+🥪 sandwich
+🌮 taco
+🌯 burrito
+🥗 salad
+🍝 spaghetti pasta
+🍜 ramen noodles
+🍲 stew pot
+🍣 sushi
+🍱 bento
+🥟 dumpling
+🍤 fried shrimp
+🍚 rice
+🍛 curry
+🍦 ice cream soft serve
+🍩 doughnut donut
+🍪 cookie
+🎂 birthday cake
+🍰 cake shortcake
+🧁 cupcake
+🍫 chocolate
+🍬 candy
+🍭 lollipop
+🍯 honey
+🍿 popcorn
+☕ coffee hot beverage tea
+🍵 tea
+🧋 bubble tea boba
+🥤 cup straw soda
+🍺 beer
+🍻 cheers beers
+🥂 clinking glasses champagne toast
+🍷 wine
+🍸 cocktail martini
+🍹 tropical drink
+🥃 whisky tumbler
+🧃 juice box
+🍼 baby bottle
+`
+  },
+  {
+    id: 'activities',
+    label: 'Activities',
+    emoji: `
+⚽ soccer football
+🏀 basketball
+🏈 american football
+⚾ baseball
+🎾 tennis
+🏐 volleyball
+🏉 rugby
+🎱 8 ball billiards pool
+🏓 ping pong table tennis
+🏸 badminton
+🥅 goal net
+🏒 hockey
+⛳ golf
+🏹 bow arrow archery
+🎣 fishing
+🥊 boxing glove
+🥋 martial arts
+⛸️ ice skate
+🎿 ski
+🏂* snowboarder
+🏋️ weight lifting gym
+🚴* biking cyclist
+🏊* swimming
+🏄* surfing
+🏆 trophy winner champion
+🥇 gold medal first
+🥈 silver medal second
+🥉 bronze medal third
+🏅 medal
+🎖️ military medal
+🎗️ reminder ribbon
+🎫 ticket
+🎟️ admission tickets
+🎪 circus tent
+🎭 performing arts theater
+🎨 art palette paint
+🎬 clapper movie film
+🎤 microphone karaoke sing
+🎧 headphones music
+🎼 musical score
+🎹 piano keyboard
+🥁 drum
+🎷 saxophone
+🎺 trumpet
+🎸 guitar
+🎻 violin
+🎲 dice game
+♟️ chess pawn
+🎯 bullseye target dart
+🎳 bowling
+🎮 video game controller gaming
+🕹️ joystick
+🧩 puzzle piece
+🎉 party popper tada celebrate congrats
+🎊 confetti ball
+🎈 balloon party
+🎁 gift present
+🎀 ribbon bow
+🎃 jack o lantern halloween pumpkin
+🎆 fireworks
+🎇 sparkler
+`
+  },
+  {
+    id: 'travel',
+    label: 'Travel & Places',
+    emoji: `
+🚗 car automobile
+🚕 taxi
+🚌 bus
+🚎 trolleybus
+🏎️ racing car
+🚓 police car
+🚑 ambulance
+🚒 fire engine
+🚚 delivery truck
+🚜 tractor
+🛵 scooter
+🏍️ motorcycle
+🚲 bicycle bike
+🛴 kick scooter
+🚨 police light siren
+🚄 high speed train
+🚆 train
+🚇 metro subway
+✈️ airplane flight travel
+🛫 departure
+🛬 arrival
+🚀 rocket launch ship it
+🛸 flying saucer ufo
+🚁 helicopter
+⛵ sailboat
+🚤 speedboat
+🛳️ passenger ship cruise
+⚓ anchor
+⛽ fuel pump gas
+🚧 construction
+🗺️ world map
+🗽 statue of liberty
+🗼 tokyo tower
+🏰 castle
+🏟️ stadium
+🎡 ferris wheel
+🎢 roller coaster
+🏖️ beach umbrella vacation
+🏝️ desert island
+🏔️ snow mountain
+⛰️ mountain
+🌋 volcano
+🏕️ camping
+🏠 house home
+🏡 house garden
+🏢 office building
+🏥 hospital
+🏦 bank
+🏨 hotel
+🏫 school
+⛪ church
+🕌 mosque
+🗾 japan map
+🌅 sunrise
+🌄 sunrise mountains
+🌃 night stars city
+🌆 cityscape dusk
+🌉 bridge night
+🌌 milky way galaxy
+🧳 luggage
+🕰️ mantelpiece clock
+⏰ alarm clock
+⌛ hourglass
+`
+  },
+  {
+    id: 'objects',
+    label: 'Objects',
+    emoji: `
+⌚ watch
+📱 mobile phone
+💻 laptop computer
+⌨️ keyboard
+🖥️ desktop computer
+🖨️ printer
+🖱️ computer mouse
+💾 floppy disk save
+💿 cd
+📷 camera photo
+📸 camera flash
+📹 video camera
+🎥 movie camera
+📞 telephone receiver
+☎️ telephone
+📺 television tv
+📻 radio
+🎙️ studio microphone podcast
+⏱️ stopwatch
+🔋 battery
+🔌 electric plug
+💡 light bulb idea
+🔦 flashlight
+🕯️ candle
+💸 money wings
+💵 dollar banknote
+💰 money bag
+💳 credit card
+💎 gem diamond
+⚖️ balance scale justice
+🔧 wrench
+🔨 hammer
+🛠️ hammer wrench tools
+⚙️ gear settings
+🧲 magnet
+🔫 water pistol
+💣 bomb
+🔪 knife
+🛡️ shield
+🔮 crystal ball
+🧿 nazar amulet
+💊 pill medicine
+💉 syringe vaccine
+🧬 dna
+🦠 microbe virus
+🧪 test tube
+🌡️ thermometer
+🧹 broom
+🧻 toilet paper
+🛁 bathtub
+🔑 key
+🗝️ old key
+🚪 door
+🛋️ couch
+🛏️ bed
+🧸 teddy bear
+🖼️ framed picture
+🛍️ shopping bags
+🛒 shopping cart
+✉️ envelope mail
+📧 email
+📨 incoming envelope
+📦 package box
+📫 mailbox
+📝 memo note write
+📄 page document
+📅 calendar date
+📆 tear off calendar
+🗓️ spiral calendar
+📇 card index
+📈 chart increasing up
+📉 chart decreasing down
+📊 bar chart stats
+📋 clipboard
+📌 pushpin pin
+📍 round pushpin location
+📎 paperclip attachment
+✂️ scissors
+🗑️ wastebasket trash
+🔒 locked
+🔓 unlocked
+🔐 locked key
+📚 books
+📖 open book read
+🔖 bookmark
+🔗 link
+📣 megaphone
+📢 loudspeaker
+🔔 bell notification
+🔕 bell slash mute
+🎵 musical note
+🎶 musical notes
+`
+  },
+  {
+    id: 'symbols',
+    label: 'Symbols',
+    emoji: `
+❤️ red heart love
+🧡 orange heart
+💛 yellow heart
+💚 green heart
+💙 blue heart
+💜 purple heart
+🖤 black heart
+🤍 white heart
+🤎 brown heart
+💔 broken heart
+❣️ heart exclamation
+💕 two hearts
+💞 revolving hearts
+💓 beating heart
+💗 growing heart
+💖 sparkling heart
+💘 heart arrow cupid
+💝 heart ribbon
+💟 heart decoration
+☮️ peace
+✝️ cross
+☯️ yin yang
+♈ aries
+♉ taurus
+♊ gemini
+♋ cancer
+♌ leo
+♍ virgo
+♎ libra
+♏ scorpio
+♐ sagittarius
+♑ capricorn
+♒ aquarius
+♓ pisces
+🆗 ok button
+🆕 new
+🆒 cool button
+🆓 free
+🆘 sos help
+⛔ no entry
+🚫 prohibited
+❌ cross mark no wrong
+⭕ hollow circle
+✅ check mark button done yes
+☑️ check box
+✔️ check mark
+❎ cross mark button
+➕ plus add
+➖ minus
+➗ divide
+✖️ multiply
+♾️ infinity
+❓ question mark
+❔ white question
+❕ white exclamation
+❗ exclamation mark
+‼️ double exclamation
+⁉️ exclamation question
+💯 hundred points perfect 100
+🔅 dim
+🔆 bright
+⚠️ warning
+🚸 children crossing
+🔱 trident
+⚜️ fleur de lis
+🔰 beginner
+♻️ recycle
+💤 zzz sleep
+💢 anger
+💥 collision boom
+💫 dizzy
+💦 sweat droplets
+💨 dashing away
+🕳️ hole
+💬 speech balloon chat
+💭 thought balloon
+🗯️ anger bubble
+🔴 red circle
+🟠 orange circle
+🟡 yellow circle
+🟢 green circle
+🔵 blue circle
+🟣 purple circle
+⚫ black circle
+⚪ white circle
+🟥 red square
+🟩 green square
+🟦 blue square
+⬛ black square
+⬜ white square
+🔺 red triangle up
+🔻 red triangle down
+🔷 blue diamond
+🔶 orange diamond
+▶️ play
+⏸️ pause
+⏹️ stop
+⏺️ record
+⏭️ next track
+⏮️ previous track
+🔀 shuffle
+🔁 repeat
+🔂 repeat one
+⬆️ up arrow
+⬇️ down arrow
+⬅️ left arrow
+➡️ right arrow
+↩️ left arrow curving back
+🔃 clockwise arrows refresh
+🔄 counterclockwise arrows
+🔙 back arrow
+🔜 soon arrow
+🔝 top arrow
+©️ copyright
+®️ registered
+™️ trade mark
+#️⃣ keycap number sign
+1️⃣ keycap one
+2️⃣ keycap two
+3️⃣ keycap three
+🔟 keycap ten
+`
+  },
+  {
+    id: 'flags',
+    label: 'Flags',
+    emoji: `
+🏁 chequered flag finish race
+🚩 triangular flag red flag
+🎌 crossed flags
+🏴 black flag
+🏳️ white flag surrender
+🏳️‍🌈 rainbow flag pride
+🏴‍☠️ pirate flag
+🇺🇳 united nations
+🇪🇺 european union
+🇺🇸 united states usa america
+🇬🇧 united kingdom uk britain
+🇨🇦 canada
+🇲🇽 mexico
+🇧🇷 brazil
+🇦🇷 argentina
+🇫🇷 france
+🇩🇪 germany
+🇮🇹 italy
+🇪🇸 spain
+🇵🇹 portugal
+🇳🇱 netherlands
+🇧🇪 belgium
+🇨🇭 switzerland
+🇸🇪 sweden
+🇳🇴 norway
+🇩🇰 denmark
+🇫🇮 finland
+🇮🇪 ireland
+🇵🇱 poland
+🇺🇦 ukraine
+🇬🇷 greece
+🇹🇷 turkey
+🇷🇺 russia
+🇮🇳 india
+🇵🇰 pakistan
+🇧🇩 bangladesh
+🇨🇳 china
+🇯🇵 japan
+🇰🇷 south korea
+🇮🇩 indonesia
+🇵🇭 philippines
+🇻🇳 vietnam
+🇹🇭 thailand
+🇦🇺 australia
+🇳🇿 new zealand
+🇿🇦 south africa
+🇳🇬 nigeria
+🇪🇬 egypt
+🇰🇪 kenya
+🇸🇦 saudi arabia
+🇦🇪 united arab emirates
+🇮🇱 israel
+`
+  }
+];
+
+// Fitzpatrick modifiers, lightest to darkest
+export const SKIN_TONES = [
+  { id: '', label: 'Default', swatch: '✋' },
+  { id: '\u{1F3FB}', label: 'Light', swatch: '✋🏻' },
+  { id: '\u{1F3FC}', label: 'Medium-light', swatch: '✋🏼' },
+  { id: '\u{1F3FD}', label: 'Medium', swatch: '✋🏽' },
+  { id: '\u{1F3FE}', label: 'Medium-dark', swatch: '✋🏾' },
+  { id: '\u{1F3FF}', label: 'Dark', swatch: '✋🏿' }
+];
+
+const SKIN_TONE_PATTERN = /[\u{1F3FB}-\u{1F3FF}]/gu;
+
+const parseCategory = ({ id, label, emoji }) => ({
+  id,
+  label,
+  emoji: emoji.trim().split('\n').map((line) => {
+    const [symbol, ...keywords] = line.trim().split(/\s+/);
+    const toneable = symbol.endsWith('*');
+    const char = toneable ? symbol.slice(0, -1) : symbol;
+    return { char, name: keywords.join(' '), toneable };
+  })
+});
+
+export const EMOJI_CATEGORIES = RAW_CATEGORIES.map(parseCategory);
+
+const ALL_EMOJI = EMOJI_CATEGORIES.flatMap(category => category.emoji);
+
+/**
+ * Apply a skin tone to an emoji that accepts one
+ * @param {Object} emoji - Catalogue entry
+ * @param {string} tone - Skin tone modifier, or '' for the default
+ * @returns {string} Emoji character(s)
+ */
+export const withSkinTone = (emoji, tone) => {
+  if (!tone || !emoji.toneable) return emoji.char;
+  // The modifier replaces a variation selector and goes right after the base
+  const [base, ...rest] = Array.from(emoji.char.replace(/\uFE0F/g, ''));
+  return [base, tone, ...rest].join('');
+};
+
+/**
+ * Emoji without any skin tone
+ * @param {string} char - Emoji character(s)
+ * @returns {string} Base emoji
+ */
+export const stripSkinTone = (char) => char.replace(SKIN_TONE_PATTERN, '');
+
+/**
+ * Search the catalogue by name and keywords
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum results
+ * @returns {Object[]} Matching catalogue entries, best matches first
+ */
+export const searchEmoji = (query, limit = 80) => {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+
+  return ALL_EMOJI
+    .map((emoji) => {
+      const words = emoji.name.split(' ');
+      const matches = terms.every(term => words.some(word => word.startsWith(term)));
+      if (!matches) return null;
+      // Prefer hits on the emoji's primary name
+      const score = words[0].startsWith(terms[0]) ? 0 : 1;
+      return { emoji, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map(result => result.emoji);
+};
+
+/**
+ * Catalogue entry for an emoji character, if known
+ * @param {string} char - Emoji character(s)
+ * @returns {Object|null} Catalogue entry
+ */
+export const findEmoji = (char) => {
+  const base = stripSkinTone(char);
+  return ALL_EMOJI.find(emoji => emoji.char === base || emoji.char.replace(/\uFE0F/g, '') === base) || null;
+};
+
+export default {
+  EMOJI_CATEGORIES,
+  SKIN_TONES,
+  withSkinTone,
+  stripSkinTone,
+  searchEmoji,
+  findEmoji
+};
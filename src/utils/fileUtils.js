@@ -0,0 +1,67 @@
+import messageService from '../services/enhancedMessageService';
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+/**
+ * Message type for an attachment, from its MIME type
+ * @param {File} file - File to send
+ * @returns {'image'|'video'|'audio'|'document'} Message type
+ */
+export const getFileMessageType = (file) => {
+  if (file.type.startsWith('image/')) return 'image';
+  if (file.type.startsWith('video/')) return 'video';
+  if (file.type.startsWith('audio/')) return 'audio';
+  return 'document';
+};
+
+/**
+ * Save a URL to disk through a temporary link
+ * @param {string} url - File URL
+ * @param {string} fileName - Suggested file name
+ */
+export const saveUrl = (url, fileName = '') => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+/**
+ * Download the attachment of a message. Prefers the server's signed
+ * download URL and falls back to the media URL the message carries.
+ * @param {Object} message - Message with media
+ */
+export const downloadMessageFile = async (message) => {
+  const fallbackName = message.media?.fileName || `${message.type || 'file'}-${message._id}`;
+
+  try {
+    const result = await messageService.getFileDownloadUrl(message._id);
+    saveUrl(result.downloadUrl, result.fileName || fallbackName);
+  } catch (error) {
+    if (!message.media?.url) throw error;
+    console.warn('[FILE_UTILS] ⚠️ Download URL unavailable, using media URL:', error);
+    saveUrl(message.media.url, fallbackName);
+  }
+};
+
+export default {
+  formatFileSize,
+  getFileMessageType,
+  saveUrl,
+  downloadMessageFile
+};
@@ -0,0 +1,141 @@
+/**
+ * Minimal promise wrapper around the app's IndexedDB database
+ */
+
+const DB_NAME = 'vibgyor';
+const DB_VERSION = 3;
+
+export const STORES = {
+  OUTBOX: 'outbox',
+  CHATS: 'chats',
+  MESSAGES: 'messages',
+  UPLOADS: 'uploads',
+};
+
+let dbPromise = null;
+
+// Schema migrations, applied in order from the stored version
+const upgrade = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    const outbox = db.createObjectStore(STORES.OUTBOX, { keyPath: 'clientMessageId' });
+    outbox.createIndex('chatId', 'chatId', { unique: false });
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(STORES.CHATS, { keyPath: 'id' });
+    const messages = db.createObjectStore(STORES.MESSAGES, { keyPath: 'id' });
+    messages.createIndex('chatId', 'chatId', { unique: false });
+  }
+  if (oldVersion < 3) {
+    db.createObjectStore(STORES.UPLOADS, { keyPath: 'key' });
+  }
+};
+
+// Check whether IndexedDB can be used in this browser
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+// Open (and upgrade) the database once and reuse the connection
+export const openDatabase = () => {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema - let it proceed and reopen lazily
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+// Promisify an IDBRequest
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve once a transaction commits
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// Run a single request against an object store
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const completed = transactionDone(transaction);
+  // Failed requests also abort the transaction; that error is thrown below
+  completed.catch(() => {});
+
+  const result = await promisifyRequest(callback(transaction.objectStore(storeName)));
+
+  // Writes are only durable once the transaction commits
+  if (mode === 'readwrite') {
+    await completed;
+  }
+
+  return result;
+};
+
+// Get a record by key
+export const getRecord = (storeName, key) =>
+  withStore(storeName, 'readonly', (store) => store.get(key));
+
+// Get all records, optionally filtered by an index value
+export const getAllRecords = (storeName, indexName = null, query = undefined) =>
+  withStore(storeName, 'readonly', (store) =>
+    indexName ? store.index(indexName).getAll(query) : store.getAll()
+  );
+
+// Insert or replace a record
+export const putRecord = (storeName, value) =>
+  withStore(storeName, 'readwrite', (store) => store.put(value));
+
+// Delete a record by key
+export const deleteRecord = (storeName, key) =>
+  withStore(storeName, 'readwrite', (store) => store.delete(key));
+
+// Apply several puts/deletes atomically in one transaction
+export const bulkUpdate = async (storeName, { put = [], remove = [] } = {}) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+
+  remove.forEach((key) => store.delete(key));
+  put.forEach((value) => store.put(value));
+
+  return transactionDone(transaction);
+};
+
+// Delete every record in a store
+export const clearStore = (storeName) =>
+  withStore(storeName, 'readwrite', (store) => store.clear());
+
+export default {
+  STORES,
+  isIndexedDbAvailable,
+  openDatabase,
+  getRecord,
+  getAllRecords,
+  putRecord,
+  deleteRecord,
+  bulkUpdate,
+  clearStore,
+};
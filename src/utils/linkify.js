@@ -0,0 +1,79 @@
+// Link detection for message text
+
+// http(s) URLs and bare www. hosts, stopping before trailing punctuation
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)\]}]/gi;
+
+/**
+ * Normalize a matched link into an absolute URL
+ * @param {string} url - Matched link text
+ * @returns {string} URL with a scheme
+ */
+export const normalizeUrl = (url) => (/^https?:\/\//i.test(url) ? url : `https://${url}`);
+
+/**
+ * Find all links in a piece of text
+ * @param {string} text - Message text
+ * @returns {string[]} Unique absolute URLs in order of appearance
+ */
+export const extractUrls = (text = '') => {
+  const matches = (text || '').match(URL_PATTERN) || [];
+  return [...new Set(matches.map(normalizeUrl))];
+};
+
+/**
+ * Split text into plain-text and link segments for rendering
+ * @param {string} text - Message text
+ * @returns {Array<{type: 'text'|'link', value: string, href?: string}>} Segments in order
+ */
+export const splitLinks = (text = '') => {
+  if (!text) return [];
+  const segments = [];
+  let cursor = 0;
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    if (match.index > cursor) {
+      segments.push({ type: 'text', value: text.slice(cursor, match.index) });
+    }
+    segments.push({ type: 'link', value: match[0], href: normalizeUrl(match[0]) });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < text.length) {
+    segments.push({ type: 'text', value: text.slice(cursor) });
+  }
+
+  return segments;
+};
+
+/**
+ * Match a link starting exactly at `index`
+ * @param {string} text - Text to scan
+ * @param {number} index - Position the link must start at
+ * @returns {{value: string, href: string}|null} Matched link
+ */
+export const matchUrlAt = (text, index) => {
+  const pattern = new RegExp(URL_PATTERN.source, 'iy');
+  pattern.lastIndex = index;
+  const match = pattern.exec(text);
+  return match ? { value: match[0], href: normalizeUrl(match[0]) } : null;
+};
+
+/**
+ * Host name of a URL without the www. prefix
+ * @param {string} url - Absolute URL
+ * @returns {string} Host name, or the input when it can't be parsed
+ */
+export const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+export default {
+  normalizeUrl,
+  extractUrls,
+  splitLinks,
+  matchUrlAt,
+  getHostname
+};
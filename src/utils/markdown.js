@@ -0,0 +1,386 @@
+// Markdown-lite for chat messages
+//
+// Parses message text into a small tree of plain objects that components
+// render as React elements, so user input never becomes HTML. Supported:
+//   **bold**  *italic* / _italic_  ~~strike~~  `code`
+//   ```lang fenced code blocks```, > quotes, - bullet and 1. numbered lists,
+//   links, @mentions and #hashtags. A backslash escapes a marker.
+
+import { matchUrlAt } from './linkify';
+
+const MAX_DEPTH = 4; // Nesting limit for quotes and inline styles
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?/;
+const BULLET_PATTERN = /^\s*[-*•]\s+/;
+const ORDERED_PATTERN = /^\s*(\d{1,9})[.)]\s+/;
+const MENTION_PATTERN = /@([a-zA-Z0-9_](?:[a-zA-Z0-9_.]{0,28}[a-zA-Z0-9_])?)/y;
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_]{1,50})/uy;
+const ESCAPABLE = /[\\*_~`@#>-]/;
+
+// Inline styles, longest marker first
+const INLINE_STYLES = [
+  { marker: '**', type: 'bold' },
+  { marker: '~~', type: 'strike' },
+  { marker: '*', type: 'italic' },
+  { marker: '_', type: 'italic' }
+];
+
+const isWordChar = (char) => !!char && /[\p{L}\p{N}]/u.test(char);
+const isSpace = (char) => !char || /\s/.test(char);
+
+// Mentions, hashtags and single-character markers only start at a word boundary
+const isBoundary = (text, index) => index === 0 || !isWordChar(text[index - 1]);
+
+// Find the closing marker of an inline style on the same line
+const findClosing = (text, marker, from) => {
+  const lineEnd = text.indexOf('\n', from);
+  const limit = lineEnd === -1 ? text.length : lineEnd;
+  const single = marker.length === 1;
+
+  for (let index = text.indexOf(marker, from); index !== -1 && index < limit; index = text.indexOf(marker, index + 1)) {
+    if (isSpace(text[index - 1]) || text[index - 1] === '\\') continue;
+    // `2*3*4` and snake_case_names are not emphasis
+    if (single && isWordChar(text[index + 1])) continue;
+    // A single * must not be half of a **
+    if (marker === '*' && text[index + 1] === '*') {
+      index += 1;
+      continue;
+    }
+    // In ***x*** the bold closer is the last two stars
+    if (!single && text[index + marker.length] === marker[0]) continue;
+    return index;
+  }
+  return -1;
+};
+
+/**
+ * Parse inline formatting
+ * @param {string} text - Text without block structure
+ * @param {number} depth - Current nesting depth
+ * @returns {Array<Object>} Inline nodes
+ */
+export const parseInline = (text, depth = 0) => {
+  const nodes = [];
+  let buffer = '';
+  let index = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', value: buffer });
+      buffer = '';
+    }
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '\\' && ESCAPABLE.test(text[index + 1] || '')) {
+      buffer += text[index + 1];
+      index += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      index += 1;
+      continue;
+    }
+
+    if (char === '`') {
+      const close = text.indexOf('`', index + 1);
+      if (close > index + 1) {
+        flush();
+        nodes.push({ type: 'code', value: text.slice(index + 1, close) });
+        index = close + 1;
+        continue;
+      }
+    }
+
+    if (depth < MAX_DEPTH) {
+      const style = INLINE_STYLES.find(({ marker }) => text.startsWith(marker, index));
+      if (style && !isSpace(text[index + style.marker.length]) &&
+          (style.marker.length > 1 || isBoundary(text, index))) {
+        const start = index + style.marker.length;
+        const close = findClosing(text, style.marker, start + 1);
+        if (close !== -1) {
+          flush();
+          nodes.push({ type: style.type, children: parseInline(text.slice(start, close), depth + 1) });
+          index = close + style.marker.length;
+          continue;
+        }
+      }
+    }
+
+    if (isBoundary(text, index)) {
+      const link = matchUrlAt(text, index);
+      if (link) {
+        flush();
+        nodes.push({ type: 'link', value: link.value, href: link.href });
+        index += link.value.length;
+        continue;
+      }
+
+      if (char === '@') {
+        MENTION_PATTERN.lastIndex = index;
+        const mention = MENTION_PATTERN.exec(text);
+        if (mention) {
+          flush();
+          nodes.push({ type: 'mention', username: mention[1] });
+          index += mention[0].length;
+          continue;
+        }
+      }
+
+      if (char === '#') {
+        HASHTAG_PATTERN.lastIndex = index;
+        const hashtag = HASHTAG_PATTERN.exec(text);
+        // "#1" is usually a number, not a tag
+        if (hashtag && !/^\d+$/.test(hashtag[1])) {
+          flush();
+          nodes.push({ type: 'hashtag', tag: hashtag[1] });
+          index += hashtag[0].length;
+          continue;
+        }
+      }
+    }
+
+    buffer += char;
+    index += 1;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Parse message text into blocks
+ * @param {string} text - Message text
+ * @param {number} depth - Current quote depth
+ * @returns {Array<Object>} Block nodes (paragraph, codeBlock, quote, list)
+ */
+export const parseMarkdown = (text, depth = 0) => {
+  if (!text) return [];
+
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  const startsBlock = (line) =>
+    FENCE_PATTERN.test(line) || QUOTE_PATTERN.test(line) || BULLET_PATTERN.test(line) || ORDERED_PATTERN.test(line);
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !/^\s*```\s*$/.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1; // Closing fence (an unclosed block runs to the end)
+      blocks.push({ type: 'codeBlock', lang: fence[1].toLowerCase(), code: code.join('\n') });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line) && depth < MAX_DEPTH) {
+      const quoted = [];
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoted.push(lines[index].replace(QUOTE_PATTERN, ''));
+        index += 1;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n'), depth + 1) });
+      continue;
+    }
+
+    const ordered = line.match(ORDERED_PATTERN);
+    if (ordered || BULLET_PATTERN.test(line)) {
+      const pattern = ordered ? ORDERED_PATTERN : BULLET_PATTERN;
+      const items = [];
+      while (index < lines.length && pattern.test(lines[index])) {
+        items.push(parseInline(lines[index].replace(pattern, ''), 1));
+        index += 1;
+      }
+      blocks.push({ type: 'list', ordered: !!ordered, start: ordered ? Number(ordered[1]) : 1, items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !startsBlock(lines[index]))) {
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+};
+
+const inlineToPlainText = (nodes) => nodes.map((node) => {
+  switch (node.type) {
+    case 'text':
+    case 'code':
+    case 'link':
+      return node.value;
+    case 'break':
+      return ' ';
+    case 'mention':
+      return `@${node.username}`;
+    case 'hashtag':
+      return `#${node.tag}`;
+    default:
+      return inlineToPlainText(node.children || []);
+  }
+}).join('');
+
+/**
+ * Message text without formatting markers, for one-line previews
+ * @param {string} text - Message text
+ * @returns {string} Plain text
+ */
+export const toPlainText = (text) => {
+  const blockToPlainText = (block) => {
+    switch (block.type) {
+      case 'codeBlock':
+        return block.code.replace(/\s+/g, ' ');
+      case 'quote':
+        return block.children.map(blockToPlainText).join(' ');
+      case 'list':
+        return block.items.map(inlineToPlainText).join(', ');
+      default:
+        return inlineToPlainText(block.children);
+    }
+  };
+
+  return parseMarkdown(text).map(blockToPlainText).join(' ').trim();
+};
+
+const INLINE_MARKERS = {
+  bold: '**',
+  italic: '_',
+  strike: '~~',
+  code: '`'
+};
+
+const LINE_PREFIXES = {
+  quote: '> ',
+  bulletList: '- ',
+  numberedList: (lineNumber) => `${lineNumber}. `
+};
+
+const LINE_PREFIX_PATTERNS = {
+  quote: QUOTE_PATTERN,
+  bulletList: BULLET_PATTERN,
+  numberedList: ORDERED_PATTERN
+};
+
+/**
+ * Apply a formatting action to a text selection, toggling it off when the
+ * selection already has it
+ * @param {string} value - Full text
+ * @param {number} selectionStart - Selection start
+ * @param {number} selectionEnd - Selection end
+ * @param {string} format - bold, italic, strike, code, codeBlock, quote, bulletList or numberedList
+ * @returns {{value: string, selectionStart: number, selectionEnd: number}} New text and selection
+ */
+export const applyFormat = (value, selectionStart, selectionEnd, format) => {
+  const marker = INLINE_MARKERS[format];
+
+  if (marker) {
+    // Double-click selections often include a trailing space
+    let end = selectionEnd;
+    while (end > selectionStart && /\s/.test(value[end - 1])) end -= 1;
+    const selected = value.slice(selectionStart, end);
+
+    const isWrapped = value.slice(selectionStart - marker.length, selectionStart) === marker &&
+      value.slice(end, end + marker.length) === marker;
+    if (isWrapped) {
+      return {
+        value: value.slice(0, selectionStart - marker.length) + selected + value.slice(end + marker.length),
+        selectionStart: selectionStart - marker.length,
+        selectionEnd: end - marker.length
+      };
+    }
+
+    return {
+      value: value.slice(0, selectionStart) + marker + selected + marker + value.slice(end),
+      selectionStart: selectionStart + marker.length,
+      selectionEnd: end + marker.length
+    };
+  }
+
+  if (format === 'codeBlock') {
+    const selected = value.slice(selectionStart, selectionEnd);
+    const before = selectionStart > 0 && value[selectionStart - 1] !== '\n' ? '\n' : '';
+    const after = selectionEnd < value.length && value[selectionEnd] !== '\n' ? '\n' : '';
+    const opening = `${before}\`\`\`\n`;
+
+    return {
+      value: `${value.slice(0, selectionStart)}${opening}${selected}\n\`\`\`${after}${value.slice(selectionEnd)}`,
+      selectionStart: selectionStart + opening.length,
+      selectionEnd: selectionStart + opening.length + selected.length
+    };
+  }
+
+  const prefix = LINE_PREFIXES[format];
+  if (!prefix) return { value, selectionStart, selectionEnd };
+
+  // Line formats apply to every line the selection touches
+  const blockStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+  const nextBreak = value.indexOf('\n', selectionEnd);
+  const blockEnd = nextBreak === -1 ? value.length : nextBreak;
+  const lines = value.slice(blockStart, blockEnd).split('\n');
+  const pattern = LINE_PREFIX_PATTERNS[format];
+  const allPrefixed = lines.every(line => pattern.test(line));
+
+  const formatted = lines.map((line, index) => {
+    if (allPrefixed) return line.replace(pattern, '');
+    const stripped = line.replace(LINE_PREFIX_PATTERNS.bulletList, '').replace(LINE_PREFIX_PATTERNS.numberedList, '');
+    const base = format === 'quote' ? line : stripped;
+    return (typeof prefix === 'function' ? prefix(index + 1) : prefix) + base;
+  }).join('\n');
+
+  return {
+    value: value.slice(0, blockStart) + formatted + value.slice(blockEnd),
+    selectionStart: blockStart,
+    selectionEnd: blockStart + formatted.length
+  };
+};
+
+// Composer keyboard shortcuts; "Mod" is Cmd on macOS and Ctrl elsewhere
+export const FORMAT_SHORTCUTS = {
+  bold: { key: 'b', label: 'Mod+B' },
+  italic: { key: 'i', label: 'Mod+I' },
+  strike: { key: 'x', shift: true, label: 'Mod+Shift+X' },
+  code: { key: 'e', label: 'Mod+E' },
+  codeBlock: { key: 'e', shift: true, label: 'Mod+Shift+E' }
+};
+
+/**
+ * Formatting action for a keyboard event
+ * @param {KeyboardEvent} event - Key event from the composer
+ * @returns {string|null} Format name or null
+ */
+export const getShortcutFormat = (event) => {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+  const key = event.key?.toLowerCase();
+  const match = Object.entries(FORMAT_SHORTCUTS)
+    .find(([, shortcut]) => shortcut.key === key && !!shortcut.shift === event.shiftKey);
+  return match ? match[0] : null;
+};
+
+export default {
+  parseMarkdown,
+  parseInline,
+  toPlainText,
+  applyFormat,
+  getShortcutFormat
+};
@@ -0,0 +1,295 @@
+// Media preprocessing before upload
+//
+// Images are downscaled and re-encoded through a canvas, which also drops
+// their EXIF data (GPS location, camera details) and bakes in the EXIF
+// orientation. Images and videos get a tiny blurred placeholder to show
+// while the real file loads. Videos are uploaded as recorded, with the
+// location atom cameras write into MP4/MOV files blanked out; re-encoding
+// them would need a container muxer. A photo with metadata that can't be
+// re-encoded (e.g. HEIC outside Safari) is refused rather than uploaded
+// with its location.
+
+import { createNetworkOptimizer } from './performanceUtils';
+
+/**
+ * Re-encoding settings per connection quality
+ */
+export const UPLOAD_QUALITY_PRESETS = {
+  high: { maxDimension: 2560, quality: 0.85 },
+  standard: { maxDimension: 1920, quality: 0.8 },
+  low: { maxDimension: 1280, quality: 0.65 }
+};
+
+const PLACEHOLDER_SIZE = 16; // Longest side of the placeholder, in pixels
+const METADATA_SCAN_BYTES = 128 * 1024; // Metadata sits near the start of image files
+const MAX_VIDEO_SCAN_BYTES = 100 * 1024 * 1024; // Larger videos are not read into memory
+const REENCODABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp']; // Decodable in every browser
+const UNTOUCHED_IMAGE_TYPES = ['image/gif', 'image/svg+xml'];
+
+// Prepared uploads by source file and options, so outbox retries don't process again
+const preparedUploads = new WeakMap(); // File -> Map(options key -> Promise)
+
+// Thrown instead of uploading an image whose metadata couldn't be removed
+const metadataError = () => Object.assign(
+  new Error("This photo's location data can't be removed in this browser, so it wasn't sent"),
+  { type: 'metadata_error' }
+);
+
+/**
+ * Pick the upload quality from the connection: low on 2g or data saver,
+ * standard on 3g, high otherwise (including when the browser can't tell)
+ * @returns {'high'|'standard'|'low'} Quality preset name
+ */
+export const getUploadQuality = () => {
+  const network = createNetworkOptimizer();
+  if (network.shouldUseLowQuality()) return 'low';
+  return network.getConnectionSpeed()?.effectiveType === '3g' ? 'standard' : 'high';
+};
+
+const fitWithin = (width, height, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+const indexOfBytes = (bytes, pattern, from = 0) => {
+  const matchesAt = (index) => pattern.every((byte, offset) => bytes[index + offset] === byte);
+  for (let index = bytes.indexOf(pattern[0], from); index !== -1; index = bytes.indexOf(pattern[0], index + 1)) {
+    if (index + pattern.length > bytes.length) return -1;
+    if (matchesAt(index)) return index;
+  }
+  return -1;
+};
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+/**
+ * Whether an image carries EXIF or XMP metadata (JPEG APP1, PNG eXIf/XMP,
+ * WebP EXIF/XMP chunks)
+ * @param {Blob} file - Image file
+ * @returns {Promise<boolean>} True when metadata was found
+ */
+export const hasEmbeddedMetadata = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, METADATA_SCAN_BYTES).arrayBuffer());
+  return ['Exif\0\0', 'eXIf', 'EXIF', 'http://ns.adobe.com/xap/1.0/']
+    .some(marker => indexOfBytes(bytes, ascii(marker)) !== -1);
+};
+
+/**
+ * Blank out the location atom (`©xyz`) of an MP4/MOV file. The atom is
+ * renamed to `free` and its payload zeroed, so the file keeps its layout
+ * and nothing needs re-encoding.
+ * @param {File} file - Video file
+ * @returns {Promise<File>} The cleaned file, or the original when it has no location
+ */
+export const stripVideoLocation = async (file) => {
+  if (file.size > MAX_VIDEO_SCAN_BYTES) return file;
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const atomType = [0xA9, ...ascii('xyz')];
+  let found = false;
+
+  for (let index = indexOfBytes(bytes, atomType, 4); index !== -1; index = indexOfBytes(bytes, atomType, index + 4)) {
+    const start = index - 4;
+    const size = ((bytes[start] << 24) | (bytes[start + 1] << 16) | (bytes[start + 2] << 8) | bytes[start + 3]) >>> 0;
+    // Real location atoms are a few dozen bytes; anything else is sample data
+    if (size < 8 || size > 256 || start + size > bytes.length) continue;
+
+    bytes.set(ascii('free'), index);
+    bytes.fill(0, index + 4, start + size);
+    found = true;
+  }
+
+  return found ? new File([bytes], file.name, { type: file.type, lastModified: file.lastModified }) : file;
+};
+
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const loadVideoFrame = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  video.onloadeddata = () => {
+    URL.revokeObjectURL(url);
+    resolve(video);
+  };
+  video.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read video'));
+  };
+  video.src = url;
+});
+
+const drawToCanvas = (source, width, height, background = null) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+  }
+  context.drawImage(source, 0, 0, width, height);
+  return canvas;
+};
+
+/**
+ * Tiny JPEG data URL of an image or video frame, shown blurred while the
+ * full media loads
+ * @param {CanvasImageSource} source - Decoded image or video
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @returns {string} Data URL (well under 1 KB)
+ */
+export const createPlaceholder = (source, width, height) => {
+  const size = fitWithin(width, height, PLACEHOLDER_SIZE);
+  return drawToCanvas(source, size.width, size.height, '#fff').toDataURL('image/jpeg', 0.5);
+};
+
+const replaceExtension = (name, extension) => `${name.replace(/\.[^./]+$/, '') || 'image'}.${extension}`;
+
+/**
+ * Resize and re-encode an image. The re-encoded copy is used when the image
+ * was resized, carried metadata, or got smaller; otherwise the original is
+ * kept. GIFs and SVGs are left alone.
+ * @param {File} file - Image file
+ * @param {Object} options - Processing options
+ * @param {number} options.maxDimension - Longest side after resizing
+ * @param {number} options.quality - Encoder quality (0-1)
+ * @param {boolean} options.placeholder - Also create a placeholder
+ * @returns {Promise<Object>} `{ file, width, height, placeholder }`
+ * @throws {Error} With `type: 'metadata_error'` when the image has metadata and can't be re-encoded
+ */
+export const processImage = async (file, { maxDimension, quality, placeholder = true }) => {
+  if (UNTOUCHED_IMAGE_TYPES.includes(file.type)) return { file };
+
+  const hasMetadata = await hasEmbeddedMetadata(file);
+  if (!REENCODABLE_IMAGE_TYPES.includes(file.type)) {
+    if (hasMetadata) throw metadataError();
+    return { file };
+  }
+
+  let source;
+  try {
+    source = await decodeImage(file);
+  } catch (error) {
+    if (hasMetadata) throw metadataError();
+    throw error;
+  }
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const size = fitWithin(sourceWidth, sourceHeight, maxDimension);
+  const resized = size.width !== sourceWidth || size.height !== sourceHeight;
+
+  // PNGs keep their transparency; everything else becomes JPEG
+  const outputType = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  const canvas = drawToCanvas(source, size.width, size.height, outputType === 'image/jpeg' ? '#fff' : null);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, outputType, quality));
+  const result = {
+    width: size.width,
+    height: size.height,
+    placeholder: placeholder ? createPlaceholder(source, sourceWidth, sourceHeight) : null
+  };
+  source.close?.();
+
+  if (!blob && hasMetadata) throw metadataError();
+  if (!blob || (!resized && !hasMetadata && blob.size >= file.size)) {
+    return { ...result, file, width: sourceWidth, height: sourceHeight };
+  }
+
+  return {
+    ...result,
+    file: new File([blob], replaceExtension(file.name, outputType === 'image/png' ? 'png' : 'jpg'), {
+      type: outputType,
+      lastModified: file.lastModified
+    })
+  };
+};
+
+/**
+ * Strip the location from a video and grab a placeholder from its first frame
+ * @param {File} file - Video file
+ * @returns {Promise<Object>} `{ file, width, height, placeholder }`
+ */
+export const processVideo = async (file) => {
+  const [cleaned, video] = await Promise.all([
+    stripVideoLocation(file),
+    loadVideoFrame(file).catch(() => null)
+  ]);
+
+  if (!video?.videoWidth) return { file: cleaned };
+
+  return {
+    file: cleaned,
+    width: video.videoWidth,
+    height: video.videoHeight,
+    placeholder: createPlaceholder(video, video.videoWidth, video.videoHeight)
+  };
+};
+
+/**
+ * Prepare a file for upload. Anything that can't be processed is uploaded
+ * as it is, except images whose metadata couldn't be removed.
+ * @param {File} file - File to upload
+ * @param {Object} options - Preparation options
+ * @param {string} options.type - Message type (image, video, ...); other types pass through
+ * @param {string} options.quality - Quality preset name (defaults to getUploadQuality())
+ * @param {number} options.maxDimension - Overrides the preset's longest side
+ * @param {boolean} options.placeholder - Create a placeholder (default true)
+ * @returns {Promise<Object>} `{ file, width, height, placeholder }`; only `file` is always set
+ */
+export const prepareMediaUpload = (file, { type, quality, maxDimension, placeholder = true } = {}) => {
+  if (type !== 'image' && type !== 'video') return Promise.resolve({ file });
+
+  const preset = UPLOAD_QUALITY_PRESETS[quality || getUploadQuality()] || UPLOAD_QUALITY_PRESETS.high;
+  const size = maxDimension || preset.maxDimension;
+  const key = type === 'image' ? `image:${size}:${preset.quality}:${placeholder}` : 'video';
+
+  if (!preparedUploads.has(file)) preparedUploads.set(file, new Map());
+  const cached = preparedUploads.get(file);
+  if (cached.has(key)) return cached.get(key);
+
+  const prepared = (type === 'image'
+    ? processImage(file, { maxDimension: size, quality: preset.quality, placeholder })
+    : processVideo(file)
+  ).catch((error) => {
+    if (error.type === 'metadata_error') {
+      cached.delete(key);
+      throw error;
+    }
+    console.warn('[MEDIA] ⚠️ Preprocessing failed, uploading original:', error);
+    return { file };
+  });
+
+  cached.set(key, prepared);
+  return prepared;
+};
+
+export default {
+  UPLOAD_QUALITY_PRESETS,
+  getUploadQuality,
+  hasEmbeddedMetadata,
+  stripVideoLocation,
+  createPlaceholder,
+  processImage,
+  processVideo,
+  prepareMediaUpload
+};
@@ -0,0 +1,90 @@
+// Copy and export a selection of messages as plain text or JSON
+
+import { saveUrl } from './fileUtils';
+import { getMessageId, getReplyToId } from './messageUtils';
+
+// Some browsers (Safari, Firefox) read the blob after the click returns, so
+// the URL is kept alive long enough for the download to start
+const REVOKE_DELAY_MS = 60 * 1000;
+
+const getSenderName = (message) =>
+  message.senderId?.fullName || message.senderId?.username || 'Unknown user';
+
+const formatTimestamp = (timestamp) => (timestamp
+  ? new Date(timestamp).toLocaleString([], {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+  : '');
+
+// Attachments are described by their type and file name
+const getMessageText = (message) => {
+  const parts = [];
+  if (message.type && message.type !== 'text') {
+    parts.push(`[${message.type}${message.media?.fileName ? `: ${message.media.fileName}` : ''}]`);
+  }
+  if (message.content) parts.push(message.content);
+  return parts.join(' ');
+};
+
+/**
+ * Plain text transcript, one message per entry with sender and timestamp.
+ * Continuation lines of multi-line messages are indented.
+ * @param {Object[]} messages - Messages in display order
+ * @returns {string} Transcript
+ */
+export const formatMessagesAsText = (messages) => messages
+  .map((message) => {
+    const text = getMessageText(message).replace(/\n/g, '\n    ');
+    return `[${formatTimestamp(message.createdAt)}] ${getSenderName(message)}: ${text}`;
+  })
+  .join('\n');
+
+/**
+ * JSON export keeping the fields needed to make sense of the messages later
+ * @param {Object[]} messages - Messages in display order
+ * @returns {string} Pretty-printed JSON
+ */
+export const formatMessagesAsJson = (messages) => JSON.stringify(messages.map(message => ({
+  id: getMessageId(message),
+  sender: {
+    id: message.senderId?._id || message.senderId?.userId || null,
+    name: getSenderName(message)
+  },
+  createdAt: message.createdAt || null,
+  editedAt: message.editedAt || null,
+  type: message.type || 'text',
+  content: message.content || '',
+  media: message.media
+    ? { fileName: message.media.fileName || null, mimeType: message.media.mimeType || null, url: message.media.url || null }
+    : null,
+  replyTo: getReplyToId(message) || null,
+  reactions: (message.reactions || []).map(reaction => reaction.emoji)
+})), null, 2);
+
+/**
+ * Download messages as a `.txt` or `.json` file
+ * @param {Object[]} messages - Messages in display order
+ * @param {'text'|'json'} format - File format
+ * @param {string} baseName - File name without extension
+ */
+export const exportMessages = (messages, format = 'text', baseName = 'messages') => {
+  const isJson = format === 'json';
+  const blob = new Blob(
+    [isJson ? formatMessagesAsJson(messages) : formatMessagesAsText(messages)],
+    { type: isJson ? 'application/json' : 'text/plain;charset=utf-8' }
+  );
+  const url = URL.createObjectURL(blob);
+
+  saveUrl(url, `${baseName}.${isJson ? 'json' : 'txt'}`);
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+export default {
+  formatMessagesAsText,
+  formatMessagesAsJson,
+  exportMessages
+};
@@ -0,0 +1,160 @@
+// Helpers shared by the message timeline and the thread panel
+
+/**
+ * Server ID of a message (either field)
+ * @param {Object} message - Message
+ * @returns {string|null} Message ID
+ */
+export const getMessageId = (message) => message?._id || message?.messageId || null;
+
+/**
+ * Stable key for a message, including ones still in the outbox
+ * @param {Object} message - Message
+ * @returns {string|undefined} Key
+ */
+export const getMessageKey = (message) => message._id || message.messageId || message.clientMessageId;
+
+/**
+ * Match messages by server ID (either field) or by client-generated ID
+ * @param {Object} a - Message
+ * @param {Object} b - Message
+ * @returns {boolean} Whether both are the same message
+ */
+export const isSameMessage = (a, b) => {
+  const aId = getMessageId(a);
+  const bId = getMessageId(b);
+  if (aId && bId) return aId === bId;
+  return !!(a.clientMessageId && a.clientMessageId === b.clientMessageId);
+};
+
+/**
+ * Messages still in the outbox have no server ID yet
+ * @param {Object} message - Message
+ * @returns {boolean} Whether the message is local only
+ */
+export const isLocalMessage = (message) => !message._id && !message.messageId && !!message.clientMessageId;
+
+/**
+ * ID of the message's sender, whether `senderId` is populated or not
+ * @param {Object} message - Message
+ * @returns {string|null} Sender ID
+ */
+export const getSenderId = (message) => {
+  const sender = message?.senderId;
+  if (!sender) return null;
+  return typeof sender === 'string' ? sender : sender._id || sender.userId || sender.id || null;
+};
+
+/**
+ * Add a message, replacing its optimistic copy if there is one
+ * @param {Object[]} messages - Current messages
+ * @param {Object} message - Message to add
+ * @returns {Object[]} Updated messages
+ */
+export const upsertMessage = (messages, message) => {
+  const index = messages.findIndex(msg => isSameMessage(msg, message));
+  if (index === -1) return [...messages, message];
+  // The server copy always wins over outbox state
+  if (!isLocalMessage(messages[index])) return messages;
+
+  const next = [...messages];
+  next[index] = message;
+  return next;
+};
+
+/**
+ * Render an outbox entry as an optimistic message
+ * @param {Object} entry - Outbox entry
+ * @param {Object} user - Current user
+ * @returns {Object} Message
+ */
+export const toOutboxMessage = (entry, user) => ({
+  clientMessageId: entry.clientMessageId,
+  chatId: entry.chatId,
+  type: entry.type,
+  content: entry.content || '',
+  replyTo: entry.replyTo || null,
+  linkPreview: entry.linkPreview,
+  media: entry.fileName ? { fileName: entry.fileName } : null,
+  senderId: {
+    _id: user?._id || user?.userId || user?.id,
+    username: user?.username,
+    fullName: user?.fullName
+  },
+  createdAt: entry.createdAt,
+  status: entry.status,
+  error: entry.error
+});
+
+/**
+ * ID of the message a reply points at; `replyTo` is populated by the
+ * server and a plain ID in some socket payloads
+ * @param {Object} message - Message
+ * @returns {string|null} Parent message ID
+ */
+export const getReplyToId = (message) => {
+  const { replyTo } = message || {};
+  if (!replyTo) return null;
+  if (typeof replyTo === 'string') return replyTo;
+  return getMessageId(replyTo);
+};
+
+const MAX_SUMMARY_REPLIERS = 3;
+
+/**
+ * Reply counts and latest repliers for every message that has replies in
+ * `messages`, merged with the server's own `threadSummary` when present
+ * @param {Object[]} messages - Loaded messages, oldest first
+ * @returns {Map<string, {replyCount: number, lastReplyAt: string|null, lastRepliers: Object[]}>} Summaries by root ID
+ */
+export const buildThreadSummaries = (messages) => {
+  const summaries = new Map();
+
+  // Newest first so the repliers list starts with the latest
+  for (let index = messages.length - 1; index >= 0; index -= 1) {
+    const reply = messages[index];
+    const rootId = getReplyToId(reply);
+    if (!rootId) continue;
+
+    const summary = summaries.get(rootId) || { replyCount: 0, lastReplyAt: null, lastRepliers: [] };
+    summary.replyCount += 1;
+    summary.lastReplyAt = summary.lastReplyAt || reply.createdAt || null;
+
+    const sender = reply.senderId;
+    if (sender && summary.lastRepliers.length < MAX_SUMMARY_REPLIERS &&
+        !summary.lastRepliers.some(replier => replier._id === sender._id)) {
+      summary.lastRepliers.push(sender);
+    }
+    summaries.set(rootId, summary);
+  }
+
+  // The server knows about replies that are not loaded yet
+  messages.forEach((message) => {
+    const server = message.threadSummary;
+    const id = getMessageId(message);
+    if (!server || !id) return;
+
+    const local = summaries.get(id);
+    if (!local || server.replyCount > local.replyCount) {
+      summaries.set(id, {
+        replyCount: server.replyCount || 0,
+        lastReplyAt: server.lastReplyAt || local?.lastReplyAt || null,
+        lastRepliers: (server.lastRepliers || local?.lastRepliers || []).slice(0, MAX_SUMMARY_REPLIERS)
+      });
+    }
+  });
+
+  return summaries;
+};
+
+export default {
+  getMessageId,
+  getMessageKey,
+  isSameMessage,
+  isLocalMessage,
+  getSenderId,
+  upsertMessage,
+  toOutboxMessage,
+  getReplyToId,
+  buildThreadSummaries
+};
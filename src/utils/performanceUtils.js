@@ -2,6 +2,8 @@
  * Performance utilities for frontend optimization
  */
 
+import React from 'react';
+
 // Debounce function
 export const debounce = (func, wait, immediate = false) => {
   let timeout;
@@ -48,56 +50,105 @@ export const lazyLoadImages = () => {
 };
 
 // Virtual scrolling utility
-export const createVirtualScroller = (container, itemHeight, totalItems, renderItem) => {
-  let scrollTop = 0;
-  let containerHeight = container.clientHeight;
-  
-  const updateVisibleItems = () => {
-    const startIndex = Math.floor(scrollTop / itemHeight);
-    const endIndex = Math.min(
-      startIndex + Math.ceil(containerHeight / itemHeight) + 1,
-      totalItems
-    );
+// Tracks variable item heights (estimated until measured) and works out which
+// items intersect the viewport. Rendering is left to the caller.
+export const createVirtualScroller = ({ estimateSize = () => 80, overscan = 400 } = {}) => {
+  const measuredSizes = new Map(); // item key -> measured height
+  const indexByKey = new Map(); // item key -> index in keys
+  let keys = [];
+  let offsets = [0]; // offsets[i] = top of item i, offsets[keys.length] = total height
+  let validOffsets = 1; // offsets below this index are up to date
+  
+  const getSize = (index) => measuredSizes.get(keys[index]) ?? estimateSize(index);
+  
+  // Offsets after a changed item are rebuilt when next read, so a batch of
+  // measurements costs a single pass from the first item that changed
+  const invalidateFrom = (index) => {
+    validOffsets = Math.min(validOffsets, index + 1);
+  };
+  
+  const updateOffsets = (index) => {
+    for (let i = validOffsets; i <= index; i++) {
+      offsets[i] = offsets[i - 1] + getSize(i - 1);
+    }
+    validOffsets = Math.max(validOffsets, index + 1);
+  };
+  
+  // Set the current items by key, in display order
+  const setItems = (itemKeys) => {
+    if (itemKeys === keys) return;
     
-    const visibleItems = [];
-    for (let i = startIndex; i < endIndex; i++) {
-      visibleItems.push({
-        index: i,
-        item: renderItem(i),
-        top: i * itemHeight
-      });
+    // Items before the first difference keep their index and offset
+    let first = 0;
+    while (first < keys.length && first < itemKeys.length && keys[first] === itemKeys[first]) {
+      first++;
+    }
+    for (let i = first; i < keys.length; i++) {
+      if (indexByKey.get(keys[i]) === i) indexByKey.delete(keys[i]);
+    }
+    for (let i = first; i < itemKeys.length; i++) {
+      if (!indexByKey.has(itemKeys[i])) indexByKey.set(itemKeys[i], i);
     }
     
-    return visibleItems;
+    keys = itemKeys;
+    offsets.length = keys.length + 1;
+    invalidateFrom(first);
   };
   
-  const handleScroll = throttle((e) => {
-    scrollTop = e.target.scrollTop;
-    const visibleItems = updateVisibleItems();
+  const getIndexOfKey = (key) => indexByKey.get(key) ?? -1;
+  
+  // Record a measured height; returns how much the item grew (or shrank)
+  const setSize = (key, size) => {
+    const index = getIndexOfKey(key);
+    const previous = index === -1 ? measuredSizes.get(key) : getSize(index);
+    if (previous === size) return 0;
     
-    // Update DOM with visible items
-    container.innerHTML = '';
-    visibleItems.forEach(({ item, top }) => {
-      const element = document.createElement('div');
-      element.style.position = 'absolute';
-      element.style.top = `${top}px`;
-      element.style.height = `${itemHeight}px`;
-      element.style.width = '100%';
-      element.appendChild(item);
-      container.appendChild(element);
-    });
-  }, 16); // ~60fps
+    measuredSizes.set(key, size);
+    if (index !== -1) invalidateFrom(index);
+    return size - (previous ?? size);
+  };
   
-  container.addEventListener('scroll', handleScroll);
+  const getOffset = (index) => {
+    const clamped = Math.min(Math.max(index, 0), keys.length);
+    updateOffsets(clamped);
+    return offsets[clamped];
+  };
+  
+  const getTotalSize = () => getOffset(keys.length);
+  
+  // First item whose bottom edge is below `position`
+  const findIndex = (position) => {
+    updateOffsets(keys.length);
+    let low = 0;
+    let high = keys.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (offsets[mid + 1] <= position) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
   
-  // Initial render
-  container.style.height = `${totalItems * itemHeight}px`;
-  handleScroll({ target: container });
+  // Items to render for a viewport, as a half-open [start, end) range
+  const getRange = (scrollTop, viewportHeight) => {
+    if (keys.length === 0) return { start: 0, end: 0 };
+    
+    const start = findIndex(Math.max(scrollTop - overscan, 0));
+    const end = findIndex(scrollTop + viewportHeight + overscan) + 1;
+    return { start, end: Math.min(end, keys.length) };
+  };
   
   return {
-    destroy: () => {
-      container.removeEventListener('scroll', handleScroll);
-    }
+    setItems,
+    setSize,
+    getSize,
+    getOffset,
+    getTotalSize,
+    getIndexOfKey,
+    getRange
   };
 };
 
@@ -210,7 +261,7 @@ export const createCodeSplitting = () => {
   const loadComponent = (importFunction) => {
     return React.lazy(() => importFunction().catch(error => {
       console.error('Failed to load component:', error);
-      return { default: () => <div>Error loading component</div> };
+      return { default: () => React.createElement('div', null, 'Error loading component') };
     }));
   };
   
@@ -0,0 +1,75 @@
+// Message reaction helpers
+//
+// The server stores one reaction per user: `{ userId, emoji, createdAt }`,
+// with `userId` populated to a user object on most endpoints. Pre-grouped
+// entries (`{ emoji, count, users }`) are accepted as well.
+
+const getUserId = (user) => (typeof user === 'string' ? user : user?._id || user?.userId || user?.id || null);
+
+const toUser = (user) => (typeof user === 'string' ? { _id: user } : { ...user, _id: getUserId(user) });
+
+/**
+ * Group reactions by emoji, in order of first use
+ * @param {Object[]} reactions - Reactions on a message
+ * @param {string} currentUserId - Signed-in user's ID
+ * @returns {Array<{emoji: string, count: number, users: Object[], reactedByMe: boolean}>} One entry per emoji
+ */
+export const summarizeReactions = (reactions = [], currentUserId = null) => {
+  const groups = new Map();
+
+  (reactions || []).forEach((reaction) => {
+    if (!reaction?.emoji) return;
+    const group = groups.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, users: [], reactedByMe: false };
+
+    const users = reaction.users
+      ? reaction.users.map(toUser)
+      : reaction.userId ? [toUser(reaction.userId)] : [];
+
+    group.count += reaction.count ?? Math.max(users.length, 1);
+    group.users.push(...users);
+    if (currentUserId && users.some(user => user._id === currentUserId)) {
+      group.reactedByMe = true;
+    }
+    groups.set(reaction.emoji, group);
+  });
+
+  return Array.from(groups.values());
+};
+
+/**
+ * Emoji the user currently reacts with, if any
+ * @param {Object[]} reactions - Reactions on a message
+ * @param {string} userId - User ID
+ * @returns {string|null} Emoji
+ */
+export const getUserReaction = (reactions, userId) => {
+  const mine = summarizeReactions(reactions, userId).find(group => group.reactedByMe);
+  return mine ? mine.emoji : null;
+};
+
+/**
+ * Apply a `message_reaction` socket event to a message's reactions.
+ * Events either carry the full list (`reactions`) or a single change
+ * (`userId`, `emoji`, `action: 'added' | 'removed'`).
+ * @param {Object[]} reactions - Current reactions
+ * @param {Object} event - Socket payload
+ * @returns {Object[]} Updated reactions
+ */
+export const applyReactionEvent = (reactions = [], event) => {
+  if (Array.isArray(event.reactions)) return event.reactions;
+
+  const userId = getUserId(event.user || event.userId);
+  if (!userId) return reactions;
+
+  // One reaction per user: a new one replaces the old
+  const others = (reactions || []).filter(reaction => getUserId(reaction.userId) !== userId);
+  if (event.action === 'removed' || !event.emoji) return others;
+
+  return [...others, { userId: event.user || event.userId, emoji: event.emoji, createdAt: event.createdAt }];
+};
+
+export default {
+  summarizeReactions,
+  getUserReaction,
+  applyReactionEvent
+};
@@ -0,0 +1,111 @@
+// Delivery and read receipts for messages
+//
+// Messages carry `deliveredTo` and `readBy` lists of `{ userId, at }`
+// entries (`deliveredAt`/`readAt` are accepted as the timestamp too).
+// Socket events add to them as recipients receive and read messages.
+
+const getUserId = (user) => (typeof user === 'string' ? user : user?._id || user?.userId || user?.id || null);
+
+const getSenderId = (message) => getUserId(message?.senderId);
+
+// Receipts from anyone other than the sender
+const recipientEntries = (message, field) =>
+  (message?.[field] || []).filter(entry => getUserId(entry.userId) !== getSenderId(message));
+
+/**
+ * Delivery state of a message
+ * @param {Object} message - Message
+ * @returns {'queued'|'failed'|'sent'|'delivered'|'read'} Status
+ */
+export const getDeliveryStatus = (message) => {
+  if (!message) return 'sent';
+  if (message.status === 'pending' || message.status === 'paused') return 'queued';
+  if (message.status === 'failed') return 'failed';
+  if (recipientEntries(message, 'readBy').length > 0 || message.status === 'read') return 'read';
+  if (recipientEntries(message, 'deliveredTo').length > 0 || message.status === 'delivered') return 'delivered';
+  return 'sent';
+};
+
+/**
+ * Add a receipt to a message. A read receipt implies delivery.
+ * @param {Object} message - Message
+ * @param {'delivered'|'read'} type - Receipt type
+ * @param {string|Object} user - Recipient (ID or user object)
+ * @param {string} at - ISO timestamp
+ * @returns {Object} Updated message (the same object when nothing changed)
+ */
+export const addReceipt = (message, type, user, at = new Date().toISOString()) => {
+  const userId = getUserId(user);
+  if (!userId || userId === getSenderId(message)) return message;
+
+  const fields = type === 'read' ? ['deliveredTo', 'readBy'] : ['deliveredTo'];
+  let next = message;
+
+  fields.forEach((field) => {
+    const entries = next[field] || [];
+    if (entries.some(entry => getUserId(entry.userId) === userId)) return;
+    next = { ...next, [field]: [...entries, { userId: user, at }] };
+  });
+
+  return next;
+};
+
+/**
+ * Apply a `message_delivered` or `messages_read` event to a list of messages.
+ * Events name the messages (`messageId` / `messageIds`) or, for reads,
+ * everything the reader had received up to `readAt`.
+ * @param {Object[]} messages - Messages in the chat
+ * @param {'delivered'|'read'} type - Receipt type
+ * @param {Object} event - Socket payload
+ * @returns {Object[]} Updated messages
+ */
+export const applyReceiptEvent = (messages, type, event) => {
+  const reader = event.user || event.userId;
+  const at = event.readAt || event.deliveredAt || event.at || new Date().toISOString();
+  const ids = event.messageIds || (event.messageId ? [event.messageId] : null);
+  const cutoff = new Date(at).getTime();
+
+  let changed = false;
+  const next = messages.map((message) => {
+    const id = message._id || message.messageId;
+    if (!id) return message;
+
+    const applies = ids
+      ? ids.includes(id)
+      : type === 'read' && new Date(message.createdAt).getTime() <= cutoff;
+    if (!applies) return message;
+
+    const updated = addReceipt(message, type, reader, at);
+    if (updated !== message) changed = true;
+    return updated;
+  });
+
+  return changed ? next : messages;
+};
+
+/**
+ * Per-recipient receipt details for the message info view
+ * @param {Object} message - Message
+ * @returns {{readBy: Object[], deliveredTo: Object[]}} Entries with `user` and `at`; delivered excludes readers
+ */
+export const getReceiptDetails = (message) => {
+  const normalize = (entry) => ({
+    user: entry.userId,
+    userId: getUserId(entry.userId),
+    at: entry.at || entry.readAt || entry.deliveredAt || null
+  });
+
+  const readBy = recipientEntries(message, 'readBy').map(normalize);
+  const deliveredTo = recipientEntries(message, 'deliveredTo')
+    .map(normalize)
+    .filter(entry => !readBy.some(reader => reader.userId === entry.userId));
+
+  return { readBy, deliveredTo };
+};
+
+export default {
+  getDeliveryStatus,
+  addReceipt,
+  applyReceiptEvent,
+  getReceiptDetails
+};
@@ -0,0 +1,190 @@
+// Lightweight syntax highlighting for code blocks
+//
+// Splits code into typed tokens with a per-language list of regexes. The
+// output is plain data that components render as spans, never HTML.
+
+const C_LIKE_COMMENTS = [
+  { type: 'comment', pattern: /\/\/[^\n]*/y },
+  { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y }
+];
+
+const QUOTED_STRINGS = { type: 'string', pattern: /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y };
+const NUMBERS = { type: 'number', pattern: /\b(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/iy };
+const FUNCTION_CALLS = { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/y };
+
+const keywords = (words) => ({ type: 'keyword', pattern: new RegExp(`\\b(?:${words.join('|')})\\b`, 'y') });
+
+const LANGUAGES = {
+  javascript: [
+    ...C_LIKE_COMMENTS,
+    { type: 'string', pattern: /`(?:\\.|[^`\\])*`?/y },
+    QUOTED_STRINGS,
+    keywords([
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+      'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+      'instanceof', 'interface', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this',
+      'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+    ]),
+    NUMBERS,
+    FUNCTION_CALLS
+  ],
+  json: [
+    { type: 'tag', pattern: /"(?:\\.|[^"\\\n])*"(?=\s*:)/y },
+    QUOTED_STRINGS,
+    keywords(['true', 'false', 'null']),
+    NUMBERS
+  ],
+  python: [
+    { type: 'comment', pattern: /#[^\n]*/y },
+    { type: 'string', pattern: /"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)/y },
+    QUOTED_STRINGS,
+    keywords([
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+      'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None',
+      'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try', 'while', 'with', 'yield'
+    ]),
+    NUMBERS,
+    FUNCTION_CALLS
+  ],
+  shell: [
+    { type: 'comment', pattern: /#[^\n]*/y },
+    QUOTED_STRINGS,
+    { type: 'tag', pattern: /\$\{?[\w@#?*!-]+\}?/y },
+    keywords([
+      'case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for', 'function', 'if',
+      'in', 'local', 'return', 'then', 'until', 'while'
+    ]),
+    NUMBERS
+  ],
+  css: [
+    { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+    QUOTED_STRINGS,
+    { type: 'keyword', pattern: /@[\w-]+/y },
+    { type: 'tag', pattern: /[\w-]+(?=\s*:[^;{}]*[;}])/y },
+    { type: 'number', pattern: /#[\da-f]{3,8}\b|-?\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg)?/iy },
+    { type: 'function', pattern: /[\w-]+(?=\()/y }
+  ],
+  markup: [
+    { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+    { type: 'tag', pattern: /<\/?[A-Za-z][\w:-]*|\/?>/y },
+    { type: 'function', pattern: /[A-Za-z_:][\w:.-]*(?==)/y },
+    QUOTED_STRINGS
+  ],
+  sql: [
+    { type: 'comment', pattern: /--[^\n]*/y },
+    QUOTED_STRINGS,
+    {
+      type: 'keyword',
+      pattern: /\b(?:select|from|where|and|or|not|insert|into|values|update|set|delete|create|table|alter|drop|join|left|right|inner|outer|on|group|by|order|having|limit|offset|as|null|is|in|distinct|union|primary|key|index|default)\b/iy
+    },
+    NUMBERS,
+    FUNCTION_CALLS
+  ],
+  clike: [
+    ...C_LIKE_COMMENTS,
+    QUOTED_STRINGS,
+    keywords([
+      'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do',
+      'double', 'else', 'enum', 'extends', 'false', 'final', 'float', 'fn', 'for', 'func', 'go', 'if',
+      'impl', 'import', 'int', 'interface', 'let', 'long', 'match', 'mut', 'namespace', 'new', 'null',
+      'package', 'private', 'protected', 'pub', 'public', 'return', 'static', 'struct', 'switch', 'this',
+      'throw', 'throws', 'true', 'try', 'typedef', 'use', 'using', 'var', 'void', 'while'
+    ]),
+    NUMBERS,
+    FUNCTION_CALLS
+  ]
+};
+
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'javascript',
+  tsx: 'javascript',
+  typescript: 'javascript',
+  node: 'javascript',
+  py: 'python',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  scss: 'css',
+  less: 'css',
+  html: 'markup',
+  xml: 'markup',
+  svg: 'markup',
+  c: 'clike',
+  cpp: 'clike',
+  'c++': 'clike',
+  cs: 'clike',
+  csharp: 'clike',
+  java: 'clike',
+  kotlin: 'clike',
+  go: 'clike',
+  rust: 'clike',
+  rs: 'clike',
+  swift: 'clike',
+  php: 'clike'
+};
+
+/**
+ * Canonical language for a code fence label
+ * @param {string} lang - Label after the opening fence
+ * @returns {string|null} Supported language or null
+ */
+export const resolveLanguage = (lang) => {
+  if (!lang) return null;
+  const name = lang.toLowerCase();
+  if (LANGUAGES[name]) return name;
+  return ALIASES[name] || null;
+};
+
+/**
+ * Split code into highlight tokens
+ * @param {string} code - Source code
+ * @param {string} lang - Code fence label
+ * @returns {Array<{type: string|null, value: string}>} Tokens; type is null for plain text
+ */
+export const highlightCode = (code, lang) => {
+  const rules = LANGUAGES[resolveLanguage(lang)];
+  if (!code || !rules) return [{ type: null, value: code || '' }];
+
+  const tokens = [];
+  let plain = '';
+  let index = 0;
+
+  while (index < code.length) {
+    let matched = null;
+
+    // Rules only start at a word boundary so "width" is not "with" + "dth"
+    if (!/[\w$]/.test(code[index - 1] || '') || !/[\w$]/.test(code[index])) {
+      for (const rule of rules) {
+        rule.pattern.lastIndex = index;
+        const match = rule.pattern.exec(code);
+        if (match && match[0]) {
+          matched = { type: rule.type, value: match[0] };
+          break;
+        }
+      }
+    }
+
+    if (matched) {
+      if (plain) {
+        tokens.push({ type: null, value: plain });
+        plain = '';
+      }
+      tokens.push(matched);
+      index += matched.value.length;
+    } else {
+      plain += code[index];
+      index += 1;
+    }
+  }
+
+  if (plain) tokens.push({ type: null, value: plain });
+  return tokens;
+};
+
+export default {
+  resolveLanguage,
+  highlightCode
+};